@@ -0,0 +1,70 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Calendar } from '@styled-icons/feather/Calendar';
+import { FormattedMessage } from 'react-intl';
+
+import { getEventICSUrl, getGoogleCalendarUrl, getOutlookCalendarUrl } from '../lib/calendar';
+
+import { Box } from './Grid';
+import PopupMenu from './PopupMenu';
+import StyledButton from './StyledButton';
+import StyledLink from './StyledLink';
+
+const CalendarLink = props => (
+  <StyledLink display="block" fontSize="14px" lineHeight="20px" color="black.800" py={2} px={2} {...props} />
+);
+
+/**
+ * A button to add an event to the calendar of the user: as an `.ics` file (Apple Calendar,
+ * Outlook desktop...etc) or with links to Google Calendar and Outlook.com.
+ */
+const AddToCalendar = ({ event, buttonProps }) => {
+  if (!event.startsAt) {
+    return null;
+  }
+
+  return (
+    <PopupMenu
+      placement="bottom-start"
+      Button={({ onClick }) => (
+        <StyledButton buttonSize="tiny" onClick={onClick} data-cy="add-to-calendar" {...buttonProps}>
+          <Calendar size={14} />
+          &nbsp;
+          <FormattedMessage id="AddToCalendar" defaultMessage="Add to calendar" />
+        </StyledButton>
+      )}
+    >
+      <Box minWidth={180}>
+        <CalendarLink href={getEventICSUrl(event)} download>
+          <FormattedMessage id="AddToCalendar.ICS" defaultMessage="Download (.ics)" />
+        </CalendarLink>
+        <CalendarLink href={getGoogleCalendarUrl(event)} openInNewTab>
+          Google Calendar
+        </CalendarLink>
+        <CalendarLink href={getOutlookCalendarUrl(event)} openInNewTab>
+          Outlook.com
+        </CalendarLink>
+      </Box>
+    </PopupMenu>
+  );
+};
+
+AddToCalendar.propTypes = {
+  event: PropTypes.shape({
+    slug: PropTypes.string.isRequired,
+    name: PropTypes.string,
+    description: PropTypes.string,
+    startsAt: PropTypes.string,
+    endsAt: PropTypes.string,
+    timezone: PropTypes.string,
+    location: PropTypes.shape({
+      name: PropTypes.string,
+      address: PropTypes.string,
+    }),
+    parent: PropTypes.shape({ slug: PropTypes.string }),
+    parentCollective: PropTypes.shape({ slug: PropTypes.string }),
+  }).isRequired,
+  buttonProps: PropTypes.object,
+};
+
+export default AddToCalendar;
@@ -6,17 +6,22 @@ import { RadioButtonChecked } from '@styled-icons/material/RadioButtonChecked';
 import { RadioButtonUnchecked } from '@styled-icons/material/RadioButtonUnchecked';
 import themeGet from '@styled-system/theme-get';
 import dayjs from 'dayjs';
-import { get, truncate } from 'lodash';
+import { ContentState, EditorState } from 'draft-js';
+import { get, omit, truncate } from 'lodash';
 import memoizeOne from 'memoize-one';
 import { defineMessages, FormattedMessage, injectIntl } from 'react-intl';
 import styled from 'styled-components';
 
 import { isPrepaid } from '../lib/constants/payment-methods';
+import FormPersister, { DRAFT_FORM_TYPE } from '../lib/form-persister';
+import { groupGiftCardsRecipients, parseGiftCardsRecipientsCSV } from '../lib/gift-cards';
 import { compose, reportValidityHTML5 } from '../lib/utils';
 
+import GiftCardsRecipientsCSVInput from './gift-cards/GiftCardsRecipientsCSVInput';
 import CollectivePicker from './CollectivePicker';
 import Container from './Container';
 import CreateGiftCardsSuccess from './CreateGiftCardsSuccess';
+import DraftRestorePrompt from './DraftRestorePrompt';
 import { Box, Flex } from './Grid';
 import { I18nSupportLink } from './I18nFormatters';
 import Link from './Link';
@@ -28,6 +33,7 @@ import StyledInput from './StyledInput';
 import StyledInputAmount from './StyledInputAmount';
 import StyledMultiEmailInput from './StyledMultiEmailInput';
 import StyledSelectCreatable from './StyledSelectCreatable';
+import { withUser } from './UserProvider';
 
 const MIN_AMOUNT = 500;
 const MAX_AMOUNT = 100000000;
@@ -177,6 +183,9 @@ const FieldLabelDetails = styled.span`
   font-weight: normal;
 `;
 
+/** Bump this when the shape of the form values changes, to discard the incompatible drafts */
+const GIFT_CARDS_FORM_DRAFT_VERSION = 1;
+
 class CreateGiftCardsForm extends Component {
   static propTypes = {
     collectiveId: PropTypes.number.isRequired,
@@ -184,6 +193,8 @@ class CreateGiftCardsForm extends Component {
     currency: PropTypes.string.isRequired,
     createGiftCards: PropTypes.func.isRequired,
     collectiveSettings: PropTypes.object.isRequired,
+    /** @ignore from withUser */
+    LoggedInUser: PropTypes.object,
     data: PropTypes.shape({
       loading: PropTypes.bool,
       error: PropTypes.object,
@@ -207,11 +218,13 @@ class CreateGiftCardsForm extends Component {
     this.form = React.createRef();
     this.onSubmit = this.onSubmit.bind(this);
     this.state = {
-      deliverType: 'email', // email or manual
+      deliverType: 'email', // email, csv or manual
       values: {
         batch: null,
         amount: MIN_AMOUNT,
         emails: [],
+        recipientsCSV: null,
+        recipientsCSVFileName: null,
         customMessage: '',
         numberOfGiftCards: 1,
         limitedToHosts: [],
@@ -222,9 +235,64 @@ class CreateGiftCardsForm extends Component {
       submitting: false,
       createdGiftCards: null,
       serverError: null,
+      draft: null,
+      // Some inputs are not controlled, we re-mount the form when restoring a draft
+      formKey: 0,
     };
+
+    this.formPersister = new FormPersister(null, { version: GIFT_CARDS_FORM_DRAFT_VERSION });
+  }
+
+  componentDidMount() {
+    this.initFormPersister();
+  }
+
+  componentDidUpdate(oldProps) {
+    if (get(oldProps, 'LoggedInUser.id') !== get(this.props, 'LoggedInUser.id')) {
+      this.initFormPersister();
+    }
   }
 
+  initFormPersister() {
+    const { LoggedInUser, collectiveId, collectiveSlug } = this.props;
+    if (LoggedInUser) {
+      this.formPersister.setDraftInfo({
+        type: DRAFT_FORM_TYPE.GIFT_CARDS,
+        contextId: collectiveId,
+        ownerId: LoggedInUser.id,
+        title: collectiveSlug,
+      });
+      this.setState({ draft: this.formPersister.loadDraft() });
+    }
+  }
+
+  saveDraft = () => {
+    // Don't override the existing draft until the user decides what to do with it
+    if (!this.state.draft) {
+      const { deliverType, values } = this.state;
+      // Payment methods can change, we let the user pick it again
+      this.formPersister.saveValues({ deliverType, values: omit(values, ['paymentMethod']) });
+    }
+  };
+
+  restoreDraft = ({ deliverType, values }) => {
+    this.setState(state => ({
+      deliverType,
+      values: { ...state.values, ...values },
+      errors: { emails: [] },
+      multiEmailsInitialState: values.emails?.length
+        ? EditorState.createWithContent(ContentState.createFromText(values.emails.join('\n')))
+        : null,
+      draft: null,
+      formKey: state.formKey + 1,
+    }));
+  };
+
+  discardDraft = () => {
+    this.formPersister.clearValues();
+    this.setState({ draft: null });
+  };
+
   onChange(fieldName, value) {
     const errors = {};
 
@@ -239,24 +307,46 @@ class CreateGiftCardsForm extends Component {
     }
 
     // Set value
-    this.setState(state => ({
-      values: Object.assign(state.values, { [fieldName]: value }),
-      errors: Object.assign(state.errors, errors),
-    }));
+    this.setState(
+      state => ({
+        values: Object.assign(state.values, { [fieldName]: value }),
+        errors: Object.assign(state.errors, errors),
+      }),
+      this.saveDraft,
+    );
   }
 
+  /** Recipients are parsed from the CSV, using the amount of the form for the rows without amount */
+  getCSVRecipients = memoizeOne((csv, defaultAmount) => {
+    if (!csv) {
+      return { recipients: [], errors: [] };
+    } else {
+      return parseGiftCardsRecipientsCSV(csv, { defaultAmount, minAmount: MIN_AMOUNT, maxAmount: MAX_AMOUNT });
+    }
+  });
+
+  onCSVChange = (content, fileName) => {
+    this.setState(
+      state => ({ values: { ...state.values, recipientsCSV: content, recipientsCSVFileName: fileName } }),
+      this.saveDraft,
+    );
+  };
+
   isSubmitEnabled() {
     // Others fields validity are checked with HTML5 validation (see `onSubmit`)
     const { values, errors, deliverType } = this.state;
 
     if (deliverType === 'email') {
       return values.emails.length > 0 && errors.emails.length === 0;
+    } else if (deliverType === 'csv') {
+      const { recipients, errors } = this.getCSVRecipients(values.recipientsCSV, values.amount);
+      return recipients.length > 0 && errors.length === 0;
     } else {
       return values.numberOfGiftCards !== 0;
     }
   }
 
-  onSubmit(e) {
+  async onSubmit(e) {
     e.preventDefault();
     const { values, submitting, deliverType } = this.state;
     if (!submitting && reportValidityHTML5(this.form.current)) {
@@ -276,22 +366,37 @@ class CreateGiftCardsForm extends Component {
         ...limitations,
       };
 
+      let requests = [variables];
       if (deliverType === 'email') {
         variables.emails = values.emails;
         variables.customMessage = values.customMessage;
+      } else if (deliverType === 'csv') {
+        // The mutation takes a single amount and message, we create the cards with one call for each of them
+        const { recipients } = this.getCSVRecipients(values.recipientsCSV, values.amount);
+        requests = groupGiftCardsRecipients(recipients).map(group => ({ ...variables, ...group }));
       } else if (deliverType === 'manual') {
         variables.numberOfGiftCards = values.numberOfGiftCards;
       }
 
-      this.props
-        .createGiftCards({ variables })
-        .then(({ data }) => {
-          this.setState({ createdGiftCards: data.createGiftCards, submitting: false });
-          window.scrollTo(0, 0);
-        })
-        .catch(e => {
+      const createdGiftCards = [];
+      try {
+        for (const requestVariables of requests) {
+          const { data } = await this.props.createGiftCards({ variables: requestVariables });
+          createdGiftCards.push(...data.createGiftCards);
+        }
+
+        this.formPersister.clearValues();
+        this.setState({ createdGiftCards, submitting: false });
+        window.scrollTo(0, 0);
+      } catch (e) {
+        if (createdGiftCards.length) {
+          // Some of the cards have been created, we display them along with the error
+          this.formPersister.clearValues();
+          this.setState({ createdGiftCards, serverError: e.message, submitting: false });
+        } else {
           this.setState({ serverError: e.message, submitting: false });
-        });
+        }
+      }
     }
   }
 
@@ -311,12 +416,18 @@ class CreateGiftCardsForm extends Component {
         values.numberOfGiftCards = values.emails.length;
       }
       return { values, deliverType };
-    });
+    }, this.saveDraft);
   }
 
   renderSubmit() {
     const { submitting, values, deliverType } = this.state;
-    const count = deliverType === 'email' ? values.emails.length : values.numberOfGiftCards;
+    let count = values.numberOfGiftCards;
+    if (deliverType === 'email') {
+      count = values.emails.length;
+    } else if (deliverType === 'csv') {
+      count = this.getCSVRecipients(values.recipientsCSV, values.amount).recipients.length;
+    }
+
     const enable = this.isSubmitEnabled();
     return (
       <StyledButton
@@ -391,6 +502,7 @@ class CreateGiftCardsForm extends Component {
             type="text"
             maxLength="255"
             placeholder={this.props.intl.formatMessage(messages.emailCustomMessage)}
+            defaultValue={this.state.values.customMessage}
             onChange={e => this.onChange('customMessage', e.target.value)}
             style={{ flexGrow: 1 }}
             disabled={submitting}
@@ -400,6 +512,21 @@ class CreateGiftCardsForm extends Component {
     );
   }
 
+  renderCSVFields() {
+    const { values, submitting } = this.state;
+    const { recipients, errors } = this.getCSVRecipients(values.recipientsCSV, values.amount);
+    return (
+      <GiftCardsRecipientsCSVInput
+        recipients={recipients}
+        errors={errors}
+        currency={this.props.currency}
+        fileName={values.recipientsCSVFileName}
+        onChange={this.onCSVChange}
+        disabled={submitting}
+      />
+    );
+  }
+
   renderManualFields() {
     const { collectiveSettings } = this.props;
     const giftCardsMaxDailyCount = get(collectiveSettings, `giftCardsMaxDailyCount`) || 100;
@@ -450,9 +577,10 @@ class CreateGiftCardsForm extends Component {
 
   render() {
     const { data, intl, collectiveSlug, currency, collectiveSettings } = this.props;
-    const { submitting, values, createdGiftCards, serverError, deliverType } = this.state;
+    const { submitting, values, createdGiftCards, serverError, deliverType, draft, formKey } = this.state;
     const loading = get(data, 'loading');
     const error = get(data, 'error');
+    const collective = get(data, 'Collective');
     const paymentMethods = get(data, 'Collective.paymentMethods', []);
     const batches = get(data, 'Collective.giftCardsBatches');
     const hosts = get(data, 'allHosts.collectives', []);
@@ -471,13 +599,28 @@ class CreateGiftCardsForm extends Component {
       return this.renderNoPaymentMethodMessage();
     } else if (createdGiftCards) {
       return (
-        <CreateGiftCardsSuccess cards={createdGiftCards} deliverType={deliverType} collectiveSlug={collectiveSlug} />
+        <React.Fragment>
+          {serverError && (
+            <MessageBox type="error" withIcon mb={4}>
+              {serverError}
+            </MessageBox>
+          )}
+          <CreateGiftCardsSuccess
+            cards={createdGiftCards}
+            deliverType={deliverType}
+            collectiveSlug={collectiveSlug}
+            collective={collective}
+          />
+        </React.Fragment>
       );
     }
 
     return (
-      <form ref={this.form} onSubmit={this.onSubmit}>
+      <form key={formKey} ref={this.form} onSubmit={this.onSubmit}>
         <Flex flexDirection="column">
+          {draft && (
+            <DraftRestorePrompt draft={draft} onRestore={this.restoreDraft} onDiscard={this.discardDraft} mb={4} />
+          )}
           <InlineField name="amount" label={<FormattedMessage id="Fields.amount" defaultMessage="Amount" />}>
             <StyledInputAmount
               id="giftcard-amount"
@@ -541,7 +684,7 @@ class CreateGiftCardsForm extends Component {
               disabled={submitting}
               fontSize="14px"
               options={batchesOptions}
-              defaultValue={batchesOptions[0]}
+              defaultValue={values.batch ? { label: values.batch, value: values.batch } : batchesOptions[0]}
             />
           </InlineField>
 
@@ -592,6 +735,13 @@ class CreateGiftCardsForm extends Component {
             >
               <FormattedMessage id="giftCards.create.sendEmails" defaultMessage="Send the cards by email" />
             </RadioButtonWithLabel>
+            <RadioButtonWithLabel
+              name="csv"
+              checked={deliverType === 'csv'}
+              onClick={() => this.changeDeliverType('csv')}
+            >
+              <FormattedMessage id="giftCards.create.importCSV" defaultMessage="Import recipients from a CSV" />
+            </RadioButtonWithLabel>
             <RadioButtonWithLabel
               name="manual"
               checked={deliverType === 'manual'}
@@ -614,6 +764,7 @@ class CreateGiftCardsForm extends Component {
 
           {/* Show different fields based on deliver type */}
           {deliverType === 'email' && this.renderEmailFields()}
+          {deliverType === 'csv' && this.renderCSVFields()}
           {deliverType === 'manual' && this.renderManualFields()}
 
           {serverError && (
@@ -640,6 +791,9 @@ export const collectiveSourcePaymentMethodsQuery = gql`
   query CollectiveSourcePaymentMethods($id: Int) {
     Collective(id: $id) {
       id
+      slug
+      name
+      imageUrl
       giftCardsBatches {
         id
         name
@@ -678,6 +832,22 @@ const addCollectiveSourcePaymentMethodsQuery = graphql(collectiveSourcePaymentMe
   }),
 });
 
+const createdGiftCardFieldsFragment = gql`
+  fragment CreatedGiftCardFields on PaymentMethodType {
+    id
+    name
+    uuid
+    batch
+    limitedToHostCollectiveIds
+    description
+    initialBalance
+    monthlyLimitPerMember
+    expiryDate
+    currency
+    data
+  }
+`;
+
 const createGiftCardsMutation = gql`
   mutation CreateGiftCards(
     $CollectiveId: Int!
@@ -709,19 +879,10 @@ const createGiftCardsMutation = gql`
       customMessage: $customMessage
       batch: $batch
     ) {
-      id
-      name
-      uuid
-      batch
-      limitedToHostCollectiveIds
-      description
-      initialBalance
-      monthlyLimitPerMember
-      expiryDate
-      currency
-      data
+      ...CreatedGiftCardFields
     }
   }
+  ${createdGiftCardFieldsFragment}
 `;
 
 const addCreateGiftCardsMutation = graphql(createGiftCardsMutation, {
@@ -730,4 +891,4 @@ const addCreateGiftCardsMutation = graphql(createGiftCardsMutation, {
 
 const addGraphql = compose(addCollectiveSourcePaymentMethodsQuery, addCreateGiftCardsMutation);
 
-export default injectIntl(addGraphql(CreateGiftCardsForm));
+export default injectIntl(withUser(addGraphql(CreateGiftCardsForm)));
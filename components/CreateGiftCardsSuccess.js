@@ -6,6 +6,7 @@ import { Printer } from '@styled-icons/feather/Printer';
 import { FormattedMessage } from 'react-intl';
 import styled from 'styled-components';
 
+import { getGiftCardRedeemUrl, getGiftCardsPDFPayload } from '../lib/gift-cards';
 import { giftCardsDownloadUrl } from '../lib/url-helpers';
 
 import FileDownloader from './FileDownloader';
@@ -24,6 +25,9 @@ const RedeemLinksTextarea = styled(StyledInput).attrs({ as: 'textarea' })`
   overflow-wrap: normal;
 `;
 
+/** The PDF service can't render more cards in a single request */
+const MAX_PRINTABLE_CARDS = 300;
+
 /**
  * Displays created gift cards, with an option to print them.
  */
@@ -37,8 +41,14 @@ export default class CreateGiftCardsSuccess extends React.Component {
         expiryDate: PropTypes.string,
       }),
     ).isRequired,
-    deliverType: PropTypes.oneOf(['manual', 'email']).isRequired,
+    deliverType: PropTypes.oneOf(['manual', 'email', 'csv']).isRequired,
     collectiveSlug: PropTypes.string.isRequired,
+    /** Used to brand the printable cards */
+    collective: PropTypes.shape({
+      slug: PropTypes.string,
+      name: PropTypes.string,
+      imageUrl: PropTypes.string,
+    }),
   };
 
   constructor(props) {
@@ -47,8 +57,7 @@ export default class CreateGiftCardsSuccess extends React.Component {
   }
 
   getRedeemLinkFromVC = vc => {
-    const code = vc.uuid.split('-')[0];
-    return `${process.env.WEBSITE_URL}/${this.props.collectiveSlug}/redeem/${code}`;
+    return getGiftCardRedeemUrl(vc, this.props.collectiveSlug);
   };
 
   copyLinksToClipboard = () => {
@@ -62,14 +71,35 @@ export default class CreateGiftCardsSuccess extends React.Component {
     }
   };
 
-  buildFetchParams = () => {
-    return {};
-  };
+  renderDownloadButton() {
+    const { cards, collective, collectiveSlug } = this.props;
+    const filename = `${collectiveSlug}-giftcards-${Date.now()}.pdf`;
+    if (cards.length >= MAX_PRINTABLE_CARDS) {
+      return null;
+    }
 
-  renderManualSuccess() {
-    const filename = `${this.props.collectiveSlug}-giftcards-${Date.now()}.pdf`;
-    const downloadUrl = giftCardsDownloadUrl(filename);
+    return (
+      <FileDownloader
+        url={giftCardsDownloadUrl(filename)}
+        filename={filename}
+        buildFetchParams={() => ({
+          method: 'POST',
+          headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+          body: JSON.stringify(getGiftCardsPDFPayload(cards, { slug: collectiveSlug, ...collective })),
+        })}
+      >
+        {({ loading, downloadFile }) => (
+          <StyledButton minWidth={270} m={2} buttonSize="large" loading={loading} onClick={downloadFile}>
+            <Printer size="1em" />
+            &nbsp;
+            <FormattedMessage id="CreateGiftCardsSuccess.Download" defaultMessage="Download cards" />
+          </StyledButton>
+        )}
+      </FileDownloader>
+    );
+  }
 
+  renderManualSuccess() {
     return (
       <React.Fragment>
         <Box mb={3}>
@@ -93,25 +123,7 @@ export default class CreateGiftCardsSuccess extends React.Component {
               &nbsp;
               <FormattedMessage id="CreateGiftCardsSuccess.RedeemLinks" defaultMessage="Copy links" />
             </StyledButton>
-            {this.props.cards.length < 300 && (
-              <FileDownloader
-                url={downloadUrl}
-                filename={filename}
-                buildFetchParams={() => ({
-                  method: 'POST',
-                  headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
-                  body: JSON.stringify({ cards: this.props.cards }),
-                })}
-              >
-                {({ loading, downloadFile }) => (
-                  <StyledButton minWidth={270} m={2} buttonSize="large" loading={loading} onClick={downloadFile}>
-                    <Printer size="1em" />
-                    &nbsp;
-                    <FormattedMessage id="CreateGiftCardsSuccess.Download" defaultMessage="Download cards" />
-                  </StyledButton>
-                )}
-              </FileDownloader>
-            )}
+            {this.renderDownloadButton()}
           </Flex>
           <RedeemLinksTextarea
             ref={this.redeemLinkTextareaRef}
@@ -126,11 +138,14 @@ export default class CreateGiftCardsSuccess extends React.Component {
 
   renderEmailSuccess() {
     return (
-      <FormattedMessage
-        id="giftCards.create.successSent"
-        defaultMessage="Your {count, plural, one {gift card has} other {{count} gift cards have}} been sent!"
-        values={{ count: this.props.cards.length }}
-      />
+      <React.Fragment>
+        <FormattedMessage
+          id="giftCards.create.successSent"
+          defaultMessage="Your {count, plural, one {gift card has} other {{count} gift cards have}} been sent!"
+          values={{ count: this.props.cards.length }}
+        />
+        {this.props.deliverType === 'csv' && <Box my={3}>{this.renderDownloadButton()}</Box>}
+      </React.Fragment>
     );
   }
 
@@ -0,0 +1,152 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+import {
+  combineRateProviders,
+  convertAmount,
+  createRatesStore,
+  fetchExchangeRates,
+  getRatesFromTransactions,
+} from '../lib/currency-conversion';
+import { getFromLocalStorage, LOCAL_STORAGE_KEYS, removeFromLocalStorage, setLocalStorage } from '../lib/local-storage';
+
+import { useUser } from './UserProvider';
+
+const getDisplayCurrencyStorageKey = userId => `${LOCAL_STORAGE_KEYS.DISPLAY_CURRENCY}.${userId}`;
+
+export const DisplayCurrencyContext = React.createContext({
+  displayCurrency: null,
+  setDisplayCurrency: () => {},
+  convert: () => null,
+  addRates: () => {},
+  requestRate: () => {},
+});
+
+/**
+ * Provides the display currency picked by the logged in user (in their preferences, stored in this browser)
+ * and a `convert` helper to express amounts in this currency.
+ *
+ * Rates are taken, in order, from the `rateProvider` prop, from the rates registered with `addRates`
+ * (usually the ones returned with the transactions) and finally from the ECB reference rates (see
+ * `fetchExchangeRates`). `convert` returns `null` for the rates that are not known yet: components must
+ * call `requestRate` from an effect to fetch them in the background.
+ */
+const DisplayCurrencyProvider = ({ children, rateProvider }) => {
+  const { LoggedInUser } = useUser();
+  const userId = LoggedInUser?.id;
+  const [displayCurrency, setDisplayCurrencyState] = React.useState(null);
+  const ratesStore = React.useMemo(() => createRatesStore(), []);
+  const [ratesVersion, setRatesVersion] = React.useState(0);
+  const requestedPairs = React.useRef(new Set());
+  const pendingCurrencies = React.useRef([]);
+  const fetchTimeout = React.useRef(null);
+
+  React.useEffect(() => {
+    setDisplayCurrencyState((userId && getFromLocalStorage(getDisplayCurrencyStorageKey(userId))) || null);
+  }, [userId]);
+
+  const setDisplayCurrency = React.useCallback(
+    currency => {
+      if (!userId) {
+        return;
+      } else if (currency) {
+        setLocalStorage(getDisplayCurrencyStorageKey(userId), currency);
+      } else {
+        removeFromLocalStorage(getDisplayCurrencyStorageKey(userId));
+      }
+
+      setDisplayCurrencyState(currency || null);
+    },
+    [userId],
+  );
+
+  const addRates = React.useCallback(
+    rates => {
+      if (rates?.length && ratesStore.addRates(rates)) {
+        setRatesVersion(version => version + 1);
+      }
+    },
+    [ratesStore],
+  );
+
+  const fetchPendingRates = React.useCallback(async () => {
+    const currencies = pendingCurrencies.current;
+    pendingCurrencies.current = [];
+    fetchTimeout.current = null;
+    try {
+      addRates(await fetchExchangeRates(currencies, displayCurrency));
+    } catch (e) {
+      // Amounts will simply be displayed in their original currency
+    }
+  }, [displayCurrency, addRates]);
+
+  const requestRate = React.useCallback(
+    fromCurrency => {
+      const key = `${fromCurrency}-${displayCurrency}`;
+      if (!displayCurrency || requestedPairs.current.has(key)) {
+        return;
+      }
+
+      // Batch the requests made by the effects of the same commit
+      requestedPairs.current.add(key);
+      pendingCurrencies.current.push(fromCurrency);
+      if (!fetchTimeout.current) {
+        fetchTimeout.current = setTimeout(fetchPendingRates, 0);
+      }
+    },
+    [displayCurrency, fetchPendingRates],
+  );
+
+  React.useEffect(() => {
+    return () => clearTimeout(fetchTimeout.current);
+  }, []);
+
+  const context = React.useMemo(() => {
+    const provider = combineRateProviders(rateProvider, ratesStore);
+    return {
+      displayCurrency,
+      setDisplayCurrency,
+      addRates,
+      requestRate,
+      /**
+       * Converts `amount` (in cents) from `fromCurrency` to the display currency.
+       * Returns null if no display currency is set or if the rate is not known yet.
+       */
+      convert: (amount, fromCurrency) => {
+        if (!displayCurrency || !fromCurrency) {
+          return null;
+        }
+
+        return convertAmount(amount, fromCurrency, displayCurrency, provider);
+      },
+    };
+  }, [displayCurrency, setDisplayCurrency, rateProvider, ratesStore, ratesVersion, addRates, requestRate]);
+
+  return <DisplayCurrencyContext.Provider value={context}>{children}</DisplayCurrencyContext.Provider>;
+};
+
+DisplayCurrencyProvider.propTypes = {
+  children: PropTypes.node,
+  /** An optional provider with a `getRate(fromCurrency, toCurrency)` function, used before any other source of rates */
+  rateProvider: PropTypes.shape({
+    getRate: PropTypes.func.isRequired,
+  }),
+};
+
+export const useDisplayCurrency = () => {
+  return React.useContext(DisplayCurrencyContext);
+};
+
+/**
+ * Registers the FX rates of `transactions` in the display currency context
+ */
+export const useTransactionsRates = transactions => {
+  const { displayCurrency, addRates } = useDisplayCurrency();
+  React.useEffect(() => {
+    if (displayCurrency && transactions?.length) {
+      addRates(getRatesFromTransactions(transactions));
+    }
+  }, [displayCurrency, transactions]);
+};
+
+export default DisplayCurrencyProvider;
@@ -0,0 +1,55 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { FormattedMessage } from 'react-intl';
+
+import DateTime from './DateTime';
+import { Flex } from './Grid';
+import MessageBox from './MessageBox';
+import StyledButton from './StyledButton';
+import { Span } from './Text';
+
+/**
+ * Asks the user whether the draft saved by a `FormPersister` should be restored in the form.
+ */
+const DraftRestorePrompt = ({ draft, onRestore, onDiscard, ...props }) => {
+  return (
+    <MessageBox type="info" withIcon data-cy="draft-restore-prompt" {...props}>
+      <Flex alignItems="center" justifyContent="space-between" flexWrap="wrap">
+        <Span mr={2} my={1}>
+          <FormattedMessage
+            id="Draft.RestorePrompt"
+            defaultMessage="Restore draft from {date}?"
+            values={{ date: <DateTime value={draft.savedAt} dateStyle="medium" timeStyle="short" /> }}
+          />
+        </Span>
+        <Flex my={1}>
+          <StyledButton type="button" buttonSize="tiny" mr={2} onClick={onDiscard} data-cy="draft-discard">
+            <FormattedMessage id="Draft.Discard" defaultMessage="Discard" />
+          </StyledButton>
+          <StyledButton
+            type="button"
+            buttonSize="tiny"
+            buttonStyle="primary"
+            onClick={() => onRestore(draft.values)}
+            data-cy="draft-restore"
+          >
+            <FormattedMessage id="Draft.Restore" defaultMessage="Restore" />
+          </StyledButton>
+        </Flex>
+      </Flex>
+    </MessageBox>
+  );
+};
+
+DraftRestorePrompt.propTypes = {
+  /** The draft, as returned by `FormPersister.loadDraft` */
+  draft: PropTypes.shape({
+    savedAt: PropTypes.string.isRequired,
+    values: PropTypes.any,
+  }).isRequired,
+  /** Called with the draft values */
+  onRestore: PropTypes.func.isRequired,
+  onDiscard: PropTypes.func.isRequired,
+};
+
+export default DraftRestorePrompt;
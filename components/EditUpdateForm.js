@@ -5,15 +5,17 @@ import { FormattedMessage } from 'react-intl';
 import styled from 'styled-components';
 
 import { toIsoDateStr } from '../lib/date-utils';
-import storage from '../lib/storage';
+import FormPersister, { DRAFT_FORM_TYPE } from '../lib/form-persister';
 
 import Container from './Container';
+import DraftRestorePrompt from './DraftRestorePrompt';
 import { Box } from './Grid';
 import RichTextEditor from './RichTextEditor';
 import StyledButton from './StyledButton';
 import StyledCheckbox from './StyledCheckbox';
 import StyledInput from './StyledInput';
 import StyledInputField from './StyledInputField';
+import { withUser } from './UserProvider';
 
 const UpdateFormWrapper = styled(Container)`
   width: 100%;
@@ -25,6 +27,9 @@ const ActionButtonWrapper = styled(Container)`
   }
 `;
 
+/** Bump this when the shape of the form values changes, to discard the incompatible drafts */
+const UPDATE_FORM_DRAFT_VERSION = 1;
+
 class EditUpdateForm extends React.Component {
   static propTypes = {
     collective: PropTypes.object,
@@ -47,20 +52,50 @@ class EditUpdateForm extends React.Component {
       update: props.update ? pick(props.update, 'title', 'html', 'isPrivate', 'makePublicOn') : {},
       loading: false,
       error: '',
+      draft: null,
+      // Most inputs are not controlled, we re-mount the form when restoring a draft
+      formKey: 0,
     };
 
-    this.storageKey = `EditUpdateForm#${get(this.props, 'update.id') || get(this.props, 'collective.slug')}`;
+    this.formPersister = new FormPersister(null, { version: UPDATE_FORM_DRAFT_VERSION });
   }
 
   componentDidMount() {
-    const savedState = storage.get(this.storageKey);
-    if (savedState && !this.props.update) {
-      this.setState(savedState);
-    }
+    this.initFormPersister();
     this._isMounted = true;
     this.forceUpdate();
   }
 
+  componentDidUpdate(oldProps) {
+    if (get(oldProps, 'LoggedInUser.id') !== get(this.props, 'LoggedInUser.id')) {
+      this.initFormPersister();
+    }
+  }
+
+  initFormPersister() {
+    const { LoggedInUser, update, collective } = this.props;
+    if (LoggedInUser) {
+      this.formPersister.setDraftInfo({
+        type: DRAFT_FORM_TYPE.UPDATE,
+        contextId: get(update, 'id') || get(collective, 'slug'),
+        ownerId: LoggedInUser.id,
+        title: get(update, 'title') || get(collective, 'name'),
+      });
+      this.setState({ draft: this.state.modified ? null : this.formPersister.loadDraft() });
+    }
+  }
+
+  restoreDraft = values => {
+    const update = { ...this.state.update, ...values };
+    this.setState(state => ({ update, modified: true, draft: null, formKey: state.formKey + 1 }));
+    this.props.onChange && this.props.onChange(update);
+  };
+
+  discardDraft = () => {
+    this.formPersister.clearValues();
+    this.setState({ draft: null });
+  };
+
   tryUpdateDate(attr, value) {
     if (!value) {
       this.handleChange(attr, null);
@@ -75,9 +110,11 @@ class EditUpdateForm extends React.Component {
       ...this.state.update,
       [attr]: value,
     };
-    const newState = { modified: true, update };
-    storage.set(this.storageKey, newState);
-    this.setState(newState);
+    // Don't override the existing draft until the user decides what to do with it
+    if (!this.state.draft) {
+      this.formPersister.saveValues(update);
+    }
+    this.setState({ modified: true, update });
     this.props.onChange && this.props.onChange(update);
   }
 
@@ -89,7 +126,7 @@ class EditUpdateForm extends React.Component {
     try {
       await this.props.onSubmit(this.state.update);
       this.setState({ modified: false, loading: false });
-      storage.set(this.storageKey, null);
+      this.formPersister.clearValues();
     } catch (error) {
       this.setState({ loading: false, error: error.message });
     }
@@ -98,14 +135,17 @@ class EditUpdateForm extends React.Component {
 
   render() {
     const { collective } = this.props;
-    const { update } = this.state;
+    const { update, draft } = this.state;
     if (!this._isMounted) {
       return <div />;
     }
 
     return (
       <UpdateFormWrapper className={`EditUpdateForm ${this.props.mode}`}>
-        <form data-cy="edit-update-form" onSubmit={this.onSubmit}>
+        {draft && (
+          <DraftRestorePrompt draft={draft} onRestore={this.restoreDraft} onDiscard={this.discardDraft} mb={3} />
+        )}
+        <form key={this.state.formKey} data-cy="edit-update-form" onSubmit={this.onSubmit}>
           <Container margin="auto 0">
             <Container width={1}>
               <Container mb={2} mt={2} fontWeight="500" fontSize="1.6rem" lineHeight="1.7">
@@ -139,6 +179,9 @@ class EditUpdateForm extends React.Component {
               editorMinHeight={300}
               editorMaxHeight={600}
               withBorders
+              withMarkdownMode
+              withMentions
+              withLinkPreviews
               data-cy="update-content-editor"
             />
           </Container>
@@ -231,4 +274,4 @@ class EditUpdateForm extends React.Component {
   }
 }
 
-export default EditUpdateForm;
+export default withUser(EditUpdateForm);
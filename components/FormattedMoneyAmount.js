@@ -8,6 +8,8 @@ import INTERVALS from '../lib/constants/intervals';
 import { getIntervalFromContributionFrequency } from '../lib/date-utils';
 
 import Currency from './Currency';
+import { useDisplayCurrency } from './DisplayCurrencyProvider';
+import StyledTooltip from './StyledTooltip';
 import { Span } from './Text';
 
 /** Default styles for the amount (not including currency) */
@@ -17,19 +19,57 @@ export const DEFAULT_AMOUNT_STYLES = { letterSpacing: 0, fontWeight: 'bold', col
  * A practical component to format amounts and their intervals with proper
  * internationalization support.
  */
-const FormattedMoneyAmount = ({
-  formatWithSeparators,
-  abbreviateInterval,
-  currency,
-  precision,
-  amount,
-  interval,
-  frequency,
-  amountStyles,
-  showCurrencyCode,
-  currencyCodeStyles,
-  isCrypto,
-}) => {
+const FormattedMoneyAmount = props => {
+  const {
+    formatWithSeparators,
+    abbreviateInterval,
+    currency,
+    precision,
+    amount,
+    frequency,
+    amountStyles,
+    showCurrencyCode,
+    currencyCodeStyles,
+    isCrypto,
+    convertToDisplayCurrency,
+  } = props;
+  let { interval } = props;
+  const { displayCurrency, convert, requestRate } = useDisplayCurrency();
+  const shouldConvert = convertToDisplayCurrency && !isCrypto && displayCurrency && displayCurrency !== currency;
+  const canConvert = shouldConvert && !isNil(amount) && !isNaN(amount);
+  const convertedAmount = canConvert ? convert(amount, currency) : null;
+  const isMissingRate = canConvert && isNil(convertedAmount);
+  React.useEffect(() => {
+    if (isMissingRate) {
+      requestRate(currency);
+    }
+  }, [isMissingRate, currency, requestRate]);
+
+  if (!isNil(convertedAmount)) {
+    return (
+      <StyledTooltip
+        content={() => (
+          <FormattedMessage
+            id="Amount.Original"
+            defaultMessage="Original amount: {amount}"
+            values={{
+              amount: (
+                <FormattedMoneyAmount amount={amount} currency={currency} amountStyles={{ fontWeight: 'bold' }} />
+              ),
+            }}
+          />
+        )}
+      >
+        <FormattedMoneyAmount
+          {...props}
+          amount={convertedAmount}
+          currency={displayCurrency}
+          convertToDisplayCurrency={false}
+        />
+      </StyledTooltip>
+    );
+  }
+
   const formattedAmount =
     isNaN(amount) || isNil(amount) ? (
       <Span {...amountStyles}>--.--</Span>
@@ -94,6 +134,8 @@ FormattedMoneyAmount.propTypes = {
   frequency: PropTypes.oneOf(['MONTHLY', 'YEARLY', 'ONETIME']),
   /** Style for the amount (eg. `$10`). Doesn't apply on interval */
   amountStyles: PropTypes.object,
+  /** If true, the amount is converted to the display currency picked by the user, with the original amount in a tooltip */
+  convertToDisplayCurrency: PropTypes.bool,
 };
 
 FormattedMoneyAmount.defaultProps = {
@@ -5,6 +5,7 @@ import { defineMessages, FormattedMessage, injectIntl } from 'react-intl';
 import styled, { css } from 'styled-components';
 import { v4 as uuid } from 'uuid';
 
+import { isCoverGoal } from '../lib/collective-goals';
 import { formatCurrency } from '../lib/currency-utils';
 
 import Container from './Container';
@@ -168,7 +169,7 @@ class GoalsCover extends React.Component {
       },
     });
 
-    const maxGoal = maxBy(get(props.collective, 'settings.goals', []), g => (g.title ? g.amount : 0));
+    const maxGoal = maxBy(this.getCoverGoals(), g => (g.title ? g.amount : 0));
     this.currentProgress = maxGoal ? this.getMaxCurrentAchievement() / maxGoal.amount : 1.0;
     this.interpolation = props.interpolation || get(props.collective, 'settings.goalsInterpolation', 'auto');
     this.state = { ...this.populateGoals(true, true) };
@@ -217,6 +218,11 @@ class GoalsCover extends React.Component {
     };
   }
 
+  /** Only the goals measured against the balance or the yearly budget are displayed on the bar */
+  getCoverGoals() {
+    return get(this.props.collective, 'settings.goals', []).filter(isCoverGoal);
+  }
+
   /** Returns the main goals current progress, either max balance or annual budget */
   getMaxCurrentAchievement() {
     const { collective } = this.props;
@@ -278,8 +284,7 @@ class GoalsCover extends React.Component {
    * Also adds a unique slug to goals.
    */
   getCustomGoals(maxCustomGoalsToShow) {
-    const settingsGoals = get(this.props.collective, 'settings.goals', []);
-    const sortedGoals = sortBy(settingsGoals, 'amount');
+    const sortedGoals = sortBy(this.getCoverGoals(), 'amount');
     const goals = sortedGoals.map((goal, idx) => this.createGoal(`goal-${idx}-${goal.key || uuid()}`, goal));
 
     // No need to remove goals
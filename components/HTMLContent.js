@@ -97,7 +97,8 @@ const HTMLContent = styled(({ content, collapsable, ...props }) => {
 
   h1,
   h2,
-  h3 {
+  h3,
+  h4 {
     margin: 0;
     font-weight: normal;
     text-align: left;
@@ -108,6 +109,11 @@ const HTMLContent = styled(({ content, collapsable, ...props }) => {
     margin-bottom: 0.25em;
   }
 
+  h4 {
+    font-size: 1.1em;
+    margin-bottom: 0.25em;
+  }
+
   figure {
     margin: 0;
     &[data-trix-content-type='--embed-iframe-video'] {
@@ -134,6 +140,39 @@ const HTMLContent = styled(({ content, collapsable, ...props }) => {
     max-width: 100%;
   }
 
+  table {
+    border-collapse: collapse;
+    margin: 8px 0;
+    th,
+    td {
+      border: 1px solid #dcdee0;
+      padding: 4px 12px;
+    }
+    th {
+      font-weight: 500;
+      background: #f6f8fa;
+    }
+  }
+
+  code {
+    font-size: 0.85em;
+    background: #f6f8fa;
+    border-radius: 4px;
+    padding: 2px 4px;
+  }
+
+  /** Previews of the links to GitHub issues and pull requests, see lib/link-previews */
+  a.link-preview {
+    display: inline-block;
+    border: 1px solid #dcdee0;
+    border-radius: 8px;
+    padding: 8px 12px;
+    small {
+      display: block;
+      color: #757677;
+    }
+  }
+
   /** Legacy styles for react-quill */
 
   .ql-align-center {
@@ -1,11 +1,15 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 import css from '@styled-system/css';
+import { debounce, omit, sum } from 'lodash';
+import { FormattedMessage } from 'react-intl';
 import styled from 'styled-components';
 import { v4 as uuid } from 'uuid';
 import { isURL } from 'validator';
 
 import { uploadImageWithXHR } from '../lib/api';
+import { getGithubPreviewHTML, getLinkPreviewInfo, LINK_PREVIEW_TYPE } from '../lib/link-previews';
+import { htmlToMarkdown, markdownToHTML } from '../lib/markdown';
 import { CustomScrollbarCSS } from '../lib/styled-components-shared-styles';
 import { stripHTML } from '../lib/utils';
 
@@ -13,9 +17,22 @@ import Container from './Container';
 import HTMLContent from './HTMLContent';
 import LoadingPlaceholder from './LoadingPlaceholder';
 import MessageBox from './MessageBox';
+import RichTextEditorMentions from './RichTextEditorMentions';
+import StyledProgressBar from './StyledProgressBar';
 import StyledTag from './StyledTag';
+import { P } from './Text';
+
+/** Elements that Trix can't edit, inserted as content attachments */
+const EMBEDS_REGEX =
+  /<iframe.+?<\/iframe>|<iframe[^>]+?\/>|<table[^]+?<\/table>|<a [^>]*class="link-preview[^]+?<\/a>/gi;
+
+const ALLOWED_FILE_TYPES = /^(image\/.+|application\/pdf)$/;
+
+const MENTION_REGEX = /(?:^|\s)@([\w-]{1,30})$/;
 
 const TrixEditorContainer = styled.div`
+  position: relative;
+
   ${props =>
     props.withBorders &&
     css({
@@ -139,6 +156,11 @@ const TrixEditorContainer = styled.div`
       // See https://feathericons.com/?query=image
       background-image: url("data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' width='24' height='24' viewBox='0 0 24 24' fill='none' stroke='currentColor' stroke-width='2' stroke-linecap='round' stroke-linejoin='round'%3E%3Crect x='3' y='3' width='18' height='18' rx='2' ry='2'/%3E%3Ccircle cx='8.5' cy='8.5' r='1.5'/%3E%3Cpolyline points='21 15 16 10 5 21'/%3E%3C/svg%3E");
     }
+    .trix-button--markdown {
+      font-size: 12px;
+      font-weight: bold;
+      padding: 0 8px;
+    }
     .trix-button--video-attach::before {
       top: 8%;
       bottom: 4%;
@@ -147,6 +169,18 @@ const TrixEditorContainer = styled.div`
     }
   } // End of toolbar customization
 
+  /** Markdown mode: the Trix editor is hidden and replaced by a textarea */
+  ${props =>
+    props.isMarkdownMode &&
+    css({
+      'trix-editor': {
+        display: 'none',
+      },
+      'trix-toolbar .trix-button-group:not(.trix-button-group--markdown), trix-toolbar .trix-dialogs': {
+        display: 'none',
+      },
+    })}
+
   /** Disabled mode */
   ${props =>
     props.isDisabled &&
@@ -160,6 +194,20 @@ const TrixEditorContainer = styled.div`
     })}
 `;
 
+const MarkdownTextarea = styled.textarea`
+  display: block;
+  width: 100%;
+  border: none;
+  outline: none;
+  resize: vertical;
+  margin-top: 8px;
+  padding-top: 8px;
+  font-family: Menlo, Monaco, Consolas, monospace;
+  font-size: 13px;
+  line-height: 1.5;
+  ${props => css({ minHeight: props.editorMinHeight || 200, maxHeight: props.editorMaxHeight })}
+`;
+
 /**
  * A React wrapper around the Trix library to edit rich text.
  * Produces HTML and clear text.
@@ -204,6 +252,12 @@ export default class RichTextEditor extends React.Component {
     error: PropTypes.any,
     'data-cy': PropTypes.string,
     videoEmbedEnabled: PropTypes.bool,
+    /** Adds a button to edit the content as Markdown */
+    withMarkdownMode: PropTypes.bool,
+    /** Suggests users and collectives when typing `@` */
+    withMentions: PropTypes.bool,
+    /** Replaces the pasted links to GitHub issues and pull requests (and videos if `videoEmbedEnabled`) by previews */
+    withLinkPreviews: PropTypes.bool,
   };
 
   static defaultProps = {
@@ -215,18 +269,23 @@ export default class RichTextEditor extends React.Component {
     version: 'default',
     'data-cy': 'RichTextEditor',
     videoEmbedEnabled: false,
+    withMarkdownMode: false,
+    withMentions: false,
+    withLinkPreviews: false,
   };
 
   constructor(props) {
     super(props);
     this.editorRef = React.createRef();
     this.mainContainerRef = React.createRef();
-    this.state = { id: props.id, error: null };
+    this.state = { id: props.id, error: null, isMarkdownMode: false, markdown: '', mention: null, uploads: {} };
     this.isReady = false;
 
     if (typeof window !== 'undefined') {
       this.Trix = require('trix');
       this.Trix.config.blockAttributes.heading1 = { tagName: 'h3' };
+      this.Trix.config.blockAttributes.heading2 = { tagName: 'h4' };
+      this.Trix.config.textAttributes.code = { tagName: 'code', inheritable: true };
       this.Trix.config.attachments.preview.caption = { name: false, size: false };
     }
   }
@@ -251,9 +310,13 @@ export default class RichTextEditor extends React.Component {
     if (this.isReady) {
       this.editorRef.current.removeEventListener('trix-change', this.handleChange);
       this.editorRef.current.removeEventListener('trix-attachment-add', this.handleUpload);
-      this.editorRef.current.removeEventListener('trix-attachment-add', this.handleFileAccept);
+      this.editorRef.current.removeEventListener('trix-file-accept', this.handleFileAccept);
       this.editorRef.current.removeEventListener('trix-action-invoke', this.trixActionInvoke);
+      this.editorRef.current.removeEventListener('trix-selection-change', this.detectMention);
+      this.editorRef.current.removeEventListener('trix-paste', this.handlePaste);
     }
+
+    this.syncMarkdown.cancel();
   }
 
   getEditor() {
@@ -267,11 +330,19 @@ export default class RichTextEditor extends React.Component {
       this.editorRef.current.addEventListener('trix-attachment-add', this.handleUpload);
       this.editorRef.current.addEventListener('trix-file-accept', this.handleFileAccept);
       this.editorRef.current.addEventListener('trix-action-invoke', this.trixActionInvoke);
+      this.editorRef.current.addEventListener('trix-selection-change', this.detectMention);
+      this.editorRef.current.addEventListener('trix-paste', this.handlePaste);
       this.editorRef.current.addEventListener('trix-initialize', event => {
+        const initialValue = this.props.value || this.props.defaultValue;
+        if (initialValue && new RegExp(EMBEDS_REGEX.source, 'i').test(initialValue)) {
+          this.loadHTMLWithEmbeds(initialValue);
+        }
         if (this.props.videoEmbedEnabled) {
-          this.replaceEmbeddedIFrames(this.props.value || this.props.defaultValue);
           this.trixEmbed(event);
         }
+        if (this.props.withMarkdownMode) {
+          this.addMarkdownButton(event);
+        }
         // Some special handling for links
         if (this.mainContainerRef.current) {
           // We must listen when the user presses the 'Enter' key and when the user clicks the 'Link' button as well
@@ -293,25 +364,29 @@ export default class RichTextEditor extends React.Component {
   };
 
   /** ---- Trix handlers ---- */
-  replaceEmbeddedIFrames = value => {
-    const iframeRegex = new RegExp(`<iframe.+?iframe>`, 'ig');
-    let match;
+  /** Loads `html` in the editor, converting the elements that Trix can't edit to content attachments */
+  loadHTMLWithEmbeds = html => {
+    const editor = this.getEditor();
+    editor.loadHTML('');
     let lastIndex = 0;
+    for (const match of (html || '').matchAll(EMBEDS_REGEX)) {
+      editor.insertHTML(html.slice(lastIndex, match.index));
+      editor.insertAttachment(
+        new this.Trix.Attachment({ content: match[0], contentType: this.getEmbedType(match[0]) }),
+      );
+      lastIndex = match.index + match[0].length;
+    }
 
-    while ((match = iframeRegex.exec(value))) {
-      if (lastIndex === 0) {
-        this.getEditor().loadHTML('');
-      }
-      const iframe = match[0];
-      const position = match.index;
-      const preText = value.substring(lastIndex, position);
-      this.getEditor().setSelectedRange([lastIndex, position]);
-      this.getEditor().insertHTML(preText);
-      const attachment = new this.Trix.Attachment({ content: iframe });
-      this.getEditor().insertAttachment(attachment);
-      lastIndex = match.index + iframe.length;
-      const postText = value.substring(lastIndex, value.length);
-      this.getEditor().insertHTML(postText);
+    editor.insertHTML((html || '').slice(lastIndex));
+  };
+
+  getEmbedType = content => {
+    if (content.startsWith('<iframe')) {
+      return '--embed-iframe-video';
+    } else if (content.startsWith('<table')) {
+      return '--embed-table';
+    } else {
+      return '--embed-link-preview';
     }
   };
 
@@ -345,6 +420,8 @@ export default class RichTextEditor extends React.Component {
         attachVideoDialog.setAttribute('data-trix-active', '');
         attachVideoDialogInput.removeAttribute('disabled');
       }
+    } else if (e.actionName === 'x-markdown-toggle') {
+      this.toggleMarkdownMode();
     } else if (e.actionName === 'x-add-embed') {
       const embedLink = toolbarElement.querySelector('.trix-input--dialog-embed').value?.trim();
       if (embedLink) {
@@ -353,6 +430,118 @@ export default class RichTextEditor extends React.Component {
     }
   };
 
+  addMarkdownButton = e => {
+    const markdownButton = `
+      <span class="trix-button-group trix-button-group--markdown">
+        <button type="button" tabindex="-1" data-trix-action="x-markdown-toggle" title="Markdown" class="trix-button trix-button--markdown">M↓</button>
+      </span>`;
+    const { toolbarElement } = e.target;
+    toolbarElement.querySelector('.trix-button-row').insertAdjacentHTML('beforeend', markdownButton);
+  };
+
+  /** ---- Markdown mode ---- */
+
+  toggleMarkdownMode = () => {
+    const toggleButton = this.mainContainerRef.current?.querySelector('.trix-button--markdown');
+    if (this.state.isMarkdownMode) {
+      this.syncMarkdown.flush();
+      this.setState({ isMarkdownMode: false });
+      toggleButton?.classList.remove('trix-active');
+    } else {
+      this.setState({ isMarkdownMode: true, markdown: htmlToMarkdown(this.editorRef.current.value), mention: null });
+      toggleButton?.classList.add('trix-active');
+    }
+  };
+
+  /** Keeps the HTML in sync while editing the Markdown, so that the parent always gets the latest value */
+  syncMarkdown = debounce(markdown => {
+    this.loadHTMLWithEmbeds(markdownToHTML(markdown));
+  }, 300);
+
+  handleMarkdownChange = e => {
+    this.setState({ markdown: e.target.value });
+    this.syncMarkdown(e.target.value);
+  };
+
+  /** ---- Mentions ---- */
+
+  detectMention = () => {
+    if (!this.props.withMentions || this.state.isMarkdownMode) {
+      return;
+    }
+
+    const editor = this.getEditor();
+    const [start, end] = editor.getSelectedRange();
+    const textBeforeCursor = editor
+      .getDocument()
+      .toString()
+      .slice(Math.max(0, start - 32), start);
+    const match = start === end && textBeforeCursor.match(MENTION_REGEX);
+    if (!match) {
+      if (this.state.mention) {
+        this.setState({ mention: null });
+      }
+      return;
+    }
+
+    const mentionStart = start - match[1].length - 1;
+    if (this.state.mention?.searchTerm === match[1] && this.state.mention.range[0] === mentionStart) {
+      return;
+    }
+
+    const rect = editor.getClientRectAtPosition(mentionStart);
+    const containerRect = this.mainContainerRef.current.getBoundingClientRect();
+    this.setState({
+      mention: {
+        searchTerm: match[1],
+        range: [mentionStart, start],
+        position: rect ? { top: rect.bottom - containerRect.top + 4, left: rect.left - containerRect.left } : {},
+      },
+    });
+  };
+
+  insertMention = account => {
+    const editor = this.getEditor();
+    const url = `${process.env.WEBSITE_URL}/${account.slug}`;
+    const link = document.createElement('a');
+    link.href = url;
+    link.textContent = `@${account.name || account.slug}`;
+    editor.setSelectedRange(this.state.mention.range);
+    editor.insertHTML(link.outerHTML);
+    editor.insertString(' ');
+    this.setState({ mention: null });
+  };
+
+  closeMentions = () => {
+    this.setState({ mention: null });
+  };
+
+  /** ---- Link previews ---- */
+
+  handlePaste = e => {
+    const { paste } = e;
+    const url = (paste?.href || paste?.string || '').trim();
+    const preview = this.props.withLinkPreviews && paste?.range && getLinkPreviewInfo(url);
+    if (!preview) {
+      return;
+    }
+
+    if (preview.type === LINK_PREVIEW_TYPE.YOUTUBE) {
+      if (this.props.videoEmbedEnabled) {
+        this.getEditor().setSelectedRange(paste.range);
+        this.embedIframe(url);
+      }
+    } else {
+      const attachment = new this.Trix.Attachment({
+        content: getGithubPreviewHTML(preview),
+        contentType: '--embed-link-preview',
+      });
+
+      this.getEditor().setSelectedRange(paste.range);
+      this.getEditor().insertAttachment(attachment);
+    }
+  };
+
   constructVideoEmbedURL = (service, id) => {
     if (service === 'youtube') {
       return `https://www.youtube-nocookie.com/embed/${id}`;
@@ -418,6 +607,7 @@ export default class RichTextEditor extends React.Component {
   handleChange = e => {
     // Trigger content formatters
     this.autolink();
+    this.detectMention();
 
     // Notify parent function
     if (this.props.onChange) {
@@ -431,8 +621,8 @@ export default class RichTextEditor extends React.Component {
   };
 
   handleFileAccept = e => {
-    if (!/^image\//.test(e.file.type)) {
-      alert('You can only upload images.');
+    if (!ALLOWED_FILE_TYPES.test(e.file.type)) {
+      alert('You can only upload images and PDF files.');
       e.preventDefault();
     } else if (e.file.size > 4000000) {
       // Prevent attaching files > 4MB
@@ -447,9 +637,32 @@ export default class RichTextEditor extends React.Component {
       return;
     }
 
-    const onProgress = progress => attachment.setUploadProgress(progress);
-    const onSuccess = fileURL => attachment.setAttributes({ url: fileURL, href: fileURL });
-    const onFailure = () => this.setState({ error: 'File upload failed' });
+    const setUploadProgress = progress => {
+      this.setState(({ uploads }) => {
+        if (progress === null) {
+          return { uploads: omit(uploads, [attachment.id]) };
+        } else {
+          return { uploads: { ...uploads, [attachment.id]: progress } };
+        }
+      });
+    };
+
+    const onProgress = progress => {
+      attachment.setUploadProgress(progress);
+      setUploadProgress(progress);
+    };
+
+    const onSuccess = fileURL => {
+      attachment.setAttributes({ url: fileURL, href: fileURL });
+      setUploadProgress(null);
+    };
+
+    const onFailure = () => {
+      attachment.remove();
+      setUploadProgress(null);
+      this.setState({ error: `File upload failed: ${attachment.file.name}` });
+    };
+
     uploadImageWithXHR(attachment.file, { onProgress, onSuccess, onFailure });
     return e;
   };
@@ -585,6 +798,8 @@ export default class RichTextEditor extends React.Component {
       maxLength,
       editorMaxHeight,
     } = this.props;
+    const { isMarkdownMode, mention, uploads } = this.state;
+    const uploadsProgress = Object.values(uploads);
 
     return !this.state.id ? (
       <LoadingPlaceholder
@@ -602,6 +817,7 @@ export default class RichTextEditor extends React.Component {
         withBorders={withBorders}
         version={version}
         isDisabled={disabled}
+        isMarkdownMode={isMarkdownMode}
         error={error}
         data-cy={this.props['data-cy']}
         ref={this.mainContainerRef}
@@ -637,6 +853,38 @@ export default class RichTextEditor extends React.Component {
             </Container>
           )}
         </HTMLContent>
+        {isMarkdownMode && (
+          <MarkdownTextarea
+            value={this.state.markdown}
+            onChange={this.handleMarkdownChange}
+            placeholder={placeholder}
+            editorMinHeight={editorMinHeight}
+            editorMaxHeight={editorMaxHeight}
+            aria-label="Markdown"
+            data-cy="RichTextEditor-markdown"
+          />
+        )}
+        {mention && (
+          <RichTextEditorMentions
+            containerElement={this.mainContainerRef.current}
+            searchTerm={mention.searchTerm}
+            position={mention.position}
+            onSelect={this.insertMention}
+            onClose={this.closeMentions}
+          />
+        )}
+        {uploadsProgress.length > 0 && (
+          <Container mt={2}>
+            <P fontSize="11px" color="black.600" mb={1}>
+              <FormattedMessage
+                id="RichTextEditor.Uploading"
+                defaultMessage="Uploading {count, plural, one {# file} other {# files}}..."
+                values={{ count: uploadsProgress.length }}
+              />
+            </P>
+            <StyledProgressBar percentage={sum(uploadsProgress) / uploadsProgress.length / 100} height={4} />
+          </Container>
+        )}
       </TrixEditorContainer>
     );
   }
@@ -0,0 +1,136 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { gql, useLazyQuery } from '@apollo/client';
+import { debounce } from 'lodash';
+import { FormattedMessage } from 'react-intl';
+import styled from 'styled-components';
+
+import Avatar from './Avatar';
+import Container from './Container';
+import { Flex } from './Grid';
+import StyledSpinner from './StyledSpinner';
+import { P, Span } from './Text';
+
+export const richTextEditorMentionsSearchQuery = gql`
+  query RichTextEditorMentionsSearch($term: String!, $limit: Int) {
+    search(term: $term, limit: $limit) {
+      id
+      collectives {
+        id
+        type
+        slug
+        name
+        imageUrl(height: 64)
+      }
+    }
+  }
+`;
+
+const debouncedSearch = debounce((searchFunc, variables) => searchFunc({ variables }), 300);
+
+const MentionOption = styled(Flex).attrs({ role: 'option' })`
+  align-items: center;
+  padding: 6px 8px;
+  cursor: pointer;
+  border-radius: 4px;
+  background: ${props => (props.isHighlighted ? props.theme.colors.primary[100] : 'white')};
+`;
+
+const KEYS = ['ArrowDown', 'ArrowUp', 'Enter', 'Tab', 'Escape'];
+
+/**
+ * The autocomplete menu displayed by the `RichTextEditor` when typing `@something`.
+ * Keyboard events are captured on `containerElement` before Trix receives them.
+ */
+const RichTextEditorMentions = ({ containerElement, searchTerm, position, onSelect, onClose }) => {
+  const [search, { data, loading }] = useLazyQuery(richTextEditorMentionsSearchQuery);
+  const [highlightedIdx, setHighlightedIdx] = React.useState(0);
+  const accounts = data?.search?.collectives || [];
+
+  React.useEffect(() => {
+    debouncedSearch(search, { term: searchTerm, limit: 6 });
+    setHighlightedIdx(0);
+  }, [searchTerm]);
+
+  React.useEffect(() => {
+    const onKeyDown = event => {
+      if (!KEYS.includes(event.key)) {
+        return;
+      } else if (event.key === 'Escape') {
+        onClose();
+      } else if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        const move = event.key === 'ArrowDown' ? 1 : -1;
+        setHighlightedIdx(idx => (idx + move + accounts.length) % Math.max(accounts.length, 1));
+      } else if (accounts[highlightedIdx]) {
+        onSelect(accounts[highlightedIdx]);
+      } else {
+        return;
+      }
+
+      event.preventDefault();
+      event.stopPropagation();
+    };
+
+    containerElement.addEventListener('keydown', onKeyDown, true);
+    return () => containerElement.removeEventListener('keydown', onKeyDown, true);
+  }, [containerElement, accounts, highlightedIdx, onSelect, onClose]);
+
+  return (
+    <Container
+      position="absolute"
+      zIndex={3}
+      top={position.top}
+      left={position.left}
+      width={260}
+      p={1}
+      bg="white"
+      border="1px solid"
+      borderColor="black.300"
+      borderRadius="8px"
+      boxShadow="0px 4px 8px rgba(20, 20, 20, 0.16)"
+      role="listbox"
+      data-cy="rich-text-editor-mentions"
+    >
+      {loading && !accounts.length ? (
+        <Flex justifyContent="center" p={2}>
+          <StyledSpinner size={16} />
+        </Flex>
+      ) : !accounts.length ? (
+        <P fontSize="12px" color="black.600" p={2}>
+          <FormattedMessage id="RichTextEditor.Mentions.NoResult" defaultMessage="No profile found" />
+        </P>
+      ) : (
+        accounts.map((account, idx) => (
+          <MentionOption
+            key={account.id}
+            isHighlighted={idx === highlightedIdx}
+            aria-selected={idx === highlightedIdx}
+            onMouseEnter={() => setHighlightedIdx(idx)}
+            onMouseDown={e => {
+              // Prevent the editor from losing the focus
+              e.preventDefault();
+              onSelect(account);
+            }}
+          >
+            <Avatar collective={account} radius={24} />
+            <Span fontSize="13px" ml={2} truncateOverflow>
+              {account.name} <Span color="black.500">@{account.slug}</Span>
+            </Span>
+          </MentionOption>
+        ))
+      )}
+    </Container>
+  );
+};
+
+RichTextEditorMentions.propTypes = {
+  /** The element on which keyboard events are captured */
+  containerElement: PropTypes.object.isRequired,
+  searchTerm: PropTypes.string.isRequired,
+  position: PropTypes.shape({ top: PropTypes.number, left: PropTypes.number }).isRequired,
+  /** Called with the selected account */
+  onSelect: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default RichTextEditorMentions;
@@ -0,0 +1,292 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Bookmark } from '@styled-icons/feather/Bookmark';
+import { MoreHorizontal } from '@styled-icons/feather/MoreHorizontal';
+import copy from 'copy-to-clipboard';
+import { useRouter } from 'next/router';
+import { defineMessages, FormattedMessage, useIntl } from 'react-intl';
+
+import {
+  applyViewToQuery,
+  createSavedView,
+  getDefaultView,
+  getSavedViews,
+  getSavedViewUrl,
+  getViewMatchingQuery,
+  hasFilters,
+  removeSavedView,
+  SAVED_VIEWS_PAGE,
+  storeSavedViews,
+  updateSavedView,
+} from '../lib/saved-views';
+
+import { Box, Flex } from './Grid';
+import PopupMenu from './PopupMenu';
+import StyledButton from './StyledButton';
+import StyledInput from './StyledInput';
+import StyledInputField from './StyledInputField';
+import StyledModal, { ModalBody, ModalFooter, ModalHeader } from './StyledModal';
+import StyledRoundButton from './StyledRoundButton';
+import { StyledSelectFilter } from './StyledSelectFilter';
+import { H4 } from './Text';
+import { TOAST_TYPE, useToasts } from './ToastProvider';
+import { useUser } from './UserProvider';
+
+const msg = defineMessages({
+  placeholder: {
+    id: 'SavedViews.Placeholder',
+    defaultMessage: 'Saved views',
+  },
+  pinned: {
+    id: 'SavedViews.Pinned',
+    defaultMessage: 'Pinned',
+  },
+  others: {
+    id: 'SavedViews.Others',
+    defaultMessage: 'Other views',
+  },
+  default: {
+    id: 'SavedViews.DefaultLabel',
+    defaultMessage: '{name} (default)',
+  },
+  linkCopied: {
+    id: 'SavedViews.LinkCopied',
+    defaultMessage: 'Link copied to clipboard',
+  },
+});
+
+const getOption = (intl, view) => ({
+  value: view,
+  label: view.isDefault ? intl.formatMessage(msg.default, { name: view.name }) : view.name,
+});
+
+const getOptions = (intl, views) => {
+  const pinnedViews = views.filter(view => view.isPinned);
+  const otherViews = views.filter(view => !view.isPinned);
+  if (!pinnedViews.length) {
+    return otherViews.map(view => getOption(intl, view));
+  }
+
+  return [
+    { label: intl.formatMessage(msg.pinned), options: pinnedViews.map(view => getOption(intl, view)) },
+    { label: intl.formatMessage(msg.others), options: otherViews.map(view => getOption(intl, view)) },
+  ].filter(group => group.options.length);
+};
+
+const SaveViewModal = ({ onClose, onSave }) => {
+  const [name, setName] = React.useState('');
+  const [isSubmitting, setSubmitting] = React.useState(false);
+  const submit = async e => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      await onSave(name);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <StyledModal show width="400px" onClose={onClose} trapFocus>
+      <form onSubmit={submit}>
+        <ModalHeader onClose={onClose}>
+          <H4 fontSize="20px" fontWeight="700">
+            <FormattedMessage id="SavedViews.SaveTitle" defaultMessage="Save current filters" />
+          </H4>
+        </ModalHeader>
+        <ModalBody>
+          <StyledInputField name="name" label={<FormattedMessage id="Fields.name" defaultMessage="Name" />}>
+            {inputProps => (
+              <StyledInput
+                {...inputProps}
+                autoFocus
+                maxLength={64}
+                value={name}
+                onChange={e => setName(e.target.value)}
+                data-cy="saved-view-name"
+              />
+            )}
+          </StyledInputField>
+        </ModalBody>
+        <ModalFooter>
+          <Flex justifyContent="flex-end">
+            <StyledButton mr={2} onClick={onClose} type="button">
+              <FormattedMessage id="actions.cancel" defaultMessage="Cancel" />
+            </StyledButton>
+            <StyledButton
+              buttonStyle="primary"
+              type="submit"
+              loading={isSubmitting}
+              disabled={!name.trim()}
+              data-cy="saved-view-submit"
+            >
+              <FormattedMessage id="save" defaultMessage="Save" />
+            </StyledButton>
+          </Flex>
+        </ModalFooter>
+      </form>
+    </StyledModal>
+  );
+};
+
+SaveViewModal.propTypes = {
+  onClose: PropTypes.func.isRequired,
+  onSave: PropTypes.func.isRequired,
+};
+
+const MenuButton = props => (
+  <StyledButton buttonSize="tiny" isBorderless textAlign="left" width="100%" py={2} {...props} />
+);
+
+/**
+ * A dropdown to pick, save and manage named sets of filters for a list. Views are stored in the
+ * browser of the logged in user. If a default view is set, it gets applied when the page is loaded
+ * without any filter.
+ *
+ * Only displayed for logged in users.
+ */
+const SavedFilterViews = ({ page, query, onChange }) => {
+  const intl = useIntl();
+  const router = useRouter();
+  const { LoggedInUser } = useUser();
+  const { addToast } = useToasts();
+  const [showSaveModal, setShowSaveModal] = React.useState(false);
+  const hasAppliedDefaultView = React.useRef(false);
+  const userId = LoggedInUser?.CollectiveId;
+  const [views, setViews] = React.useState([]);
+  const selectedView = getViewMatchingQuery(views, page, query);
+
+  React.useEffect(() => {
+    setViews(userId ? getSavedViews(userId, page) : []);
+  }, [userId, page]);
+
+  // Apply the default view when landing on the page without filters
+  React.useEffect(() => {
+    if (userId && !hasAppliedDefaultView.current) {
+      hasAppliedDefaultView.current = true;
+      const defaultView = getDefaultView(getSavedViews(userId, page));
+      if (defaultView && !hasFilters(page, query)) {
+        onChange(applyViewToQuery(page, query, defaultView));
+      }
+    }
+  }, [userId, page, query, onChange]);
+
+  if (!userId) {
+    return null;
+  }
+
+  const saveViews = newViews => {
+    storeSavedViews(userId, page, newViews);
+    setViews(getSavedViews(userId, page));
+  };
+
+  const shareView = view => {
+    copy(getSavedViewUrl(view, router.asPath.split('?')[0]));
+    addToast({ type: TOAST_TYPE.SUCCESS, message: intl.formatMessage(msg.linkCopied) });
+  };
+
+  return (
+    <Flex alignItems="center">
+      <Box flex="1 1">
+        <StyledSelectFilter
+          inputId={`saved-views-${page}`}
+          data-cy="saved-views-select"
+          placeholder={
+            <Flex alignItems="center">
+              <Bookmark size={12} />
+              <Box ml={1}>{intl.formatMessage(msg.placeholder)}</Box>
+            </Flex>
+          }
+          noOptionsMessage={() => (
+            <FormattedMessage id="SavedViews.Empty" defaultMessage="Save filters to find them here" />
+          )}
+          options={getOptions(intl, views)}
+          value={selectedView ? getOption(intl, selectedView) : null}
+          onChange={({ value }) => onChange(applyViewToQuery(page, query, value))}
+        />
+      </Box>
+      <PopupMenu
+        placement="bottom-end"
+        Button={({ onClick }) => (
+          <StyledRoundButton size={32} ml={2} onClick={onClick} data-cy="saved-views-menu">
+            <MoreHorizontal size={16} />
+          </StyledRoundButton>
+        )}
+      >
+        {({ setOpen }) => {
+          const runAction = action => () => {
+            setOpen(false);
+            action();
+          };
+
+          return (
+            <Box width="200px">
+              <MenuButton
+                disabled={!hasFilters(page, query) || Boolean(selectedView)}
+                onClick={runAction(() => setShowSaveModal(true))}
+                data-cy="saved-views-save"
+              >
+                <FormattedMessage id="SavedViews.Save" defaultMessage="Save current filters" />
+              </MenuButton>
+              {selectedView && (
+                <React.Fragment>
+                  <MenuButton
+                    onClick={runAction(() =>
+                      saveViews(updateSavedView(views, selectedView.id, { isPinned: !selectedView.isPinned })),
+                    )}
+                  >
+                    {selectedView.isPinned ? (
+                      <FormattedMessage id="SavedViews.Unpin" defaultMessage="Unpin view" />
+                    ) : (
+                      <FormattedMessage id="SavedViews.Pin" defaultMessage="Pin view" />
+                    )}
+                  </MenuButton>
+                  <MenuButton
+                    onClick={runAction(() =>
+                      saveViews(updateSavedView(views, selectedView.id, { isDefault: !selectedView.isDefault })),
+                    )}
+                  >
+                    {selectedView.isDefault ? (
+                      <FormattedMessage id="SavedViews.RemoveDefault" defaultMessage="Remove as default" />
+                    ) : (
+                      <FormattedMessage id="SavedViews.SetDefault" defaultMessage="Set as default view" />
+                    )}
+                  </MenuButton>
+                  <MenuButton onClick={runAction(() => shareView(selectedView))}>
+                    <FormattedMessage id="SavedViews.CopyLink" defaultMessage="Copy link" />
+                  </MenuButton>
+                  <MenuButton
+                    buttonStyle="dangerSecondary"
+                    onClick={runAction(() => saveViews(removeSavedView(views, selectedView.id)))}
+                  >
+                    <FormattedMessage id="SavedViews.Delete" defaultMessage="Delete view" />
+                  </MenuButton>
+                </React.Fragment>
+              )}
+            </Box>
+          );
+        }}
+      </PopupMenu>
+      {showSaveModal && (
+        <SaveViewModal
+          onClose={() => setShowSaveModal(false)}
+          onSave={name => {
+            saveViews([...views, createSavedView(page, name, query)]);
+            setShowSaveModal(false);
+          }}
+        />
+      )}
+    </Flex>
+  );
+};
+
+SavedFilterViews.propTypes = {
+  /** The list these views apply to */
+  page: PropTypes.oneOf(Object.values(SAVED_VIEWS_PAGE)).isRequired,
+  /** The current URL query */
+  query: PropTypes.object,
+  /** Called with the new query when a view is selected */
+  onChange: PropTypes.func.isRequired,
+};
+
+export default SavedFilterViews;
@@ -1,7 +1,10 @@
 import React from 'react';
 import PropTypes from 'prop-types';
+import { useRouter } from 'next/router';
 import { defineMessages, useIntl } from 'react-intl';
 
+import SearchSuggestions from './search/SearchSuggestions';
+import Container from './Container';
 import SearchForm from './SearchForm';
 
 const messages = defineMessages({
@@ -15,33 +18,90 @@ const messages = defineMessages({
  * A wrapper arround `SearchForm` that holds state and interacts with parent
  * through `onSubmit`, rather than `onChange`.
  */
-const SearchBar = ({ onSubmit, defaultValue, ...props }) => {
+const SearchBar = ({ onSubmit, defaultValue, withTypeahead, ...props }) => {
   const [value, setValue] = React.useState(defaultValue || '');
+  const [showSuggestions, setShowSuggestions] = React.useState(false);
+  const [suggestions, setSuggestions] = React.useState([]);
+  const [highlightedIndex, setHighlightedIndex] = React.useState(-1);
   const intl = useIntl();
+  const router = useRouter();
 
   // Reset value when `defaultValue` change, to handle reset filters
   React.useEffect(() => {
     setValue(defaultValue || '');
   }, [defaultValue]);
 
-  return (
+  const onSuggestionsChange = React.useCallback(accounts => {
+    setSuggestions(accounts);
+    setHighlightedIndex(-1);
+  }, []);
+
+  // Navigate in the suggestions with the keyboard
+  const onKeyDown = event => {
+    if (!showSuggestions || !suggestions.length) {
+      return;
+    } else if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      setHighlightedIndex((highlightedIndex + 1) % suggestions.length);
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      setHighlightedIndex(highlightedIndex <= 0 ? suggestions.length - 1 : highlightedIndex - 1);
+    } else if (event.key === 'Escape') {
+      setShowSuggestions(false);
+    } else if (event.key === 'Enter' && suggestions[highlightedIndex]) {
+      event.preventDefault();
+      setShowSuggestions(false);
+      router.push(`/${suggestions[highlightedIndex].slug}`);
+    }
+  };
+
+  const searchForm = (
     <SearchForm
       placeholder={intl.formatMessage(messages.searchPlaceholder)}
       value={value}
-      onChange={setValue}
+      onChange={newValue => {
+        setValue(newValue);
+        setShowSuggestions(true);
+      }}
       onSubmit={event => {
         event.preventDefault();
         const searchInput = event.target.elements.q;
+        setShowSuggestions(false);
         onSubmit(searchInput.value || null);
       }}
       {...props}
     />
   );
+
+  if (!withTypeahead) {
+    return searchForm;
+  }
+
+  return (
+    <Container
+      position="relative"
+      onKeyDown={onKeyDown}
+      onFocus={() => setShowSuggestions(true)}
+      // Wait for the click on a suggestion to be handled before hiding them
+      onBlur={() => setTimeout(() => setShowSuggestions(false), 200)}
+    >
+      {searchForm}
+      {showSuggestions && (
+        <SearchSuggestions
+          searchTerm={value}
+          highlightedIndex={highlightedIndex}
+          onSuggestionsChange={onSuggestionsChange}
+        />
+      )}
+    </Container>
+  );
 };
 
 SearchBar.propTypes = {
   onSubmit: PropTypes.func.isRequired,
   defaultValue: PropTypes.string,
+  /** Suggest matching accounts while typing */
+  withTypeahead: PropTypes.bool,
 };
 
 export default SearchBar;
@@ -96,9 +96,10 @@ const StyledDropzone = ({
   error,
   value,
   isMulti,
+  parseFile,
   ...props
 }) => {
-  const imgUploaderParams = { isMulti, mockImageGenerator, onSuccess, onReject };
+  const imgUploaderParams = { isMulti, mockImageGenerator, onSuccess, onReject, parseFile };
   const { uploadFiles, isUploading, uploadProgress } = useImageUploader(imgUploaderParams);
   const dropzoneParams = { accept, minSize, maxSize, multiple: isMulti, onDrop: uploadFiles };
   const { getRootProps, getInputProps, isDragActive } = useDropzone(dropzoneParams);
@@ -209,6 +210,8 @@ StyledDropzone.propTypes = {
   onSuccess: PropTypes.func,
   /** Name for the input */
   name: PropTypes.string,
+  /** An optional async function to extract data from the files, its result is passed to `onSuccess` as `parsingResult` */
+  parseFile: PropTypes.func,
   /** Called back with the rejectd files */
   onReject: PropTypes.func,
   /** Content to show inside the dropzone. Defaults to message "Drag and drop one or..." */
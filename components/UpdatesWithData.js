@@ -4,6 +4,7 @@ import { graphql } from '@apollo/client/react/hoc';
 import { cloneDeep } from 'lodash';
 import { FormattedMessage } from 'react-intl';
 
+import { PERMISSIONS } from '../lib/constants/permissions';
 import { API_V2_CONTEXT, gqlV2 } from '../lib/graphql/helpers';
 
 import UpdateFilters from './updates/UpdateFilters';
@@ -38,7 +39,7 @@ class UpdatesWithData extends React.Component {
 
   componentDidUpdate(prevProps) {
     const { data, collective, LoggedInUser } = this.props;
-    if (!prevProps.LoggedInUser && LoggedInUser && LoggedInUser.canEditCollective(collective)) {
+    if (!prevProps.LoggedInUser && LoggedInUser && LoggedInUser.hasPermission(PERMISSIONS.MANAGE_UPDATES, collective)) {
       // We refetch the data to get the updates that are not published yet
       data.refetch({ options: { fetchPolicy: 'network-only' } });
     }
@@ -67,7 +68,7 @@ class UpdatesWithData extends React.Component {
                 />
               </P>
             </Container>
-            {LoggedInUser?.canEditCollective(collective) && (
+            {LoggedInUser?.hasPermission(PERMISSIONS.MANAGE_UPDATES, collective) && (
               <Link href={`/${collective.slug}/updates/new`}>
                 <StyledButton buttonStyle="primary" m={2}>
                   <FormattedMessage id="sections.update.new" defaultMessage="Create an Update" />
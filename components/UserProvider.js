@@ -4,6 +4,7 @@ import { withApollo } from '@apollo/client/react/hoc';
 import { isEqual } from 'lodash';
 import Router from 'next/router';
 
+import { moveGuestDraftsToUser } from '../lib/form-persister';
 import { LOCAL_STORAGE_KEYS, removeFromLocalStorage } from '../lib/local-storage';
 import UserClass from '../lib/LoggedInUser';
 import withLoggedInUser from '../lib/withLoggedInUser';
@@ -84,6 +85,12 @@ class UserProvider extends React.Component {
       const LoggedInUser = token
         ? await getLoggedInUser({ token, twoFactorAuthenticatorCode, recoveryCode })
         : await getLoggedInUser();
+
+      // Drafts saved before signing in now belong to the user
+      if (LoggedInUser && token) {
+        moveGuestDraftsToUser(LoggedInUser.id);
+      }
+
       this.setState({
         loadingLoggedInUser: false,
         errorLoggedInUser: null,
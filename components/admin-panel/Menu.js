@@ -152,6 +152,7 @@ const Menu = ({ collective }) => {
             section={COLLECTIVE_SECTIONS.TWO_FACTOR_AUTH}
             if={isType(collective, USER)}
           />
+          <MenuLink collective={collective} section={COLLECTIVE_SECTIONS.PREFERENCES} if={isType(collective, USER)} />
           <MenuLink collective={collective} section={COLLECTIVE_SECTIONS.ADVANCED} />
         </MenuGroup>
         <MenuGroup if={isSelfHostedAccount(collective)} mt={24}>
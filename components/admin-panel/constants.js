@@ -56,6 +56,7 @@ export const COLLECTIVE_SECTIONS = {
   PAYMENT_METHODS: 'payment-methods',
   PAYMENT_RECEIPTS: 'payment-receipts',
   POLICIES: 'policies',
+  PREFERENCES: 'preferences',
   TEAM: 'members',
   TICKETS: 'tickets',
   TIERS: 'tiers',
@@ -213,6 +214,10 @@ export const SECTION_LABELS = defineMessages({
     id: 'TwoFactorAuth',
     defaultMessage: 'Two-factor authentication',
   },
+  [ALL_SECTIONS.PREFERENCES]: {
+    id: 'editCollective.menu.preferences',
+    defaultMessage: 'Preferences',
+  },
   [ALL_SECTIONS.PAYMENT_RECEIPTS]: {
     id: 'editCollective.menu.paymentReceipts',
     defaultMessage: 'Payment Receipts',
@@ -30,7 +30,7 @@ StatTitle.defaultProps = {
 const StatAmount = ({ amount, ...props }) => (
   <P fontSize="16px" lineHeight="24px" color="black.700">
     {/* Pass null instead of 0 to make sure we display `--.--` */}
-    <FormattedMoneyAmount amount={amount || null} {...props} />
+    <FormattedMoneyAmount amount={amount || null} convertToDisplayCurrency {...props} />
   </P>
 );
 
@@ -0,0 +1,113 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Edit } from '@styled-icons/feather/Edit';
+import { defineMessages, FormattedMessage, useIntl } from 'react-intl';
+
+import { DRAFT_FORM_TYPE, getSavedDrafts, removeDraft } from '../../lib/form-persister';
+
+import Container from '../Container';
+import DateTime from '../DateTime';
+import { Box, Flex } from '../Grid';
+import Link from '../Link';
+import StyledButton from '../StyledButton';
+import { P, Span } from '../Text';
+
+import ContainerSectionContent from './ContainerSectionContent';
+
+const DraftTypesI18n = defineMessages({
+  [DRAFT_FORM_TYPE.EXPENSE]: {
+    id: 'Draft.Type.Expense',
+    defaultMessage: 'Expense',
+  },
+  [DRAFT_FORM_TYPE.UPDATE]: {
+    id: 'Draft.Type.Update',
+    defaultMessage: 'Update',
+  },
+  [DRAFT_FORM_TYPE.CONVERSATION]: {
+    id: 'Draft.Type.Conversation',
+    defaultMessage: 'Conversation',
+  },
+  [DRAFT_FORM_TYPE.CONTRIBUTION]: {
+    id: 'Draft.Type.Contribution',
+    defaultMessage: 'Contribution',
+  },
+  [DRAFT_FORM_TYPE.GIFT_CARDS]: {
+    id: 'Draft.Type.GiftCards',
+    defaultMessage: 'Gift cards',
+  },
+});
+
+/**
+ * Lists the forms the user started but didn't submit. Drafts are stored in the browser,
+ * so this is only rendered client-side and for the user's own profile.
+ */
+const SavedDrafts = ({ LoggedInUser }) => {
+  const intl = useIntl();
+  const [drafts, setDrafts] = React.useState([]);
+
+  React.useEffect(() => {
+    setDrafts(getSavedDrafts(LoggedInUser.id));
+  }, [LoggedInUser.id]);
+
+  if (!drafts.length) {
+    return null;
+  }
+
+  return (
+    <ContainerSectionContent pt={3} pb={2} data-cy="saved-drafts">
+      <Container border="1px solid #dcdee0" borderRadius="8px" p={3}>
+        <P fontSize="16px" fontWeight="700" mb={2}>
+          <FormattedMessage id="Draft.SavedDrafts" defaultMessage="Your unsubmitted drafts" />
+        </P>
+        {drafts.map(draft => (
+          <Flex key={draft.key} alignItems="center" justifyContent="space-between" py={2} flexWrap="wrap">
+            <Box mr={2}>
+              <P fontSize="14px" fontWeight="500">
+                {DraftTypesI18n[draft.type] ? intl.formatMessage(DraftTypesI18n[draft.type]) : draft.type}
+                {draft.title && <Span fontWeight="400"> · {draft.title}</Span>}
+              </P>
+              <P fontSize="12px" color="black.600" mt={1}>
+                <FormattedMessage
+                  id="Draft.SavedAt"
+                  defaultMessage="Saved on {date}"
+                  values={{ date: <DateTime value={draft.savedAt} dateStyle="medium" timeStyle="short" /> }}
+                />
+              </P>
+            </Box>
+            <Flex my={1}>
+              <StyledButton
+                buttonSize="tiny"
+                buttonStyle="dangerSecondary"
+                mr={2}
+                onClick={() => {
+                  removeDraft(draft);
+                  setDrafts(drafts.filter(d => d.key !== draft.key));
+                }}
+                data-cy="saved-draft-delete"
+              >
+                <FormattedMessage id="Draft.Discard" defaultMessage="Discard" />
+              </StyledButton>
+              {draft.url && (
+                <Link href={draft.url}>
+                  <StyledButton buttonSize="tiny" buttonStyle="primary">
+                    <Edit size={12} />
+                    &nbsp;
+                    <FormattedMessage id="Draft.Resume" defaultMessage="Resume" />
+                  </StyledButton>
+                </Link>
+              )}
+            </Flex>
+          </Flex>
+        ))}
+      </Container>
+    </ContainerSectionContent>
+  );
+};
+
+SavedDrafts.propTypes = {
+  LoggedInUser: PropTypes.shape({
+    id: PropTypes.number.isRequired,
+  }).isRequired,
+};
+
+export default SavedDrafts;
@@ -6,6 +6,8 @@ import { FormattedDate, FormattedMessage, FormattedTime } from 'react-intl';
 
 import dayjs from '../../../lib/dayjs';
 
+import AddToCalendar from '../../AddToCalendar';
+import { Box } from '../../Grid';
 import Link from '../../Link';
 import StyledTooltip from '../../StyledTooltip';
 
@@ -56,6 +58,7 @@ Timerange.propTypes = {
 class HeroEventDetails extends React.Component {
   static propTypes = {
     collective: PropTypes.shape({
+      slug: PropTypes.string,
       startsAt: PropTypes.string,
       endsAt: PropTypes.string,
       timezone: PropTypes.string.isRequired,
@@ -132,6 +135,12 @@ class HeroEventDetails extends React.Component {
           </HeroNote>
         )}
 
+        {startsAt && parentCollective && (
+          <Box my={2}>
+            <AddToCalendar event={this.props.collective} />
+          </Box>
+        )}
+
         {location.name && (
           <HeroNote>
             <MapPin size={16} />
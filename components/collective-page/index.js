@@ -30,6 +30,7 @@ import SectionTransactions from './sections/Transactions';
 import SectionUpdates from './sections/Updates';
 import { Sections } from './_constants';
 import CategoryHeader from './CategoryHeader';
+import SavedDrafts from './SavedDrafts';
 import SectionContainer from './SectionContainer';
 import sectionsWithoutPaddingBottom from './SectionsWithoutPaddingBottom';
 
@@ -247,7 +248,7 @@ class CollectivePage extends Component {
   }
 
   render() {
-    const { collective, host, isAdmin, isHostAdmin, onPrimaryColorChange } = this.props;
+    const { collective, host, isAdmin, isHostAdmin, onPrimaryColorChange, LoggedInUser } = this.props;
     const { isFixed, selectedCategory } = this.state;
     const sections = this.getSections(collective, isAdmin, isHostAdmin);
 
@@ -260,6 +261,7 @@ class CollectivePage extends Component {
         <Box mb={3}>
           <Hero collective={collective} host={host} isAdmin={isAdmin} onPrimaryColorChange={onPrimaryColorChange} />
         </Box>
+        {LoggedInUser?.isSelf(collective) && <SavedDrafts LoggedInUser={LoggedInUser} />}
         <CollectiveNavbar
           collective={collective}
           sections={sections}
@@ -10,6 +10,7 @@ import { API_V2_CONTEXT, gqlV2 } from '../../../lib/graphql/helpers';
 import { DebitItem } from '../../budget/DebitCreditList';
 import ExpenseBudgetItem from '../../budget/ExpenseBudgetItem';
 import Container from '../../Container';
+import { useTransactionsRates } from '../../DisplayCurrencyProvider';
 import { expenseHostFields, expensesListFieldsFragment } from '../../expenses/graphql/fragments';
 import { Box, Flex } from '../../Grid';
 import Image from '../../Image';
@@ -146,6 +147,7 @@ const SectionBudget = ({ collective, stats, LoggedInUser }) => {
   const isLoading = !allItems.length && budgetQueryResult.loading;
   const hasExpenses = Boolean(expenses.length);
   const hasTransactions = Boolean(transactions.length);
+  useTransactionsRates(transactions);
 
   // Refetch data when user logs in to refresh permissions
   React.useEffect(() => {
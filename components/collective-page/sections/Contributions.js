@@ -4,6 +4,7 @@ import { useQuery } from '@apollo/client';
 import { defineMessages, FormattedMessage, useIntl } from 'react-intl';
 import styled from 'styled-components';
 
+import { fetchRSVPsICSUrl, getWebcalUrl } from '../../../lib/calendar';
 import { CollectiveType } from '../../../lib/constants/collectives';
 import CollectiveRoles from '../../../lib/constants/roles';
 import { API_V2_CONTEXT, gqlV2 } from '../../../lib/graphql/helpers';
@@ -14,8 +15,11 @@ import LoadingPlaceholder from '../../LoadingPlaceholder';
 import StyledButton from '../../StyledButton';
 import StyledFilters from '../../StyledFilters';
 import { fadeIn } from '../../StyledKeyframes';
+import StyledLinkButton from '../../StyledLinkButton';
 import StyledMembershipCard from '../../StyledMembershipCard';
-import { H3 } from '../../Text';
+import { H3, P } from '../../Text';
+import { TOAST_TYPE, useToasts } from '../../ToastProvider';
+import { useUser } from '../../UserProvider';
 import { Dimensions } from '../_constants';
 import ContainerSectionContent from '../ContainerSectionContent';
 import SectionTitle from '../SectionTitle';
@@ -271,8 +275,33 @@ const contributionsSectionQuery = gqlV2/* GraphQL */ `
   }
 `;
 
+/**
+ * Subscribes to the events the logged in user registered to, through a private feed URL.
+ */
+const SubscribeToRSVPsButton = () => {
+  const { addToast } = useToasts();
+  const [loading, setLoading] = React.useState(false);
+  const subscribe = async () => {
+    setLoading(true);
+    try {
+      window.location.href = getWebcalUrl(await fetchRSVPsICSUrl());
+    } catch (e) {
+      addToast({ type: TOAST_TYPE.ERROR, message: e.message });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <StyledLinkButton onClick={subscribe} disabled={loading} data-cy="subscribe-rsvps-calendar">
+      <FormattedMessage id="SectionContributions.SubscribeToEvents" defaultMessage="Subscribe to these events" />
+    </StyledLinkButton>
+  );
+};
+
 const SectionContributions = ({ collective }) => {
   const intl = useIntl();
+  const { LoggedInUser } = useUser();
   const [isLoadingMore, setLoadingMore] = React.useState(false);
   const [filter, setFilter] = React.useState(collective.isHost ? FILTERS.HOSTED_COLLECTIVES : FILTERS.ALL);
   const selectedFilter = FILTER_PROPS.find(f => f.id === filter);
@@ -354,6 +383,13 @@ const SectionContributions = ({ collective }) => {
             />
           </Box>
         )}
+        {filter === FILTERS.EVENTS && LoggedInUser?.collective?.slug === collective.slug && (
+          <ContainerSectionContent>
+            <P fontSize="14px" mt={3}>
+              <SubscribeToRSVPsButton />
+            </P>
+          </ContainerSectionContent>
+        )}
         <Container
           data-cy="Contributions"
           maxWidth={Dimensions.MAX_SECTION_WIDTH}
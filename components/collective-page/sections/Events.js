@@ -1,8 +1,10 @@
 import React from 'react';
 import PropTypes from 'prop-types';
+import { Calendar } from '@styled-icons/feather/Calendar';
 import memoizeOne from 'memoize-one';
 import { FormattedMessage, injectIntl } from 'react-intl';
 
+import { getCollectiveEventsICSUrl, getWebcalUrl } from '../../../lib/calendar';
 import { sortEvents } from '../../../lib/events';
 
 import { CONTRIBUTE_CARD_WIDTH } from '../../contribute-cards/Contribute';
@@ -13,6 +15,7 @@ import { Box } from '../../Grid';
 import HorizontalScroller from '../../HorizontalScroller';
 import Link from '../../Link';
 import StyledButton from '../../StyledButton';
+import StyledLink from '../../StyledLink';
 import { H3, P } from '../../Text';
 import ContainerSectionContent from '../ContainerSectionContent';
 import ContributeCardsContainer from '../ContributeCardsContainer';
@@ -75,6 +78,21 @@ class SectionEvents extends React.PureComponent {
               />
             )}
           </P>
+          {events?.length > 0 && (
+            <P fontSize="14px" mt={-3} mb={4}>
+              <StyledLink
+                href={getWebcalUrl(getCollectiveEventsICSUrl(collective))}
+                data-cy="subscribe-events-calendar"
+              >
+                <Calendar size={14} />
+                &nbsp;
+                <FormattedMessage
+                  id="CollectivePage.SectionEvents.Subscribe"
+                  defaultMessage="Subscribe to the calendar of upcoming events"
+                />
+              </StyledLink>
+            </P>
+          )}
         </ContainerSectionContent>
         <HorizontalScroller
           container={ContributeCardsContainer}
@@ -1,9 +1,15 @@
 import React from 'react';
 import PropTypes from 'prop-types';
+import { get } from 'lodash';
 import dynamic from 'next/dynamic';
+import { FormattedMessage } from 'react-intl';
 
 import Container from '../../Container';
+import GoalCard from '../../goals/GoalCard';
+import GoalsHistory from '../../goals/GoalsHistory';
+import { Box, Grid } from '../../Grid';
 import LoadingPlaceholder from '../../LoadingPlaceholder';
+import { H4 } from '../../Text';
 
 // Dynamicly load Goals cover to download it if enabled
 const GoalsCoverLoadingPlaceholder = () => <LoadingPlaceholder height={400} />;
@@ -12,13 +18,30 @@ const GoalsCover = dynamic(() => import('../../GoalsCover'), {
 });
 
 /**
- * Display the general goals for the collective
+ * Display the general goals for the collective, with the details of each goal and the history of reached goals.
  */
 const SectionGoals = ({ collective }) => {
+  const goals = get(collective, 'settings.goals', []);
+  const goalsHistory = get(collective, 'settings.goalsHistory', []);
   return (
     <Container background="rgb(245, 247, 250)" pt={5} pb={40}>
       <Container maxWidth="80%" m="0 auto">
         <GoalsCover collective={collective} />
+        {goals.length > 0 && (
+          <Grid gridTemplateColumns={['1fr', 'repeat(2, 1fr)', 'repeat(3, 1fr)']} gridGap={3} mt={4}>
+            {goals.map((goal, idx) => (
+              <GoalCard key={goal.key || idx} collective={collective} goal={goal} />
+            ))}
+          </Grid>
+        )}
+        {goalsHistory.length > 0 && (
+          <Box mt={4}>
+            <H4 fontSize="16px" fontWeight="500" mb={2}>
+              <FormattedMessage id="Goals.History" defaultMessage="Reached goals" />
+            </H4>
+            <GoalsHistory goalsHistory={goalsHistory} currency={collective.currency} />
+          </Box>
+        )}
       </Container>
     </Container>
   );
@@ -27,6 +50,8 @@ const SectionGoals = ({ collective }) => {
 SectionGoals.propTypes = {
   /** The collective to display description for */
   collective: PropTypes.shape({
+    slug: PropTypes.string.isRequired,
+    currency: PropTypes.string,
     settings: PropTypes.object,
     name: PropTypes.string,
   }).isRequired,
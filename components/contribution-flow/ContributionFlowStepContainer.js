@@ -191,6 +191,7 @@ class ContributionFlowStepContainer extends React.Component {
             stepProfile={stepProfile}
             stepDetails={stepDetails}
             data={stepSummary}
+            paymentMethod={stepPayment?.paymentMethod}
             onChange={this.props.onChange}
             taxes={this.props.taxes}
             applyTaxes
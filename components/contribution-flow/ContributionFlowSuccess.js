@@ -10,6 +10,7 @@ import { defineMessages, FormattedMessage, injectIntl } from 'react-intl';
 import styled from 'styled-components';
 
 import { ORDER_STATUS } from '../../lib/constants/order-status';
+import { TierTypes } from '../../lib/constants/tiers-types';
 import { formatCurrency } from '../../lib/currency-utils';
 import { API_V2_CONTEXT, gqlV2 } from '../../lib/graphql/helpers';
 import { formatManualInstructions } from '../../lib/payment-method-utils';
@@ -25,6 +26,7 @@ import StyledLink from '../../components/StyledLink';
 import { H3, P } from '../../components/Text';
 import { withUser } from '../../components/UserProvider';
 
+import AddToCalendar from '../AddToCalendar';
 import Link from '../Link';
 
 import { orderSuccessFragment } from './graphql/fragments';
@@ -323,6 +325,11 @@ class ContributionFlowSuccess extends React.Component {
                     <ContributorCardWithTier width={250} height={380} contribution={order} my={2} useLink={false} />
                   </StyledLink>
                 )}
+                {order.tier?.type === TierTypes.TICKET && order.toAccount.startsAt && (
+                  <Box mt={3}>
+                    <AddToCalendar event={order.toAccount} />
+                  </Box>
+                )}
                 {!isEmbed && (
                   <Box my={4}>
                     <Link href={{ pathname: '/discover', query: { show: getMainTag(order.toAccount) } }}>
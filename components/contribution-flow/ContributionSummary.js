@@ -7,7 +7,7 @@ import { color, typography } from 'styled-system';
 
 import INTERVALS from '../../lib/constants/intervals';
 import { getNextChargeDate } from '../../lib/date-utils';
-import getPaymentMethodFees from '../../lib/fees';
+import { getFeesBreakdown } from '../../lib/fees';
 import { i18nTaxType } from '../../lib/i18n/taxes';
 
 import Container from '../Container';
@@ -51,8 +51,15 @@ const Amount = styled(Span)`
 const ContributionSummary = ({ collective, stepDetails, stepSummary, stepPayment, currency, isCrypto }) => {
   const intl = useIntl();
   const totalAmount = getTotalAmount(stepDetails, stepSummary);
-  const pmFeeInfo = getPaymentMethodFees(stepPayment?.paymentMethod, totalAmount, currency);
   const platformContribution = stepDetails.platformContribution || 0;
+  const feesBreakdown = getFeesBreakdown({
+    amount: (stepDetails.amount || 0) * (stepDetails.quantity || 1),
+    taxAmount: stepSummary?.amount || 0,
+    platformTip: platformContribution,
+    paymentMethod: stepPayment?.paymentMethod,
+    collective: { ...collective, currency },
+  });
+  const pmFeeInfo = feesBreakdown.paymentProcessor;
 
   return (
     <Container fontSize="12px">
@@ -116,7 +123,39 @@ const ContributionSummary = ({ collective, stepDetails, stepSummary, stepPayment
               </Amount>
             </AmountLine>
           )}
-          {Boolean(pmFeeInfo.fee) && !isCrypto && (
+        </React.Fragment>
+      )}
+
+      <StyledHr borderColor="black.500" my={1} />
+      <AmountLine color="black.800" fontWeight="500">
+        <Label fontWeight="500">
+          <FormattedMessage id="TodaysCharge" defaultMessage="Today's charge" />
+        </Label>
+        <Amount fontWeight="700">
+          <FormattedMoneyAmount amount={totalAmount} currency={currency} amountStyles={null} isCrypto={isCrypto} />
+        </Amount>
+      </AmountLine>
+      {!isCrypto && (
+        <React.Fragment>
+          {Boolean(feesBreakdown.hostFee) && (
+            <AmountLine color="black.700">
+              <Label>
+                <FormattedMessage
+                  id="ContributionSummary.HostFee"
+                  defaultMessage="{hostName} fees ({percent}%)"
+                  values={{ hostName: collective.host?.name, percent: collective.hostFeePercent }}
+                />
+              </Label>
+              <Amount>
+                <FormattedMoneyAmount
+                  amount={feesBreakdown.hostFee}
+                  currency={currency}
+                  amountStyles={{ color: 'black.700', fontWeight: 400 }}
+                />
+              </Amount>
+            </AmountLine>
+          )}
+          {Boolean(pmFeeInfo.fee) && (
             <AmountLine color="black.700">
               <Label>
                 <FormattedMessage
@@ -164,36 +203,26 @@ const ContributionSummary = ({ collective, stepDetails, stepSummary, stepPayment
               </Amount>
             </AmountLine>
           )}
+          {Boolean(feesBreakdown.hostFee || pmFeeInfo.fee) && (
+            <AmountLine color="black.700">
+              <Label>
+                <FormattedMessage
+                  id="NetAmountFor"
+                  defaultMessage="Net amount for {name}"
+                  values={{ name: collective.name }}
+                />
+              </Label>
+              <Amount>
+                <FormattedMoneyAmount
+                  amount={feesBreakdown.netAmountForCollective}
+                  currency={currency}
+                  amountStyles={null}
+                />
+              </Amount>
+            </AmountLine>
+          )}
         </React.Fragment>
       )}
-
-      <StyledHr borderColor="black.500" my={1} />
-      <AmountLine color="black.800" fontWeight="500">
-        <Label fontWeight="500">
-          <FormattedMessage id="TodaysCharge" defaultMessage="Today's charge" />
-        </Label>
-        <Amount fontWeight="700">
-          <FormattedMoneyAmount amount={totalAmount} currency={currency} amountStyles={null} isCrypto={isCrypto} />
-        </Amount>
-      </AmountLine>
-      {Boolean(pmFeeInfo.fee) && !isCrypto && (
-        <AmountLine color="black.700">
-          <Label>
-            <FormattedMessage
-              id="NetAmountFor"
-              defaultMessage="Net amount for {name}"
-              values={{ name: collective.name }}
-            />
-          </Label>
-          <Amount>
-            <FormattedMoneyAmount
-              amount={totalAmount - pmFeeInfo.fee - platformContribution}
-              currency={currency}
-              amountStyles={null}
-            />
-          </Amount>
-        </AmountLine>
-      )}
       <StyledHr borderColor="black.500" my={1} />
       {stepDetails?.interval && stepDetails?.interval !== INTERVALS.flexible && (
         <P color="black.700" fontSize="11px" fontStyle="italic" mt={2}>
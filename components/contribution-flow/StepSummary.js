@@ -15,8 +15,7 @@ import styled from 'styled-components';
 import tiersTypes from '../../lib/constants/tiers-types';
 import { formatCurrency } from '../../lib/currency-utils';
 import { propTypeCountry } from '../../lib/custom-prop-types';
-import getPaymentMethodFees from '../../lib/fees';
-import { capitalize } from '../../lib/utils';
+import { getFeesBreakdown } from '../../lib/fees';
 
 import Container from '../Container';
 import { Box, Flex } from '../Grid';
@@ -24,7 +23,7 @@ import InputTypeCountry from '../InputTypeCountry';
 import StyledHr from '../StyledHr';
 import StyledInput from '../StyledInput';
 import StyledLink from '../StyledLink';
-import { Span } from '../Text';
+import { P, Span } from '../Text';
 
 const AmountLine = styled.div.attrs({
   'data-cy': 'breakdown-line',
@@ -41,81 +40,115 @@ const Label = styled.span`
   margin-right: 4px;
 `;
 
-const FeesBreakdown = ({ amount, platformFeePercent, hostFeePercent, paymentMethod, currency }) => {
-  const platformFee = amount * (platformFeePercent / 100);
-  const hostFee = amount * ((hostFeePercent || 0) / 100);
-  const pmFeeInfo = getPaymentMethodFees(paymentMethod, amount, currency);
-  const netAmountForCollective = amount - platformFee - hostFee - pmFeeInfo.fee;
+const FeesBreakdown = ({ amount, taxAmount, platformTip, collective, paymentMethod, currency }) => {
+  const breakdown = getFeesBreakdown({
+    amount,
+    taxAmount,
+    platformTip,
+    paymentMethod,
+    collective: { ...collective, currency },
+  });
+  const { paymentProcessor } = breakdown;
+  const approximationPrefix = breakdown.isExact ? '' : '~ ';
 
   return (
     <React.Fragment>
+      <AmountLine>
+        <Label fontWeight={500} color="black.800">
+          <FormattedMessage id="contribution.youPay" defaultMessage="You pay" />
+        </Label>
+        <Span fontSize="16px" fontWeight={500} color="black.700">
+          {formatCurrency(breakdown.totalAmount, currency)}
+        </Span>
+      </AmountLine>
       <AmountLine>
         <Label fontWeight={500} color="black.800">
           <FormattedMessage id="contribution.netAmountForCollective" defaultMessage="Net amount for Collective" />
         </Label>
         <Span fontSize="16px" fontWeight={500} color="black.700">
-          {formatCurrency(netAmountForCollective, currency)}
+          {approximationPrefix}
+          {formatCurrency(breakdown.netAmountForCollective, currency)}
         </Span>
       </AmountLine>
-      {Boolean(platformFee) && (
+      {Boolean(breakdown.hostFee) && (
         <AmountLine>
           <Label color="black.500">
-            <FormattedMessage id="PlatformFee" defaultMessage="Platform fee" />
-            {` (-${platformFeePercent}%)`}
+            <FormattedMessage id="contribution.hostFeePercent" defaultMessage="Fiscal Host fee" />
+            {` (-${collective.hostFeePercent}%)`}
           </Label>
           <Span fontSize="16px" color="black.500">
-            {formatCurrency(platformFee, currency)}
+            {formatCurrency(breakdown.hostFee, currency)}
           </Span>
         </AmountLine>
       )}
-      {Boolean(hostFeePercent) && (
+      {Boolean(breakdown.paymentProcessorFee) && (
         <AmountLine>
           <Label color="black.500">
-            <FormattedMessage id="contribution.hostFeePercent" defaultMessage="Fiscal Host fee" />
-            {` (-${hostFeePercent}%)`}
+            <FormattedMessage id="contribution.paymentFee" defaultMessage="Payment processor fee" />
+            {' ('}
+            {paymentProcessor.aboutURL ? (
+              <StyledLink href={paymentProcessor.aboutURL} openInNewTab>
+                {paymentProcessor.name}
+              </StyledLink>
+            ) : (
+              paymentProcessor.name
+            )}
+            {`, ${paymentProcessor.isExact ? '-' : '~'}${paymentProcessor.feePercent.toFixed(1)}%)`}
           </Label>
           <Span fontSize="16px" color="black.500">
-            {formatCurrency(hostFee, currency)}
+            {!paymentProcessor.isExact && '~ '}
+            {formatCurrency(breakdown.paymentProcessorFee, currency)}
           </Span>
         </AmountLine>
       )}
-      {Boolean(pmFeeInfo.fee) && (
+      {Boolean(breakdown.platformFee) && (
         <AmountLine>
           <Label color="black.500">
-            <FormattedMessage id="contribution.paymentFee" defaultMessage="Payment processor fee" />
-            {' ('}
-            {pmFeeInfo.aboutURL ? (
-              <StyledLink href={pmFeeInfo.aboutURL} openInNewTab>
-                {capitalize(paymentMethod.service)}
-              </StyledLink>
-            ) : (
-              capitalize(paymentMethod.service)
-            )}
-            {`, ${pmFeeInfo.isExact ? '-' : '~'}${pmFeeInfo.feePercent.toFixed(1)}%)`}
+            <FormattedMessage id="PlatformFee" defaultMessage="Platform fee" />
+            {` (-${collective.platformFeePercent}%)`}
+          </Label>
+          <Span fontSize="16px" color="black.500">
+            {formatCurrency(breakdown.platformFee, currency)}
+          </Span>
+        </AmountLine>
+      )}
+      {Boolean(breakdown.platformTip) && (
+        <AmountLine>
+          <Label color="black.500">
+            <FormattedMessage id="contribution.platformTip" defaultMessage="Platform tip" />
           </Label>
           <Span fontSize="16px" color="black.500">
-            {!pmFeeInfo.isExact && '~ '}
-            {formatCurrency(pmFeeInfo.fee, currency)}
+            {formatCurrency(breakdown.platformTip, currency)}
           </Span>
         </AmountLine>
       )}
+      {!paymentMethod && (
+        <P fontSize="12px" color="black.600" fontStyle="italic">
+          <FormattedMessage
+            id="contribution.paymentFee.Unknown"
+            defaultMessage="Payment processor fees depend on the payment method you'll pick in the next step."
+          />
+        </P>
+      )}
       <StyledHr borderStyle="dashed" my={3} />
     </React.Fragment>
   );
 };
 
 FeesBreakdown.propTypes = {
-  amount: PropTypes.object,
-  platformFeePercent: PropTypes.object,
-  hostFeePercent: PropTypes.object,
+  /** The contribution amount, without taxes nor platform tip */
+  amount: PropTypes.number,
+  taxAmount: PropTypes.number,
+  platformTip: PropTypes.number,
+  collective: PropTypes.shape({
+    hostFeePercent: PropTypes.number,
+    hostFeesStructure: PropTypes.string,
+    platformFeePercent: PropTypes.number,
+  }).isRequired,
   paymentMethod: PropTypes.object,
   currency: PropTypes.string,
 };
 
-FeesBreakdown.defaultProps = {
-  platformFeePercent: 5,
-};
-
 const ClickableLabel = styled(Container)``;
 ClickableLabel.defaultProps = {
   display: 'inline-block',
@@ -342,11 +375,12 @@ const StepSummary = ({
     <Box width="100%" px={[0, null, null, 3]}>
       {showFees && (
         <FeesBreakdown
-          platformFeePercent={collective.platformFeePercent}
-          hostFeePercent={collective.hostFeePercent}
+          collective={collective}
           currency={currency}
           paymentMethod={paymentMethod}
-          amount={amount}
+          amount={amount * (quantity || 1)}
+          taxAmount={taxInfo.isReady ? taxInfo.amount : 0}
+          platformTip={stepDetails.platformContribution || 0}
         />
       )}
       {quantity && (tierType === 'TICKET' || quantity > 1) && (
@@ -415,6 +449,8 @@ StepSummary.propTypes = {
     amount: PropTypes.number.isRequired,
     /** Number of items to order */
     quantity: PropTypes.number,
+    /** The platform tip, in cents */
+    platformContribution: PropTypes.number,
   }),
   stepProfile: PropTypes.shape({
     location: PropTypes.shape({
@@ -425,6 +461,8 @@ StepSummary.propTypes = {
     currency: PropTypes.string.isRequired,
     /** Host fees, as an integer percentage */
     hostFeePercent: PropTypes.number,
+    /** One of `HOST_FEE_STRUCTURE` */
+    hostFeesStructure: PropTypes.string,
     /** Platform fee */
     platformFeePercent: PropTypes.number,
     location: PropTypes.shape({
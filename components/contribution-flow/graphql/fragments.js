@@ -63,6 +63,7 @@ export const contributionFlowAccountFieldsFragment = gqlV2/* GraphQL */ `
     }
     ... on AccountWithHost {
       hostFeePercent
+      hostFeesStructure
       host {
         ...ContributionFlowHostFields
       }
@@ -132,6 +133,7 @@ export const orderSuccessFragment = gqlV2/* GraphQL */ `
     tier {
       id
       name
+      type
     }
     membership {
       id
@@ -152,6 +154,21 @@ export const orderSuccessFragment = gqlV2/* GraphQL */ `
       type
       isHost
       settings
+      ... on AccountWithParent {
+        parent {
+          id
+          slug
+        }
+      }
+      ... on Event {
+        description
+        startsAt
+        endsAt
+        location {
+          name
+          address
+        }
+      }
       ... on AccountWithContributions {
         # limit: 1 as current best practice to avoid the API fetching entries it doesn't need
         contributors(limit: 1) {
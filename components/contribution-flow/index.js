@@ -22,6 +22,7 @@ import { TransactionTypes } from '../../lib/constants/transactions';
 import { formatCurrency } from '../../lib/currency-utils';
 import { formatErrorMessage, getErrorFromGraphqlException } from '../../lib/errors';
 import { isPastEvent } from '../../lib/events';
+import FormPersister, { DRAFT_FORM_TYPE } from '../../lib/form-persister';
 import { API_V2_CONTEXT, gqlV2 } from '../../lib/graphql/helpers';
 import { addCreateCollectiveMutation } from '../../lib/graphql/mutations';
 import { setGuestToken } from '../../lib/guest-accounts';
@@ -32,6 +33,7 @@ import { reportValidityHTML5 } from '../../lib/utils';
 
 import { isValidExternalRedirect } from '../../pages/external-redirect';
 import Container from '../Container';
+import DraftRestorePrompt from '../DraftRestorePrompt';
 import ContributeFAQ from '../faqs/ContributeFAQ';
 import { Box, Grid } from '../Grid';
 import Loading from '../Loading';
@@ -95,6 +97,9 @@ const OTHER_MESSAGES = defineMessages({
   },
 });
 
+/** Bump this when the shape of the steps data changes, to discard the incompatible drafts */
+const CONTRIBUTION_FLOW_DRAFT_VERSION = 1;
+
 class ContributionFlow extends React.Component {
   static propTypes = {
     collective: PropTypes.shape({
@@ -121,6 +126,10 @@ class ContributionFlow extends React.Component {
     loadingLoggedInUser: PropTypes.bool,
     hideCreditCardPostalCode: PropTypes.bool,
     isEmbed: PropTypes.bool,
+    /** Set when the embed was mounted by the SDK, to identify its events */
+    embedId: PropTypes.string,
+    /** Called with the message of the errors displayed to the contributor */
+    onError: PropTypes.func,
     step: PropTypes.string,
     redirect: PropTypes.string,
     tags: PropTypes.arrayOf(PropTypes.string),
@@ -160,16 +169,76 @@ class ContributionFlow extends React.Component {
         platformContribution: props.platformContribution,
         currency: CRYPTO_CURRENCIES[0],
       },
+      draft: null,
     };
+
+    this.formPersister = new FormPersister(null, { version: CONTRIBUTION_FLOW_DRAFT_VERSION });
+  }
+
+  componentDidMount() {
+    if (!this.props.loadingLoggedInUser) {
+      this.initFormPersister();
+    }
   }
 
-  componentDidUpdate(oldProps) {
+  componentDidUpdate(oldProps, oldState) {
     if (oldProps.LoggedInUser && !this.props.LoggedInUser) {
       this.setState({ stepProfile: null, stepSummary: null, stepPayment: null });
       this.pushStepRoute(STEPS.PROFILE);
     }
+
+    if (
+      !this.props.loadingLoggedInUser &&
+      (oldProps.loadingLoggedInUser || oldProps.LoggedInUser?.id !== this.props.LoggedInUser?.id)
+    ) {
+      this.initFormPersister();
+    } else if (oldState.stepDetails !== this.state.stepDetails || oldState.stepProfile !== this.state.stepProfile) {
+      this.saveDraft();
+    }
+
+    if (this.props.onError && this.state.error && this.state.error !== oldState.error) {
+      const message = formatErrorMessage(this.props.intl, this.state.error);
+      this.props.onError(typeof message === 'string' ? message : this.state.error.message);
+    }
+  }
+
+  initFormPersister() {
+    const { collective, tier, LoggedInUser } = this.props;
+    this.formPersister.setDraftInfo({
+      type: DRAFT_FORM_TYPE.CONTRIBUTION,
+      contextId: `${collective.slug}-${tier?.id || 'custom'}`,
+      ownerId: LoggedInUser?.id,
+      title: tier ? `${collective.name} - ${tier.name}` : collective.name,
+    });
+    this.setState({ draft: this.formPersister.loadDraft() });
+  }
+
+  /**
+   * Only the contribution details and the guest info are saved. Payment information must never be persisted.
+   */
+  saveDraft() {
+    const { draft, isSubmitted, stepDetails, stepProfile } = this.state;
+    if (!draft && !isSubmitted) {
+      this.formPersister.saveValues({
+        stepDetails,
+        stepProfile: stepProfile?.isGuest ? pick(stepProfile, ['isGuest', 'email', 'name', 'location']) : null,
+      });
+    }
   }
 
+  restoreDraft = ({ stepDetails, stepProfile }) => {
+    this.setState(state => ({
+      stepDetails: { ...state.stepDetails, ...stepDetails },
+      stepProfile: stepProfile && !this.props.LoggedInUser ? stepProfile : state.stepProfile,
+      draft: null,
+    }));
+  };
+
+  discardDraft = () => {
+    this.formPersister.clearValues();
+    this.setState({ draft: null });
+  };
+
   submitOrder = async () => {
     const { stepDetails, stepProfile, stepSummary } = this.state;
     this.setState({ error: null, isSubmitting: true });
@@ -236,6 +305,7 @@ class ContributionFlow extends React.Component {
     if (stripeError) {
       return this.handleStripeError(order, stripeError, email, guestToken);
     } else if (this.props.paymentFlow === PAYMENT_FLOW.CRYPTO) {
+      this.formPersister.clearValues();
       this.setState({ isSubmitted: true, isSubmitting: false, createdOrder: order });
     } else {
       return this.handleSuccess(order);
@@ -269,6 +339,7 @@ class ContributionFlow extends React.Component {
   };
 
   handleSuccess = async order => {
+    this.formPersister.clearValues();
     this.setState({ isSubmitted: true, isSubmitting: false });
     this.props.refetchLoggedInUser(); // to update memberships
 
@@ -500,6 +571,7 @@ class ContributionFlow extends React.Component {
         'useTheme',
         'hideHeader',
         'hideCreditCardPostalCode',
+        'embedId',
       ]),
       ...queryParams,
     };
@@ -740,7 +812,7 @@ class ContributionFlow extends React.Component {
       paymentFlow,
       error: backendError,
     } = this.props;
-    const { error, isSubmitted, isSubmitting, stepDetails, stepSummary, stepProfile, stepPayment } = this.state;
+    const { error, isSubmitted, isSubmitting, stepDetails, stepSummary, stepProfile, stepPayment, draft } = this.state;
     const isCrypto = paymentFlow === PAYMENT_FLOW.CRYPTO;
     const currency = isCrypto ? stepDetails.currency.value : tier?.amount.currency || collective.currency;
     const isLoading = isCrypto ? isSubmitting : isSubmitted || isSubmitting;
@@ -821,6 +893,14 @@ class ContributionFlow extends React.Component {
               >
                 <Box />
                 <Box as="form" ref={this.formRef} onSubmit={e => e.preventDefault()} maxWidth="100%">
+                  {draft && !isSubmitted && (
+                    <DraftRestorePrompt
+                      draft={draft}
+                      onRestore={this.restoreDraft}
+                      onDiscard={this.discardDraft}
+                      mb={3}
+                    />
+                  )}
                   {(error || backendError) && (
                     <MessageBox type="error" withIcon mb={3} data-cy="contribution-flow-error">
                       {formatErrorMessage(this.props.intl, error) || backendError}
@@ -109,6 +109,9 @@ const Comment = ({
                 onChange={e => setValue(e.target.value)}
                 fontSize="13px"
                 autoFocus
+                withMarkdownMode
+                withMentions
+                withLinkPreviews
               />
             )
           }
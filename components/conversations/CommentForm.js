@@ -140,6 +140,9 @@ const CommentForm = ({
             disabled={isDisabled || !LoggedInUser || loading}
             reset={resetValue}
             fontSize="13px"
+            withMarkdownMode
+            withMentions
+            withLinkPreviews
             onChange={e => {
               setHtml(e.target.value);
               setValidationError(null);
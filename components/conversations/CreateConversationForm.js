@@ -5,10 +5,11 @@ import { useFormik } from 'formik';
 import { defineMessages, FormattedMessage, useIntl } from 'react-intl';
 
 import { createError, ERROR, getErrorFromGraphqlException } from '../../lib/errors';
-import FormPersister from '../../lib/form-persister';
+import FormPersister, { DRAFT_FORM_TYPE } from '../../lib/form-persister';
 import { formatFormErrorMessage } from '../../lib/form-utils';
 import { API_V2_CONTEXT, gqlV2 } from '../../lib/graphql/helpers';
 
+import DraftRestorePrompt from '../DraftRestorePrompt';
 import CreateConversationFAQ from '../faqs/CreateConversationFAQ';
 import { Box, Flex } from '../Grid';
 import LoadingPlaceholder from '../LoadingPlaceholder';
@@ -74,7 +75,10 @@ const CreateConversationForm = ({ collective, LoggedInUser, suggestedTags, onSuc
   const { id: collectiveId, slug: collectiveSlug } = collective;
   const { formatMessage } = useIntl();
   const [createConversation, { error: submitError }] = useMutation(createConversationMutation, mutationOptions);
-  const [formPersister] = React.useState(new FormPersister());
+  const [formPersister] = React.useState(() => new FormPersister());
+  const [draft, setDraft] = React.useState(null);
+  // The rich text editor and the tags input are not controlled, we re-mount them when restoring a draft
+  const [editorKey, setEditorKey] = React.useState(0);
 
   const { values, errors, getFieldProps, handleSubmit, setFieldValue, setValues, isSubmitting, touched } = useFormik({
     initialValues: {
@@ -90,28 +94,46 @@ const CreateConversationForm = ({ collective, LoggedInUser, suggestedTags, onSuc
     },
   });
 
-  // Load values from localstorage
+  // Look for a draft in localstorage
   useEffect(() => {
-    if (!loading && LoggedInUser && !values.title && !values.html && !values.tags.length) {
-      const id = `conversation-${collectiveSlug}-${LoggedInUser.id}`;
-      formPersister.setFormId(id);
-    }
+    if (!loading && LoggedInUser) {
+      formPersister.setDraftInfo({
+        type: DRAFT_FORM_TYPE.CONVERSATION,
+        contextId: collectiveSlug,
+        ownerId: LoggedInUser.id,
+        title: collective.name,
+      });
 
-    const formValues = formPersister.loadValues();
-    if (formValues && !values.title && !values.html && !values.tags.length) {
-      setValues(formValues);
+      if (!values.title && !values.html && !values.tags.length) {
+        setDraft(formPersister.loadDraft());
+      }
     }
   }, [loading, LoggedInUser]);
 
-  // Save values in localstorage
+  // Save values in localstorage, unless the user hasn't decided what to do with the existing draft yet
   useEffect(() => {
-    if (values.title || values.html || values.tags.length || !formPersister.loadValues()) {
+    if (!draft && (values.title || values.html || values.tags.length)) {
       formPersister.saveValues({ html: values.html, tags: values.tags, title: values.title });
     }
-  }, [values.title, values.html, values.tags]);
+  }, [values.title, values.html, values.tags, draft]);
 
   return (
     <form onSubmit={handleSubmit}>
+      {draft && (
+        <DraftRestorePrompt
+          draft={draft}
+          mb={3}
+          onRestore={formValues => {
+            setValues(formValues);
+            setEditorKey(editorKey + 1);
+            setDraft(null);
+          }}
+          onDiscard={() => {
+            formPersister.clearValues();
+            setDraft(null);
+          }}
+        />
+      )}
       <Flex flexWrap="wrap">
         <Box flex={['1 1 100%', null, null, '1 1']}>
           {loading ? (
@@ -143,6 +165,7 @@ const CreateConversationForm = ({ collective, LoggedInUser, suggestedTags, onSuc
               <LoadingPlaceholder height={228} />
             ) : (
               <RichTextEditor
+                key={editorKey}
                 inputName="html"
                 {...getFieldProps('html')}
                 withStickyToolbar
@@ -152,6 +175,9 @@ const CreateConversationForm = ({ collective, LoggedInUser, suggestedTags, onSuc
                 fontSize="13px"
                 error={touched.html && errors.html}
                 defaultValue={values.html}
+                withMarkdownMode
+                withMentions
+                withLinkPreviews
               />
             )}
           </Box>
@@ -173,6 +199,7 @@ const CreateConversationForm = ({ collective, LoggedInUser, suggestedTags, onSuc
                 <LoadingPlaceholder height={38} />
               ) : (
                 <StyledInputTags
+                  key={editorKey}
                   name="tags"
                   {...getFieldProps('tags')}
                   maxWidth={300}
@@ -2,6 +2,8 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import styled, { css, withTheme } from 'styled-components';
 
+import { PERMISSIONS } from '../../lib/constants/permissions';
+
 import Container from '../Container';
 import { Box, Flex } from '../Grid';
 import CommentIconLib from '../icons/CommentIcon';
@@ -37,7 +39,7 @@ const Thread = ({ collective, items, onCommentDeleted, LoggedInUser, theme }) =>
     return null;
   }
 
-  const isAdmin = LoggedInUser && LoggedInUser.canEditCollective(collective);
+  const isAdmin = LoggedInUser && LoggedInUser.hasPermission(PERMISSIONS.MANAGE_CONVERSATIONS, collective);
   return (
     <div data-cy="thread">
       {items.map((item, idx) => {
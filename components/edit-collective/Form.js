@@ -43,6 +43,7 @@ import Members from './sections/Members';
 import PaymentMethods from './sections/PaymentMethods';
 import PaymentReceipts from './sections/PaymentReceipts';
 import Policies from './sections/Policies';
+import Preferences from './sections/Preferences';
 import ReceivingMoney from './sections/ReceivingMoney';
 import SendingMoney from './sections/SendingMoney';
 import Tickets from './sections/Tickets';
@@ -553,6 +554,9 @@ class EditCollectiveForm extends React.Component {
       case EDIT_COLLECTIVE_SECTIONS.TWO_FACTOR_AUTH:
         return <UserTwoFactorAuth slug={collective.slug} userEmail={LoggedInUser.email} contentOnly={contentOnly} />;
 
+      case EDIT_COLLECTIVE_SECTIONS.PREFERENCES:
+        return <Preferences contentOnly={contentOnly} />;
+
       // Payment Receipts
       case EDIT_COLLECTIVE_SECTIONS.PAYMENT_RECEIPTS:
         return <PaymentReceipts collective={collective} contentOnly={contentOnly} />;
@@ -32,6 +32,7 @@ export const EDIT_COLLECTIVE_SECTIONS = {
   WEBHOOKS: 'webhooks',
   PENDING_ORDERS: 'pending-orders',
   TWO_FACTOR_AUTH: 'two-factor-auth',
+  PREFERENCES: 'preferences',
   ADVANCED: 'advanced', // Last on purpose
   VIRTUAL_CARDS: 'virtual-cards',
   // Host Specific
@@ -74,6 +75,10 @@ const SECTION_LABELS = defineMessages({
     id: 'editCollective.menu.export',
     defaultMessage: 'Export',
   },
+  [EDIT_COLLECTIVE_SECTIONS.PREFERENCES]: {
+    id: 'editCollective.menu.preferences',
+    defaultMessage: 'Preferences',
+  },
   [EDIT_COLLECTIVE_SECTIONS.POLICIES]: {
     id: 'editCollective.menu.policies',
     defaultMessage: 'Policies',
@@ -207,6 +212,7 @@ const sectionsDisplayConditions = {
   [EDIT_COLLECTIVE_SECTIONS.WEBHOOKS]: c => isOneOfTypes(c, COLLECTIVE, ORGANIZATION, USER, EVENT, PROJECT),
   [EDIT_COLLECTIVE_SECTIONS.ADVANCED]: () => true,
   [EDIT_COLLECTIVE_SECTIONS.TWO_FACTOR_AUTH]: c => isType(c, USER),
+  [EDIT_COLLECTIVE_SECTIONS.PREFERENCES]: c => isType(c, USER),
   // Fiscal Host
   [EDIT_COLLECTIVE_SECTIONS.FISCAL_HOSTING]: () => false,
   [EDIT_COLLECTIVE_SECTIONS.HOST_PLAN]: () => false,
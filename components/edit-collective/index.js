@@ -5,6 +5,7 @@ import { defineMessages, FormattedMessage, injectIntl } from 'react-intl';
 import styled from 'styled-components';
 
 import { defaultBackgroundImage } from '../../lib/constants/collectives';
+import roles from '../../lib/constants/roles';
 import { getErrorFromGraphqlException } from '../../lib/errors';
 
 import Body from '../Body';
@@ -18,6 +19,9 @@ import { withUser } from '../UserProvider';
 
 import Form from './Form';
 
+/** Team roles that only have access to some parts of the account, but not to the settings */
+const LIMITED_ROLES = [roles.ACCOUNTANT];
+
 const EditCollectiveContainer = styled.div`
   .success {
     color: green;
@@ -155,10 +159,17 @@ class EditCollective extends React.Component {
             {!canEditCollective && (
               <Box className="login" my={6}>
                 <p>
-                  <FormattedMessage
-                    id="RecurringContributions.permissionError"
-                    defaultMessage="You need to be logged in as the admin of this account to view this page."
-                  />
+                  {LoggedInUser?.hasRole(LIMITED_ROLES, collective) ? (
+                    <FormattedMessage
+                      id="editCollective.limitedRole"
+                      defaultMessage="Your role on this account does not give access to its settings. Please ask an admin for help."
+                    />
+                  ) : (
+                    <FormattedMessage
+                      id="RecurringContributions.permissionError"
+                      defaultMessage="You need to be logged in as the admin of this account to view this page."
+                    />
+                  )}
                 </p>
                 {!LoggedInUser && (
                   <Box mt={5}>
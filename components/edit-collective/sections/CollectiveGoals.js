@@ -6,7 +6,10 @@ import { get, sortBy, startCase } from 'lodash';
 import { defineMessages, FormattedMessage, injectIntl } from 'react-intl';
 import { v4 as uuid } from 'uuid';
 
+import { archiveReachedGoal, GOAL_TYPES, isCountGoal } from '../../../lib/collective-goals';
+
 import Container from '../../Container';
+import GoalsHistory from '../../goals/GoalsHistory';
 import GoalsCover from '../../GoalsCover';
 import { Box, Flex } from '../../Grid';
 import Link from '../../Link';
@@ -18,6 +21,7 @@ import StyledInputField from '../../StyledInputField';
 import StyledInputGroup from '../../StyledInputGroup';
 import StyledSelect from '../../StyledSelect';
 import StyledTextarea from '../../StyledTextarea';
+import { P } from '../../Text';
 import SettingsTitle from '../SettingsTitle';
 
 const BORDER = '1px solid #efefef';
@@ -29,6 +33,12 @@ class CollectiveGoals extends React.Component {
       id: PropTypes.number.isRequired,
       slug: PropTypes.string.isRequired,
       settings: PropTypes.object,
+      tiers: PropTypes.arrayOf(
+        PropTypes.shape({
+          id: PropTypes.number,
+          name: PropTypes.string,
+        }),
+      ),
     }).isRequired,
     currency: PropTypes.string.isRequired,
     intl: PropTypes.object.isRequired,
@@ -52,6 +62,7 @@ class CollectiveGoals extends React.Component {
         ...goal,
         key: goal.key || uuid(),
       })),
+      goalsHistory: get(collective.settings, 'goalsHistory', []),
     };
     this.defaultType = 'yearlyBudget';
     this.messages = defineMessages({
@@ -60,6 +71,17 @@ class CollectiveGoals extends React.Component {
       type: { id: 'goal.type.label', defaultMessage: 'Type' },
       balance: { id: 'goal.balance.label', defaultMessage: 'Balance' },
       yearlyBudget: { id: 'YearlyBudget', defaultMessage: 'Yearly budget' },
+      backers: { id: 'goal.backers.label', defaultMessage: 'Number of financial contributors' },
+      tierContributions: { id: 'goal.tierContributions.label', defaultMessage: 'Number of contributions to a tier' },
+      count: { id: 'goal.count.label', defaultMessage: 'Target' },
+      tier: { id: 'goal.tier.label', defaultMessage: 'Tier' },
+      deadline: { id: 'goal.deadline.label', defaultMessage: 'Deadline (optional)' },
+      notifyMilestones: {
+        id: 'goal.notifyMilestones.label',
+        defaultMessage: 'Notify the contributors when reaching 25%, 50% and 75% of this goal',
+      },
+      archive: { id: 'goal.archive', defaultMessage: 'Mark as reached' },
+      history: { id: 'Goals.History', defaultMessage: 'Reached goals' },
       title: { id: 'goal.title.label', defaultMessage: 'Title' },
       description: { id: 'Fields.description', defaultMessage: 'Description' },
       amount: { id: 'Fields.amount', defaultMessage: 'Amount' },
@@ -82,7 +104,7 @@ class CollectiveGoals extends React.Component {
       {
         name: 'type',
         type: 'select',
-        options: getOptions(['balance', 'yearlyBudget']),
+        options: getOptions(Object.values(GOAL_TYPES)),
         label: intl.formatMessage(this.messages.type),
       },
       {
@@ -106,9 +128,13 @@ class CollectiveGoals extends React.Component {
       value = null;
     }
 
+    this.editGoalFields(index, { [fieldName]: value });
+  };
+
+  editGoalFields = (index, values) => {
     this.setState(state => {
       const goal = state.goals[index];
-      const updatedGoal = { ...goal, type: goal.type || this.defaultType, [fieldName]: value };
+      const updatedGoal = { ...goal, type: goal.type || this.defaultType, ...values };
       const updatedGoals = [...state.goals];
       updatedGoals[index] = updatedGoal;
       return { isTouched: true, goals: updatedGoals };
@@ -139,6 +165,20 @@ class CollectiveGoals extends React.Component {
     });
   };
 
+  archiveGoal = index => {
+    this.setState(state => ({
+      isTouched: true,
+      ...archiveReachedGoal(state.goals, state.goalsHistory, state.goals[index].key),
+    }));
+  };
+
+  removeGoalFromHistory = index => {
+    this.setState(state => ({
+      isTouched: true,
+      goalsHistory: state.goalsHistory.filter((_, idx) => idx !== index),
+    }));
+  };
+
   handleSubmit = async () => {
     try {
       this.setState({ isSubmitting: true });
@@ -148,6 +188,7 @@ class CollectiveGoals extends React.Component {
           settings: {
             ...this.props.collective.settings,
             goals: this.state.goals,
+            goalsHistory: this.state.goalsHistory,
             goalsInterpolation: this.state.goalsInterpolation,
             collectivePage: this.state.collectivePage,
           },
@@ -161,7 +202,8 @@ class CollectiveGoals extends React.Component {
   };
 
   renderGoal = (goal, index) => {
-    const { intl } = this.props;
+    const { intl, collective } = this.props;
+    const tierOptions = (collective.tiers || []).map(tier => ({ value: tier.id, label: tier.name }));
 
     const defaultValues = {
       ...goal,
@@ -198,14 +240,52 @@ class CollectiveGoals extends React.Component {
               />
             </StyledInputField>
           </Box>
+          {isCountGoal(defaultValues) ? (
+            <Box mb={4}>
+              <StyledInputField name="count" label={intl.formatMessage(this.messages.count)}>
+                <StyledInput
+                  type="number"
+                  min="1"
+                  step="1"
+                  placeholder="100"
+                  onChange={event => this.editGoal(index, 'count', parseInt(event.target.value) || null)}
+                  value={defaultValues.count || ''}
+                />
+              </StyledInputField>
+            </Box>
+          ) : (
+            <Box mb={4}>
+              <StyledInputField name={this.fields[2].name} label={this.fields[2].label}>
+                <StyledInputGroup
+                  prepend={this.fields[2].pre}
+                  type={this.fields[2].type}
+                  placeholder={this.fields[2].placeholder}
+                  onChange={event => this.editGoal(index, this.fields[2].name, event.target.value * 100)}
+                  value={defaultValues[this.fields[2].name] / 100 || ''}
+                />
+              </StyledInputField>
+            </Box>
+          )}
+          {defaultValues.type === GOAL_TYPES.TIER_CONTRIBUTIONS && (
+            <Box mb={4}>
+              <StyledInputField name="tierId" label={intl.formatMessage(this.messages.tier)}>
+                {({ id }) => (
+                  <StyledSelect
+                    inputId={id}
+                    options={tierOptions}
+                    onChange={({ value, label }) => this.editGoalFields(index, { tierId: value, tierName: label })}
+                    value={tierOptions.find(option => option.value === defaultValues.tierId) || null}
+                  />
+                )}
+              </StyledInputField>
+            </Box>
+          )}
           <Box mb={4}>
-            <StyledInputField name={this.fields[2].name} label={this.fields[2].label}>
-              <StyledInputGroup
-                prepend={this.fields[2].pre}
-                type={this.fields[2].type}
-                placeholder={this.fields[2].placeholder}
-                onChange={event => this.editGoal(index, this.fields[2].name, event.target.value * 100)}
-                value={defaultValues[this.fields[2].name] / 100 || ''}
+            <StyledInputField name="deadline" label={intl.formatMessage(this.messages.deadline)} required={false}>
+              <StyledInput
+                type="date"
+                onChange={event => this.editGoal(index, 'deadline', event.target.value || null)}
+                value={defaultValues.deadline || ''}
               />
             </StyledInputField>
           </Box>
@@ -219,8 +299,19 @@ class CollectiveGoals extends React.Component {
               />
             </StyledInputField>
           </Box>
+          <Box mb={4}>
+            <StyledCheckbox
+              name={`notify-milestones-${goal.key}`}
+              label={intl.formatMessage(this.messages.notifyMilestones)}
+              onChange={({ checked }) => this.editGoal(index, 'notifyMilestones', checked)}
+              defaultChecked={Boolean(defaultValues.notifyMilestones)}
+            />
+          </Box>
         </form>
         <Container className="goalActions" textAlign="right">
+          <StyledButton isBorderless={true} onClick={() => this.archiveGoal(index)} data-cy="archive-goal-btn">
+            {intl.formatMessage(this.messages.archive)}
+          </StyledButton>
           <StyledButton isBorderless={true} buttonStyle="dangerSecondary" onClick={() => this.removeGoal(index)}>
             {intl.formatMessage(this.messages.remove)}
           </StyledButton>
@@ -231,7 +322,8 @@ class CollectiveGoals extends React.Component {
 
   render() {
     const { intl, collective } = this.props;
-    const { goals, goalsInterpolation, collectivePage, isSubmitting, submitted, isTouched, error } = this.state;
+    const { goals, goalsHistory, goalsInterpolation, collectivePage, isSubmitting, submitted, isTouched, error } =
+      this.state;
 
     return (
       <Container>
@@ -275,6 +367,18 @@ class CollectiveGoals extends React.Component {
             {intl.formatMessage(this.messages.add)} +
           </StyledButton>
         </Container>
+        {goalsHistory.length > 0 && (
+          <Container mb={4} pb={4} borderBottom={BORDER}>
+            <P fontSize="16px" fontWeight="500" mb={2}>
+              {intl.formatMessage(this.messages.history)}
+            </P>
+            <GoalsHistory
+              goalsHistory={goalsHistory}
+              currency={this.props.currency}
+              onRemove={this.removeGoalFromHistory}
+            />
+          </Container>
+        )}
         {error && (
           <MessageBox type="error" withIcon my={3}>
             {error}
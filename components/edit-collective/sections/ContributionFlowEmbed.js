@@ -0,0 +1,125 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { useMutation } from '@apollo/client';
+import { FormattedMessage, useIntl } from 'react-intl';
+
+import {
+  EMBED_ALLOWED_ORIGINS_SETTINGS_KEY,
+  getEmbedAllowedOrigins,
+  parseAllowedOrigins,
+} from '../../../lib/contribution-flow-embed';
+import { i18nGraphqlException } from '../../../lib/errors';
+import { API_V2_CONTEXT } from '../../../lib/graphql/helpers';
+
+import Container from '../../Container';
+import StyledButton from '../../StyledButton';
+import StyledInputField from '../../StyledInputField';
+import StyledTextarea from '../../StyledTextarea';
+import { P } from '../../Text';
+import { TOAST_TYPE, useToasts } from '../../ToastProvider';
+import { editAccountSettingsMutation } from '../mutations';
+
+import SettingsSectionTitle from './SettingsSectionTitle';
+
+const getSnippet = collective => `<div id="opencollective-contribute"></div>
+<script src="https://opencollective.com/embed/sdk.js"></script>
+<script>
+  OC.ContributionFlow.mount('#opencollective-contribute', { collectiveSlug: '${collective.slug}' })
+    .on('success', event => {
+      // event.orderId is the id of the new contribution
+    });
+</script>`;
+
+/**
+ * Code to embed the contribution flow with the SDK, and the origins allowed to receive its events.
+ */
+const ContributionFlowEmbed = ({ collective }) => {
+  const intl = useIntl();
+  const { addToast } = useToasts();
+  const [value, setValue] = React.useState(() => getEmbedAllowedOrigins(collective).join('\n'));
+  const [invalidOrigins, setInvalidOrigins] = React.useState([]);
+  const [editSetting, { loading }] = useMutation(editAccountSettingsMutation, { context: API_V2_CONTEXT });
+
+  const save = async () => {
+    const { origins, invalid } = parseAllowedOrigins(value);
+    setInvalidOrigins(invalid);
+    if (invalid.length) {
+      return;
+    }
+
+    try {
+      await editSetting({
+        variables: { account: { legacyId: collective.id }, key: EMBED_ALLOWED_ORIGINS_SETTINGS_KEY, value: origins },
+      });
+      setValue(origins.join('\n'));
+      addToast({
+        type: TOAST_TYPE.SUCCESS,
+        message: <FormattedMessage id="ContributionFlowEmbed.Saved" defaultMessage="Allowed origins saved" />,
+      });
+    } catch (e) {
+      addToast({ type: TOAST_TYPE.ERROR, message: i18nGraphqlException(intl, e) });
+    }
+  };
+
+  return (
+    <div>
+      <SettingsSectionTitle mt={4}>
+        <FormattedMessage id="ContributionFlowEmbed.Title" defaultMessage="Embedded contribution flow" />
+      </SettingsSectionTitle>
+      <P mb={2}>
+        <FormattedMessage
+          id="ContributionFlowEmbed.Description"
+          defaultMessage="Add the contribution flow to your website. Your page is notified when the contributor changes step, completes the contribution, hits an error or closes the form."
+        />
+      </P>
+      <Container as="pre" fontSize="11px" whiteSpace="pre-wrap" mb={3}>
+        {getSnippet(collective)}
+      </Container>
+      <StyledInputField
+        htmlFor="embed-allowed-origins"
+        label={<FormattedMessage id="ContributionFlowEmbed.AllowedOrigins" defaultMessage="Allowed origins" />}
+        hint={
+          <FormattedMessage
+            id="ContributionFlowEmbed.AllowedOriginsHint"
+            defaultMessage="One per line, like https://example.com or https://*.example.com for all its subdomains. Events are only sent to these websites."
+          />
+        }
+        error={
+          invalidOrigins.length > 0 && (
+            <FormattedMessage
+              id="ContributionFlowEmbed.InvalidOrigins"
+              defaultMessage="Invalid origins: {origins}"
+              values={{ origins: invalidOrigins.join(', ') }}
+            />
+          )
+        }
+        required={false}
+        mb={3}
+      >
+        {inputProps => (
+          <StyledTextarea
+            {...inputProps}
+            value={value}
+            onChange={e => setValue(e.target.value)}
+            placeholder="https://example.com"
+            minHeight={80}
+            width="100%"
+          />
+        )}
+      </StyledInputField>
+      <StyledButton buttonSize="small" loading={loading} onClick={save} data-cy="save-embed-allowed-origins">
+        <FormattedMessage id="save" defaultMessage="Save" />
+      </StyledButton>
+    </div>
+  );
+};
+
+ContributionFlowEmbed.propTypes = {
+  collective: PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    slug: PropTypes.string.isRequired,
+    settings: PropTypes.object,
+  }).isRequired,
+};
+
+export default ContributionFlowEmbed;
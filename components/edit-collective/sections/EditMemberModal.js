@@ -17,7 +17,7 @@ import StyledTooltip from '../../StyledTooltip';
 import { TOAST_TYPE, useToasts } from '../../ToastProvider';
 
 import MemberForm from './MemberForm';
-import { coreContributorsQuery } from './Members';
+import { coreContributorsQuery, getCoreContributorsQueryVariables } from './Members';
 
 const editMemberMutation = gqlV2/* GraphQL */ `
   mutation EditMember(
@@ -109,10 +109,7 @@ const EditMemberModal = props => {
       {
         query: coreContributorsQuery,
         context: API_V2_CONTEXT,
-        variables: {
-          collectiveSlug: get(collective, 'slug'),
-          account: { slug: get(collective, 'slug') },
-        },
+        variables: getCoreContributorsQueryVariables(get(collective, 'slug')),
       },
     ],
     awaitRefetchQueries: true,
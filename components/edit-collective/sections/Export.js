@@ -12,6 +12,7 @@ import StyledLink from '../../StyledLink';
 import { H4, P } from '../../Text';
 import SettingsTitle from '../SettingsTitle';
 
+import ContributionFlowEmbed from './ContributionFlowEmbed';
 import SettingsSectionTitle from './SettingsSectionTitle';
 
 class Export extends React.Component {
@@ -42,6 +43,7 @@ class Export extends React.Component {
         <Box my={4}>
           <ExportImages collective={collective} />
         </Box>
+        <ContributionFlowEmbed collective={collective} />
         <SettingsSectionTitle mt={4}>
           <FormattedMessage id="Export.Format" defaultMessage="Export {format}" values={{ format: 'CSV' }} />
         </SettingsSectionTitle>
@@ -8,6 +8,7 @@ import memoizeOne from 'memoize-one';
 import { withRouter } from 'next/router';
 import { defineMessages, FormattedMessage, injectIntl } from 'react-intl';
 
+import GiftCardsBatchesSummary from '../../gift-cards/GiftCardsBatchesSummary';
 import GiftCardDetails from '../../GiftCardDetails';
 import { Box, Flex } from '../../Grid';
 import Link from '../../Link';
@@ -157,6 +158,11 @@ class GiftCards extends React.Component {
                 </Link>
               </Flex>
             </Flex>
+            <GiftCardsBatchesSummary
+              batches={batches}
+              collectiveId={this.props.collectiveId}
+              collectiveSlug={collectiveSlug}
+            />
             {batchesOptions.length > 1 && (
               <Box mb={3}>
                 <StyledSelect
@@ -8,14 +8,17 @@ import { defineMessages, FormattedMessage, useIntl } from 'react-intl';
 import styled from 'styled-components';
 
 import { API_V2_CONTEXT, gqlV2 } from '../../../lib/graphql/helpers';
+import { getMissingReceiptsThreshold } from '../../../lib/virtual-card-analytics';
 
 import { Box, Flex, Grid } from '../../Grid';
 import { getI18nLink } from '../../I18nFormatters';
 import InputField from '../../InputField';
+import Link from '../../Link';
 import Loading from '../../Loading';
 import Pagination from '../../Pagination';
 import RichTextEditor from '../../RichTextEditor';
 import StyledButton from '../../StyledButton';
+import StyledInput from '../../StyledInput';
 import StyledInputField from '../../StyledInputField';
 import StyledTooltip from '../../StyledTooltip';
 import { P, Span } from '../../Text';
@@ -250,6 +253,46 @@ const HostVirtualCards = props => {
           </StyledInputField>
         </Flex>
 
+        <Flex mt={4} justifyContent="space-between" alignItems="center">
+          <Box lineHeight="20px" fontSize="14px" fontWeight="500">
+            <FormattedMessage
+              id="Host.VirtualCards.MissingReceiptsThreshold.Title"
+              defaultMessage="Missing receipts limit"
+            />
+            <P fontSize="11px" fontWeight="400" color="black.600">
+              <FormattedMessage
+                id="Host.VirtualCards.MissingReceiptsThreshold.Description"
+                defaultMessage="Cards with this number of charges missing receipts are flagged for suspension in the <DashboardLink>virtual cards dashboard</DashboardLink>."
+                values={{
+                  DashboardLink: getI18nLink({ as: Link, href: `/${props.collective.slug}/dashboard/virtual-cards` }),
+                }}
+              />
+            </P>
+          </Box>
+          <StyledInputField
+            name="virtualcards.missingReceiptsThreshold"
+            htmlFor="virtualcards.missingReceiptsThreshold"
+            disabled={updateLoading}
+            ml={3}
+          >
+            {inputProps => (
+              <StyledInput
+                {...inputProps}
+                type="number"
+                min={1}
+                width={80}
+                defaultValue={getMissingReceiptsThreshold(props.collective)}
+                onBlur={e => {
+                  const value = parseInt(e.target.value, 10);
+                  if (value > 0 && value !== getMissingReceiptsThreshold(props.collective)) {
+                    handleSettingsUpdate(inputProps.name)(value);
+                  }
+                }}
+              />
+            )}
+          </StyledInputField>
+        </Flex>
+
         <StyledInputField
           name="virtualcards.policy"
           htmlFor="virtualcards.policy"
@@ -395,6 +438,7 @@ HostVirtualCards.propTypes = {
         autopause: PropTypes.bool,
         requestcard: PropTypes.bool,
         policy: PropTypes.string,
+        missingReceiptsThreshold: PropTypes.number,
       }),
     }),
   }),
@@ -17,7 +17,7 @@ import { P } from '../../Text';
 import { TOAST_TYPE, useToasts } from '../../ToastProvider';
 
 import MemberForm from './MemberForm';
-import { coreContributorsQuery } from './Members';
+import { coreContributorsQuery, getCoreContributorsQueryVariables } from './Members';
 
 const inviteMemberMutation = gqlV2/* GraphQL */ `
   mutation InviteMember(
@@ -54,10 +54,7 @@ const InviteMemberModal = props => {
       {
         query: coreContributorsQuery,
         context: API_V2_CONTEXT,
-        variables: {
-          collectiveSlug: get(collective, 'slug'),
-          account: { slug: get(collective, 'slug') },
-        },
+        variables: getCoreContributorsQueryVariables(get(collective, 'slug')),
       },
     ],
     awaitRefetchQueries: true,
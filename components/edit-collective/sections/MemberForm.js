@@ -6,6 +6,7 @@ import { defineMessages, injectIntl } from 'react-intl';
 import styled from 'styled-components';
 
 import { CollectiveType } from '../../../lib/constants/collectives';
+import { getTeamMemberRoles } from '../../../lib/constants/permissions';
 import roles from '../../../lib/constants/roles';
 import formatMemberRole from '../../../lib/i18n/member-role';
 
@@ -58,7 +59,7 @@ const MemberForm = props => {
     {
       name: 'role',
       type: 'select',
-      options: getOptions([roles.ADMIN, roles.MEMBER, roles.ACCOUNTANT]),
+      options: getOptions(getTeamMemberRoles()),
       defaultValue: roles.ADMIN,
       label: intl.formatMessage(memberFormMessages.roleLabel),
     },
@@ -7,6 +7,7 @@ import memoizeOne from 'memoize-one';
 import { defineMessages, FormattedDate, FormattedMessage, injectIntl } from 'react-intl';
 import styled from 'styled-components';
 
+import { getTeamMemberRoles } from '../../../lib/constants/permissions';
 import roles from '../../../lib/constants/roles';
 import { getErrorFromGraphqlException } from '../../../lib/errors';
 import { API_V2_CONTEXT, gqlV2 } from '../../../lib/graphql/helpers';
@@ -372,7 +373,7 @@ const memberFieldsFragment = gqlV2/* GraphQL */ `
 `;
 
 export const coreContributorsQuery = gqlV2/* GraphQL */ `
-  query CoreContributors($collectiveSlug: String!, $account: AccountReferenceInput!) {
+  query CoreContributors($collectiveSlug: String!, $account: AccountReferenceInput!, $roles: [MemberRole]) {
     account(slug: $collectiveSlug) {
       id
       parentAccount {
@@ -381,7 +382,7 @@ export const coreContributorsQuery = gqlV2/* GraphQL */ `
         type
         name
       }
-      members(role: [ADMIN, MEMBER, ACCOUNTANT], limit: 100) {
+      members(role: $roles, limit: 100) {
         nodes {
           ...MemberFields
         }
@@ -408,10 +409,16 @@ export const coreContributorsQuery = gqlV2/* GraphQL */ `
   ${memberFieldsFragment}
 `;
 
+export const getCoreContributorsQueryVariables = collectiveSlug => ({
+  collectiveSlug,
+  account: { slug: collectiveSlug },
+  roles: getTeamMemberRoles(),
+});
+
 const addCoreContributorsData = graphql(coreContributorsQuery, {
   options: props => ({
     fetchPolicy: 'network-only',
-    variables: { collectiveSlug: props.collective.slug, account: { slug: props.collective.slug } },
+    variables: getCoreContributorsQueryVariables(props.collective.slug),
     context: API_V2_CONTEXT,
   }),
 });
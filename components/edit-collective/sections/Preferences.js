@@ -0,0 +1,93 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { FormattedMessage, useIntl } from 'react-intl';
+
+import { Currency } from '../../../lib/constants/currency';
+
+import { useDisplayCurrency } from '../../DisplayCurrencyProvider';
+import { Box } from '../../Grid';
+import StyledButton from '../../StyledButton';
+import StyledInputField from '../../StyledInputField';
+import StyledSelect from '../../StyledSelect';
+import { TOAST_TYPE, useToasts } from '../../ToastProvider';
+import SettingsTitle from '../SettingsTitle';
+
+const getCurrencyOptions = intl => {
+  const originalCurrencyOption = {
+    value: '',
+    label: intl.formatMessage({ id: 'Preferences.OriginalCurrency', defaultMessage: 'Original currency' }),
+  };
+
+  return [originalCurrencyOption, ...Currency.map(currency => ({ value: currency, label: currency }))];
+};
+
+/**
+ * Personal preferences of the user, stored in this browser.
+ */
+const Preferences = ({ contentOnly }) => {
+  const intl = useIntl();
+  const { addToast } = useToasts();
+  const { displayCurrency: savedDisplayCurrency, setDisplayCurrency: saveDisplayCurrency } = useDisplayCurrency();
+  const currencyOptions = React.useMemo(() => getCurrencyOptions(intl), [intl]);
+  const [displayCurrency, setDisplayCurrency] = React.useState(savedDisplayCurrency || '');
+
+  React.useEffect(() => {
+    setDisplayCurrency(savedDisplayCurrency || '');
+  }, [savedDisplayCurrency]);
+
+  const save = () => {
+    saveDisplayCurrency(displayCurrency);
+    addToast({
+      type: TOAST_TYPE.SUCCESS,
+      message: <FormattedMessage id="Preferences.Saved" defaultMessage="Preferences saved" />,
+    });
+  };
+
+  return (
+    <Box>
+      <SettingsTitle contentOnly={contentOnly}>
+        <FormattedMessage id="editCollective.menu.preferences" defaultMessage="Preferences" />
+      </SettingsTitle>
+      <StyledInputField
+        name="displayCurrency"
+        htmlFor="displayCurrency"
+        maxWidth={300}
+        mt={3}
+        label={<FormattedMessage id="Preferences.DisplayCurrency" defaultMessage="Display currency" />}
+        hint={
+          <FormattedMessage
+            id="Preferences.DisplayCurrency.Help"
+            defaultMessage="Budgets, transactions and expenses will be converted to this currency. The original amount is always available when hovering the converted one."
+          />
+        }
+      >
+        {inputProps => (
+          <StyledSelect
+            {...inputProps}
+            inputId="displayCurrency"
+            options={currencyOptions}
+            value={currencyOptions.find(option => option.value === displayCurrency)}
+            onChange={({ value }) => setDisplayCurrency(value)}
+          />
+        )}
+      </StyledInputField>
+      <StyledButton
+        mt={4}
+        buttonStyle="primary"
+        buttonSize="small"
+        minWidth={125}
+        disabled={displayCurrency === (savedDisplayCurrency || '')}
+        onClick={save}
+        data-cy="save-preferences"
+      >
+        <FormattedMessage id="save" defaultMessage="Save" />
+      </StyledButton>
+    </Box>
+  );
+};
+
+Preferences.propTypes = {
+  contentOnly: PropTypes.bool,
+};
+
+export default Preferences;
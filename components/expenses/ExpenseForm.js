@@ -14,6 +14,7 @@ import { requireFields } from '../../lib/form-utils';
 import { flattenObjectDeep } from '../../lib/utils';
 
 import ConfirmationModal from '../ConfirmationModal';
+import DraftRestorePrompt from '../DraftRestorePrompt';
 import { Box, Flex } from '../Grid';
 import { serializeAddress } from '../I18nAddressFields';
 import PrivateInfoIcon from '../icons/PrivateInfoIcon';
@@ -186,6 +187,9 @@ const STEPS = {
   EXPENSE: 'EXPENSE',
 };
 
+/** Bump this when the shape of the form values changes, to discard the incompatible drafts */
+export const EXPENSE_FORM_DRAFT_VERSION = 1;
+
 const ExpenseFormBody = ({
   formik,
   payoutProfiles,
@@ -222,6 +226,7 @@ const ExpenseFormBody = ({
   // Only true when logged in and drafting the expense
   const [isOnBehalf, setOnBehalf] = React.useState(false);
   const [showResetModal, setShowResetModal] = React.useState(false);
+  const [draft, setDraft] = React.useState(null);
 
   // Scroll to top when step changes
   React.useEffect(() => {
@@ -276,32 +281,39 @@ const ExpenseFormBody = ({
     }
   }, [values.payeeLocation]);
 
-  // Load values from localstorage
+  // Look for a draft in localstorage
   React.useEffect(() => {
     if (shouldLoadValuesFromPersister && formPersister && !dirty) {
-      const formValues = formPersister.loadValues();
-      if (formValues) {
-        // Reset payoutMethod if host is no longer connected to TransferWise
-        if (formValues.payoutMethod?.type === PayoutMethodType.BANK_ACCOUNT && !collective.host?.transferwise) {
-          formValues.payoutMethod = undefined;
-        }
-        setValues(
-          omit(
-            formValues,
-            // Omit deprecated fields, otherwise it will prevent expense submission
-            ['location', 'privateInfo'],
-          ),
-        );
-      }
+      setDraft(formPersister.loadDraft());
+    }
+  }, [formPersister]);
+
+  const restoreDraft = formValues => {
+    // Reset payoutMethod if host is no longer connected to TransferWise
+    if (formValues.payoutMethod?.type === PayoutMethodType.BANK_ACCOUNT && !collective.host?.transferwise) {
+      formValues.payoutMethod = undefined;
     }
-  }, [formPersister, dirty]);
+    setValues(
+      omit(
+        formValues,
+        // Omit deprecated fields, otherwise it will prevent expense submission
+        ['location', 'privateInfo'],
+      ),
+    );
+    setDraft(null);
+  };
+
+  const discardDraft = () => {
+    formPersister.clearValues();
+    setDraft(null);
+  };
 
-  // Save values in localstorage
+  // Save values in localstorage. Not done while the user hasn't decided what to do with the existing draft.
   React.useEffect(() => {
-    if (dirty && formPersister) {
+    if (dirty && formPersister && !draft) {
       formPersister.saveValues(values);
     }
-  }, [formPersister, dirty, values]);
+  }, [formPersister, dirty, values, draft]);
 
   let payeeForm;
   if (loading) {
@@ -363,6 +375,7 @@ const ExpenseFormBody = ({
 
   return (
     <Form>
+      {draft && <DraftRestorePrompt draft={draft} onRestore={restoreDraft} onDiscard={discardDraft} mb={4} />}
       {!isCreditCardCharge && (
         <ExpenseTypeRadioSelect
           name="type"
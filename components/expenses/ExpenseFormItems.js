@@ -1,12 +1,13 @@
 import React from 'react';
 import PropTypes from 'prop-types';
-import { isEmpty } from 'lodash';
+import { escape, isEmpty, omit } from 'lodash';
 import { FormattedMessage, injectIntl } from 'react-intl';
 import { v4 as uuid } from 'uuid';
 
 import expenseTypes from '../../lib/constants/expenseTypes';
 import { toIsoDateStr } from '../../lib/date-utils';
 import { formatErrorMessage } from '../../lib/errors';
+import { parseReceipt } from '../../lib/receipt-parsing';
 import { attachmentDropzoneParams, attachmentRequiresFile } from './lib/attachments';
 
 import Container from '../Container';
@@ -30,9 +31,6 @@ const newExpenseItem = attrs => ({
   ...attrs,
 });
 
-/** Converts a list of filenames to expense item objects */
-const filesListToItems = files => files.map(({ url }) => newExpenseItem({ url }));
-
 /** Helper to add a new item to the form */
 export const addNewExpenseItem = (formik, defaultValues) => {
   formik.setFieldValue('items', [...(formik.values.items || []), newExpenseItem(defaultValues)]);
@@ -51,10 +49,12 @@ class ExpenseFormItems extends React.PureComponent {
       values: PropTypes.object.isRequired,
       touched: PropTypes.object,
       errors: PropTypes.object,
+      setFieldValue: PropTypes.func,
     }).isRequired,
   };
 
-  state = { uploadErrors: null };
+  /** `receiptSuggestions` stores the data extracted from the receipts, indexed by item id, until they are confirmed */
+  state = { uploadErrors: null, receiptSuggestions: {} };
 
   componentDidMount() {
     const { values } = this.props.form;
@@ -89,9 +89,48 @@ class ExpenseFormItems extends React.PureComponent {
     const idx = this.props.form.values.items.findIndex(a => a.id === item.id);
     if (idx !== -1) {
       this.props.remove(idx);
+      this.dismissReceiptSuggestions(item);
     }
   };
 
+  addItemsFromFiles = files => {
+    const receiptSuggestions = {};
+    files.forEach(({ url, parsingResult }) => {
+      const item = newExpenseItem({ url });
+      this.props.push(item);
+      if (parsingResult) {
+        receiptSuggestions[item.id] = parsingResult;
+      }
+    });
+
+    this.setState(state => ({ receiptSuggestions: { ...state.receiptSuggestions, ...receiptSuggestions } }));
+  };
+
+  setReceiptSuggestions = (item, parsingResult) => {
+    this.setState(state => ({
+      receiptSuggestions: parsingResult
+        ? { ...state.receiptSuggestions, [item.id]: parsingResult }
+        : omit(state.receiptSuggestions, [item.id]),
+    }));
+  };
+
+  dismissReceiptSuggestions = item => {
+    this.setReceiptSuggestions(item, null);
+  };
+
+  applyReceiptSuggestions = (item, values) => {
+    const { form } = this.props;
+    const idx = form.values.items.findIndex(a => a.id === item.id);
+    if (idx !== -1) {
+      Object.entries(values).forEach(([field, value]) => {
+        // Descriptions are stored escaped, see `ExpenseItemForm`
+        form.setFieldValue(`items[${idx}].${field}`, field === 'description' ? escape(value) : value);
+      });
+    }
+
+    this.dismissReceiptSuggestions(item);
+  };
+
   renderErrors() {
     const { uploadErrors } = this.state;
     if (!uploadErrors?.length) {
@@ -129,7 +168,8 @@ class ExpenseFormItems extends React.PureComponent {
           <StyledDropzone
             {...attachmentDropzoneParams}
             data-cy="expense-multi-attachments-dropzone"
-            onSuccess={files => filesListToItems(files).map(this.props.push)}
+            onSuccess={this.addItemsFromFiles}
+            parseFile={parseReceipt}
             onReject={uploadErrors => this.setState({ uploadErrors })}
             mockImageGenerator={index => `https://loremflickr.com/120/120/invoice?lock=${index}`}
             mb={3}
@@ -141,6 +181,12 @@ class ExpenseFormItems extends React.PureComponent {
                 values={{ 'i18n-bold': I18nBold }}
               />
             </P>
+            <P color="black.600" fontSize="11px" mt={1} px={2}>
+              <FormattedMessage
+                id="ReceiptParsing.Limitations"
+                defaultMessage="Details are suggested from the file name and the text of PDF receipts. Scanned receipts and photos are not read."
+              />
+            </P>
           </StyledDropzone>
         </React.Fragment>
       );
@@ -164,6 +210,10 @@ class ExpenseFormItems extends React.PureComponent {
             onUploadError={e => this.setState({ uploadErrors: [e] })}
             isOptional={values.payee?.isInvite}
             editOnlyDescriptiveInfo={isCreditCardCharge}
+            receiptSuggestions={this.state.receiptSuggestions[attachment.id]}
+            onReceiptParsed={this.setReceiptSuggestions}
+            onApplyReceiptSuggestions={this.applyReceiptSuggestions}
+            onDismissReceiptSuggestions={this.dismissReceiptSuggestions}
           />
         ))}
         <Flex alignItems="center" my={3}>
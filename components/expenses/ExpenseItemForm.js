@@ -8,6 +8,7 @@ import { isURL } from 'validator';
 import expenseTypes from '../../lib/constants/expenseTypes';
 import { createError, ERROR } from '../../lib/errors';
 import { formatFormErrorMessage, requireFields } from '../../lib/form-utils';
+import { parseReceipt } from '../../lib/receipt-parsing';
 import { attachmentDropzoneParams, attachmentRequiresFile } from './lib/attachments';
 
 import { Box, Flex } from '../Grid';
@@ -21,6 +22,8 @@ import StyledInputAmount from '../StyledInputAmount';
 import StyledInputField from '../StyledInputField';
 import { Span } from '../Text';
 
+import ReceiptSuggestions from './ReceiptSuggestions';
+
 export const msg = defineMessages({
   previewImgAlt: {
     id: 'ExpenseReceiptImagePreview.Alt',
@@ -103,6 +106,10 @@ const ExpenseItemForm = ({
   name,
   isOptional,
   editOnlyDescriptiveInfo,
+  receiptSuggestions,
+  onReceiptParsed,
+  onApplyReceiptSuggestions,
+  onDismissReceiptSuggestions,
 }) => {
   const intl = useIntl();
   const { formatMessage } = intl;
@@ -135,7 +142,11 @@ const ExpenseItemForm = ({
                     error={
                       meta.error?.type === ERROR.FORM_FIELD_REQUIRED ? formatMessage(msg.receiptRequired) : meta.error
                     }
-                    onSuccess={({ url }) => form.setFieldValue(field.name, url)}
+                    onSuccess={({ url, parsingResult }) => {
+                      form.setFieldValue(field.name, url);
+                      onReceiptParsed?.(attachment, parsingResult);
+                    }}
+                    parseFile={onReceiptParsed && !editOnlyDescriptiveInfo ? parseReceipt : undefined}
                     mockImageGenerator={() => `https://loremflickr.com/120/120/invoice?lock=${attachmentKey}`}
                     fontSize="13px"
                     size={[84, 112]}
@@ -240,6 +251,14 @@ const ExpenseItemForm = ({
           </Flex>
         </Box>
       </Flex>
+      {receiptSuggestions && !editOnlyDescriptiveInfo && (
+        <ReceiptSuggestions
+          suggestions={receiptSuggestions}
+          currency={currency}
+          onApply={values => onApplyReceiptSuggestions(attachment, values)}
+          onDismiss={() => onDismissReceiptSuggestions(attachment)}
+        />
+      )}
       <Flex alignItems="center" mt={3}>
         {onRemove && !editOnlyDescriptiveInfo && (
           <StyledButton
@@ -287,6 +306,13 @@ ExpenseItemForm.propTypes = {
     amount: PropTypes.number,
   }).isRequired,
   editOnlyDescriptiveInfo: PropTypes.bool,
+  /** Data extracted from the receipt (see `parseReceipt`), waiting for the user to confirm */
+  receiptSuggestions: PropTypes.object,
+  /** If set, the uploaded receipts will be parsed and the result passed to this function */
+  onReceiptParsed: PropTypes.func,
+  /** Called with the item and the values to set when the user confirms the suggestions */
+  onApplyReceiptSuggestions: PropTypes.func,
+  onDismissReceiptSuggestions: PropTypes.func,
 };
 
 ExpenseItemForm.defaultProps = {
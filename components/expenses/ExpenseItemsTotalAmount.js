@@ -7,12 +7,21 @@ import { Span } from '../Text';
 /**
  * Displays the total amount for all the expense items.
  */
-const ExpenseItemsTotalAmount = ({ items, currency }) => {
+const ExpenseItemsTotalAmount = ({ items, currency, convertToDisplayCurrency }) => {
   const totalAmount = items.reduce((amount, attachment) => amount + (attachment.amount || 0), 0);
   const isValid = items.every(item => item.amount);
   return (
     <Span color="black.500" fontSize="16px" letterSpacing={0} data-cy="expense-items-total-amount">
-      {isValid ? <FormattedMoneyAmount amount={totalAmount} precision={2} currency={currency} /> : '--.--'}
+      {isValid ? (
+        <FormattedMoneyAmount
+          amount={totalAmount}
+          precision={2}
+          currency={currency}
+          convertToDisplayCurrency={convertToDisplayCurrency}
+        />
+      ) : (
+        '--.--'
+      )}
     </Span>
   );
 };
@@ -26,6 +35,8 @@ ExpenseItemsTotalAmount.propTypes = {
       amount: PropTypes.number,
     }),
   ).isRequired,
+  /** Whether to convert the total to the display currency picked by the user */
+  convertToDisplayCurrency: PropTypes.bool,
 };
 
 export default ExpenseItemsTotalAmount;
@@ -234,6 +234,7 @@ const ExpenseSummary = ({
                       currency={expense.currency}
                       amountStyles={{ ...DEFAULT_AMOUNT_STYLES, fontWeight: '500' }}
                       precision={2}
+                      convertToDisplayCurrency
                     />
                   </P>
                 </Flex>
@@ -251,7 +252,7 @@ const ExpenseSummary = ({
           {isLoading ? (
             <LoadingPlaceholder height={18} width={100} />
           ) : (
-            <ExpenseItemsTotalAmount currency={expense.currency} items={expenseItems} />
+            <ExpenseItemsTotalAmount currency={expense.currency} items={expenseItems} convertToDisplayCurrency />
           )}
         </Flex>
       </Flex>
@@ -14,7 +14,7 @@ import { TOAST_TYPE, useToasts } from '../ToastProvider';
 
 import ExpenseTypeTag from './ExpenseTypeTag';
 
-const editExpenseTagsMutation = gqlV2/* GraphQL */ `
+export const editExpenseTagsMutation = gqlV2/* GraphQL */ `
   mutation EditExpenseTags($id: String!, $tags: [String!]!) {
     editExpense(expense: { id: $id, tags: $tags }) {
       id
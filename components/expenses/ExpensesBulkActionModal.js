@@ -0,0 +1,251 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { useMutation } from '@apollo/client';
+import { CheckCircle } from '@styled-icons/feather/CheckCircle';
+import { XCircle } from '@styled-icons/feather/XCircle';
+import { FormattedMessage, useIntl } from 'react-intl';
+
+import { getTotalAmountsByCurrency, runBulkAction } from '../../lib/bulk-actions';
+import { i18nGraphqlException } from '../../lib/errors';
+import { API_V2_CONTEXT } from '../../lib/graphql/helpers';
+import {
+  EXPENSE_BULK_ACTION,
+  getProcessExpenseVariables,
+  mergeTags,
+  splitExpensesForBulkAction,
+} from './lib/bulk-actions';
+
+import Container from '../Container';
+import FormattedMoneyAmount from '../FormattedMoneyAmount';
+import { Box, Flex } from '../Grid';
+import MessageBox from '../MessageBox';
+import StyledButton from '../StyledButton';
+import StyledInputTags from '../StyledInputTags';
+import StyledModal, { ModalBody, ModalFooter, ModalHeader } from '../StyledModal';
+import StyledProgressBar from '../StyledProgressBar';
+import { H4, P, Span } from '../Text';
+
+import { editExpenseTagsMutation } from './ExpenseTags';
+import { processExpenseMutation } from './ProcessExpenseButtons';
+
+export const BulkActionLabel = ({ action }) => {
+  switch (action) {
+    case EXPENSE_BULK_ACTION.APPROVE:
+      return <FormattedMessage id="actions.approve" defaultMessage="Approve" />;
+    case EXPENSE_BULK_ACTION.REJECT:
+      return <FormattedMessage id="actions.reject" defaultMessage="Reject" />;
+    case EXPENSE_BULK_ACTION.UNAPPROVE:
+      return <FormattedMessage id="expense.unapprove.btn" defaultMessage="Unapprove" />;
+    case EXPENSE_BULK_ACTION.MARK_AS_PAID:
+      return <FormattedMessage id="expense.markAsPaid" defaultMessage="Mark as paid" />;
+    case EXPENSE_BULK_ACTION.SCHEDULE_FOR_PAYMENT:
+      return <FormattedMessage id="ExpensesBulkActions.ScheduleForPayment" defaultMessage="Schedule for payment" />;
+    case EXPENSE_BULK_ACTION.ADD_TAGS:
+      return <FormattedMessage id="ExpensesBulkActions.AddTags" defaultMessage="Add tags" />;
+    default:
+      return action;
+  }
+};
+
+BulkActionLabel.propTypes = {
+  action: PropTypes.oneOf(Object.values(EXPENSE_BULK_ACTION)).isRequired,
+};
+
+const STEP = { CONFIRM: 'CONFIRM', PROCESSING: 'PROCESSING', DONE: 'DONE' };
+
+/**
+ * Confirms and runs an action on multiple expenses, then displays a report with the result for each of them.
+ */
+const ExpensesBulkActionModal = ({ action, expenses, host, suggestedTags, onClose }) => {
+  const intl = useIntl();
+  const [step, setStep] = React.useState(STEP.CONFIRM);
+  const [progress, setProgress] = React.useState(0);
+  const [results, setResults] = React.useState(null);
+  const [tags, setTags] = React.useState([]);
+  const [processExpense] = useMutation(processExpenseMutation, { context: API_V2_CONTEXT });
+  const [editTags] = useMutation(editExpenseTagsMutation, { context: API_V2_CONTEXT });
+  const { eligible, skipped } = React.useMemo(
+    () => splitExpensesForBulkAction(expenses, action, host),
+    [expenses, action, host],
+  );
+
+  const totals = getTotalAmountsByCurrency(eligible);
+  const failures = results?.filter(result => !result.success) || [];
+  const isAddingTags = action === EXPENSE_BULK_ACTION.ADD_TAGS;
+
+  const submit = async () => {
+    setStep(STEP.PROCESSING);
+    const processFn = expense => {
+      if (isAddingTags) {
+        return editTags({ variables: { id: expense.id, tags: mergeTags(expense, tags) } });
+      } else {
+        return processExpense({ variables: getProcessExpenseVariables(expense, action) });
+      }
+    };
+
+    const results = await runBulkAction(eligible, processFn, nbProcessed => setProgress(nbProcessed / eligible.length));
+    setResults(results);
+    setStep(STEP.DONE);
+  };
+
+  const close = () => {
+    if (step !== STEP.PROCESSING) {
+      onClose(results);
+    }
+  };
+
+  return (
+    <StyledModal show width="570px" onClose={close} trapFocus>
+      <ModalHeader onClose={close} hideCloseIcon={step === STEP.PROCESSING}>
+        <H4 fontSize="20px" fontWeight="700">
+          <BulkActionLabel action={action} />
+        </H4>
+      </ModalHeader>
+      <ModalBody>
+        {step === STEP.CONFIRM && (
+          <React.Fragment>
+            <P mb={3}>
+              <FormattedMessage
+                id="ExpensesBulkActions.Summary"
+                defaultMessage="This action will be applied to {count, plural, one {# expense} other {# expenses}}."
+                values={{ count: eligible.length }}
+              />
+            </P>
+            {!isAddingTags && totals.length > 0 && (
+              <Container border="1px solid" borderColor="black.300" borderRadius="8px" p={3} mb={3}>
+                {totals.map(({ currency, amount, count }) => (
+                  <Flex key={currency} justifyContent="space-between" py={1} data-cy={`bulk-total-${currency}`}>
+                    <Span color="black.700">
+                      <FormattedMessage
+                        id="ExpensesBulkActions.ExpensesInCurrency"
+                        defaultMessage="{count, plural, one {# expense} other {# expenses}} in {currency}"
+                        values={{ count, currency }}
+                      />
+                    </Span>
+                    <Span fontWeight="bold">
+                      <FormattedMoneyAmount amount={amount} currency={currency} />
+                    </Span>
+                  </Flex>
+                ))}
+              </Container>
+            )}
+            {isAddingTags && (
+              <Box mb={3}>
+                <StyledInputTags
+                  suggestedTags={suggestedTags}
+                  value={tags}
+                  onChange={t => setTags(t.map(tag => tag.value))}
+                />
+              </Box>
+            )}
+            {skipped.length > 0 && (
+              <MessageBox type="warning" withIcon fontSize="13px">
+                <FormattedMessage
+                  id="ExpensesBulkActions.Skipped"
+                  defaultMessage="{count, plural, one {# selected expense} other {# selected expenses}} will be skipped because this action is not available for them."
+                  values={{ count: skipped.length }}
+                />
+              </MessageBox>
+            )}
+          </React.Fragment>
+        )}
+        {step === STEP.PROCESSING && (
+          <Box py={3}>
+            <StyledProgressBar percentage={progress} height={8} />
+            <P fontSize="12px" color="black.700" mt={2}>
+              <FormattedMessage
+                id="ExpensesBulkActions.Processing"
+                defaultMessage="Processing {processed} of {total}..."
+                values={{ processed: Math.round(progress * eligible.length), total: eligible.length }}
+              />
+            </P>
+          </Box>
+        )}
+        {step === STEP.DONE && (
+          <React.Fragment>
+            <MessageBox type={failures.length ? 'warning' : 'success'} withIcon mb={3} fontSize="13px">
+              <FormattedMessage
+                id="ExpensesBulkActions.Report"
+                defaultMessage="{successCount, plural, one {# expense} other {# expenses}} processed successfully, {failureCount, plural, one {# failure} other {# failures}}."
+                values={{ successCount: results.length - failures.length, failureCount: failures.length }}
+              />
+            </MessageBox>
+            <Container maxHeight={300} overflowY="auto" data-cy="bulk-action-report">
+              {results.map(({ item: expense, success, error }) => (
+                <Container
+                  key={expense.id}
+                  display="flex"
+                  alignItems="flex-start"
+                  py={2}
+                  borderBottom="1px solid #e6e8eb"
+                >
+                  <Box mr={2} color={success ? 'green.500' : 'red.500'}>
+                    {success ? <CheckCircle size={16} /> : <XCircle size={16} />}
+                  </Box>
+                  <Box flex="1 1">
+                    <P fontSize="13px" fontWeight="500">
+                      #{expense.legacyId} - {expense.description}
+                    </P>
+                    {error && (
+                      <P fontSize="12px" color="red.700" mt={1}>
+                        {i18nGraphqlException(intl, error)}
+                      </P>
+                    )}
+                  </Box>
+                  <Span fontSize="13px" ml={2}>
+                    <FormattedMoneyAmount amount={expense.amount} currency={expense.currency} />
+                  </Span>
+                </Container>
+              ))}
+            </Container>
+          </React.Fragment>
+        )}
+      </ModalBody>
+      <ModalFooter>
+        <Flex justifyContent="flex-end">
+          {step === STEP.DONE ? (
+            <StyledButton buttonStyle="primary" minWidth={120} onClick={close} data-cy="bulk-action-close">
+              <FormattedMessage id="Close" defaultMessage="Close" />
+            </StyledButton>
+          ) : (
+            <React.Fragment>
+              <StyledButton mr={2} minWidth={120} onClick={close} disabled={step === STEP.PROCESSING}>
+                <FormattedMessage id="actions.cancel" defaultMessage="Cancel" />
+              </StyledButton>
+              <StyledButton
+                buttonStyle={action === EXPENSE_BULK_ACTION.REJECT ? 'danger' : 'primary'}
+                minWidth={120}
+                onClick={submit}
+                loading={step === STEP.PROCESSING}
+                disabled={!eligible.length || (isAddingTags && !tags.length)}
+                data-cy="bulk-action-confirm"
+              >
+                <FormattedMessage id="confirm" defaultMessage="Confirm" />
+              </StyledButton>
+            </React.Fragment>
+          )}
+        </Flex>
+      </ModalFooter>
+    </StyledModal>
+  );
+};
+
+ExpensesBulkActionModal.propTypes = {
+  action: PropTypes.oneOf(Object.values(EXPENSE_BULK_ACTION)).isRequired,
+  expenses: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      legacyId: PropTypes.number,
+      amount: PropTypes.number,
+      currency: PropTypes.string,
+      tags: PropTypes.arrayOf(PropTypes.string),
+      permissions: PropTypes.object,
+    }),
+  ).isRequired,
+  host: PropTypes.object,
+  suggestedTags: PropTypes.arrayOf(PropTypes.string),
+  /** Called with the results of the action, or null if it was cancelled */
+  onClose: PropTypes.func.isRequired,
+};
+
+export default ExpensesBulkActionModal;
@@ -0,0 +1,113 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { FormattedMessage } from 'react-intl';
+import styled from 'styled-components';
+
+import { EXPENSE_BULK_ACTION, splitExpensesForBulkAction } from './lib/bulk-actions';
+
+import { Flex } from '../Grid';
+import StyledButton from '../StyledButton';
+import { Span } from '../Text';
+
+import ExpensesBulkActionModal, { BulkActionLabel } from './ExpensesBulkActionModal';
+
+const StickyBar = styled(Flex)`
+  position: sticky;
+  bottom: 16px;
+  z-index: 10;
+  background: white;
+  border: 1px solid #dcdee0;
+  border-radius: 12px;
+  box-shadow: 0px 4px 12px rgba(20, 20, 20, 0.16);
+`;
+
+const ACTIONS = [
+  EXPENSE_BULK_ACTION.APPROVE,
+  EXPENSE_BULK_ACTION.UNAPPROVE,
+  EXPENSE_BULK_ACTION.REJECT,
+  EXPENSE_BULK_ACTION.SCHEDULE_FOR_PAYMENT,
+  EXPENSE_BULK_ACTION.MARK_AS_PAID,
+  EXPENSE_BULK_ACTION.ADD_TAGS,
+];
+
+/**
+ * A sticky bar displayed at the bottom of the expenses list when some expenses are selected,
+ * to trigger an action on all of them at once.
+ */
+const ExpensesBulkActionsBar = ({ selectedExpenses, host, suggestedTags, onClearSelection, onActionComplete }) => {
+  const [selectedAction, setSelectedAction] = React.useState(null);
+  if (!selectedExpenses.length) {
+    return null;
+  }
+
+  return (
+    <React.Fragment>
+      <StickyBar
+        mt={3}
+        px={3}
+        py={2}
+        alignItems="center"
+        justifyContent="space-between"
+        flexWrap="wrap"
+        data-cy="expenses-bulk-actions-bar"
+      >
+        <Flex alignItems="center" my={1}>
+          <Span fontSize="14px" fontWeight="500" mr={2}>
+            <FormattedMessage
+              id="ExpensesBulkActions.Selected"
+              defaultMessage="{count, plural, one {# expense} other {# expenses}} selected"
+              values={{ count: selectedExpenses.length }}
+            />
+          </Span>
+          <StyledButton buttonSize="tiny" isBorderless onClick={onClearSelection} data-cy="bulk-clear-selection">
+            <FormattedMessage id="ExpensesBulkActions.ClearSelection" defaultMessage="Clear selection" />
+          </StyledButton>
+        </Flex>
+        <Flex flexWrap="wrap" justifyContent="flex-end">
+          {ACTIONS.map(action => {
+            const { eligible } = splitExpensesForBulkAction(selectedExpenses, action, host);
+            return (
+              <StyledButton
+                key={action}
+                buttonSize="tiny"
+                buttonStyle={action === EXPENSE_BULK_ACTION.REJECT ? 'dangerSecondary' : 'standard'}
+                m={1}
+                disabled={!eligible.length}
+                onClick={() => setSelectedAction(action)}
+                data-cy={`bulk-action-${action}`}
+              >
+                <BulkActionLabel action={action} />
+                {eligible.length > 0 && eligible.length !== selectedExpenses.length && ` (${eligible.length})`}
+              </StyledButton>
+            );
+          })}
+        </Flex>
+      </StickyBar>
+      {selectedAction && (
+        <ExpensesBulkActionModal
+          action={selectedAction}
+          expenses={selectedExpenses}
+          host={host}
+          suggestedTags={suggestedTags}
+          onClose={results => {
+            setSelectedAction(null);
+            if (results) {
+              onActionComplete(results);
+            }
+          }}
+        />
+      )}
+    </React.Fragment>
+  );
+};
+
+ExpensesBulkActionsBar.propTypes = {
+  selectedExpenses: PropTypes.arrayOf(PropTypes.object).isRequired,
+  host: PropTypes.object,
+  suggestedTags: PropTypes.arrayOf(PropTypes.string),
+  onClearSelection: PropTypes.func.isRequired,
+  /** Called with the list of results once an action has been run */
+  onActionComplete: PropTypes.func.isRequired,
+};
+
+export default ExpensesBulkActionsBar;
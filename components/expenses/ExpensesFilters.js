@@ -4,10 +4,12 @@ import { FormattedMessage } from 'react-intl';
 import styled from 'styled-components';
 
 import { encodeDateInterval } from '../../lib/date-utils';
+import { SAVED_VIEWS_PAGE } from '../../lib/saved-views';
 
 import AmountFilter from '../budget/filters/AmountFilter';
 import PeriodFilter from '../budget/filters/PeriodFilter';
 import { Flex } from '../Grid';
+import SavedFilterViews from '../SavedFilterViews';
 
 import ExpensesPayoutTypeFilter from './filters/ExpensesPayoutTypeFilter';
 import ExpensesStatusFilter from './filters/ExpensesStatusFilter';
@@ -72,6 +74,12 @@ const ExpensesFilters = ({ collective, filters, onChange }) => {
         </FilterLabel>
         <ExpensesStatusFilter {...getFilterProps('status')} />
       </FilterContainer>
+      <FilterContainer>
+        <FilterLabel htmlFor={`saved-views-${SAVED_VIEWS_PAGE.EXPENSES}`}>
+          <FormattedMessage id="SavedViews.Label" defaultMessage="Views" />
+        </FilterLabel>
+        <SavedFilterViews page={SAVED_VIEWS_PAGE.EXPENSES} query={filters} onChange={onChange} />
+      </FilterContainer>
     </Flex>
   );
 };
@@ -1,6 +1,6 @@
 import React from 'react';
 import PropTypes from 'prop-types';
-import { sumBy } from 'lodash';
+import { sumBy, without } from 'lodash';
 import FlipMove from 'react-flip-move';
 import { FormattedMessage } from 'react-intl';
 import styled, { css } from 'styled-components';
@@ -11,6 +11,7 @@ import ExpenseBudgetItem from '../budget/ExpenseBudgetItem';
 import FormattedMoneyAmount from '../FormattedMoneyAmount';
 import { Box, Flex } from '../Grid';
 import StyledCard from '../StyledCard';
+import StyledCheckbox from '../StyledCheckbox';
 import { P } from '../Text';
 
 const ExpenseContainer = styled.div`
@@ -21,6 +22,11 @@ const ExpenseContainer = styled.div`
     `}
 `;
 
+const SelectionHeader = styled.div`
+  padding: 12px 16px;
+  border-bottom: 1px solid #e6e8eb;
+`;
+
 const FooterContainer = styled.div`
   padding: 16px 27px;
   border-top: 1px solid #e6e8eb;
@@ -43,14 +49,34 @@ const ExpensesList = ({
   view,
   onDelete,
   onProcess,
+  selectedExpenseIds,
+  onSelectionChange,
 }) => {
   if (!expenses?.length && !isLoading) {
     return null;
   }
 
   const totalAmount = sumBy(expenses, 'amount');
+  const isSelectable = Boolean(onSelectionChange) && !isLoading;
+  const isAllSelected = isSelectable && expenses.every(expense => selectedExpenseIds.includes(expense.id));
+  const toggleExpense = (expense, checked) => {
+    const ids = without(selectedExpenseIds, expense.id);
+    onSelectionChange(checked ? [...ids, expense.id] : ids);
+  };
+
   return (
     <StyledCard>
+      {isSelectable && (
+        <SelectionHeader>
+          <StyledCheckbox
+            name="select-all-expenses"
+            checked={isAllSelected}
+            onChange={({ checked }) => onSelectionChange(checked ? expenses.map(expense => expense.id) : [])}
+            label={<FormattedMessage id="ExpensesList.SelectAll" defaultMessage="Select all" />}
+            fontSize="13px"
+          />
+        </SelectionHeader>
+      )}
       {isLoading ? (
         [...new Array(nbPlaceholders)].map((_, idx) => (
           // eslint-disable-next-line react/no-array-index-key
@@ -62,17 +88,31 @@ const ExpensesList = ({
         <FlipMove enterAnimation="fade" leaveAnimation="fade" disableAllAnimations={DISABLE_ANIMATIONS}>
           {expenses.map((expense, idx) => (
             <ExpenseContainer key={expense.id} isFirst={!idx} data-cy={`expense-${expense.status}`}>
-              <ExpenseBudgetItem
-                isInverted={isInverted}
-                collective={collective || expense.account}
-                expense={expense}
-                host={host}
-                showProcessActions
-                view={view}
-                onDelete={onDelete}
-                onProcess={onProcess}
-                suggestedTags={suggestedTags}
-              />
+              <Flex>
+                {isSelectable && (
+                  <Box pl={3} pt={3}>
+                    <StyledCheckbox
+                      name={`select-expense-${expense.id}`}
+                      checked={selectedExpenseIds.includes(expense.id)}
+                      onChange={({ checked }) => toggleExpense(expense, checked)}
+                      data-cy="expense-select-checkbox"
+                    />
+                  </Box>
+                )}
+                <Box flex="1 1" minWidth={0}>
+                  <ExpenseBudgetItem
+                    isInverted={isInverted}
+                    collective={collective || expense.account}
+                    expense={expense}
+                    host={host}
+                    showProcessActions
+                    view={view}
+                    onDelete={onDelete}
+                    onProcess={onProcess}
+                    suggestedTags={suggestedTags}
+                  />
+                </Box>
+              </Flex>
             </ExpenseContainer>
           ))}
         </FlipMove>
@@ -118,6 +158,10 @@ ExpensesList.propTypes = {
   suggestedTags: PropTypes.arrayOf(PropTypes.string),
   onDelete: PropTypes.func,
   onProcess: PropTypes.func,
+  /** IDs of the selected expenses, when selection is enabled */
+  selectedExpenseIds: PropTypes.arrayOf(PropTypes.string),
+  /** Enables the selection checkboxes. Called with the new list of selected IDs */
+  onSelectionChange: PropTypes.func,
   collective: PropTypes.shape({
     slug: PropTypes.string.isRequired,
     parent: PropTypes.shape({
@@ -137,6 +181,7 @@ ExpensesList.propTypes = {
 ExpensesList.defaultProps = {
   nbPlaceholders: 10,
   view: 'public',
+  selectedExpenseIds: [],
 };
 
 export default ExpensesList;
@@ -21,7 +21,7 @@ import { expensePageExpenseFieldsFragment } from './graphql/fragments';
 import MarkExpenseAsUnpaidButton from './MarkExpenseAsUnpaidButton';
 import PayExpenseButton from './PayExpenseButton';
 
-const processExpenseMutation = gqlV2/* GraphQL */ `
+export const processExpenseMutation = gqlV2/* GraphQL */ `
   mutation ProcessExpense(
     $id: String
     $legacyId: Int
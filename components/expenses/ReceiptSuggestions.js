@@ -0,0 +1,171 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { FormattedDate, FormattedMessage } from 'react-intl';
+
+import { CONFIDENCE } from '../../lib/receipt-parsing';
+
+import Container from '../Container';
+import FormattedMoneyAmount from '../FormattedMoneyAmount';
+import { Box, Flex } from '../Grid';
+import MessageBox from '../MessageBox';
+import StyledButton from '../StyledButton';
+import StyledCheckbox from '../StyledCheckbox';
+import StyledTag from '../StyledTag';
+import { P, Span } from '../Text';
+
+const CONFIDENCE_TAG_TYPES = {
+  [CONFIDENCE.HIGH]: 'success',
+  [CONFIDENCE.MEDIUM]: 'warning',
+  [CONFIDENCE.LOW]: 'error',
+};
+
+const ConfidenceTag = ({ level }) => (
+  <StyledTag type={CONFIDENCE_TAG_TYPES[level]} fontSize="10px" px={1} py={0} textTransform="uppercase">
+    {level === CONFIDENCE.HIGH ? (
+      <FormattedMessage id="ReceiptSuggestions.Confidence.High" defaultMessage="Sure" />
+    ) : level === CONFIDENCE.MEDIUM ? (
+      <FormattedMessage id="ReceiptSuggestions.Confidence.Medium" defaultMessage="Please check" />
+    ) : (
+      <FormattedMessage id="ReceiptSuggestions.Confidence.Low" defaultMessage="Unsure" />
+    )}
+  </StyledTag>
+);
+
+ConfidenceTag.propTypes = {
+  level: PropTypes.oneOf(Object.values(CONFIDENCE)).isRequired,
+};
+
+/** Maps the receipt fields to the fields of the expense items */
+const FIELDS = {
+  merchant: 'description',
+  date: 'incurredAt',
+  amount: 'amount',
+};
+
+const suggestionShape = PropTypes.shape({
+  value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+  level: PropTypes.oneOf(Object.values(CONFIDENCE)).isRequired,
+});
+
+/**
+ * Displays the data extracted from a receipt, with the confidence for each field. Nothing
+ * is filled in the expense item until the user confirms.
+ */
+const ReceiptSuggestions = ({ suggestions, currency, onApply, onDismiss }) => {
+  const hasCurrencyMismatch = Boolean(suggestions.currency && suggestions.currency.value !== currency);
+  const availableFields = Object.keys(FIELDS).filter(field => suggestions[field]);
+  const [selectedFields, setSelectedFields] = React.useState(() =>
+    availableFields.filter(field => {
+      if (field === 'amount' && hasCurrencyMismatch) {
+        return false;
+      } else {
+        return suggestions[field].level !== CONFIDENCE.LOW;
+      }
+    }),
+  );
+
+  const renderValue = field => {
+    const { value } = suggestions[field];
+    if (field === 'amount') {
+      return <FormattedMoneyAmount amount={value} currency={suggestions.currency?.value || currency} />;
+    } else if (field === 'date') {
+      return <FormattedDate value={value} dateStyle="medium" timeZone="UTC" />;
+    } else {
+      return value;
+    }
+  };
+
+  const apply = () => {
+    const values = {};
+    selectedFields.forEach(field => {
+      values[FIELDS[field]] = suggestions[field].value;
+    });
+
+    onApply(values);
+  };
+
+  return (
+    <Container border="1px solid" borderColor="blue.300" bg="blue.50" borderRadius="8px" p={3} mt={2} mb={2}>
+      <P fontSize="13px" fontWeight="500" mb={2}>
+        <FormattedMessage
+          id="ReceiptSuggestions.Title"
+          defaultMessage="We found these details in your receipt. Select the ones you want to use:"
+        />
+      </P>
+      {availableFields.map(field => (
+        <Flex key={field} alignItems="center" py={1} data-cy={`receipt-suggestion-${field}`}>
+          <StyledCheckbox
+            name={`receipt-suggestion-${field}`}
+            checked={selectedFields.includes(field)}
+            onChange={({ checked }) =>
+              setSelectedFields(checked ? [...selectedFields, field] : selectedFields.filter(f => f !== field))
+            }
+            label={
+              <Span fontSize="13px">
+                {field === 'merchant' ? (
+                  <FormattedMessage id="ReceiptSuggestions.Merchant" defaultMessage="Merchant" />
+                ) : field === 'date' ? (
+                  <FormattedMessage id="expense.incurredAt" defaultMessage="Date" />
+                ) : (
+                  <FormattedMessage id="Fields.amount" defaultMessage="Amount" />
+                )}
+                {': '}
+                <Span fontWeight="bold">{renderValue(field)}</Span>
+              </Span>
+            }
+          />
+          <Box ml={2}>
+            <ConfidenceTag level={suggestions[field].level} />
+          </Box>
+        </Flex>
+      ))}
+      {hasCurrencyMismatch && (
+        <MessageBox type="warning" withIcon fontSize="12px" mt={2}>
+          <FormattedMessage
+            id="ReceiptSuggestions.CurrencyMismatch"
+            defaultMessage="This receipt seems to be in {receiptCurrency} but the expense is in {expenseCurrency}. Please convert the amount before using it."
+            values={{ receiptCurrency: suggestions.currency.value, expenseCurrency: currency }}
+          />
+        </MessageBox>
+      )}
+      <P fontSize="11px" color="black.600" mt={2}>
+        <FormattedMessage
+          id="ReceiptParsing.Limitations"
+          defaultMessage="Details are suggested from the file name and the text of PDF receipts. Scanned receipts and photos are not read."
+        />
+      </P>
+      <Flex justifyContent="flex-end" mt={2}>
+        <StyledButton type="button" buttonSize="tiny" mr={2} onClick={onDismiss} data-cy="receipt-suggestions-dismiss">
+          <FormattedMessage id="ReceiptSuggestions.Dismiss" defaultMessage="Ignore" />
+        </StyledButton>
+        <StyledButton
+          type="button"
+          buttonSize="tiny"
+          buttonStyle="primary"
+          disabled={!selectedFields.length}
+          onClick={apply}
+          data-cy="receipt-suggestions-apply"
+        >
+          <FormattedMessage id="ReceiptSuggestions.Apply" defaultMessage="Fill in the selected fields" />
+        </StyledButton>
+      </Flex>
+    </Container>
+  );
+};
+
+ReceiptSuggestions.propTypes = {
+  /** The result of `parseReceipt` */
+  suggestions: PropTypes.shape({
+    amount: suggestionShape,
+    currency: suggestionShape,
+    date: suggestionShape,
+    merchant: suggestionShape,
+  }).isRequired,
+  /** The currency of the expense */
+  currency: PropTypes.string.isRequired,
+  /** Called with the values to set on the item, like `{ description, incurredAt, amount }` */
+  onApply: PropTypes.func.isRequired,
+  onDismiss: PropTypes.func.isRequired,
+};
+
+export default ReceiptSuggestions;
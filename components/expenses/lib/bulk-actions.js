@@ -0,0 +1,64 @@
+import { uniq } from 'lodash';
+
+import { splitItemsForBulkAction } from '../../../lib/bulk-actions';
+
+import { getPayoutOptionValue } from '../PayExpenseModal';
+
+export const EXPENSE_BULK_ACTION = {
+  APPROVE: 'APPROVE',
+  REJECT: 'REJECT',
+  UNAPPROVE: 'UNAPPROVE',
+  MARK_AS_PAID: 'MARK_AS_PAID',
+  SCHEDULE_FOR_PAYMENT: 'SCHEDULE_FOR_PAYMENT',
+  ADD_TAGS: 'ADD_TAGS',
+};
+
+/**
+ * Returns true if `action` can be applied to `expense`, based on the permissions returned by the API.
+ */
+export const canApplyBulkAction = (expense, action, host) => {
+  const permissions = expense.permissions || {};
+  switch (action) {
+    case EXPENSE_BULK_ACTION.APPROVE:
+      return Boolean(permissions.canApprove);
+    case EXPENSE_BULK_ACTION.REJECT:
+      return Boolean(permissions.canReject);
+    case EXPENSE_BULK_ACTION.UNAPPROVE:
+      return Boolean(permissions.canUnapprove);
+    case EXPENSE_BULK_ACTION.MARK_AS_PAID:
+      return Boolean(permissions.canPay);
+    case EXPENSE_BULK_ACTION.SCHEDULE_FOR_PAYMENT: {
+      if (!permissions.canPay || !host) {
+        return false;
+      }
+
+      const payoutOption = getPayoutOptionValue(expense.payoutMethod?.type, true, host);
+      return payoutOption.action === 'SCHEDULE_FOR_PAYMENT';
+    }
+    case EXPENSE_BULK_ACTION.ADD_TAGS:
+      return Boolean(permissions.canEditTags);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Splits `expenses` between the ones `action` can be applied to and the ones that will be skipped.
+ */
+export const splitExpensesForBulkAction = (expenses, action, host) => {
+  return splitItemsForBulkAction(expenses, expense => canApplyBulkAction(expense, action, host));
+};
+
+/**
+ * Returns the variables to pass to the `processExpense` mutation for `action`.
+ */
+export const getProcessExpenseVariables = (expense, action) => {
+  const variables = { id: expense.id, legacyId: expense.legacyId };
+  if (action === EXPENSE_BULK_ACTION.MARK_AS_PAID) {
+    return { ...variables, action: 'PAY', paymentParams: { forceManual: true } };
+  } else {
+    return { ...variables, action };
+  }
+};
+
+export const mergeTags = (expense, tags) => uniq([...(expense.tags || []), ...tags]);
@@ -0,0 +1,194 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { gql, useApolloClient, useQuery } from '@apollo/client';
+import { Printer } from '@styled-icons/feather/Printer';
+import { saveAs } from 'file-saver';
+import { FormattedMessage, useIntl } from 'react-intl';
+
+import { getGiftCardsPDFPayload } from '../../lib/gift-cards';
+import { giftCardsDownloadUrl } from '../../lib/url-helpers';
+
+import Container from '../Container';
+import { Box, Flex } from '../Grid';
+import LoadingPlaceholder from '../LoadingPlaceholder';
+import StyledButton from '../StyledButton';
+import StyledProgressBar from '../StyledProgressBar';
+import { P } from '../Text';
+import { TOAST_TYPE, useToasts } from '../ToastProvider';
+
+/** The PDF service can't render more cards in a single request */
+const MAX_PRINTABLE_CARDS = 300;
+
+const giftCardsBatchPrintQuery = gql`
+  query GiftCardsBatchPrint($CollectiveId: Int, $batch: String, $limit: Int) {
+    Collective(id: $CollectiveId) {
+      id
+      slug
+      name
+      imageUrl
+      createdGiftCards(batch: $batch, limit: $limit) {
+        paymentMethods {
+          id
+          uuid
+          name
+          batch
+          currency
+          initialBalance
+          expiryDate
+          data
+        }
+      }
+    }
+  }
+`;
+
+/** Only the total is used, the API doesn't allow a limit of 0 */
+const giftCardsBatchRedemptionsQuery = gql`
+  query GiftCardsBatchRedemptions($CollectiveId: Int, $batch: String) {
+    Collective(id: $CollectiveId) {
+      id
+      createdGiftCards(batch: $batch, isConfirmed: true, limit: 1) {
+        total
+      }
+    }
+  }
+`;
+
+const BatchPrintButton = ({ collectiveId, collectiveSlug, batch }) => {
+  const intl = useIntl();
+  const client = useApolloClient();
+  const { addToast } = useToasts();
+  const [loading, setLoading] = React.useState(false);
+
+  const downloadBatch = async () => {
+    setLoading(true);
+    try {
+      const { data } = await client.query({
+        query: giftCardsBatchPrintQuery,
+        fetchPolicy: 'network-only',
+        variables: { CollectiveId: collectiveId, batch: batch.name, limit: MAX_PRINTABLE_CARDS },
+      });
+
+      const collective = data.Collective;
+      const filename = `${collectiveSlug}-giftcards-${batch.name}.pdf`;
+      const response = await fetch(giftCardsDownloadUrl(filename), {
+        method: 'POST',
+        headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+        body: JSON.stringify(getGiftCardsPDFPayload(collective.createdGiftCards.paymentMethods, collective)),
+      });
+
+      saveAs(await response.blob(), filename);
+    } catch (e) {
+      addToast({
+        type: TOAST_TYPE.ERROR,
+        message: intl.formatMessage(
+          { id: 'giftCards.batches.printError', defaultMessage: 'Failed to generate the cards: {error}' },
+          { error: e.message },
+        ),
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <StyledButton buttonSize="tiny" loading={loading} onClick={downloadBatch} data-cy="print-gift-cards-batch">
+      <Printer size="1em" />
+      &nbsp;
+      <FormattedMessage id="CreateGiftCardsSuccess.Download" defaultMessage="Download cards" />
+    </StyledButton>
+  );
+};
+
+BatchPrintButton.propTypes = {
+  collectiveId: PropTypes.number.isRequired,
+  collectiveSlug: PropTypes.string.isRequired,
+  batch: PropTypes.shape({ name: PropTypes.string.isRequired }).isRequired,
+};
+
+const BatchRedemptions = ({ collectiveId, batch }) => {
+  const { data, loading } = useQuery(giftCardsBatchRedemptionsQuery, {
+    variables: { CollectiveId: collectiveId, batch: batch.name },
+  });
+
+  const redeemedCount = data?.Collective?.createdGiftCards?.total || 0;
+  return loading ? (
+    <LoadingPlaceholder height={24} />
+  ) : (
+    <React.Fragment>
+      <P fontSize="12px" color="black.700" mb={1}>
+        <FormattedMessage
+          id="giftCards.batches.redeemed"
+          defaultMessage="{redeemedCount} / {count} redeemed"
+          values={{ count: batch.count, redeemedCount }}
+        />
+      </P>
+      <StyledProgressBar percentage={batch.count ? redeemedCount / batch.count : 0} height={6} />
+    </React.Fragment>
+  );
+};
+
+BatchRedemptions.propTypes = {
+  collectiveId: PropTypes.number.isRequired,
+  batch: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    count: PropTypes.number.isRequired,
+  }).isRequired,
+};
+
+/**
+ * Displays the gift cards batches, with their redemption status and an option to print the cards of the batch.
+ */
+const GiftCardsBatchesSummary = ({ batches, collectiveId, collectiveSlug }) => {
+  const namedBatches = batches?.filter(batch => batch.name);
+  if (!namedBatches?.length) {
+    return null;
+  }
+
+  return (
+    <Box mb={4} data-cy="gift-cards-batches-summary">
+      <P fontSize="14px" fontWeight="500" mb={2}>
+        <FormattedMessage id="giftCards.batches.title" defaultMessage="Batches" />
+      </P>
+      {namedBatches.map(batch => (
+        <Container
+          key={batch.id}
+          display="flex"
+          flexWrap="wrap"
+          alignItems="center"
+          py={2}
+          borderBottom="1px solid"
+          borderColor="black.200"
+        >
+          <Box width={[1, 0.35]} pr={2}>
+            <P fontSize="13px" fontWeight="500" wordBreak="break-word">
+              {batch.name}
+            </P>
+          </Box>
+          <Box width={[1, 0.4]} pr={3} my={1}>
+            <BatchRedemptions collectiveId={collectiveId} batch={batch} />
+          </Box>
+          <Flex width={[1, 0.25]} justifyContent={['flex-start', 'flex-end']}>
+            {batch.count <= MAX_PRINTABLE_CARDS && (
+              <BatchPrintButton collectiveId={collectiveId} collectiveSlug={collectiveSlug} batch={batch} />
+            )}
+          </Flex>
+        </Container>
+      ))}
+    </Box>
+  );
+};
+
+GiftCardsBatchesSummary.propTypes = {
+  collectiveId: PropTypes.number.isRequired,
+  collectiveSlug: PropTypes.string.isRequired,
+  batches: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string,
+      count: PropTypes.number.isRequired,
+    }),
+  ),
+};
+
+export default GiftCardsBatchesSummary;
@@ -0,0 +1,193 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Download } from '@styled-icons/feather/Download';
+import { sumBy } from 'lodash';
+import { defineMessages, FormattedMessage, useIntl } from 'react-intl';
+import styled from 'styled-components';
+
+import { formatCurrency } from '../../lib/currency-utils';
+import { exportFile } from '../../lib/export_file';
+import { GIFT_CARDS_CSV_COLUMNS, GIFT_CARDS_CSV_ERRORS, GIFT_CARDS_CSV_TEMPLATE } from '../../lib/gift-cards';
+
+import Container from '../Container';
+import { Box, Flex } from '../Grid';
+import MessageBox from '../MessageBox';
+import StyledButton from '../StyledButton';
+import StyledInput from '../StyledInput';
+import { P } from '../Text';
+
+/** Number of recipients displayed in the preview */
+const PREVIEW_SIZE = 10;
+
+const errorMessages = defineMessages({
+  [GIFT_CARDS_CSV_ERRORS.MISSING_EMAIL_COLUMN]: {
+    id: 'giftCards.csv.error.missingEmailColumn',
+    defaultMessage: 'The first line of the file must contain the headers, including an "email" column',
+  },
+  [GIFT_CARDS_CSV_ERRORS.INVALID_EMAIL]: {
+    id: 'giftCards.csv.error.invalidEmail',
+    defaultMessage: 'Line {line}: "{value}" is not a valid email',
+  },
+  [GIFT_CARDS_CSV_ERRORS.DUPLICATE_EMAIL]: {
+    id: 'giftCards.csv.error.duplicateEmail',
+    defaultMessage: 'Line {line}: {value} is already in the list',
+  },
+  [GIFT_CARDS_CSV_ERRORS.INVALID_AMOUNT]: {
+    id: 'giftCards.csv.error.invalidAmount',
+    defaultMessage: 'Line {line}: the amount "{value}" is invalid or not within the allowed range',
+  },
+});
+
+const PreviewTable = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 13px;
+
+  th,
+  td {
+    text-align: left;
+    padding: 6px 8px;
+    border-bottom: 1px solid ${props => props.theme.colors.black[200]};
+    overflow-wrap: anywhere;
+  }
+
+  th {
+    font-weight: 500;
+    color: ${props => props.theme.colors.black[700]};
+  }
+`;
+
+/**
+ * A file input to import the recipients of a gift cards batch from a CSV file, with a preview
+ * of the parsed recipients and the list of errors.
+ */
+const GiftCardsRecipientsCSVInput = ({ recipients, errors, currency, fileName, onChange, disabled }) => {
+  const intl = useIntl();
+  const onFileChange = async event => {
+    const file = event.target.files[0];
+    if (file) {
+      onChange(await file.text(), file.name);
+    }
+  };
+
+  return (
+    <Box mb="2em">
+      <Flex flexWrap="wrap" justifyContent="space-between" alignItems="center" mb={2}>
+        <label htmlFor="gift-cards-recipients-csv">
+          <FormattedMessage id="giftCards.create.csvFile" defaultMessage="Recipients file (CSV)" />
+        </label>
+        <StyledButton
+          type="button"
+          buttonSize="tiny"
+          isBorderless
+          onClick={() => exportFile('text/csv;charset=utf-8', 'gift-cards-recipients.csv', GIFT_CARDS_CSV_TEMPLATE)}
+        >
+          <Download size="1em" />
+          &nbsp;
+          <FormattedMessage id="giftCards.create.csvTemplate" defaultMessage="Download template" />
+        </StyledButton>
+      </Flex>
+      <P fontSize="12px" color="black.600" mb={2}>
+        <FormattedMessage
+          id="giftCards.create.csvDetails"
+          defaultMessage="Supported columns: {columns}. Only the email is required, the amount of the form is used when no amount is set."
+          values={{ columns: GIFT_CARDS_CSV_COLUMNS.join(', ') }}
+        />
+      </P>
+      <StyledInput
+        id="gift-cards-recipients-csv"
+        type="file"
+        accept=".csv,text/csv"
+        onChange={onFileChange}
+        disabled={disabled}
+        width="100%"
+        data-cy="gift-cards-recipients-csv"
+      />
+      {fileName && (
+        <P fontSize="12px" color="black.600" mt={1}>
+          {fileName}
+        </P>
+      )}
+      {errors.length > 0 && (
+        <MessageBox type="error" withIcon mt={3} fontSize="13px">
+          {errors.map(error => (
+            <P key={error.line} fontSize="13px">
+              {intl.formatMessage(errorMessages[error.type], error)}
+            </P>
+          ))}
+        </MessageBox>
+      )}
+      {recipients.length > 0 && (
+        <Container mt={3}>
+          <P fontSize="13px" fontWeight="500" mb={2}>
+            <FormattedMessage
+              id="giftCards.create.csvSummary"
+              defaultMessage="{count, plural, one {# recipient} other {# recipients}} for a total of {amount}"
+              values={{
+                count: recipients.length,
+                amount: formatCurrency(sumBy(recipients, 'amount'), currency),
+              }}
+            />
+          </P>
+          <PreviewTable>
+            <thead>
+              <tr>
+                <th>
+                  <FormattedMessage id="Email" defaultMessage="Email" />
+                </th>
+                <th>
+                  <FormattedMessage id="Fields.amount" defaultMessage="Amount" />
+                </th>
+                <th>
+                  <FormattedMessage id="giftCards.create.customMessage" defaultMessage="Custom message" />
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {recipients.slice(0, PREVIEW_SIZE).map(recipient => (
+                <tr key={recipient.email}>
+                  <td>{recipient.email}</td>
+                  <td>{formatCurrency(recipient.amount, currency)}</td>
+                  <td>{recipient.customMessage}</td>
+                </tr>
+              ))}
+            </tbody>
+          </PreviewTable>
+          {recipients.length > PREVIEW_SIZE && (
+            <P fontSize="12px" color="black.600" mt={2}>
+              <FormattedMessage
+                id="giftCards.create.csvMore"
+                defaultMessage="And {count} more..."
+                values={{ count: recipients.length - PREVIEW_SIZE }}
+              />
+            </P>
+          )}
+        </Container>
+      )}
+    </Box>
+  );
+};
+
+GiftCardsRecipientsCSVInput.propTypes = {
+  recipients: PropTypes.arrayOf(
+    PropTypes.shape({
+      email: PropTypes.string.isRequired,
+      amount: PropTypes.number.isRequired,
+      customMessage: PropTypes.string,
+    }),
+  ).isRequired,
+  errors: PropTypes.arrayOf(
+    PropTypes.shape({
+      line: PropTypes.number.isRequired,
+      type: PropTypes.oneOf(Object.values(GIFT_CARDS_CSV_ERRORS)).isRequired,
+      value: PropTypes.string,
+    }),
+  ).isRequired,
+  currency: PropTypes.string.isRequired,
+  /** Called with the content of the file and its name */
+  onChange: PropTypes.func.isRequired,
+  fileName: PropTypes.string,
+  disabled: PropTypes.bool,
+};
+
+export default GiftCardsRecipientsCSVInput;
@@ -0,0 +1,196 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { useQuery } from '@apollo/client';
+import { FormattedDate, FormattedMessage } from 'react-intl';
+
+import {
+  getDaysBeforeDeadline,
+  getGoalCurrentValue,
+  getGoalProgress,
+  getGoalTarget,
+  getGoalType,
+  GOAL_MILESTONES,
+  GOAL_TYPES,
+  isCountGoal,
+} from '../../lib/collective-goals';
+import { formatCurrency } from '../../lib/currency-utils';
+import { API_V2_CONTEXT } from '../../lib/graphql/helpers';
+
+import Container from '../Container';
+import { Flex } from '../Grid';
+import { I18nBold } from '../I18nFormatters';
+import LoadingPlaceholder from '../LoadingPlaceholder';
+import StyledCard from '../StyledCard';
+import StyledProgressBar from '../StyledProgressBar';
+import StyledTag from '../StyledTag';
+import { P, Span } from '../Text';
+
+import { collectiveGoalProgressQuery } from './graphql';
+
+/**
+ * Describes the target of a goal, like "$1,200 / $5,000 per month".
+ */
+export const GoalTargetLabel = ({ goal, currency, currentValue }) => {
+  const type = getGoalType(goal);
+  const format = value => (isCountGoal(goal) ? value : formatCurrency(value, currency, { precision: 0 }));
+  const values = {
+    current: currentValue === undefined ? null : format(currentValue),
+    target: format(getGoalTarget(goal)),
+    b: I18nBold,
+  };
+
+  switch (type) {
+    case GOAL_TYPES.BALANCE:
+      return (
+        <FormattedMessage
+          id="Goal.Target.balance"
+          defaultMessage="{current, select, null {} other {<b>{current}</b> / }}{target} balance"
+          values={values}
+        />
+      );
+    case GOAL_TYPES.BACKERS:
+      return (
+        <FormattedMessage
+          id="Goal.Target.backers"
+          defaultMessage="{current, select, null {} other {<b>{current}</b> / }}{target} financial contributors"
+          values={values}
+        />
+      );
+    case GOAL_TYPES.TIER_CONTRIBUTIONS:
+      return (
+        <FormattedMessage
+          id="Goal.Target.tierContributions"
+          defaultMessage="{current, select, null {} other {<b>{current}</b> / }}{target} contributions to {tierName}"
+          values={{ ...values, tierName: goal.tierName || '-' }}
+        />
+      );
+    default:
+      return (
+        <FormattedMessage
+          id="Goal.Target.yearlyBudget"
+          defaultMessage="{current, select, null {} other {<b>{current}</b> / }}{target} per year"
+          values={values}
+        />
+      );
+  }
+};
+
+GoalTargetLabel.propTypes = {
+  goal: PropTypes.object.isRequired,
+  currency: PropTypes.string,
+  currentValue: PropTypes.number,
+};
+
+const GoalDeadline = ({ goal, isReached }) => {
+  const daysLeft = getDaysBeforeDeadline(goal);
+  if (daysLeft === null || isReached) {
+    return null;
+  } else if (daysLeft < 0) {
+    return (
+      <Span color="red.600">
+        <FormattedMessage
+          id="Goal.DeadlinePassed"
+          defaultMessage="Ended on {date}"
+          values={{ date: <FormattedDate value={goal.deadline} day="numeric" month="long" year="numeric" /> }}
+        />
+      </Span>
+    );
+  } else {
+    return (
+      <FormattedMessage
+        id="Goal.DaysLeft"
+        defaultMessage="{count, plural, =0 {Last day} one {# day left} other {# days left}}"
+        values={{ count: daysLeft }}
+      />
+    );
+  }
+};
+
+GoalDeadline.propTypes = {
+  goal: PropTypes.object.isRequired,
+  isReached: PropTypes.bool,
+};
+
+/**
+ * Displays the current progress of a goal, its deadline and its milestones.
+ */
+const GoalCard = ({ collective, goal }) => {
+  const type = getGoalType(goal);
+  const { data, loading } = useQuery(collectiveGoalProgressQuery, {
+    variables: { slug: collective.slug, withTiers: type === GOAL_TYPES.TIER_CONTRIBUTIONS },
+    context: API_V2_CONTEXT,
+  });
+
+  const currentValue = getGoalCurrentValue(goal, data?.account);
+  const progress = getGoalProgress(goal, currentValue);
+  const isReached = progress >= 1;
+  return (
+    <StyledCard p={3} height="100%" data-cy="goal-card">
+      <Flex justifyContent="space-between" alignItems="flex-start" mb={2}>
+        <P fontSize="16px" fontWeight="500" lineHeight="24px" wordBreak="break-word">
+          {goal.title || <FormattedMessage id="ContributionType.Goal" defaultMessage="Goal" />}
+        </P>
+        {isReached && (
+          <StyledTag type="success" fontSize="10px" py={0} px={2} ml={2} textTransform="uppercase">
+            <FormattedMessage id="Goal.Reached" defaultMessage="Reached" />
+          </StyledTag>
+        )}
+      </Flex>
+      {goal.description && (
+        <P fontSize="13px" color="black.700" mb={3} whiteSpace="pre-wrap">
+          {goal.description}
+        </P>
+      )}
+      {loading ? (
+        <LoadingPlaceholder height={40} />
+      ) : (
+        <React.Fragment>
+          <P fontSize="13px" mb={2}>
+            <GoalTargetLabel goal={goal} currency={collective.currency} currentValue={currentValue} />
+          </P>
+          <Container position="relative" mb={2}>
+            <StyledProgressBar percentage={progress} height={8} color="primary.500" />
+            {goal.notifyMilestones &&
+              GOAL_MILESTONES.map(milestone => (
+                <Container
+                  key={milestone}
+                  position="absolute"
+                  top={0}
+                  left={`${milestone * 100}%`}
+                  width="2px"
+                  height="8px"
+                  bg={progress >= milestone ? 'white.full' : 'black.300'}
+                  title={`${milestone * 100}%`}
+                  data-cy="goal-milestone"
+                />
+              ))}
+          </Container>
+        </React.Fragment>
+      )}
+      <P fontSize="12px" color="black.600">
+        <GoalDeadline goal={goal} isReached={isReached} />
+      </P>
+    </StyledCard>
+  );
+};
+
+GoalCard.propTypes = {
+  collective: PropTypes.shape({
+    slug: PropTypes.string.isRequired,
+    currency: PropTypes.string,
+  }).isRequired,
+  goal: PropTypes.shape({
+    key: PropTypes.string,
+    type: PropTypes.oneOf(Object.values(GOAL_TYPES)),
+    title: PropTypes.string,
+    description: PropTypes.string,
+    amount: PropTypes.number,
+    count: PropTypes.number,
+    tierId: PropTypes.number,
+    tierName: PropTypes.string,
+    deadline: PropTypes.string,
+    notifyMilestones: PropTypes.bool,
+  }).isRequired,
+};
+
+export default GoalCard;
@@ -0,0 +1,77 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { CheckCircle } from '@styled-icons/feather/CheckCircle';
+import { FormattedDate, FormattedMessage } from 'react-intl';
+
+import Container from '../Container';
+import { Box } from '../Grid';
+import StyledButton from '../StyledButton';
+import { P } from '../Text';
+
+import { GoalTargetLabel } from './GoalCard';
+
+/**
+ * The list of the goals reached by a collective, most recent first.
+ */
+const GoalsHistory = ({ goalsHistory, currency, onRemove }) => {
+  if (!goalsHistory?.length) {
+    return null;
+  }
+
+  return (
+    <Box data-cy="goals-history">
+      {goalsHistory.map((goal, idx) => (
+        <Container
+          key={goal.key || idx}
+          display="flex"
+          alignItems="center"
+          py={2}
+          borderBottom="1px solid"
+          borderColor="black.200"
+        >
+          <CheckCircle size={16} color="#0EA755" />
+          <Box flex="1" ml={3}>
+            <P fontSize="14px" fontWeight="500">
+              {goal.title || <FormattedMessage id="ContributionType.Goal" defaultMessage="Goal" />}
+            </P>
+            <P fontSize="12px" color="black.600">
+              <GoalTargetLabel goal={goal} currency={currency} />
+              {goal.reachedAt && (
+                <React.Fragment>
+                  {' · '}
+                  <FormattedMessage
+                    id="Goal.ReachedOn"
+                    defaultMessage="Reached on {date}"
+                    values={{
+                      date: <FormattedDate value={goal.reachedAt} day="numeric" month="long" year="numeric" />,
+                    }}
+                  />
+                </React.Fragment>
+              )}
+            </P>
+          </Box>
+          {onRemove && (
+            <StyledButton buttonSize="tiny" isBorderless buttonStyle="dangerSecondary" onClick={() => onRemove(idx)}>
+              <FormattedMessage id="Remove" defaultMessage="Remove" />
+            </StyledButton>
+          )}
+        </Container>
+      ))}
+    </Box>
+  );
+};
+
+GoalsHistory.propTypes = {
+  goalsHistory: PropTypes.arrayOf(
+    PropTypes.shape({
+      key: PropTypes.string,
+      title: PropTypes.string,
+      reachedAt: PropTypes.string,
+    }),
+  ),
+  currency: PropTypes.string,
+  /** If set, a button to remove the goal from the history is displayed */
+  onRemove: PropTypes.func,
+};
+
+export default GoalsHistory;
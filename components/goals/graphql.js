@@ -0,0 +1,32 @@
+import { gqlV2 } from '../../lib/graphql/helpers';
+
+export const collectiveGoalProgressQuery = gqlV2/* GraphQL */ `
+  query CollectiveGoalProgress($slug: String!, $withTiers: Boolean!) {
+    account(slug: $slug) {
+      id
+      stats {
+        id
+        balance {
+          valueInCents
+          currency
+        }
+        yearlyBudget {
+          valueInCents
+          currency
+        }
+      }
+      ... on AccountWithContributions {
+        totalFinancialContributors
+        tiers @include(if: $withTiers) {
+          nodes {
+            id
+            legacyId
+            orders(limit: 0, status: [ACTIVE, PAID]) {
+              totalCount
+            }
+          }
+        }
+      }
+    }
+  }
+`;
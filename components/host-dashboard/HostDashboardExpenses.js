@@ -12,6 +12,7 @@ import { useLazyGraphQLPaginatedResults } from '../../lib/hooks/useLazyGraphQLPa
 
 import { parseAmountRange } from '../budget/filters/AmountFilter';
 import DismissibleMessage from '../DismissibleMessage';
+import ExpensesBulkActionsBar from '../expenses/ExpensesBulkActionsBar';
 import ExpensesFilters from '../expenses/ExpensesFilters';
 import ExpensesList from '../expenses/ExpensesList';
 import {
@@ -159,6 +160,13 @@ const HostDashboardExpenses = ({ hostSlug, isNewAdmin }) => {
     context: API_V2_CONTEXT,
   });
   const paginatedExpenses = useLazyGraphQLPaginatedResults(expenses, 'expenses');
+  const [selectedExpenseIds, setSelectedExpenseIds] = React.useState([]);
+  const selectedExpenses = paginatedExpenses.nodes?.filter(expense => selectedExpenseIds.includes(expense.id)) || [];
+  // Reset the selection when filters or page change
+  React.useEffect(() => {
+    setSelectedExpenseIds([]);
+  }, [router.asPath]);
+
   React.useEffect(() => {
     if (query.paypalApprovalError && !paypalPreApprovalError) {
       setPaypalPreApprovalError(query.paypalApprovalError);
@@ -298,6 +306,18 @@ const HostDashboardExpenses = ({ hostSlug, isNewAdmin }) => {
             onProcess={(expense, cache) => {
               hasFilters && onExpenseUpdate(expense, cache, query.status);
             }}
+            selectedExpenseIds={selectedExpenseIds}
+            onSelectionChange={setSelectedExpenseIds}
+          />
+          <ExpensesBulkActionsBar
+            selectedExpenses={selectedExpenses}
+            host={data?.host}
+            onClearSelection={() => setSelectedExpenseIds([])}
+            onActionComplete={results => {
+              const succeededIds = results.filter(result => result.success).map(result => result.item.id);
+              setSelectedExpenseIds(selectedExpenseIds.filter(id => !succeededIds.includes(id)));
+              expenses.refetch();
+            }}
           />
           <Flex mt={5} justifyContent="center">
             <Pagination
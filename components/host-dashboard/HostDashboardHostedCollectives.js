@@ -3,7 +3,7 @@ import PropTypes from 'prop-types';
 import { useQuery } from '@apollo/client';
 import { isEmpty, omitBy } from 'lodash';
 import { useRouter } from 'next/router';
-import { FormattedMessage } from 'react-intl';
+import { defineMessages, FormattedMessage, useIntl } from 'react-intl';
 
 import { API_V2_CONTEXT, gqlV2 } from '../../lib/graphql/helpers';
 
@@ -13,14 +13,26 @@ import MessageBox from '../MessageBox';
 import MessageBoxGraphqlError from '../MessageBoxGraphqlError';
 import Pagination from '../Pagination';
 import SearchBar from '../SearchBar';
+import StyledButtonSet from '../StyledButtonSet';
 import StyledHr from '../StyledHr';
 import { H1 } from '../Text';
 
+import HostedCollectivesHealth from './hosted-collectives/HostedCollectivesHealth';
 import HostAdminCollectiveCard from './HostAdminCollectiveCard';
 import HostAdminCollectiveFilters, { COLLECTIVE_FILTER } from './HostAdminCollectiveFilters';
 
 const COLLECTIVES_PER_PAGE = 20;
 
+const DISPLAY_MODES = {
+  CARDS: 'cards',
+  TABLE: 'table',
+};
+
+const DISPLAY_MODE_LABELS = defineMessages({
+  [DISPLAY_MODES.CARDS]: { id: 'HostedCollectives.DisplayCards', defaultMessage: 'Cards' },
+  [DISPLAY_MODES.TABLE]: { id: 'HostedCollectives.DisplayTable', defaultMessage: 'Health table' },
+});
+
 // TODO: This query is using `legacyId` for host and member.account to interface with the
 // legacy `AddFundsForm`. Once the new add funds form will be implemented, we can remove these fields.
 const hostedCollectivesQuery = gqlV2/* GraphQL */ `
@@ -94,7 +106,7 @@ const hostedCollectivesQuery = gqlV2/* GraphQL */ `
 
 const checkIfQueryHasFilters = query =>
   Object.entries(query).some(([key, value]) => {
-    return !['view', 'offset', 'limit', 'hostCollectiveSlug', 'sort-by'].includes(key) && value;
+    return !['view', 'offset', 'limit', 'hostCollectiveSlug', 'sort-by', 'display'].includes(key) && value;
   });
 
 const getVariablesFromQuery = query => {
@@ -119,15 +131,25 @@ const updateQuery = (router, newParams) => {
 };
 
 const HostDashboardHostedCollectives = ({ hostSlug }) => {
+  const intl = useIntl();
   const router = useRouter() || {};
   const query = router.query;
   const hasFilters = React.useMemo(() => checkIfQueryHasFilters(query), [query]);
+  const displayMode = query.display === DISPLAY_MODES.TABLE ? DISPLAY_MODES.TABLE : DISPLAY_MODES.CARDS;
+  const isTableView = displayMode === DISPLAY_MODES.TABLE;
   const { data, error, loading, variables } = useQuery(hostedCollectivesQuery, {
     variables: { hostSlug, ...getVariablesFromQuery(omitBy(query, isEmpty)) },
     context: API_V2_CONTEXT,
+    skip: isTableView,
   });
 
   const hostedMemberships = data?.host?.memberOf;
+  const emptyMessage = hasFilters ? (
+    <FormattedMessage id="discover.searchNoResult" defaultMessage="No Collectives match the current search." />
+  ) : (
+    <FormattedMessage id="menu.collective.none" defaultMessage="No Collectives yet" />
+  );
+
   return (
     <Box maxWidth={1000} m="0 auto" px={2}>
       <Flex alignItems="center" mb={24} flexWrap="wrap">
@@ -143,27 +165,48 @@ const HostDashboardHostedCollectives = ({ hostSlug }) => {
         </Box>
       </Flex>
       <StyledHr mb={26} borderWidth="0.5px" />
-      <Box mb={34}>
-        {data?.host ? (
+      <Flex mb={34} justifyContent="space-between" alignItems="flex-end" flexWrap="wrap">
+        {data?.host || isTableView ? (
           <HostAdminCollectiveFilters
             values={query}
-            filters={[COLLECTIVE_FILTER.SORT_BY, COLLECTIVE_FILTER.FEE_STRUCTURE]}
+            filters={
+              isTableView
+                ? [COLLECTIVE_FILTER.FEE_STRUCTURE]
+                : [COLLECTIVE_FILTER.SORT_BY, COLLECTIVE_FILTER.FEE_STRUCTURE]
+            }
             onChange={queryParams => updateQuery(router, { ...queryParams, offset: null })}
           />
         ) : loading ? (
-          <LoadingPlaceholder height={70} />
-        ) : null}
-      </Box>
-
-      {error && <MessageBoxGraphqlError error={error} mb={2} />}
+          <LoadingPlaceholder height={70} maxWidth={400} />
+        ) : (
+          <div />
+        )}
+        <StyledButtonSet
+          size="small"
+          items={Object.values(DISPLAY_MODES)}
+          selected={displayMode}
+          onChange={display =>
+            updateQuery(router, { display: display === DISPLAY_MODES.TABLE ? display : null, offset: null })
+          }
+          mt={2}
+          data-cy="hosted-collectives-display"
+        >
+          {({ item }) => intl.formatMessage(DISPLAY_MODE_LABELS[item])}
+        </StyledButtonSet>
+      </Flex>
 
-      {!error && !loading && !hostedMemberships?.nodes.length ? (
+      {isTableView ? (
+        <HostedCollectivesHealth
+          hostSlug={hostSlug}
+          hostFeesStructure={query['fees-structure']}
+          searchTerm={query.searchTerm}
+          emptyMessage={emptyMessage}
+        />
+      ) : error ? (
+        <MessageBoxGraphqlError error={error} mb={2} />
+      ) : !loading && !hostedMemberships?.nodes.length ? (
         <MessageBox type="info" withIcon data-cy="zero-collective-message">
-          {hasFilters ? (
-            <FormattedMessage id="discover.searchNoResult" defaultMessage="No Collectives match the current search." />
-          ) : (
-            <FormattedMessage id="menu.collective.none" defaultMessage="No Collectives yet" />
-          )}
+          {emptyMessage}
         </MessageBox>
       ) : (
         <React.Fragment>
@@ -0,0 +1,362 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { useMutation, useQuery } from '@apollo/client';
+import { FormattedMessage, useIntl } from 'react-intl';
+
+import { runBulkAction } from '../../lib/bulk-actions';
+import { formatCurrency } from '../../lib/currency-utils';
+import { i18nGraphqlException } from '../../lib/errors';
+import { exportFile } from '../../lib/export_file';
+import { API_V2_CONTEXT } from '../../lib/graphql/helpers';
+import {
+  canAddExpenseToPayoutBatch,
+  generatePayoutBatchCSV,
+  generateSEPACreditTransfer,
+  getBankAccountDetails,
+  getPayoutBatchBalanceChecks,
+  getPayoutBatchPaymentVariables,
+  getSEPAIneligibilityReason,
+  groupExpensesForPayoutBatch,
+} from '../../lib/payout-batches';
+
+import ConfirmationModal from '../ConfirmationModal';
+import Container from '../Container';
+import { processExpenseMutation } from '../expenses/ProcessExpenseButtons';
+import { Box, Flex } from '../Grid';
+import Loading from '../Loading';
+import MessageBox from '../MessageBox';
+import MessageBoxGraphqlError from '../MessageBoxGraphqlError';
+import NotFound from '../NotFound';
+import StyledButton from '../StyledButton';
+import StyledInput from '../StyledInput';
+import StyledInputField from '../StyledInputField';
+import StyledTag from '../StyledTag';
+import { H1, H4, P } from '../Text';
+import { TOAST_TYPE, useToasts } from '../ToastProvider';
+
+import { hostPayoutBatchQuery, READY_TO_PAY_EXPENSES_LIMIT } from './payout-batch/graphql';
+import PayoutBatchGroup from './payout-batch/PayoutBatchGroup';
+
+const getToday = () => new Date().toISOString().split('T')[0];
+
+const BalanceCheckTag = ({ isSufficient }) => {
+  if (isSufficient === null) {
+    return (
+      <StyledTag type="grey" fontSize="11px">
+        <FormattedMessage id="PayoutBatch.Balance.Unknown" defaultMessage="Not checked" />
+      </StyledTag>
+    );
+  } else if (isSufficient) {
+    return (
+      <StyledTag type="success" fontSize="11px">
+        <FormattedMessage id="PayoutBatch.Balance.Sufficient" defaultMessage="Balance OK" />
+      </StyledTag>
+    );
+  } else {
+    return (
+      <StyledTag type="error" fontSize="11px">
+        <FormattedMessage id="PayoutBatch.Balance.Insufficient" defaultMessage="Insufficient balance" />
+      </StyledTag>
+    );
+  }
+};
+
+BalanceCheckTag.propTypes = {
+  isSufficient: PropTypes.bool,
+};
+
+/**
+ * Builds a batch with the expenses ready to be paid, to pay them all at once through the bank
+ * of the host: the batch is exported as a SEPA file or a CSV for the bank, then the expenses
+ * are marked as paid manually in one step.
+ */
+const HostDashboardPayoutBatch = ({ hostSlug }) => {
+  const intl = useIntl();
+  const { addToast } = useToasts();
+  const [excludedIds, setExcludedIds] = React.useState([]);
+  const [feesPerTransfer, setFeesPerTransfer] = React.useState({});
+  const [debtor, setDebtor] = React.useState({});
+  const [executionDate, setExecutionDate] = React.useState(getToday);
+  const [isConfirming, setConfirming] = React.useState(false);
+  const { data, loading, error, refetch } = useQuery(hostPayoutBatchQuery, {
+    variables: { hostSlug, limit: READY_TO_PAY_EXPENSES_LIMIT },
+    context: API_V2_CONTEXT,
+    fetchPolicy: 'network-only',
+  });
+  const [processExpense] = useMutation(processExpenseMutation, { context: API_V2_CONTEXT });
+
+  if (loading) {
+    return <Loading />;
+  } else if (error) {
+    return <MessageBoxGraphqlError error={error} maxWidth={500} m="0 auto" />;
+  } else if (!data?.host) {
+    return <NotFound />;
+  }
+
+  const { host } = data;
+  const expenses = data.expenses.nodes.filter(canAddExpenseToPayoutBatch);
+  const allIds = expenses.map(expense => expense.id);
+  const selectedIds = allIds.filter(id => !excludedIds.includes(id));
+  const selectedExpenses = expenses.filter(expense => selectedIds.includes(expense.id));
+  const groups = groupExpensesForPayoutBatch(expenses);
+  const balanceChecks = getPayoutBatchBalanceChecks(selectedExpenses, feesPerTransfer);
+  const hasInsufficientBalance = balanceChecks.some(check => check.isSufficient === false);
+  const sepaExpenses = selectedExpenses.filter(expense => !getSEPAIneligibilityReason(expense));
+  const hostBankAccount = getBankAccountDetails(host.bankAccount);
+  const debtorIBAN = debtor.iban ?? hostBankAccount.iban ?? '';
+  const debtorBIC = debtor.bic ?? hostBankAccount.bic ?? '';
+  const filename = `${host.slug}-payouts-${executionDate}`;
+
+  const exportSEPA = () => {
+    const xml = generateSEPACreditTransfer({
+      batchId: `PAYOUTS-${Date.now()}`,
+      debtor: { name: host.legalName || host.name, iban: debtorIBAN, bic: debtorBIC },
+      expenses: sepaExpenses,
+      executionDate,
+    });
+
+    exportFile('application/xml;charset=utf-8', `${filename}.xml`, xml);
+  };
+
+  const exportCSV = () => {
+    exportFile('text/csv;charset=utf-8', `${filename}.csv`, generatePayoutBatchCSV(selectedExpenses));
+  };
+
+  const payBatch = async () => {
+    const results = await runBulkAction(selectedExpenses, expense =>
+      processExpense({ variables: getPayoutBatchPaymentVariables(expense, feesPerTransfer) }),
+    );
+
+    const failures = results.filter(result => !result.success);
+    const nbPaid = results.length - failures.length;
+    setConfirming(false);
+    setExcludedIds([]);
+    if (nbPaid) {
+      addToast({
+        type: TOAST_TYPE.SUCCESS,
+        message: (
+          <FormattedMessage
+            id="PayoutBatch.Success"
+            defaultMessage="{count, plural, one {# expense} other {# expenses}} marked as paid"
+            values={{ count: nbPaid }}
+          />
+        ),
+      });
+    }
+
+    if (failures.length) {
+      addToast({
+        type: TOAST_TYPE.ERROR,
+        title: (
+          <FormattedMessage
+            id="PayoutBatch.Failures"
+            defaultMessage="{count, plural, one {# expense} other {# expenses}} could not be marked as paid"
+            values={{ count: failures.length }}
+          />
+        ),
+        message: i18nGraphqlException(intl, failures[0].error),
+      });
+    }
+
+    refetch();
+  };
+
+  return (
+    <Box maxWidth={800} m="0 auto" px={2}>
+      <H1 fontSize="32px" lineHeight="40px" py={2} fontWeight="normal">
+        <FormattedMessage id="PayoutBatch.Title" defaultMessage="Payout batch" />
+      </H1>
+      <P fontSize="14px" color="black.700" mb={3}>
+        <FormattedMessage
+          id="PayoutBatch.Description"
+          defaultMessage="Pay the approved expenses through your bank: export the batch as a SEPA file or a CSV to upload on your bank, then mark all the expenses as paid at once."
+        />
+      </P>
+      {!expenses.length ? (
+        <MessageBox type="info" withIcon>
+          <FormattedMessage id="PayoutBatch.Empty" defaultMessage="There are no expenses ready to be paid" />
+        </MessageBox>
+      ) : (
+        <React.Fragment>
+          {groups.map(group => (
+            <PayoutBatchGroup
+              key={group.key}
+              group={group}
+              selectedIds={selectedIds}
+              feePerTransfer={feesPerTransfer[group.key]}
+              onSelectionChange={ids => setExcludedIds(allIds.filter(id => !ids.includes(id)))}
+              onFeeChange={fee => setFeesPerTransfer({ ...feesPerTransfer, [group.key]: fee })}
+            />
+          ))}
+          <H4 fontSize="18px" fontWeight="500" mt={4} mb={2}>
+            <FormattedMessage id="PayoutBatch.BalanceChecks" defaultMessage="Balance checks" />
+          </H4>
+          {balanceChecks.map(check => (
+            <Flex
+              key={check.account.id}
+              alignItems="center"
+              justifyContent="space-between"
+              py={2}
+              data-cy="payout-batch-balance-check"
+            >
+              <P fontSize="13px" fontWeight="500" mr={2} truncateOverflow>
+                {check.account.name}
+              </P>
+              <Flex alignItems="center">
+                <P fontSize="12px" color="black.700" mr={2} whiteSpace="nowrap">
+                  <FormattedMessage
+                    id="PayoutBatch.BalanceCheck"
+                    defaultMessage="{amount} of {balance}"
+                    values={{
+                      amount: formatCurrency(check.totalAmount, check.currency),
+                      balance: check.balance === null ? '-' : formatCurrency(check.balance, check.currency),
+                    }}
+                  />
+                </P>
+                <BalanceCheckTag isSufficient={check.isSufficient} />
+              </Flex>
+            </Flex>
+          ))}
+          <Container borderTop="1px solid" borderColor="black.300" mt={3} pt={3}>
+            <H4 fontSize="18px" fontWeight="500" mb={2}>
+              <FormattedMessage id="PayoutBatch.Export" defaultMessage="Export for your bank" />
+            </H4>
+            <Flex flexWrap="wrap" mx={-2}>
+              <StyledInputField
+                name="debtorIBAN"
+                htmlFor="payout-batch-debtor-iban"
+                label={<FormattedMessage id="PayoutBatch.DebtorIBAN" defaultMessage="Your IBAN" />}
+                flex="1 1 200px"
+                m={2}
+              >
+                {inputProps => (
+                  <StyledInput
+                    {...inputProps}
+                    value={debtorIBAN}
+                    onChange={e => setDebtor({ ...debtor, iban: e.target.value })}
+                  />
+                )}
+              </StyledInputField>
+              <StyledInputField
+                name="debtorBIC"
+                htmlFor="payout-batch-debtor-bic"
+                label="BIC"
+                required={false}
+                flex="1 1 120px"
+                m={2}
+              >
+                {inputProps => (
+                  <StyledInput
+                    {...inputProps}
+                    value={debtorBIC}
+                    onChange={e => setDebtor({ ...debtor, bic: e.target.value })}
+                  />
+                )}
+              </StyledInputField>
+              <StyledInputField
+                name="executionDate"
+                htmlFor="payout-batch-execution-date"
+                label={<FormattedMessage id="PayoutBatch.ExecutionDate" defaultMessage="Execution date" />}
+                flex="1 1 150px"
+                m={2}
+              >
+                {inputProps => (
+                  <StyledInput
+                    {...inputProps}
+                    type="date"
+                    value={executionDate}
+                    min={getToday()}
+                    onChange={e => setExecutionDate(e.target.value)}
+                  />
+                )}
+              </StyledInputField>
+            </Flex>
+            {sepaExpenses.length < selectedExpenses.length && (
+              <P fontSize="12px" color="black.600" mt={2}>
+                <FormattedMessage
+                  id="PayoutBatch.SEPAIneligible"
+                  defaultMessage="{count, plural, one {# expense is} other {# expenses are}} not in EUR or not paid to an IBAN, and will not be included in the SEPA file."
+                  values={{ count: selectedExpenses.length - sepaExpenses.length }}
+                />
+              </P>
+            )}
+            <Flex flexWrap="wrap" mt={3}>
+              <StyledButton
+                buttonSize="small"
+                mr={2}
+                mb={2}
+                disabled={!sepaExpenses.length || !debtorIBAN || !executionDate}
+                onClick={exportSEPA}
+                data-cy="payout-batch-export-sepa"
+              >
+                <FormattedMessage
+                  id="PayoutBatch.ExportSEPA"
+                  defaultMessage="SEPA file (pain.001) - {count, plural, one {# transfer} other {# transfers}}"
+                  values={{ count: sepaExpenses.length }}
+                />
+              </StyledButton>
+              <StyledButton
+                buttonSize="small"
+                mb={2}
+                disabled={!selectedExpenses.length}
+                onClick={exportCSV}
+                data-cy="payout-batch-export-csv"
+              >
+                <FormattedMessage id="PayoutBatch.ExportCSV" defaultMessage="CSV" />
+              </StyledButton>
+            </Flex>
+          </Container>
+          <Flex justifyContent="flex-end" alignItems="center" flexWrap="wrap" mt={4}>
+            {hasInsufficientBalance && (
+              <P fontSize="13px" color="red.600" mr={3}>
+                <FormattedMessage
+                  id="PayoutBatch.FixInsufficientBalance"
+                  defaultMessage="Remove the expenses of the collectives with an insufficient balance to pay the batch"
+                />
+              </P>
+            )}
+            <StyledButton
+              buttonStyle="primary"
+              disabled={!selectedExpenses.length || hasInsufficientBalance}
+              onClick={() => setConfirming(true)}
+              data-cy="payout-batch-pay"
+            >
+              <FormattedMessage
+                id="PayoutBatch.Pay"
+                defaultMessage="Mark {count, plural, one {# expense} other {# expenses}} as paid"
+                values={{ count: selectedExpenses.length }}
+              />
+            </StyledButton>
+          </Flex>
+        </React.Fragment>
+      )}
+      {isConfirming && (
+        <ConfirmationModal
+          show
+          isSuccess
+          onClose={() => setConfirming(false)}
+          continueHandler={payBatch}
+          header={
+            <FormattedMessage
+              id="PayoutBatch.ConfirmHeader"
+              defaultMessage="Mark {count, plural, one {# expense} other {# expenses}} as paid?"
+              values={{ count: selectedExpenses.length }}
+            />
+          }
+          body={
+            <FormattedMessage
+              id="PayoutBatch.ConfirmBody"
+              defaultMessage="Confirm the transfers have been sent from your bank. The fees you entered will be recorded for each expense, and the payees will be notified."
+            />
+          }
+        />
+      )}
+    </Box>
+  );
+};
+
+HostDashboardPayoutBatch.propTypes = {
+  hostSlug: PropTypes.string.isRequired,
+};
+
+export default HostDashboardPayoutBatch;
@@ -0,0 +1,283 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { useMutation, useQuery } from '@apollo/client';
+import { mapValues } from 'lodash';
+import { defineMessages, FormattedMessage, useIntl } from 'react-intl';
+
+import {
+  autoMatchBankStatement,
+  BANK_STATEMENT_ERRORS,
+  getOrdersToReconcile,
+  getRemainingAmount,
+  parseBankStatement,
+} from '../../lib/bank-statements';
+import { runBulkAction } from '../../lib/bulk-actions';
+import { i18nGraphqlException } from '../../lib/errors';
+import { API_V2_CONTEXT } from '../../lib/graphql/helpers';
+
+import ConfirmationModal from '../ConfirmationModal';
+import { Box, Flex } from '../Grid';
+import Loading from '../Loading';
+import MessageBox from '../MessageBox';
+import MessageBoxGraphqlError from '../MessageBoxGraphqlError';
+import NotFound from '../NotFound';
+import { processPendingOrderMutation } from '../orders/ProcessOrderButtons';
+import StyledButton from '../StyledButton';
+import StyledCheckbox from '../StyledCheckbox';
+import StyledInput from '../StyledInput';
+import { H1, P } from '../Text';
+import { TOAST_TYPE, useToasts } from '../ToastProvider';
+
+import BankStatementLine from './reconciliation/BankStatementLine';
+import { hostReconciliationQuery, PENDING_ORDERS_LIMIT } from './reconciliation/graphql';
+
+const errorMessages = defineMessages({
+  [BANK_STATEMENT_ERRORS.MISSING_COLUMNS]: {
+    id: 'Reconciliation.Error.MissingColumns',
+    defaultMessage: 'Could not find the date and amount columns in this file',
+  },
+  [BANK_STATEMENT_ERRORS.NO_CREDIT]: {
+    id: 'Reconciliation.Error.NoCredit',
+    defaultMessage: 'There are no incoming transfers in this file',
+  },
+});
+
+const getAllocatedByOrder = allocationsByLine => {
+  const allocatedByOrder = {};
+  Object.values(allocationsByLine).forEach(allocations => {
+    allocations.forEach(({ orderId, amount }) => {
+      allocatedByOrder[orderId] = (allocatedByOrder[orderId] || 0) + amount;
+    });
+  });
+
+  return allocatedByOrder;
+};
+
+/**
+ * Imports a bank statement to confirm the pending bank transfers in bulk. Lines are matched
+ * automatically with the pending orders when possible, hosts can match or split the rest by hand.
+ */
+const HostDashboardReconciliation = ({ hostSlug }) => {
+  const intl = useIntl();
+  const { addToast } = useToasts();
+  const [statement, setStatement] = React.useState(null);
+  const [allocationsByLine, setAllocationsByLine] = React.useState({});
+  const [onlyUnmatched, setOnlyUnmatched] = React.useState(false);
+  const [isConfirming, setConfirming] = React.useState(false);
+  const { data, loading, error, refetch } = useQuery(hostReconciliationQuery, {
+    variables: { hostSlug, limit: PENDING_ORDERS_LIMIT },
+    context: API_V2_CONTEXT,
+    fetchPolicy: 'network-only',
+  });
+  const [processPendingOrder] = useMutation(processPendingOrderMutation, { context: API_V2_CONTEXT });
+
+  if (loading) {
+    return <Loading />;
+  } else if (error) {
+    return <MessageBoxGraphqlError error={error} maxWidth={500} m="0 auto" />;
+  } else if (!data?.host) {
+    return <NotFound />;
+  }
+
+  const { host } = data;
+  const orders = data.orders.nodes;
+  const lines = statement?.lines || [];
+  const allocatedByOrder = getAllocatedByOrder(allocationsByLine);
+  const ordersToReconcile = getOrdersToReconcile(lines, allocationsByLine, orders);
+  const matchedLines = lines.filter(line => allocationsByLine[line.id]?.length);
+  const hasOverAllocatedLines = lines.some(line => getRemainingAmount(line, allocationsByLine[line.id]) < 0);
+  const ordersWithDifferentAmount = ordersToReconcile.filter(
+    ({ order, amountReceived }) => amountReceived !== order.amount.valueInCents,
+  );
+  const displayedLines = onlyUnmatched ? lines.filter(line => !allocationsByLine[line.id]?.length) : lines;
+
+  const onFileChange = async event => {
+    const file = event.target.files[0];
+    if (file) {
+      const result = parseBankStatement(await file.text());
+      setStatement({ ...result, fileName: file.name });
+      setAllocationsByLine(autoMatchBankStatement(result.lines, orders));
+    }
+  };
+
+  const getAvailableOrders = line => {
+    const lineAllocations = allocationsByLine[line.id] || [];
+    return orders.filter(order => {
+      const isInLine = lineAllocations.some(allocation => allocation.orderId === order.id);
+      return !isInLine && (allocatedByOrder[order.id] || 0) < order.amount.valueInCents;
+    });
+  };
+
+  const confirmOrders = async () => {
+    const results = await runBulkAction(ordersToReconcile, ({ order }) =>
+      processPendingOrder({ variables: { id: order.id, action: 'MARK_AS_PAID' } }),
+    );
+
+    const failures = results.filter(result => !result.success);
+    const paidOrderIds = new Set(results.filter(result => result.success).map(result => result.item.order.id));
+    if (failures.length) {
+      addToast({
+        type: TOAST_TYPE.ERROR,
+        title: (
+          <FormattedMessage
+            id="Reconciliation.Failures"
+            defaultMessage="{count, plural, one {# contribution} other {# contributions}} could not be marked as paid"
+            values={{ count: failures.length }}
+          />
+        ),
+        message: i18nGraphqlException(intl, failures[0].error),
+      });
+    }
+
+    if (!paidOrderIds.size) {
+      return;
+    }
+
+    // Only keep the lines that still need to be matched
+    const isReconciled = line => allocationsByLine[line.id]?.every(({ orderId }) => paidOrderIds.has(orderId));
+    setStatement({ ...statement, lines: lines.filter(line => !isReconciled(line)) });
+    setAllocationsByLine(
+      mapValues(allocationsByLine, allocations => allocations.filter(({ orderId }) => !paidOrderIds.has(orderId))),
+    );
+    setConfirming(false);
+    addToast({
+      type: TOAST_TYPE.SUCCESS,
+      message: (
+        <FormattedMessage
+          id="Reconciliation.Success"
+          defaultMessage="{count, plural, one {# contribution} other {# contributions}} marked as paid"
+          values={{ count: paidOrderIds.size }}
+        />
+      ),
+    });
+    refetch();
+  };
+
+  return (
+    <Box maxWidth={800} m="0 auto" px={2}>
+      <H1 fontSize="32px" lineHeight="40px" py={2} fontWeight="normal">
+        <FormattedMessage id="Reconciliation.Title" defaultMessage="Bank reconciliation" />
+      </H1>
+      <P fontSize="14px" color="black.700" mb={3}>
+        <FormattedMessage
+          id="Reconciliation.Description"
+          defaultMessage="Import a statement from your bank (CSV, CAMT.053 or OFX) to confirm the pending bank transfers. Transfers are matched with the contributions using their reference, or their amount and date."
+        />
+      </P>
+      <P fontSize="13px" color="black.600" mb={3}>
+        <FormattedMessage
+          id="Reconciliation.PendingCount"
+          defaultMessage="{count, plural, one {# pending contribution} other {# pending contributions}}"
+          values={{ count: data.orders.totalCount }}
+        />
+      </P>
+      <StyledInput
+        type="file"
+        accept=".csv,.xml,.ofx,.qfx,text/csv,text/xml,application/xml"
+        onChange={onFileChange}
+        width="100%"
+        mb={3}
+        data-cy="reconciliation-file"
+      />
+      {statement?.error && (
+        <MessageBox type="error" withIcon mb={3}>
+          {intl.formatMessage(errorMessages[statement.error])}
+        </MessageBox>
+      )}
+      {lines.length > 0 && (
+        <React.Fragment>
+          <Flex justifyContent="space-between" alignItems="center" flexWrap="wrap" mb={3}>
+            <P fontSize="14px" fontWeight="500" my={2}>
+              <FormattedMessage
+                id="Reconciliation.Summary"
+                defaultMessage="{matched} of {total} transfers matched"
+                values={{ matched: matchedLines.length, total: lines.length }}
+              />
+            </P>
+            <StyledCheckbox
+              name="onlyUnmatched"
+              checked={onlyUnmatched}
+              onChange={({ checked }) => setOnlyUnmatched(checked)}
+              label={<FormattedMessage id="Reconciliation.OnlyUnmatched" defaultMessage="Only show unmatched" />}
+            />
+          </Flex>
+          {displayedLines.map(line => (
+            <BankStatementLine
+              key={line.id}
+              line={line}
+              allocations={allocationsByLine[line.id] || []}
+              orders={orders}
+              availableOrders={getAvailableOrders(line)}
+              allocatedByOrder={allocatedByOrder}
+              currency={host.currency}
+              onChange={allocations => setAllocationsByLine({ ...allocationsByLine, [line.id]: allocations })}
+            />
+          ))}
+          <Flex justifyContent="flex-end" alignItems="center" flexWrap="wrap" mt={4}>
+            {hasOverAllocatedLines && (
+              <P fontSize="13px" color="red.600" mr={3}>
+                <FormattedMessage
+                  id="Reconciliation.FixOverAllocated"
+                  defaultMessage="Some transfers are allocated more than their amount"
+                />
+              </P>
+            )}
+            <StyledButton
+              buttonStyle="primary"
+              disabled={!ordersToReconcile.length || hasOverAllocatedLines}
+              onClick={() => setConfirming(true)}
+              data-cy="reconciliation-confirm"
+            >
+              <FormattedMessage
+                id="Reconciliation.Confirm"
+                defaultMessage="Confirm {count, plural, one {# contribution} other {# contributions}}"
+                values={{ count: ordersToReconcile.length }}
+              />
+            </StyledButton>
+          </Flex>
+        </React.Fragment>
+      )}
+      {isConfirming && (
+        <ConfirmationModal
+          show
+          isSuccess
+          onClose={() => setConfirming(false)}
+          continueHandler={confirmOrders}
+          header={
+            <FormattedMessage
+              id="Reconciliation.ConfirmHeader"
+              defaultMessage="Mark {count, plural, one {# contribution} other {# contributions}} as paid?"
+              values={{ count: ordersToReconcile.length }}
+            />
+          }
+          body={
+            <React.Fragment>
+              <P fontSize="14px">
+                <FormattedMessage
+                  id="Reconciliation.ConfirmMarkAsPaid"
+                  defaultMessage="Confirm you have received {count, plural, one {this transfer} other {these transfers}}. The contributions will be marked as paid with their original amount."
+                  values={{ count: matchedLines.length }}
+                />
+              </P>
+              {ordersWithDifferentAmount.length > 0 && (
+                <MessageBox type="warning" withIcon mt={3} fontSize="13px">
+                  <FormattedMessage
+                    id="Reconciliation.DifferentAmounts"
+                    defaultMessage="The amount received differs from the contribution amount for {count, plural, one {# contribution} other {# contributions}}. Only the original amounts are recorded."
+                    values={{ count: ordersWithDifferentAmount.length }}
+                  />
+                </MessageBox>
+              )}
+            </React.Fragment>
+          }
+        />
+      )}
+    </Box>
+  );
+};
+
+HostDashboardReconciliation.propTypes = {
+  hostSlug: PropTypes.string.isRequired,
+};
+
+export default HostDashboardReconciliation;
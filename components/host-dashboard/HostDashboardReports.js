@@ -19,6 +19,8 @@ import { H1, H2 } from '../Text';
 
 import HostDownloadsSection from './reports-section/HostDownloadsSection';
 import HostFeesSection from './reports-section/HostFeesSection';
+import HostMetricsChartsSection from './reports-section/HostMetricsChartsSection';
+import HostReportTemplates from './reports-section/HostReportTemplates';
 import PlatformTipsCollected from './reports-section/PlatformTipsCollected';
 import TotalMoneyManagedSection from './reports-section/TotalMoneyManagedSection';
 import TransactionsOverviewSection from './reports-section/TransactionsOverviewSection';
@@ -130,6 +132,21 @@ const HostDashboardReports = ({ hostSlug }) => {
           </SectionTitle>
           <TotalMoneyManagedSection currency={host.currency} hostMetrics={host.hostMetrics} />
         </Container>
+        <Container mb={38}>
+          <SectionTitle
+            hint={
+              <FormattedMessage
+                id="HostDashboardReports.Trends.description"
+                defaultMessage="Host fees and platform tips compared with the previous period. Dates are in UTC."
+              />
+            }
+          >
+            <FormattedMessage id="HostDashboardReports.Trends" defaultMessage="Trends" />
+          </SectionTitle>
+          <StyledCard minHeight={200}>
+            <HostMetricsChartsSection hostSlug={hostSlug} />
+          </StyledCard>
+        </Container>
         <Container mb={38}>
           <SectionTitle>
             <FormattedMessage id="Host.FeesCollective" defaultMessage="Host fees (collected)" />
@@ -159,6 +176,7 @@ const HostDashboardReports = ({ hostSlug }) => {
             <FormattedMessage id="Downloads" defaultMessage="Downloads" />
           </SectionTitle>
           <HostDownloadsSection host={host} />
+          <HostReportTemplates host={host} />
         </Container>
       </StyledCard>
     </Box>
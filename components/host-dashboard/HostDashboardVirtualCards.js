@@ -0,0 +1,257 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { useMutation, useQuery } from '@apollo/client';
+import { FormattedMessage, useIntl } from 'react-intl';
+
+import { PERMISSIONS } from '../../lib/constants/permissions';
+import { formatCurrency } from '../../lib/currency-utils';
+import { i18nGraphqlException } from '../../lib/errors';
+import { API_V2_CONTEXT } from '../../lib/graphql/helpers';
+import {
+  getCardLimitUtilization,
+  getCardsFlaggedForSuspension,
+  getChargesMissingReceipts,
+  getLastMonths,
+  getMissingReceiptsThreshold,
+  getVirtualCardLabel,
+} from '../../lib/virtual-card-analytics';
+
+import Container from '../Container';
+import { Box, Flex } from '../Grid';
+import { getI18nLink } from '../I18nFormatters';
+import Link from '../Link';
+import Loading from '../Loading';
+import MessageBox from '../MessageBox';
+import MessageBoxGraphqlError from '../MessageBoxGraphqlError';
+import NotFound from '../NotFound';
+import StyledButton from '../StyledButton';
+import StyledProgressBar from '../StyledProgressBar';
+import { H1, H4, P } from '../Text';
+import { TOAST_TYPE, useToasts } from '../ToastProvider';
+import { useUser } from '../UserProvider';
+
+import {
+  CHARGES_LIMIT,
+  hostVirtualCardsAnalyticsQuery,
+  pauseVirtualCardMutation,
+  VIRTUAL_CARDS_LIMIT,
+} from './virtual-cards/graphql';
+import MissingReceiptsList from './virtual-cards/MissingReceiptsList';
+import VirtualCardsSpendChart from './virtual-cards/VirtualCardsSpendChart';
+
+const NB_MONTHS = 12;
+
+const getUtilizationColor = ratio => {
+  if (ratio >= 1) {
+    return 'red.500';
+  } else if (ratio >= 0.8) {
+    return 'yellow.500';
+  } else {
+    return 'green.500';
+  }
+};
+
+const Section = ({ title, children }) => (
+  <Container border="1px solid" borderColor="black.300" borderRadius="8px" p={3} mb={4}>
+    <H4 fontSize="18px" fontWeight="500" mb={3}>
+      {title}
+    </H4>
+    {children}
+  </Container>
+);
+
+Section.propTypes = {
+  title: PropTypes.node.isRequired,
+  children: PropTypes.node,
+};
+
+/**
+ * Spend analytics for the virtual cards of the host: spend per card, merchant and collective,
+ * utilization of the limits and the charges still missing receipts. Cards with too many missing
+ * receipts are flagged so that the host can pause them.
+ */
+const HostDashboardVirtualCards = ({ hostSlug }) => {
+  const intl = useIntl();
+  const { LoggedInUser } = useUser();
+  const { addToast } = useToasts();
+  const [pausingCardId, setPausingCardId] = React.useState(null);
+  const months = React.useMemo(() => getLastMonths(NB_MONTHS), []);
+  const { data, loading, error, refetch } = useQuery(hostVirtualCardsAnalyticsQuery, {
+    variables: { hostSlug, dateFrom: months[0], cardsLimit: VIRTUAL_CARDS_LIMIT, chargesLimit: CHARGES_LIMIT },
+    context: API_V2_CONTEXT,
+    fetchPolicy: 'network-only',
+  });
+  const [pauseVirtualCard] = useMutation(pauseVirtualCardMutation, { context: API_V2_CONTEXT });
+
+  if (loading) {
+    return <Loading />;
+  } else if (error) {
+    return <MessageBoxGraphqlError error={error} maxWidth={500} m="0 auto" />;
+  } else if (!data?.host) {
+    return <NotFound />;
+  }
+
+  const { host } = data;
+  const cards = host.hostedVirtualCards.nodes;
+  const charges = data.expenses.nodes;
+  const canManageCards = Boolean(LoggedInUser?.hasPermission(PERMISSIONS.EDIT_SETTINGS, host));
+  const missingReceipts = getChargesMissingReceipts(charges);
+  const threshold = getMissingReceiptsThreshold(host);
+  const flaggedCards = getCardsFlaggedForSuspension(cards, charges, threshold);
+  const cardsWithUtilization = cards
+    .map(card => ({ card, utilization: getCardLimitUtilization(card, charges) }))
+    .filter(({ utilization }) => utilization !== null)
+    .sort((a, b) => b.utilization.ratio - a.utilization.ratio);
+
+  const assigneesByCardId = {};
+  cards.forEach(card => {
+    assigneesByCardId[card.id] = card.assignee;
+  });
+
+  const pauseCard = async card => {
+    setPausingCardId(card.id);
+    try {
+      await pauseVirtualCard({ variables: { virtualCard: { id: card.id } } });
+      addToast({
+        type: TOAST_TYPE.SUCCESS,
+        message: <FormattedMessage id="VirtualCardsAnalytics.CardPaused" defaultMessage="Card paused" />,
+      });
+      refetch();
+    } catch (e) {
+      addToast({ type: TOAST_TYPE.ERROR, message: i18nGraphqlException(intl, e) });
+    } finally {
+      setPausingCardId(null);
+    }
+  };
+
+  return (
+    <Box maxWidth={800} m="0 auto" px={2}>
+      <H1 fontSize="32px" lineHeight="40px" py={2} fontWeight="normal">
+        <FormattedMessage id="VirtualCards.Title" defaultMessage="Virtual Cards" />
+      </H1>
+      <P fontSize="14px" color="black.700" mb={4}>
+        <FormattedMessage
+          id="VirtualCardsAnalytics.Description"
+          defaultMessage="Spending of the virtual cards over the last 12 months. Cards are listed in the <SettingsLink>virtual cards settings</SettingsLink>."
+          values={{
+            SettingsLink: getI18nLink({ as: Link, href: `/${host.slug}/edit/host-virtual-cards` }),
+          }}
+        />
+      </P>
+      {data.expenses.totalCount > charges.length && (
+        <MessageBox type="info" withIcon mb={4}>
+          <FormattedMessage
+            id="VirtualCardsAnalytics.Truncated"
+            defaultMessage="Only the last {count} charges are included."
+            values={{ count: charges.length }}
+          />
+        </MessageBox>
+      )}
+      {flaggedCards.length > 0 && (
+        <MessageBox type="warning" withIcon mb={4} data-cy="virtual-cards-flagged">
+          <P fontWeight="500" mb={2}>
+            <FormattedMessage
+              id="VirtualCardsAnalytics.Flagged"
+              defaultMessage="{count, plural, one {# card is} other {# cards are}} flagged for suspension, with {threshold} or more charges missing receipts"
+              values={{ count: flaggedCards.length, threshold }}
+            />
+          </P>
+          {flaggedCards.map(({ card, charges: cardCharges }) => (
+            <Flex key={card.id} justifyContent="space-between" alignItems="center" py={1}>
+              <P fontSize="13px" truncateOverflow mr={2}>
+                {getVirtualCardLabel(card)} · {card.account.name}
+                {card.assignee && ` · ${card.assignee.name}`}
+              </P>
+              <Flex alignItems="center">
+                <P fontSize="12px" whiteSpace="nowrap" mr={2}>
+                  <FormattedMessage
+                    id="VirtualCardsAnalytics.MissingReceiptsCount"
+                    defaultMessage="{count, plural, one {# missing receipt} other {# missing receipts}}"
+                    values={{ count: cardCharges.length }}
+                  />
+                </P>
+                {canManageCards && (
+                  <StyledButton
+                    buttonSize="tiny"
+                    buttonStyle="dangerSecondary"
+                    loading={pausingCardId === card.id}
+                    disabled={Boolean(pausingCardId)}
+                    onClick={() => pauseCard(card)}
+                  >
+                    <FormattedMessage id="VirtualCardsAnalytics.PauseCard" defaultMessage="Pause Card" />
+                  </StyledButton>
+                )}
+              </Flex>
+            </Flex>
+          ))}
+        </MessageBox>
+      )}
+      <Section title={<FormattedMessage id="VirtualCardsAnalytics.Spend" defaultMessage="Spend" />}>
+        <VirtualCardsSpendChart charges={charges} months={months} currency={host.currency} />
+      </Section>
+      <Section title={<FormattedMessage id="VirtualCardsAnalytics.Limits" defaultMessage="Limits" />}>
+        {!cardsWithUtilization.length ? (
+          <P fontSize="14px" color="black.700">
+            <FormattedMessage
+              id="VirtualCardsAnalytics.NoLimits"
+              defaultMessage="No card has a monthly or yearly limit"
+            />
+          </P>
+        ) : (
+          cardsWithUtilization.map(({ card, utilization }) => (
+            <Box key={card.id} mb={3} data-cy="virtual-cards-limit">
+              <Flex justifyContent="space-between" mb={1}>
+                <P fontSize="13px" truncateOverflow mr={2}>
+                  {getVirtualCardLabel(card)} · {card.account.name}
+                </P>
+                <P fontSize="12px" color="black.700" whiteSpace="nowrap">
+                  {card.data.spend_limit_duration === 'MONTHLY' ? (
+                    <FormattedMessage
+                      id="VirtualCardsAnalytics.MonthlyUtilization"
+                      defaultMessage="{spent} of {limit} this month"
+                      values={{
+                        spent: formatCurrency(utilization.spent, host.currency),
+                        limit: formatCurrency(utilization.limit, host.currency),
+                      }}
+                    />
+                  ) : (
+                    <FormattedMessage
+                      id="VirtualCardsAnalytics.YearlyUtilization"
+                      defaultMessage="{spent} of {limit} this year"
+                      values={{
+                        spent: formatCurrency(utilization.spent, host.currency),
+                        limit: formatCurrency(utilization.limit, host.currency),
+                      }}
+                    />
+                  )}
+                </P>
+              </Flex>
+              <StyledProgressBar
+                percentage={utilization.ratio}
+                color={getUtilizationColor(utilization.ratio)}
+                height={8}
+              />
+            </Box>
+          ))
+        )}
+      </Section>
+      <Section
+        title={
+          <FormattedMessage
+            id="VirtualCardsAnalytics.MissingReceipts"
+            defaultMessage="Missing receipts ({count})"
+            values={{ count: missingReceipts.length }}
+          />
+        }
+      >
+        <MissingReceiptsList charges={missingReceipts} assigneesByCardId={assigneesByCardId} />
+      </Section>
+    </Box>
+  );
+};
+
+HostDashboardVirtualCards.propTypes = {
+  hostSlug: PropTypes.string.isRequired,
+};
+
+export default HostDashboardVirtualCards;
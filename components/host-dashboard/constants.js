@@ -3,5 +3,8 @@ export const HOST_SECTIONS = {
   HOSTED_COLLECTIVES: 'hosted-collectives',
   PENDING_APPLICATIONS: 'pending-applications',
   REPORTS: 'reports',
+  RECONCILIATION: 'reconciliation',
+  PAYOUT_BATCH: 'payout-batch',
+  VIRTUAL_CARDS: 'virtual-cards',
   FINANCIAL_CONTRIBUTIONS: 'orders',
 };
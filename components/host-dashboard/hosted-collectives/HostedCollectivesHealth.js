@@ -0,0 +1,138 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { useQuery } from '@apollo/client';
+import { countBy } from 'lodash';
+import { FormattedMessage } from 'react-intl';
+
+import { exportFile } from '../../../lib/export_file';
+import { API_V2_CONTEXT } from '../../../lib/graphql/helpers';
+import {
+  DORMANT_AFTER_MONTHS,
+  generateHostedCollectivesHealthCSV,
+  getHealthAlerts,
+  getHostedCollectivesHealth,
+  HEALTH_PERIOD_MONTHS,
+  HOSTED_COLLECTIVES_HEALTH_ALERTS,
+  HOSTED_COLLECTIVES_HEALTH_COLUMNS,
+  sortHostedCollectivesHealth,
+} from '../../../lib/hosted-collectives-health';
+
+import { Flex } from '../../Grid';
+import LoadingPlaceholder from '../../LoadingPlaceholder';
+import MessageBox from '../../MessageBox';
+import MessageBoxGraphqlError from '../../MessageBoxGraphqlError';
+import StyledButton from '../../StyledButton';
+import { P } from '../../Text';
+
+import { HOSTED_COLLECTIVES_HEALTH_LIMIT, hostedCollectivesHealthQuery, PENDING_EXPENSES_LIMIT } from './graphql';
+import HostedCollectivesHealthTable from './HostedCollectivesHealthTable';
+
+/**
+ * Health overview of all the hosted collectives matching the filters, with the alerts and a CSV export.
+ */
+const HostedCollectivesHealth = ({ hostSlug, hostFeesStructure, searchTerm, emptyMessage }) => {
+  const [sort, setSort] = React.useState({ column: HOSTED_COLLECTIVES_HEALTH_COLUMNS.RUNWAY, direction: 'ASC' });
+  const { data, loading, error } = useQuery(hostedCollectivesHealthQuery, {
+    variables: {
+      hostSlug,
+      hostFeesStructure,
+      searchTerm,
+      limit: HOSTED_COLLECTIVES_HEALTH_LIMIT,
+      pendingExpensesLimit: PENDING_EXPENSES_LIMIT,
+    },
+    context: API_V2_CONTEXT,
+  });
+
+  const rows = React.useMemo(() => {
+    if (!data?.host) {
+      return [];
+    }
+
+    const collectives = data.host.memberOf.nodes.map(member => member.account);
+    const health = getHostedCollectivesHealth(collectives, data.expenses?.nodes);
+    return sortHostedCollectivesHealth(health, sort.column, sort.direction);
+  }, [data, sort]);
+
+  if (loading) {
+    return <LoadingPlaceholder height={400} borderRadius="8px" />;
+  } else if (error) {
+    return <MessageBoxGraphqlError error={error} mb={2} />;
+  } else if (!rows.length) {
+    return (
+      <MessageBox type="info" withIcon data-cy="zero-collective-message">
+        {emptyMessage}
+      </MessageBox>
+    );
+  }
+
+  const alertsCount = countBy(rows.flatMap(row => getHealthAlerts(row)));
+  const exportCSV = () => {
+    const csv = generateHostedCollectivesHealthCSV(rows);
+    exportFile('text/csv;charset=utf-8', `${hostSlug}-hosted-collectives-health.csv`, csv);
+  };
+
+  return (
+    <div>
+      {data.host.memberOf.totalCount > rows.length && (
+        <MessageBox type="info" withIcon mb={3}>
+          <FormattedMessage
+            id="CollectiveHealth.Truncated"
+            defaultMessage="Only the first {count} collectives are included."
+            values={{ count: rows.length }}
+          />
+        </MessageBox>
+      )}
+      {(alertsCount[HOSTED_COLLECTIVES_HEALTH_ALERTS.NEGATIVE_RUNWAY] > 0 ||
+        alertsCount[HOSTED_COLLECTIVES_HEALTH_ALERTS.DORMANT] > 0) && (
+        <MessageBox type="warning" withIcon mb={3} data-cy="hosted-collectives-health-alerts">
+          {alertsCount[HOSTED_COLLECTIVES_HEALTH_ALERTS.NEGATIVE_RUNWAY] > 0 && (
+            <P fontSize="13px">
+              <FormattedMessage
+                id="CollectiveHealth.NegativeRunwayAlert"
+                defaultMessage="{count, plural, one {# collective has} other {# collectives have}} a negative balance"
+                values={{ count: alertsCount[HOSTED_COLLECTIVES_HEALTH_ALERTS.NEGATIVE_RUNWAY] }}
+              />
+            </P>
+          )}
+          {alertsCount[HOSTED_COLLECTIVES_HEALTH_ALERTS.DORMANT] > 0 && (
+            <P fontSize="13px">
+              <FormattedMessage
+                id="CollectiveHealth.DormantAlert"
+                defaultMessage="{count, plural, one {# collective has} other {# collectives have}} had no activity for {months} months"
+                values={{ count: alertsCount[HOSTED_COLLECTIVES_HEALTH_ALERTS.DORMANT], months: DORMANT_AFTER_MONTHS }}
+              />
+            </P>
+          )}
+        </MessageBox>
+      )}
+      <Flex justifyContent="space-between" alignItems="center" mb={2} flexWrap="wrap">
+        <P fontSize="12px" color="black.600" mr={2}>
+          <FormattedMessage
+            id="CollectiveHealth.IncomeAndSpending"
+            defaultMessage="Monthly income is estimated from the yearly budget, monthly spending is averaged over the last {months} months."
+            values={{ months: HEALTH_PERIOD_MONTHS }}
+          />
+        </P>
+        <StyledButton buttonSize="tiny" onClick={exportCSV} data-cy="hosted-collectives-health-export">
+          <FormattedMessage id="Export.Format" defaultMessage="Export {format}" values={{ format: 'CSV' }} />
+        </StyledButton>
+      </Flex>
+      <HostedCollectivesHealthTable
+        rows={rows}
+        sortBy={sort.column}
+        sortDirection={sort.direction}
+        onSortChange={(column, direction) => setSort({ column, direction })}
+      />
+    </div>
+  );
+};
+
+HostedCollectivesHealth.propTypes = {
+  hostSlug: PropTypes.string.isRequired,
+  hostFeesStructure: PropTypes.string,
+  searchTerm: PropTypes.string,
+  /** Displayed when no collective matches the filters */
+  emptyMessage: PropTypes.node.isRequired,
+};
+
+export default HostedCollectivesHealth;
@@ -0,0 +1,201 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import themeGet from '@styled-system/theme-get';
+import { defineMessages, FormattedDate, FormattedMessage, FormattedNumber, useIntl } from 'react-intl';
+import styled from 'styled-components';
+
+import {
+  getHealthAlerts,
+  HOSTED_COLLECTIVES_HEALTH_ALERTS,
+  HOSTED_COLLECTIVES_HEALTH_COLUMNS,
+} from '../../../lib/hosted-collectives-health';
+
+import Avatar from '../../Avatar';
+import Container from '../../Container';
+import FormattedMoneyAmount from '../../FormattedMoneyAmount';
+import { Flex } from '../../Grid';
+import LinkCollective from '../../LinkCollective';
+import StyledTag from '../../StyledTag';
+import { Span } from '../../Text';
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 13px;
+
+  th {
+    text-align: right;
+    font-weight: 500;
+    font-size: 12px;
+    text-transform: uppercase;
+    color: ${themeGet('colors.black.600')};
+    padding: 8px;
+    border-bottom: 1px solid ${themeGet('colors.black.300')};
+    white-space: nowrap;
+  }
+
+  td {
+    text-align: right;
+    padding: 8px;
+    border-bottom: 1px solid ${themeGet('colors.black.200')};
+    vertical-align: middle;
+    white-space: nowrap;
+  }
+
+  th:first-child,
+  td:first-child {
+    text-align: left;
+  }
+`;
+
+const SortButton = styled.button`
+  border: none;
+  background: none;
+  padding: 0;
+  cursor: pointer;
+  font: inherit;
+  color: ${props => (props.isActive ? themeGet('colors.black.900') : 'inherit')};
+  text-transform: inherit;
+`;
+
+const COLUMN_LABELS = defineMessages({
+  [HOSTED_COLLECTIVES_HEALTH_COLUMNS.NAME]: { id: 'Collective', defaultMessage: 'Collective' },
+  [HOSTED_COLLECTIVES_HEALTH_COLUMNS.BALANCE]: { id: 'CollectiveHealth.Balance', defaultMessage: 'Balance' },
+  [HOSTED_COLLECTIVES_HEALTH_COLUMNS.MONTHLY_INCOME]: {
+    id: 'CollectiveHealth.EstimatedMonthlyIncome',
+    defaultMessage: 'Est. monthly income',
+  },
+  [HOSTED_COLLECTIVES_HEALTH_COLUMNS.MONTHLY_SPENDING]: {
+    id: 'CollectiveHealth.MonthlySpending',
+    defaultMessage: 'Monthly spending',
+  },
+  [HOSTED_COLLECTIVES_HEALTH_COLUMNS.RUNWAY]: { id: 'CollectiveHealth.Runway', defaultMessage: 'Runway' },
+  [HOSTED_COLLECTIVES_HEALTH_COLUMNS.LAST_ACTIVITY]: {
+    id: 'CollectiveHealth.LastActivity',
+    defaultMessage: 'Last activity',
+  },
+  [HOSTED_COLLECTIVES_HEALTH_COLUMNS.PENDING_EXPENSES]: {
+    id: 'CollectiveHealth.PendingExpenses',
+    defaultMessage: 'Pending expenses',
+  },
+  [HOSTED_COLLECTIVES_HEALTH_COLUMNS.ADMINS]: { id: 'CollectiveHealth.Admins', defaultMessage: 'Admins' },
+});
+
+export const HEALTH_ALERT_LABELS = defineMessages({
+  [HOSTED_COLLECTIVES_HEALTH_ALERTS.NEGATIVE_RUNWAY]: {
+    id: 'CollectiveHealth.Alert.NegativeRunway',
+    defaultMessage: 'Negative runway',
+  },
+  [HOSTED_COLLECTIVES_HEALTH_ALERTS.DORMANT]: { id: 'CollectiveHealth.Alert.Dormant', defaultMessage: 'Dormant' },
+});
+
+/**
+ * Table of the hosted collectives with their financial health metrics. Sorting is controlled by the parent.
+ */
+const HostedCollectivesHealthTable = ({ rows, sortBy, sortDirection, onSortChange }) => {
+  const intl = useIntl();
+  const renderHeader = column => {
+    const isActive = sortBy === column;
+    return (
+      <th key={column}>
+        <SortButton
+          type="button"
+          isActive={isActive}
+          onClick={() => onSortChange(column, isActive && sortDirection === 'DESC' ? 'ASC' : 'DESC')}
+          data-cy={`hosted-collectives-health-sort-${column}`}
+        >
+          {intl.formatMessage(COLUMN_LABELS[column])}
+          {isActive && (sortDirection === 'ASC' ? ' ↑' : ' ↓')}
+        </SortButton>
+      </th>
+    );
+  };
+
+  return (
+    <Container overflowX="auto">
+      <Table data-cy="hosted-collectives-health-table">
+        <thead>
+          <tr>{Object.values(HOSTED_COLLECTIVES_HEALTH_COLUMNS).map(renderHeader)}</tr>
+        </thead>
+        <tbody>
+          {rows.map(row => {
+            const alerts = getHealthAlerts(row);
+            return (
+              <tr key={row.collective.id} data-cy="hosted-collectives-health-row">
+                <td>
+                  <Flex alignItems="center">
+                    <Avatar collective={row.collective} radius={24} mr={2} />
+                    <LinkCollective collective={row.collective} />
+                    {alerts.map(alert => (
+                      <StyledTag
+                        key={alert}
+                        type={alert === HOSTED_COLLECTIVES_HEALTH_ALERTS.NEGATIVE_RUNWAY ? 'error' : 'warning'}
+                        fontSize="10px"
+                        ml={2}
+                      >
+                        {intl.formatMessage(HEALTH_ALERT_LABELS[alert])}
+                      </StyledTag>
+                    ))}
+                  </Flex>
+                </td>
+                <td>
+                  <FormattedMoneyAmount amount={row.balance} currency={row.currency} showCurrencyCode={false} />
+                </td>
+                <td>
+                  <FormattedMoneyAmount amount={row.monthlyIncome} currency={row.currency} showCurrencyCode={false} />
+                </td>
+                <td>
+                  <FormattedMoneyAmount amount={row.monthlySpending} currency={row.currency} showCurrencyCode={false} />
+                </td>
+                <td>
+                  {row.runway === null ? (
+                    <Span color="black.500">∞</Span>
+                  ) : (
+                    <FormattedMessage
+                      id="CollectiveHealth.RunwayMonths"
+                      defaultMessage="{count} mo."
+                      values={{ count: <FormattedNumber value={row.runway} maximumFractionDigits={1} /> }}
+                    />
+                  )}
+                </td>
+                <td>
+                  {row.lastActivityAt ? (
+                    <FormattedDate value={row.lastActivityAt} dateStyle="medium" />
+                  ) : (
+                    <Span color="black.500">
+                      <FormattedMessage id="CollectiveHealth.NoActivity" defaultMessage="Never" />
+                    </Span>
+                  )}
+                </td>
+                <td>{row.pendingExpensesCount}</td>
+                <td>{row.adminsCount}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </Table>
+    </Container>
+  );
+};
+
+HostedCollectivesHealthTable.propTypes = {
+  /** See `getHostedCollectivesHealth` */
+  rows: PropTypes.arrayOf(
+    PropTypes.shape({
+      collective: PropTypes.shape({ id: PropTypes.string.isRequired, slug: PropTypes.string }).isRequired,
+      currency: PropTypes.string.isRequired,
+      balance: PropTypes.number.isRequired,
+      monthlyIncome: PropTypes.number.isRequired,
+      monthlySpending: PropTypes.number.isRequired,
+      runway: PropTypes.number,
+      lastActivityAt: PropTypes.string,
+      pendingExpensesCount: PropTypes.number.isRequired,
+      adminsCount: PropTypes.number.isRequired,
+    }),
+  ).isRequired,
+  sortBy: PropTypes.oneOf(Object.values(HOSTED_COLLECTIVES_HEALTH_COLUMNS)).isRequired,
+  sortDirection: PropTypes.oneOf(['ASC', 'DESC']).isRequired,
+  onSortChange: PropTypes.func.isRequired,
+};
+
+export default HostedCollectivesHealthTable;
@@ -0,0 +1,74 @@
+import { gqlV2 } from '../../../lib/graphql/helpers';
+
+/** The health table is sorted in the browser, so we load all the hosted collectives at once */
+export const HOSTED_COLLECTIVES_HEALTH_LIMIT = 1000;
+
+export const PENDING_EXPENSES_LIMIT = 1000;
+
+export const hostedCollectivesHealthQuery = gqlV2/* GraphQL */ `
+  query HostDashboardHostedCollectivesHealth(
+    $hostSlug: String!
+    $limit: Int!
+    $pendingExpensesLimit: Int!
+    $hostFeesStructure: HostFeeStructure
+    $searchTerm: String
+  ) {
+    host(slug: $hostSlug) {
+      id
+      slug
+      currency
+      memberOf(
+        role: HOST
+        limit: $limit
+        offset: 0
+        hostFeesStructure: $hostFeesStructure
+        searchTerm: $searchTerm
+        isApproved: true
+      ) {
+        totalCount
+        nodes {
+          id
+          account {
+            id
+            name
+            slug
+            type
+            currency
+            imageUrl(height: 64)
+            createdAt
+            stats {
+              id
+              balance {
+                valueInCents
+              }
+              monthlySpending {
+                valueInCents
+              }
+              yearlyBudget {
+                valueInCents
+              }
+            }
+            transactions(limit: 1, orderBy: { field: CREATED_AT, direction: DESC }) {
+              nodes {
+                id
+                createdAt
+              }
+            }
+            members(role: [ADMIN], limit: 0) {
+              totalCount
+            }
+          }
+        }
+      }
+    }
+    expenses(host: { slug: $hostSlug }, status: PENDING, limit: $pendingExpensesLimit) {
+      totalCount
+      nodes {
+        id
+        account {
+          id
+        }
+      }
+    }
+  }
+`;
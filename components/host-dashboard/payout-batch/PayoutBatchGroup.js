@@ -0,0 +1,129 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { sumBy } from 'lodash';
+import { FormattedMessage, useIntl } from 'react-intl';
+
+import { formatCurrency } from '../../../lib/currency-utils';
+import i18nPayoutMethodType from '../../../lib/i18n/payout-method-type';
+import { getBankAccountDetails, getPayoutBatchReference } from '../../../lib/payout-batches';
+
+import Container from '../../Container';
+import { Box, Flex } from '../../Grid';
+import StyledCheckbox from '../../StyledCheckbox';
+import StyledInputAmount from '../../StyledInputAmount';
+import { P, Span } from '../../Text';
+
+const getPayoutAccountLabel = payoutMethod => {
+  const { iban, accountNumber } = getBankAccountDetails(payoutMethod);
+  return iban || accountNumber || payoutMethod?.data?.email || null;
+};
+
+/**
+ * The expenses of a payout batch that share the same payout method type and currency,
+ * with the fee charged by the bank for each transfer.
+ */
+const PayoutBatchGroup = ({ group, selectedIds, feePerTransfer, onSelectionChange, onFeeChange }) => {
+  const intl = useIntl();
+  const selectedExpenses = group.expenses.filter(expense => selectedIds.includes(expense.id));
+  const groupIds = group.expenses.map(expense => expense.id);
+  const toggleAll = checked => {
+    const otherIds = selectedIds.filter(id => !groupIds.includes(id));
+    onSelectionChange(checked ? [...otherIds, ...groupIds] : otherIds);
+  };
+
+  return (
+    <Container border="1px solid" borderColor="black.300" borderRadius="8px" p={3} mb={3} data-cy="payout-batch-group">
+      <Flex justifyContent="space-between" alignItems="center" flexWrap="wrap">
+        <StyledCheckbox
+          name={`payout-batch-group-${group.key}`}
+          checked={selectedExpenses.length === group.expenses.length}
+          onChange={({ checked }) => toggleAll(checked)}
+          label={
+            <Span fontSize="16px" fontWeight="bold">
+              {i18nPayoutMethodType(intl, group.payoutMethodType)} ({group.currency})
+            </Span>
+          }
+        />
+        <Flex alignItems="center" my={1}>
+          <Span fontSize="13px" color="black.700" mr={2} as="label" htmlFor={`payout-batch-fee-${group.key}`}>
+            <FormattedMessage id="PayoutBatch.FeePerTransfer" defaultMessage="Fee per transfer" />
+          </Span>
+          <StyledInputAmount
+            id={`payout-batch-fee-${group.key}`}
+            currency={group.currency}
+            value={feePerTransfer}
+            onChange={onFeeChange}
+            placeholder="0.00"
+            min={0}
+            maxWidth={140}
+          />
+        </Flex>
+      </Flex>
+      {group.expenses.map(expense => (
+        <Flex key={expense.id} alignItems="center" mt={2} data-cy="payout-batch-expense">
+          <StyledCheckbox
+            name={`payout-batch-expense-${expense.id}`}
+            checked={selectedIds.includes(expense.id)}
+            onChange={({ checked }) =>
+              onSelectionChange(checked ? [...selectedIds, expense.id] : selectedIds.filter(id => id !== expense.id))
+            }
+          />
+          <Box flex="1 1" minWidth={0} mx={2}>
+            <P fontSize="13px" truncateOverflow title={getPayoutBatchReference(expense)}>
+              {expense.account.name} → {expense.payee.name}
+            </P>
+            <P fontSize="11px" color="black.600" truncateOverflow>
+              {[getPayoutBatchReference(expense), getPayoutAccountLabel(expense.payoutMethod)]
+                .filter(Boolean)
+                .join(' · ')}
+            </P>
+          </Box>
+          <P fontSize="13px" fontWeight="500" whiteSpace="nowrap">
+            {formatCurrency(expense.amount, expense.currency)}
+          </P>
+        </Flex>
+      ))}
+      <Flex justifyContent="flex-end" mt={3}>
+        <P fontSize="13px" color="black.700" textAlign="right">
+          <FormattedMessage
+            id="PayoutBatch.GroupTotal"
+            defaultMessage="{count, plural, one {# transfer} other {# transfers}}: {amount} + {fees} fees"
+            values={{
+              count: selectedExpenses.length,
+              amount: formatCurrency(sumBy(selectedExpenses, 'amount'), group.currency),
+              fees: formatCurrency(selectedExpenses.length * (feePerTransfer || 0), group.currency),
+            }}
+          />
+        </P>
+      </Flex>
+    </Container>
+  );
+};
+
+PayoutBatchGroup.propTypes = {
+  group: PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    payoutMethodType: PropTypes.string.isRequired,
+    currency: PropTypes.string.isRequired,
+    expenses: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        legacyId: PropTypes.number.isRequired,
+        amount: PropTypes.number.isRequired,
+        currency: PropTypes.string.isRequired,
+        payoutMethod: PropTypes.object,
+        payee: PropTypes.shape({ name: PropTypes.string }).isRequired,
+        account: PropTypes.shape({ name: PropTypes.string }).isRequired,
+      }),
+    ).isRequired,
+  }).isRequired,
+  /** The ids of all the expenses selected in the batch */
+  selectedIds: PropTypes.arrayOf(PropTypes.string).isRequired,
+  /** In cents */
+  feePerTransfer: PropTypes.number,
+  /** Called with the new list of selected ids */
+  onSelectionChange: PropTypes.func.isRequired,
+  onFeeChange: PropTypes.func.isRequired,
+};
+
+export default PayoutBatchGroup;
@@ -0,0 +1,68 @@
+import { gqlV2 } from '../../../lib/graphql/helpers';
+
+/** The batch is built in the browser, so we load all the expenses ready to be paid at once */
+export const READY_TO_PAY_EXPENSES_LIMIT = 1000;
+
+const payoutBatchExpenseFields = gqlV2/* GraphQL */ `
+  fragment PayoutBatchExpenseFields on Expense {
+    id
+    legacyId
+    description
+    createdAt
+    status
+    amount
+    currency
+    permissions {
+      id
+      canPay
+    }
+    payoutMethod {
+      id
+      type
+      data
+    }
+    payee {
+      id
+      slug
+      name
+    }
+    account {
+      id
+      slug
+      name
+      currency
+      stats {
+        id
+        balanceWithBlockedFunds {
+          valueInCents
+          currency
+        }
+      }
+    }
+  }
+`;
+
+export const hostPayoutBatchQuery = gqlV2/* GraphQL */ `
+  query HostPayoutBatch($hostSlug: String!, $limit: Int!) {
+    host(slug: $hostSlug) {
+      id
+      slug
+      name
+      legalName
+      currency
+      bankAccount {
+        id
+        type
+        data
+      }
+    }
+    expenses(host: { slug: $hostSlug }, status: READY_TO_PAY, limit: $limit) {
+      totalCount
+      nodes {
+        id
+        ...PayoutBatchExpenseFields
+      }
+    }
+  }
+  ${payoutBatchExpenseFields}
+`;
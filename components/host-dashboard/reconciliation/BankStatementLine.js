@@ -0,0 +1,191 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { X } from '@styled-icons/feather/X';
+import { defineMessages, FormattedDate, FormattedMessage, useIntl } from 'react-intl';
+
+import { getRemainingAmount, MATCH_TYPES } from '../../../lib/bank-statements';
+import { formatCurrency } from '../../../lib/currency-utils';
+
+import Container from '../../Container';
+import { Box, Flex } from '../../Grid';
+import StyledButton from '../../StyledButton';
+import StyledInputAmount from '../../StyledInputAmount';
+import StyledSelect from '../../StyledSelect';
+import StyledTag from '../../StyledTag';
+import { P, Span } from '../../Text';
+
+const messages = defineMessages({
+  [MATCH_TYPES.REFERENCE]: {
+    id: 'Reconciliation.MatchType.Reference',
+    defaultMessage: 'Reference',
+  },
+  [MATCH_TYPES.AMOUNT_AND_DATE]: {
+    id: 'Reconciliation.MatchType.AmountAndDate',
+    defaultMessage: 'Amount & date',
+  },
+  [MATCH_TYPES.MANUAL]: {
+    id: 'Reconciliation.MatchType.Manual',
+    defaultMessage: 'Manual',
+  },
+  selectOrder: {
+    id: 'Reconciliation.SelectOrder',
+    defaultMessage: 'Match with a pending contribution',
+  },
+  removeMatch: {
+    id: 'Reconciliation.RemoveMatch',
+    defaultMessage: 'Remove this match',
+  },
+});
+
+const getOrderLabel = order => {
+  const amount = formatCurrency(order.amount.valueInCents, order.amount.currency);
+  return `#${order.legacyId} - ${order.fromAccount.name} → ${order.toAccount.name} (${amount})`;
+};
+
+/**
+ * A line of the bank statement, with the pending orders it's allocated to. Hosts can match
+ * it with more orders to split the amount received, or change the allocated amounts.
+ */
+const BankStatementLine = ({ line, allocations, orders, availableOrders, allocatedByOrder, currency, onChange }) => {
+  const intl = useIntl();
+  const lineCurrency = line.currency || currency;
+  const remainingAmount = getRemainingAmount(line, allocations);
+  const getOrder = orderId => orders.find(order => order.id === orderId);
+
+  const addOrder = order => {
+    const orderRemainingAmount = order.amount.valueInCents - (allocatedByOrder[order.id] || 0);
+    const amount = Math.min(orderRemainingAmount, remainingAmount);
+    onChange([...allocations, { orderId: order.id, amount, matchType: MATCH_TYPES.MANUAL }]);
+  };
+
+  const updateAmount = (orderId, amount) => {
+    onChange(allocations.map(allocation => (allocation.orderId === orderId ? { ...allocation, amount } : allocation)));
+  };
+
+  return (
+    <Container
+      border="1px solid"
+      borderColor={allocations.length ? 'green.300' : 'black.300'}
+      borderRadius="8px"
+      p={3}
+      mb={3}
+      data-cy="reconciliation-line"
+    >
+      <Flex justifyContent="space-between" alignItems="flex-start">
+        <Box minWidth={0} mr={3}>
+          <P fontSize="12px" color="black.600">
+            {line.date ? <FormattedDate value={line.date} dateStyle="medium" timeZone="UTC" /> : '-'}
+          </P>
+          <P fontSize="14px" fontWeight="500" style={{ overflowWrap: 'anywhere' }}>
+            {line.description || line.reference || line.id}
+          </P>
+        </Box>
+        <P fontSize="16px" fontWeight="bold" whiteSpace="nowrap">
+          {formatCurrency(line.amount, lineCurrency)}
+        </P>
+      </Flex>
+      {allocations.map(allocation => {
+        const order = getOrder(allocation.orderId);
+        return !order ? null : (
+          <Flex key={allocation.orderId} alignItems="center" flexWrap="wrap" mt={2} data-cy="reconciliation-match">
+            <Box flex="1 1 200px" minWidth={0} mr={2}>
+              <P fontSize="13px" truncateOverflow title={getOrderLabel(order)}>
+                {getOrderLabel(order)}
+              </P>
+            </Box>
+            <StyledTag fontSize="11px" mr={2} type={allocation.matchType === MATCH_TYPES.MANUAL ? 'info' : 'success'}>
+              {intl.formatMessage(messages[allocation.matchType])}
+            </StyledTag>
+            <StyledInputAmount
+              id={`reconciliation-amount-${line.id}-${order.id}`}
+              currency={order.amount.currency}
+              value={allocation.amount}
+              onChange={amount => updateAmount(order.id, amount)}
+              min={1}
+              maxWidth={160}
+              mr={2}
+            />
+            <StyledButton
+              buttonSize="tiny"
+              isBorderless
+              title={intl.formatMessage(messages.removeMatch)}
+              onClick={() => onChange(allocations.filter(({ orderId }) => orderId !== order.id))}
+            >
+              <X size={14} />
+            </StyledButton>
+          </Flex>
+        );
+      })}
+      {remainingAmount < 0 && (
+        <P fontSize="12px" color="red.600" mt={2}>
+          <FormattedMessage
+            id="Reconciliation.OverAllocated"
+            defaultMessage="The allocated amounts exceed the amount received by {amount}"
+            values={{ amount: formatCurrency(-remainingAmount, lineCurrency) }}
+          />
+        </P>
+      )}
+      {remainingAmount > 0 && (
+        <Flex alignItems="center" flexWrap="wrap" mt={2}>
+          {allocations.length > 0 && (
+            <Span fontSize="12px" color="yellow.800" mr={2}>
+              <FormattedMessage
+                id="Reconciliation.Unallocated"
+                defaultMessage="{amount} not allocated"
+                values={{ amount: formatCurrency(remainingAmount, lineCurrency) }}
+              />
+            </Span>
+          )}
+          <Box flex="1 1 300px">
+            <StyledSelect
+              inputId={`reconciliation-select-${line.id}`}
+              fontSize="13px"
+              placeholder={intl.formatMessage(messages.selectOrder)}
+              options={availableOrders.map(order => ({ value: order, label: getOrderLabel(order) }))}
+              onChange={({ value }) => addOrder(value)}
+              value={null}
+            />
+          </Box>
+        </Flex>
+      )}
+    </Container>
+  );
+};
+
+const OrderPropType = PropTypes.shape({
+  id: PropTypes.string.isRequired,
+  legacyId: PropTypes.number.isRequired,
+  amount: PropTypes.shape({ valueInCents: PropTypes.number, currency: PropTypes.string }).isRequired,
+  fromAccount: PropTypes.shape({ name: PropTypes.string }).isRequired,
+  toAccount: PropTypes.shape({ name: PropTypes.string }).isRequired,
+});
+
+BankStatementLine.propTypes = {
+  line: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    date: PropTypes.string,
+    amount: PropTypes.number.isRequired,
+    currency: PropTypes.string,
+    reference: PropTypes.string,
+    description: PropTypes.string,
+  }).isRequired,
+  allocations: PropTypes.arrayOf(
+    PropTypes.shape({
+      orderId: PropTypes.string.isRequired,
+      amount: PropTypes.number,
+      matchType: PropTypes.oneOf(Object.values(MATCH_TYPES)).isRequired,
+    }),
+  ).isRequired,
+  /** All the pending orders */
+  orders: PropTypes.arrayOf(OrderPropType).isRequired,
+  /** The pending orders that can still be matched with this line */
+  availableOrders: PropTypes.arrayOf(OrderPropType).isRequired,
+  /** The amounts already allocated to each order, across all the lines */
+  allocatedByOrder: PropTypes.objectOf(PropTypes.number).isRequired,
+  /** Currency of the host, used when the statement doesn't have one */
+  currency: PropTypes.string.isRequired,
+  /** Called with the new allocations */
+  onChange: PropTypes.func.isRequired,
+};
+
+export default BankStatementLine;
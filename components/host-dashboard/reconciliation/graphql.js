@@ -0,0 +1,53 @@
+import { gqlV2 } from '../../../lib/graphql/helpers';
+
+/** Orders are matched in the browser, so we load all the pending ones at once */
+export const PENDING_ORDERS_LIMIT = 1000;
+
+const reconciliationOrderFields = gqlV2/* GraphQL */ `
+  fragment ReconciliationOrderFields on Order {
+    id
+    legacyId
+    description
+    createdAt
+    status
+    amount {
+      valueInCents
+      currency
+    }
+    fromAccount {
+      id
+      slug
+      name
+    }
+    toAccount {
+      id
+      slug
+      name
+    }
+  }
+`;
+
+export const hostReconciliationQuery = gqlV2/* GraphQL */ `
+  query HostReconciliation($hostSlug: String!, $limit: Int!) {
+    host(slug: $hostSlug) {
+      id
+      slug
+      name
+      currency
+    }
+    orders(
+      account: { slug: $hostSlug }
+      includeHostedAccounts: true
+      filter: INCOMING
+      status: PENDING
+      limit: $limit
+    ) {
+      totalCount
+      nodes {
+        id
+        ...ReconciliationOrderFields
+      }
+    }
+  }
+  ${reconciliationOrderFields}
+`;
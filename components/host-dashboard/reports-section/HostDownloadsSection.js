@@ -7,6 +7,7 @@ import styled from 'styled-components';
 import { fetchCSVFileFromRESTService } from '../../../lib/api';
 import { simpleDateToISOString } from '../../../lib/date-utils';
 import { useAsyncCall } from '../../../lib/hooks/useAsyncCall';
+import { getHostReportURL } from '../../../lib/host-report-templates';
 
 import PeriodFilter from '../../budget/filters/PeriodFilter';
 import CollectivePickerAsync from '../../CollectivePickerAsync';
@@ -17,23 +18,6 @@ import { PERIOD_FILTER_PRESETS } from '../../PeriodFilterPresetsSelect';
 import StyledButton from '../../StyledButton';
 import StyledInputField from '../../StyledInputField';
 
-const getHostReportURL = (hostSlug, params) => {
-  const { dateFrom, dateTo, accountsSlugs, format = 'txt' } = params || {};
-  const url = new URL(`${process.env.REST_URL}/v2/${hostSlug}/hostTransactions.${format}`);
-
-  if (dateFrom) {
-    url.searchParams.set('dateFrom', dateFrom);
-  }
-  if (dateTo) {
-    url.searchParams.set('dateTo', dateTo);
-  }
-  if (accountsSlugs?.length) {
-    url.searchParams.set('account', accountsSlugs.join(','));
-  }
-
-  return url.toString();
-};
-
 const FieldLabel = styled.span`
   font-weight: 500;
   font-size: 12px;
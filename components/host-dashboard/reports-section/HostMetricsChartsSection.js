@@ -0,0 +1,294 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { useQuery } from '@apollo/client';
+import { saveAs } from 'file-saver';
+import { sum } from 'lodash';
+import dynamic from 'next/dynamic';
+import { useRouter } from 'next/router';
+import { defineMessages, FormattedMessage, useIntl } from 'react-intl';
+import styled from 'styled-components';
+
+import { formatCurrency } from '../../../lib/currency-utils';
+import { exportFile } from '../../../lib/export_file';
+import { API_V2_CONTEXT, gqlV2 } from '../../../lib/graphql/helpers';
+import {
+  getBucketInterval,
+  getChartCSV,
+  getComparisonPeriods,
+  getDrillDownLink,
+  getVariation,
+  HOST_CHART_COMPARISONS,
+  HOST_CHART_METRICS,
+  timeSeriesToValues,
+} from '../../../lib/host-metrics-charts';
+
+import ContainerOverlay from '../../ContainerOverlay';
+import { Box, Flex } from '../../Grid';
+import Loading from '../../Loading';
+import MessageBoxGraphqlError from '../../MessageBoxGraphqlError';
+import StyledButton from '../../StyledButton';
+import StyledButtonSet from '../../StyledButtonSet';
+import StyledSpinner from '../../StyledSpinner';
+import { P, Span } from '../../Text';
+
+const Chart = dynamic(() => import('react-apexcharts'), { ssr: false });
+
+const CHART_ID = 'chart-host-report-metrics';
+
+const timeSeriesFields = gqlV2/* GraphQL */ `
+  fragment HostMetricsChartsTimeSeriesFields on HostMetricsTimeSeries {
+    hostFees {
+      nodes {
+        date
+        amount {
+          valueInCents
+          currency
+        }
+      }
+    }
+    platformTips {
+      nodes {
+        date
+        amount {
+          valueInCents
+          currency
+        }
+      }
+    }
+  }
+`;
+
+const hostMetricsChartsQuery = gqlV2/* GraphQL */ `
+  query HostMetricsCharts(
+    $hostSlug: String!
+    $timeUnit: TimeUnit!
+    $currentFrom: DateTime!
+    $currentTo: DateTime!
+    $previousFrom: DateTime!
+    $previousTo: DateTime!
+  ) {
+    host(slug: $hostSlug) {
+      id
+      currency
+      current: hostMetricsTimeSeries(dateFrom: $currentFrom, dateTo: $currentTo, timeUnit: $timeUnit) {
+        ...HostMetricsChartsTimeSeriesFields
+      }
+      previous: hostMetricsTimeSeries(dateFrom: $previousFrom, dateTo: $previousTo, timeUnit: $timeUnit) {
+        ...HostMetricsChartsTimeSeriesFields
+      }
+    }
+  }
+  ${timeSeriesFields}
+`;
+
+const ChartWrapper = styled.div`
+  position: relative;
+
+  .apexcharts-bar-area {
+    cursor: pointer;
+  }
+`;
+
+const METRIC_LABELS = defineMessages({
+  [HOST_CHART_METRICS.HOST_FEES]: { id: 'HostMetricsCharts.HostFees', defaultMessage: 'Host fees' },
+  [HOST_CHART_METRICS.PLATFORM_TIPS]: { id: 'HostMetricsCharts.PlatformTips', defaultMessage: 'Platform tips' },
+});
+
+const SERIES_NAMES = defineMessages({
+  currentMonth: { id: 'HostMetricsCharts.CurrentMonth', defaultMessage: 'This month' },
+  previousMonth: { id: 'HostMetricsCharts.PreviousMonth', defaultMessage: 'Last month' },
+  currentYear: { id: 'HostMetricsCharts.CurrentYear', defaultMessage: 'This year' },
+  previousYear: { id: 'HostMetricsCharts.PreviousYear', defaultMessage: 'Last year' },
+});
+
+const getSeriesNames = (intl, comparison) => {
+  if (comparison === HOST_CHART_COMPARISONS.MONTH) {
+    return [intl.formatMessage(SERIES_NAMES.currentMonth), intl.formatMessage(SERIES_NAMES.previousMonth)];
+  } else {
+    return [intl.formatMessage(SERIES_NAMES.currentYear), intl.formatMessage(SERIES_NAMES.previousYear)];
+  }
+};
+
+const getLabels = (intl, periods) => {
+  return [...new Array(periods.nbBuckets)].map((_, idx) =>
+    periods.timeUnit === 'DAY' ? `${idx + 1}` : intl.formatDate(new Date(0, idx), { month: 'short' }).toUpperCase(),
+  );
+};
+
+const getChartOptions = (labels, currency, onDataPointClick) => ({
+  chart: {
+    id: CHART_ID,
+    toolbar: { show: false },
+    events: {
+      dataPointSelection: (event, chartContext, { seriesIndex, dataPointIndex }) => {
+        onDataPointClick(seriesIndex, dataPointIndex);
+      },
+    },
+  },
+  legend: { show: true, horizontalAlign: 'left', fontWeight: 'bold', fontSize: '12px' },
+  dataLabels: { enabled: false },
+  plotOptions: { bar: { columnWidth: '70%' } },
+  colors: ['#46347F', '#C4C7CC'],
+  states: { active: { filter: { type: 'none' } } },
+  xaxis: { categories: labels },
+  yaxis: {
+    labels: {
+      minWidth: 38,
+      formatter: value => {
+        const amount = value / 100;
+        return amount < 1000 ? Math.round(amount) : `${Math.round(amount / 1000)}k`;
+      },
+    },
+  },
+  tooltip: {
+    shared: true,
+    intersect: false,
+    y: { formatter: value => formatCurrency(value, currency) },
+  },
+});
+
+const Variation = ({ value }) => {
+  if (value === null) {
+    return null;
+  }
+
+  const isPositive = value >= 0;
+  return (
+    <Span fontSize="12px" fontWeight="500" color={isPositive ? 'green.700' : 'red.700'} ml={2}>
+      {isPositive ? '+' : ''}
+      {Math.round(value * 100)}%
+    </Span>
+  );
+};
+
+Variation.propTypes = {
+  value: PropTypes.number,
+};
+
+/**
+ * Time-series charts for the main metrics of the host, comparing the current period with the
+ * previous one. Clicking on a bar opens the matching list of transactions.
+ */
+const HostMetricsChartsSection = ({ hostSlug }) => {
+  const intl = useIntl();
+  const router = useRouter();
+  const metrics = Object.values(HOST_CHART_METRICS);
+  const [metric, setMetric] = React.useState(HOST_CHART_METRICS.HOST_FEES);
+  const [comparison, setComparison] = React.useState(HOST_CHART_COMPARISONS.MONTH);
+  const periods = React.useMemo(() => getComparisonPeriods(comparison), [comparison]);
+  const { data, previousData, loading, error } = useQuery(hostMetricsChartsQuery, {
+    context: API_V2_CONTEXT,
+    variables: {
+      hostSlug,
+      timeUnit: periods.timeUnit,
+      currentFrom: periods.current.dateFrom,
+      currentTo: periods.current.dateTo,
+      previousFrom: periods.previous.dateFrom,
+      previousTo: periods.previous.dateTo,
+    },
+  });
+
+  const host = loading && !data ? previousData?.host : data?.host;
+  const labels = React.useMemo(() => getLabels(intl, periods), [intl, periods]);
+  const series = React.useMemo(() => {
+    const [currentName, previousName] = getSeriesNames(intl, comparison);
+    return [
+      { name: currentName, data: timeSeriesToValues(host?.current[metric].nodes, periods.timeUnit, periods.nbBuckets) },
+      {
+        name: previousName,
+        data: timeSeriesToValues(host?.previous[metric].nodes, periods.timeUnit, periods.nbBuckets),
+      },
+    ];
+  }, [intl, host, metric, comparison, periods]);
+
+  const chartOptions = React.useMemo(() => {
+    const openDataPoint = (seriesIndex, dataPointIndex) => {
+      const period = seriesIndex === 0 ? periods.current : periods.previous;
+      const interval = getBucketInterval(period, periods.timeUnit, dataPointIndex);
+      router.push(getDrillDownLink(hostSlug, metric, interval));
+    };
+
+    return getChartOptions(labels, host?.currency, openDataPoint);
+  }, [labels, host?.currency, hostSlug, metric, periods]);
+
+  const filename = `host-${hostSlug}-${metric}-${periods.current.dateFrom.split('T')[0]}`;
+  const exportCSV = () => exportFile('text/csv;charset=utf-8', `${filename}.csv`, getChartCSV(labels, series));
+  const exportPNG = async () => {
+    const { default: ApexCharts } = await import('apexcharts');
+    const { imgURI } = await ApexCharts.exec(CHART_ID, 'dataURI');
+    saveAs(imgURI, `${filename}.png`);
+  };
+
+  if (error) {
+    return <MessageBoxGraphqlError error={error} />;
+  } else if (loading && !host) {
+    return <Loading />;
+  }
+
+  const [currentTotal, previousTotal] = series.map(({ data }) => sum(data));
+  return (
+    <Box py={3} css={{ background: '#F6F5FF' }} data-cy="host-metrics-charts">
+      <Flex flexWrap="wrap" justifyContent="space-between" alignItems="center" px={3} mb={2}>
+        <StyledButtonSet size="tiny" items={metrics} selected={metric} onChange={setMetric} mb={2}>
+          {({ item }) => intl.formatMessage(METRIC_LABELS[item])}
+        </StyledButtonSet>
+        <StyledButtonSet
+          size="tiny"
+          items={Object.values(HOST_CHART_COMPARISONS)}
+          selected={comparison}
+          onChange={setComparison}
+          mb={2}
+        >
+          {({ item }) =>
+            item === HOST_CHART_COMPARISONS.MONTH ? (
+              <FormattedMessage id="HostMetricsCharts.MonthOverMonth" defaultMessage="Month over month" />
+            ) : (
+              <FormattedMessage id="HostMetricsCharts.YearOverYear" defaultMessage="Year over year" />
+            )
+          }
+        </StyledButtonSet>
+      </Flex>
+      <Flex flexWrap="wrap" justifyContent="space-between" alignItems="center" px={3}>
+        <P fontSize="14px">
+          <Span fontWeight="700">{formatCurrency(currentTotal, host?.currency)}</Span>
+          <Variation value={getVariation(currentTotal, previousTotal)} />
+          <Span fontSize="12px" color="black.600" ml={2}>
+            <FormattedMessage
+              id="HostMetricsCharts.ComparedTo"
+              defaultMessage="vs {amount}"
+              values={{ amount: formatCurrency(previousTotal, host?.currency) }}
+            />
+          </Span>
+        </P>
+        <Flex>
+          <StyledButton buttonSize="tiny" mr={2} onClick={exportCSV} data-cy="host-metrics-export-csv">
+            <FormattedMessage id="HostMetricsCharts.ExportCSV" defaultMessage="Export CSV" />
+          </StyledButton>
+          <StyledButton buttonSize="tiny" onClick={exportPNG} data-cy="host-metrics-export-png">
+            <FormattedMessage id="HostMetricsCharts.ExportPNG" defaultMessage="Export PNG" />
+          </StyledButton>
+        </Flex>
+      </Flex>
+      <P fontSize="11px" color="black.600" px={3} mt={1}>
+        <FormattedMessage
+          id="HostMetricsCharts.Hint"
+          defaultMessage="Click on a bar to see the matching transactions."
+        />
+      </P>
+      <ChartWrapper>
+        {loading && (
+          <ContainerOverlay>
+            <StyledSpinner size={64} />
+          </ContainerOverlay>
+        )}
+        <Chart type="bar" width="100%" height="250px" options={chartOptions} series={series} />
+      </ChartWrapper>
+    </Box>
+  );
+};
+
+HostMetricsChartsSection.propTypes = {
+  hostSlug: PropTypes.string.isRequired,
+};
+
+export default HostMetricsChartsSection;
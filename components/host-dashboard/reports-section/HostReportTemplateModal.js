@@ -0,0 +1,260 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { FormattedMessage, useIntl } from 'react-intl';
+
+import { fetchTextFromRESTService } from '../../../lib/api';
+import { simpleDateToISOString } from '../../../lib/date-utils';
+import { useAsyncCall } from '../../../lib/hooks/useAsyncCall';
+import {
+  getHostReportURL,
+  HOST_REPORT_FORMAT,
+  HOST_REPORT_PREVIEW_LIMIT,
+  parseCSVPreview,
+  validateHostReportTemplate,
+} from '../../../lib/host-report-templates';
+
+import CollectivePickerAsync from '../../CollectivePickerAsync';
+import Container from '../../Container';
+import { Box, Flex, Grid } from '../../Grid';
+import MessageBox from '../../MessageBox';
+import { PERIOD_FILTER_PRESETS } from '../../PeriodFilterPresetsSelect';
+import StyledButton from '../../StyledButton';
+import StyledButtonSet from '../../StyledButtonSet';
+import StyledInput from '../../StyledInput';
+import StyledInputField from '../../StyledInputField';
+import StyledModal, { ModalBody, ModalFooter, ModalHeader } from '../../StyledModal';
+import StyledSelect from '../../StyledSelect';
+import { H4, P } from '../../Text';
+
+/**
+ * Converts the period preset of a template to the `dateFrom`/`dateTo` params. Like for the
+ * default downloads, we use UTC to match the monthly host report sent by email.
+ */
+const getTemplateDateArgs = period => {
+  const { from, to } = (PERIOD_FILTER_PRESETS[period] || PERIOD_FILTER_PRESETS.allTime).getInterval();
+  return {
+    dateFrom: from ? simpleDateToISOString(from.format('YYYY-MM-DD'), false, 'UTC') : undefined,
+    dateTo: to ? simpleDateToISOString(to.format('YYYY-MM-DD'), true, 'UTC') : undefined,
+  };
+};
+
+export const getHostReportTemplateURL = (hostSlug, template) => {
+  return getHostReportURL(hostSlug, {
+    ...getTemplateDateArgs(template.period),
+    accountsSlugs: template.accounts.map(account => account.slug),
+    format: template.format,
+  });
+};
+
+const ReportPreview = ({ hostSlug, template }) => {
+  const [preview, setPreview] = React.useState(null);
+  const { loading, call: loadPreview } = useAsyncCall(
+    async () => {
+      const content = await fetchTextFromRESTService(getHostReportTemplateURL(hostSlug, template));
+      setPreview(parseCSVPreview(content));
+    },
+    { useErrorToast: true },
+  );
+
+  return (
+    <Box mt={3}>
+      <Flex alignItems="center" justifyContent="space-between" mb={2}>
+        <P fontSize="14px" fontWeight="500">
+          <FormattedMessage id="HostReportTemplates.Preview" defaultMessage="Preview" />
+        </P>
+        <StyledButton
+          type="button"
+          buttonSize="tiny"
+          loading={loading}
+          onClick={loadPreview}
+          data-cy="host-report-template-preview"
+        >
+          <FormattedMessage
+            id="HostReportTemplates.LoadPreview"
+            defaultMessage="Show the first {count} rows"
+            values={{ count: HOST_REPORT_PREVIEW_LIMIT }}
+          />
+        </StyledButton>
+      </Flex>
+      {preview && !preview.rows.length && (
+        <MessageBox type="info" fontSize="13px">
+          <FormattedMessage id="HostReportTemplates.EmptyPreview" defaultMessage="No transactions for this period." />
+        </MessageBox>
+      )}
+      {preview?.rows.length > 0 && (
+        <Container overflowX="auto" maxHeight={240} border="1px solid" borderColor="black.300" borderRadius="4px">
+          <table style={{ borderCollapse: 'collapse', fontSize: '11px', whiteSpace: 'nowrap' }}>
+            <thead>
+              <tr>
+                {preview.headers.map(header => (
+                  <Container as="th" key={header} textAlign="left" p={1} bg="black.100">
+                    {header}
+                  </Container>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {preview.rows.map((row, rowIdx) => (
+                // eslint-disable-next-line react/no-array-index-key
+                <tr key={rowIdx}>
+                  {row.map((value, valueIdx) => (
+                    // eslint-disable-next-line react/no-array-index-key
+                    <Container as="td" key={valueIdx} p={1} borderTop="1px solid" borderColor="black.200">
+                      {value}
+                    </Container>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Container>
+      )}
+    </Box>
+  );
+};
+
+ReportPreview.propTypes = {
+  hostSlug: PropTypes.string.isRequired,
+  template: PropTypes.object.isRequired,
+};
+
+/**
+ * A form to create or edit a report template: what to export (period, accounts and format).
+ */
+const HostReportTemplateModal = ({ host, template: initialTemplate, onSave, onClose }) => {
+  const intl = useIntl();
+  const [template, setTemplate] = React.useState(initialTemplate);
+  const [isSubmitted, setSubmitted] = React.useState(false);
+  const errors = validateHostReportTemplate(template);
+  const setField = (field, value) => setTemplate({ ...template, [field]: value });
+  const periodOptions = Object.keys(PERIOD_FILTER_PRESETS).map(key => ({
+    value: key,
+    label: PERIOD_FILTER_PRESETS[key].label,
+  }));
+
+  const submit = () => {
+    setSubmitted(true);
+    if (!Object.keys(errors).length) {
+      onSave({ ...template, name: template.name.trim() });
+    }
+  };
+
+  const getError = field => {
+    if (isSubmitted && errors[field] === 'required') {
+      return intl.formatMessage({ id: 'Error.FieldRequired', defaultMessage: 'This field is required' });
+    }
+  };
+
+  return (
+    <StyledModal show width="720px" onClose={onClose} trapFocus>
+      <ModalHeader onClose={onClose}>
+        <H4 fontSize="20px" fontWeight="700">
+          {initialTemplate.name ? (
+            <FormattedMessage id="HostReportTemplates.Edit" defaultMessage="Edit report template" />
+          ) : (
+            <FormattedMessage id="HostReportTemplates.New" defaultMessage="New report template" />
+          )}
+        </H4>
+      </ModalHeader>
+      <ModalBody>
+        <StyledInputField
+          name="host-report-template-name"
+          label={<FormattedMessage id="Fields.name" defaultMessage="Name" />}
+          error={getError('name')}
+          mb={3}
+        >
+          {inputProps => (
+            <StyledInput
+              {...inputProps}
+              value={template.name}
+              maxLength={100}
+              onChange={e => setField('name', e.target.value)}
+            />
+          )}
+        </StyledInputField>
+        <Grid gridTemplateColumns={['1fr', '200px 1fr']} gridGap="16px" mb={3}>
+          <StyledInputField
+            name="host-report-template-period"
+            label={<FormattedMessage id="Period" defaultMessage="Period" />}
+          >
+            {({ id }) => (
+              <StyledSelect
+                inputId={id}
+                options={periodOptions}
+                value={periodOptions.find(option => option.value === template.period)}
+                onChange={({ value }) => setField('period', value)}
+              />
+            )}
+          </StyledInputField>
+          <StyledInputField
+            name="host-report-template-accounts"
+            label={<FormattedMessage defaultMessage="Filter by collective" />}
+            required={false}
+          >
+            {({ id }) => (
+              <CollectivePickerAsync
+                inputId={id}
+                hostCollectiveIds={[host.legacyId]}
+                isMulti
+                getDefaultOptions={build => template.accounts.map(build)}
+                onChange={options =>
+                  setField(
+                    'accounts',
+                    (options || []).map(({ value }) => ({ id: value.id, slug: value.slug, name: value.name })),
+                  )
+                }
+              />
+            )}
+          </StyledInputField>
+        </Grid>
+        <StyledInputField
+          name="host-report-template-format"
+          label={<FormattedMessage id="HostReportTemplates.Format" defaultMessage="Format" />}
+          mb={3}
+        >
+          {() => (
+            <StyledButtonSet
+              size="small"
+              items={Object.values(HOST_REPORT_FORMAT)}
+              selected={template.format}
+              onChange={format => setField('format', format)}
+            >
+              {({ item }) => item.toUpperCase()}
+            </StyledButtonSet>
+          )}
+        </StyledInputField>
+        <ReportPreview hostSlug={host.slug} template={template} />
+      </ModalBody>
+      <ModalFooter>
+        <Flex justifyContent="flex-end">
+          <StyledButton mr={2} minWidth={120} onClick={onClose}>
+            <FormattedMessage id="actions.cancel" defaultMessage="Cancel" />
+          </StyledButton>
+          <StyledButton buttonStyle="primary" minWidth={120} onClick={submit} data-cy="host-report-template-save">
+            <FormattedMessage id="save" defaultMessage="Save" />
+          </StyledButton>
+        </Flex>
+      </ModalFooter>
+    </StyledModal>
+  );
+};
+
+HostReportTemplateModal.propTypes = {
+  host: PropTypes.shape({
+    slug: PropTypes.string.isRequired,
+    legacyId: PropTypes.number.isRequired,
+  }).isRequired,
+  /** The template to edit, see `createHostReportTemplate` */
+  template: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string,
+    period: PropTypes.string,
+    accounts: PropTypes.arrayOf(PropTypes.shape({ slug: PropTypes.string.isRequired })),
+    format: PropTypes.oneOf(Object.values(HOST_REPORT_FORMAT)),
+  }).isRequired,
+  /** Called with the updated template */
+  onSave: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default HostReportTemplateModal;
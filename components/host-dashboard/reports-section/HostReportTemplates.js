@@ -0,0 +1,180 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { FormattedMessage, useIntl } from 'react-intl';
+
+import { fetchTextFromRESTService } from '../../../lib/api';
+import { i18nGraphqlException } from '../../../lib/errors';
+import { exportFile } from '../../../lib/export_file';
+import {
+  createHostReportTemplate,
+  getHostReportTemplates,
+  HOST_REPORT_MIME_TYPES,
+  removeHostReportTemplate,
+  saveHostReportTemplate,
+  storeHostReportTemplates,
+} from '../../../lib/host-report-templates';
+
+import ConfirmationModal from '../../ConfirmationModal';
+import Container from '../../Container';
+import { Box, Flex } from '../../Grid';
+import { PERIOD_FILTER_PRESETS } from '../../PeriodFilterPresetsSelect';
+import StyledButton from '../../StyledButton';
+import { P } from '../../Text';
+import { TOAST_TYPE, useToasts } from '../../ToastProvider';
+
+import HostReportTemplateModal, { getHostReportTemplateURL } from './HostReportTemplateModal';
+
+/**
+ * The report templates saved in this browser for the host, to download the same reports in one click.
+ */
+const HostReportTemplates = ({ host }) => {
+  const intl = useIntl();
+  const { addToast } = useToasts();
+  const [templates, setTemplates] = React.useState([]);
+  const [editedTemplate, setEditedTemplate] = React.useState(null);
+  const [templateToDelete, setTemplateToDelete] = React.useState(null);
+  const [downloadingTemplateId, setDownloadingTemplateId] = React.useState(null);
+
+  React.useEffect(() => {
+    setTemplates(getHostReportTemplates(host.id));
+  }, [host.id]);
+
+  const saveTemplates = (newTemplates, successMessage) => {
+    storeHostReportTemplates(host.id, newTemplates);
+    setTemplates(getHostReportTemplates(host.id));
+    addToast({ type: TOAST_TYPE.SUCCESS, message: successMessage });
+  };
+
+  const download = async template => {
+    setDownloadingTemplateId(template.id);
+    try {
+      const content = await fetchTextFromRESTService(getHostReportTemplateURL(host.slug, template));
+      const filename = `host-${host.slug}-${template.name}.${template.format}`;
+      exportFile(HOST_REPORT_MIME_TYPES[template.format], filename, content);
+    } catch (e) {
+      addToast({ type: TOAST_TYPE.ERROR, message: i18nGraphqlException(intl, e) });
+    } finally {
+      setDownloadingTemplateId(null);
+    }
+  };
+
+  return (
+    <Box mt={3}>
+      <Flex alignItems="center" justifyContent="space-between" mb={2}>
+        <P fontSize="14px" fontWeight="500">
+          <FormattedMessage id="HostReportTemplates.Title" defaultMessage="Report templates" />
+        </P>
+        <StyledButton
+          buttonSize="tiny"
+          onClick={() => setEditedTemplate(createHostReportTemplate())}
+          data-cy="host-report-template-new"
+        >
+          + <FormattedMessage id="HostReportTemplates.New" defaultMessage="New report template" />
+        </StyledButton>
+      </Flex>
+      {!templates.length ? (
+        <P fontSize="13px" color="black.600">
+          <FormattedMessage
+            id="HostReportTemplates.Empty"
+            defaultMessage="Save your reports as templates to download them in one click."
+          />
+        </P>
+      ) : (
+        templates.map(template => (
+          <Container
+            key={template.id}
+            display="flex"
+            flexWrap="wrap"
+            alignItems="center"
+            justifyContent="space-between"
+            py={2}
+            borderBottom="1px solid #e6e8eb"
+            data-cy="host-report-template"
+          >
+            <Box mr={2}>
+              <P fontSize="14px" fontWeight="500">
+                {template.name}
+              </P>
+              <P fontSize="12px" color="black.700" mt={1}>
+                {PERIOD_FILTER_PRESETS[template.period]?.label}
+                {' · '}
+                {template.format.toUpperCase()}
+                {template.accounts.length > 0 && (
+                  <React.Fragment>
+                    {' · '}
+                    {template.accounts.map(account => account.name || account.slug).join(', ')}
+                  </React.Fragment>
+                )}
+              </P>
+            </Box>
+            <Flex>
+              <StyledButton
+                buttonSize="tiny"
+                mr={2}
+                loading={downloadingTemplateId === template.id}
+                onClick={() => download(template)}
+              >
+                <FormattedMessage id="Download" defaultMessage="Download" />
+              </StyledButton>
+              <StyledButton buttonSize="tiny" mr={2} onClick={() => setEditedTemplate(template)}>
+                <FormattedMessage id="Edit" defaultMessage="Edit" />
+              </StyledButton>
+              <StyledButton
+                buttonSize="tiny"
+                buttonStyle="dangerSecondary"
+                onClick={() => setTemplateToDelete(template)}
+              >
+                <FormattedMessage id="actions.delete" defaultMessage="Delete" />
+              </StyledButton>
+            </Flex>
+          </Container>
+        ))
+      )}
+      {editedTemplate && (
+        <HostReportTemplateModal
+          host={host}
+          template={editedTemplate}
+          onClose={() => setEditedTemplate(null)}
+          onSave={template => {
+            const message = <FormattedMessage id="HostReportTemplates.Saved" defaultMessage="Report template saved" />;
+            saveTemplates(saveHostReportTemplate(templates, template), message);
+            setEditedTemplate(null);
+          }}
+        />
+      )}
+      {templateToDelete && (
+        <ConfirmationModal
+          show
+          isDanger
+          type="delete"
+          header={<FormattedMessage id="HostReportTemplates.Delete" defaultMessage="Delete report template" />}
+          body={
+            <FormattedMessage
+              id="HostReportTemplates.Delete.Confirm"
+              defaultMessage="Are you sure you want to delete {name}?"
+              values={{ name: <strong>{templateToDelete.name}</strong> }}
+            />
+          }
+          onClose={() => setTemplateToDelete(null)}
+          continueHandler={() => {
+            const message = (
+              <FormattedMessage id="HostReportTemplates.Deleted" defaultMessage="Report template deleted" />
+            );
+            saveTemplates(removeHostReportTemplate(templates, templateToDelete.id), message);
+            setTemplateToDelete(null);
+          }}
+        />
+      )}
+    </Box>
+  );
+};
+
+HostReportTemplates.propTypes = {
+  host: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    slug: PropTypes.string.isRequired,
+    legacyId: PropTypes.number.isRequired,
+  }).isRequired,
+};
+
+export default HostReportTemplates;
@@ -0,0 +1,74 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { FormattedDate, FormattedMessage } from 'react-intl';
+
+import { formatCurrency } from '../../../lib/currency-utils';
+import { getVirtualCardLabel } from '../../../lib/virtual-card-analytics';
+
+import { Box, Flex } from '../../Grid';
+import StyledLink from '../../StyledLink';
+import { P } from '../../Text';
+
+/**
+ * The charges still missing a receipt, with a link to their expense and the holder of the card.
+ */
+const MissingReceiptsList = ({ charges, assigneesByCardId }) => {
+  if (!charges.length) {
+    return (
+      <P fontSize="14px" color="black.700">
+        <FormattedMessage
+          id="VirtualCardsAnalytics.NoMissingReceipts"
+          defaultMessage="All the receipts were submitted"
+        />
+      </P>
+    );
+  }
+
+  return (
+    <Box data-cy="virtual-cards-missing-receipts">
+      {charges.map(charge => {
+        const assignee = charge.virtualCard && assigneesByCardId[charge.virtualCard.id];
+        return (
+          <Flex key={charge.id} alignItems="center" py={2} data-cy="virtual-cards-missing-receipt">
+            <Box flex="1 1" minWidth={0} mr={2}>
+              <P fontSize="13px" truncateOverflow>
+                <StyledLink href={`/${charge.account.slug}/expenses/${charge.legacyId}`} openInNewTab>
+                  {charge.payee.name}
+                </StyledLink>
+                {' · '}
+                {charge.account.name}
+              </P>
+              <P fontSize="11px" color="black.600" truncateOverflow>
+                <FormattedDate value={charge.createdAt} dateStyle="medium" />
+                {charge.virtualCard && ` · ${getVirtualCardLabel(charge.virtualCard)}`}
+                {assignee && ` · ${assignee.name}`}
+              </P>
+            </Box>
+            <P fontSize="13px" fontWeight="500" whiteSpace="nowrap">
+              {formatCurrency(charge.amount, charge.currency)}
+            </P>
+          </Flex>
+        );
+      })}
+    </Box>
+  );
+};
+
+MissingReceiptsList.propTypes = {
+  charges: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      legacyId: PropTypes.number.isRequired,
+      amount: PropTypes.number.isRequired,
+      currency: PropTypes.string.isRequired,
+      createdAt: PropTypes.string.isRequired,
+      virtualCard: PropTypes.shape({ id: PropTypes.string }),
+      account: PropTypes.shape({ slug: PropTypes.string, name: PropTypes.string }).isRequired,
+      payee: PropTypes.shape({ name: PropTypes.string }).isRequired,
+    }),
+  ).isRequired,
+  /** The card holders, indexed by card id */
+  assigneesByCardId: PropTypes.objectOf(PropTypes.shape({ name: PropTypes.string })).isRequired,
+};
+
+export default MissingReceiptsList;
@@ -0,0 +1,122 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import dynamic from 'next/dynamic';
+import { defineMessages, FormattedMessage, useIntl } from 'react-intl';
+
+import { formatCurrency } from '../../../lib/currency-utils';
+import {
+  getMonthlySpendSeries,
+  getSpendByGroup,
+  getVirtualCardLabel,
+  OTHER_SERIES_ID,
+  VIRTUAL_CARD_SPEND_GROUPS,
+} from '../../../lib/virtual-card-analytics';
+
+import { Box, Flex } from '../../Grid';
+import StyledButtonSet from '../../StyledButtonSet';
+import { P, Span } from '../../Text';
+
+const Chart = dynamic(() => import('react-apexcharts'), { ssr: false });
+
+const NB_TOP_GROUPS = 10;
+
+const GROUP_LABELS = defineMessages({
+  [VIRTUAL_CARD_SPEND_GROUPS.CARD]: { id: 'VirtualCardsAnalytics.ByCard', defaultMessage: 'By card' },
+  [VIRTUAL_CARD_SPEND_GROUPS.MERCHANT]: { id: 'VirtualCardsAnalytics.ByMerchant', defaultMessage: 'By merchant' },
+  [VIRTUAL_CARD_SPEND_GROUPS.COLLECTIVE]: { id: 'VirtualCardsAnalytics.ByCollective', defaultMessage: 'By collective' },
+  other: { id: 'VirtualCardsAnalytics.Other', defaultMessage: 'Other' },
+});
+
+const getEntityLabel = (entity, groupType) => {
+  return groupType === VIRTUAL_CARD_SPEND_GROUPS.CARD ? getVirtualCardLabel(entity) : entity.name;
+};
+
+const getChartOptions = (labels, currency) => ({
+  chart: { stacked: true, toolbar: { show: false } },
+  legend: { show: true, horizontalAlign: 'left', fontSize: '12px' },
+  dataLabels: { enabled: false },
+  plotOptions: { bar: { columnWidth: '70%' } },
+  colors: ['#46347F', '#8E7CC3', '#3D9CE2', '#2DB47D', '#E5A33A', '#C4C7CC'],
+  xaxis: { categories: labels },
+  yaxis: {
+    labels: {
+      minWidth: 38,
+      formatter: value => {
+        const amount = value / 100;
+        return amount < 1000 ? Math.round(amount) : `${Math.round(amount / 1000)}k`;
+      },
+    },
+  },
+  tooltip: { shared: true, intersect: false, y: { formatter: value => formatCurrency(value, currency) } },
+});
+
+/**
+ * Monthly spend of the virtual cards, split by card, merchant or collective, with the list
+ * of the top spenders for the period.
+ */
+const VirtualCardsSpendChart = ({ charges, months, currency }) => {
+  const intl = useIntl();
+  const [groupType, setGroupType] = React.useState(VIRTUAL_CARD_SPEND_GROUPS.CARD);
+  const labels = React.useMemo(() => {
+    return months.map(month => intl.formatDate(month, { month: 'short', year: '2-digit', timeZone: 'UTC' }));
+  }, [intl, months]);
+
+  const series = React.useMemo(() => {
+    return getMonthlySpendSeries(charges, groupType, months).map(({ id, entity, data }) => ({
+      name: id === OTHER_SERIES_ID ? intl.formatMessage(GROUP_LABELS.other) : getEntityLabel(entity, groupType),
+      data,
+    }));
+  }, [intl, charges, groupType, months]);
+
+  const chartOptions = React.useMemo(() => getChartOptions(labels, currency), [labels, currency]);
+  const topGroups = getSpendByGroup(charges, groupType).slice(0, NB_TOP_GROUPS);
+  return (
+    <Box data-cy="virtual-cards-spend">
+      <StyledButtonSet
+        size="tiny"
+        items={Object.values(VIRTUAL_CARD_SPEND_GROUPS)}
+        selected={groupType}
+        onChange={setGroupType}
+        mb={2}
+      >
+        {({ item }) => intl.formatMessage(GROUP_LABELS[item])}
+      </StyledButtonSet>
+      <Chart type="bar" width="100%" height="250px" options={chartOptions} series={series} />
+      {topGroups.map(group => (
+        <Flex key={group.id} justifyContent="space-between" alignItems="center" py={1}>
+          <P fontSize="13px" truncateOverflow mr={2}>
+            {getEntityLabel(group.entity, groupType)}
+          </P>
+          <P fontSize="13px" whiteSpace="nowrap">
+            <Span color="black.600" mr={2}>
+              <FormattedMessage
+                id="VirtualCardsAnalytics.ChargesCount"
+                defaultMessage="{count, plural, one {# charge} other {# charges}}"
+                values={{ count: group.count }}
+              />
+            </Span>
+            <Span fontWeight="500">{formatCurrency(group.total, currency)}</Span>
+          </P>
+        </Flex>
+      ))}
+    </Box>
+  );
+};
+
+VirtualCardsSpendChart.propTypes = {
+  charges: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      amount: PropTypes.number.isRequired,
+      createdAt: PropTypes.string.isRequired,
+      virtualCard: PropTypes.shape({ id: PropTypes.string, name: PropTypes.string, last4: PropTypes.string }),
+      payee: PropTypes.shape({ id: PropTypes.string, name: PropTypes.string }),
+      account: PropTypes.shape({ id: PropTypes.string, name: PropTypes.string }),
+    }),
+  ).isRequired,
+  /** The first day of each month displayed in the chart */
+  months: PropTypes.arrayOf(PropTypes.string).isRequired,
+  currency: PropTypes.string.isRequired,
+};
+
+export default VirtualCardsSpendChart;
@@ -0,0 +1,77 @@
+import { gqlV2 } from '../../../lib/graphql/helpers';
+
+/** Analytics are computed in the browser, so we load all the cards and recent charges at once */
+export const VIRTUAL_CARDS_LIMIT = 100;
+export const CHARGES_LIMIT = 1000;
+
+export const hostVirtualCardsAnalyticsQuery = gqlV2/* GraphQL */ `
+  query HostVirtualCardsAnalytics($hostSlug: String!, $dateFrom: DateTime!, $cardsLimit: Int!, $chargesLimit: Int!) {
+    host(slug: $hostSlug) {
+      id
+      slug
+      name
+      currency
+      settings
+      hostedVirtualCards(limit: $cardsLimit) {
+        totalCount
+        nodes {
+          id
+          name
+          last4
+          data
+          createdAt
+          account {
+            id
+            slug
+            name
+          }
+          assignee {
+            id
+            slug
+            name
+          }
+        }
+      }
+    }
+    expenses(host: { slug: $hostSlug }, type: CHARGE, dateFrom: $dateFrom, limit: $chargesLimit) {
+      totalCount
+      nodes {
+        id
+        legacyId
+        description
+        amount
+        currency
+        createdAt
+        status
+        items {
+          id
+          url
+        }
+        virtualCard {
+          id
+          name
+          last4
+        }
+        account {
+          id
+          slug
+          name
+        }
+        payee {
+          id
+          slug
+          name
+        }
+      }
+    }
+  }
+`;
+
+export const pauseVirtualCardMutation = gqlV2/* GraphQL */ `
+  mutation PauseVirtualCard($virtualCard: VirtualCardReferenceInput!) {
+    pauseVirtualCard(virtualCard: $virtualCard) {
+      id
+      data
+    }
+  }
+`;
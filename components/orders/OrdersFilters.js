@@ -4,10 +4,12 @@ import { FormattedMessage } from 'react-intl';
 import styled from 'styled-components';
 
 import { encodeDateInterval } from '../../lib/date-utils';
+import { SAVED_VIEWS_PAGE } from '../../lib/saved-views';
 
 import AmountFilter from '../budget/filters/AmountFilter';
 import PeriodFilter from '../budget/filters/PeriodFilter';
 import { Flex } from '../Grid';
+import SavedFilterViews from '../SavedFilterViews';
 
 import OrderStatusFilter from './OrderStatusFilter';
 
@@ -60,6 +62,12 @@ const ExpensesFilters = ({ currency, filters, hasStatus, onChange }) => {
           <OrderStatusFilter {...getFilterProps('status')} />
         </FilterContainer>
       )}
+      <FilterContainer>
+        <FilterLabel htmlFor={`saved-views-${SAVED_VIEWS_PAGE.ORDERS}`}>
+          <FormattedMessage id="SavedViews.Label" defaultMessage="Views" />
+        </FilterLabel>
+        <SavedFilterViews page={SAVED_VIEWS_PAGE.ORDERS} query={filters} onChange={onChange} />
+      </FilterContainer>
     </Flex>
   );
 };
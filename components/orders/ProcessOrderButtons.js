@@ -13,7 +13,7 @@ import ConfirmationModal from '../ConfirmationModal';
 import StyledButton from '../StyledButton';
 import { TOAST_TYPE, useToasts } from '../ToastProvider';
 
-const processPendingOrderMutation = gqlV2/* GraphQL */ `
+export const processPendingOrderMutation = gqlV2/* GraphQL */ `
   mutation ProcessPendingOrder($id: String!, $action: ProcessOrderAction!) {
     processPendingOrder(order: { id: $id }, action: $action) {
       id
@@ -0,0 +1,412 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { useMutation, useQuery } from '@apollo/client';
+import { CheckCircle } from '@styled-icons/feather/CheckCircle';
+import { XCircle } from '@styled-icons/feather/XCircle';
+import { uniq } from 'lodash';
+import { FormattedMessage, useIntl } from 'react-intl';
+
+import { runBulkAction } from '../../lib/bulk-actions';
+import { i18nGraphqlException } from '../../lib/errors';
+import { API_V2_CONTEXT, gqlV2 } from '../../lib/graphql/helpers';
+import { getPaymentMethodName } from '../../lib/payment_method_label';
+import { isPaymentMethodExpired } from '../../lib/payment-method-utils';
+import {
+  getUpdateOrderVariables,
+  RECURRING_CONTRIBUTIONS_BULK_ACTION,
+  splitContributionsForBulkAction,
+} from '../../lib/recurring-contributions';
+
+import Container from '../Container';
+import FormattedMoneyAmount from '../FormattedMoneyAmount';
+import { Box, Flex } from '../Grid';
+import MessageBox from '../MessageBox';
+import StyledButton from '../StyledButton';
+import StyledInputAmount from '../StyledInputAmount';
+import StyledInputField from '../StyledInputField';
+import StyledModal, { ModalBody, ModalFooter, ModalHeader } from '../StyledModal';
+import StyledProgressBar from '../StyledProgressBar';
+import StyledSelect from '../StyledSelect';
+import { H4, P, Span } from '../Text';
+
+const { UPDATE_AMOUNT, UPDATE_PAYMENT_METHOD } = RECURRING_CONTRIBUTIONS_BULK_ACTION;
+
+const bulkPaymentMethodsQuery = gqlV2/* GraphQL */ `
+  query RecurringContributionsBulkPaymentMethods($accountId: String!) {
+    account(id: $accountId) {
+      id
+      paymentMethods(enumType: [CREDITCARD, GIFTCARD, PREPAID]) {
+        id
+        name
+        data
+        service
+        type
+        expiryDate
+        balance {
+          valueInCents
+          currency
+        }
+      }
+    }
+  }
+`;
+
+const bulkUpdateOrderMutation = gqlV2/* GraphQL */ `
+  mutation BulkUpdateRecurringContribution(
+    $order: OrderReferenceInput!
+    $paymentMethod: PaymentMethodReferenceInput
+    $amount: AmountInput
+  ) {
+    updateOrder(order: $order, paymentMethod: $paymentMethod, amount: $amount) {
+      id
+      status
+      frequency
+      nextChargeDate
+      amount {
+        value
+        valueInCents
+        currency
+      }
+      paymentMethod {
+        id
+        service
+        name
+        type
+        data
+        expiryDate
+        balance {
+          value
+          valueInCents
+          currency
+        }
+      }
+    }
+  }
+`;
+
+export const BulkActionLabel = ({ action }) => {
+  switch (action) {
+    case UPDATE_PAYMENT_METHOD:
+      return <FormattedMessage id="subscription.menu.editPaymentMethod" defaultMessage="Update payment method" />;
+    case UPDATE_AMOUNT:
+      return <FormattedMessage id="RecurringContributions.Bulk.UpdateAmount" defaultMessage="Update amount" />;
+    default:
+      return action;
+  }
+};
+
+BulkActionLabel.propTypes = {
+  action: PropTypes.oneOf(Object.values(RECURRING_CONTRIBUTIONS_BULK_ACTION)).isRequired,
+};
+
+const PaymentMethodSelect = ({ account, value, onChange }) => {
+  const { data, loading } = useQuery(bulkPaymentMethodsQuery, {
+    variables: { accountId: account.id },
+    context: API_V2_CONTEXT,
+    fetchPolicy: 'network-only',
+  });
+
+  const options = (data?.account?.paymentMethods || []).map(paymentMethod => ({
+    value: paymentMethod,
+    label: getPaymentMethodName(paymentMethod),
+    isDisabled: isPaymentMethodExpired(paymentMethod),
+  }));
+
+  return (
+    <StyledInputField
+      name="paymentMethod"
+      htmlFor="bulk-payment-method"
+      label={<FormattedMessage id="RecurringContributions.Bulk.NewPaymentMethod" defaultMessage="New payment method" />}
+      hint={
+        <FormattedMessage
+          id="RecurringContributions.Bulk.AddPaymentMethodHint"
+          defaultMessage="To use a new card, add it first by updating the payment method of a single contribution."
+        />
+      }
+    >
+      {({ id }) => (
+        <StyledSelect
+          inputId={id}
+          isLoading={loading}
+          options={options}
+          value={options.find(option => option.value.id === value?.id) || null}
+          onChange={option => onChange(option.value)}
+          data-cy="bulk-payment-method-select"
+        />
+      )}
+    </StyledInputField>
+  );
+};
+
+PaymentMethodSelect.propTypes = {
+  account: PropTypes.shape({ id: PropTypes.string.isRequired }).isRequired,
+  value: PropTypes.object,
+  onChange: PropTypes.func.isRequired,
+};
+
+const ActionParamsForm = ({ action, account, contributions, params, onChange }) => {
+  switch (action) {
+    case UPDATE_PAYMENT_METHOD:
+      return (
+        <PaymentMethodSelect
+          account={account}
+          value={params.paymentMethod}
+          onChange={paymentMethod => onChange({ paymentMethod })}
+        />
+      );
+    case UPDATE_AMOUNT: {
+      const currencies = uniq(contributions.map(contribution => contribution.amount.currency)).sort();
+      const currencyOptions = currencies.map(currency => ({ value: currency, label: currency }));
+      return (
+        <Flex flexWrap="wrap">
+          {currencies.length > 1 && (
+            <StyledInputField
+              name="currency"
+              htmlFor="bulk-amount-currency"
+              label={<FormattedMessage id="Currency" defaultMessage="Currency" />}
+              mr={3}
+              mb={2}
+            >
+              {({ id }) => (
+                <StyledSelect
+                  inputId={id}
+                  options={currencyOptions}
+                  value={currencyOptions.find(option => option.value === params.currency)}
+                  onChange={option => onChange({ ...params, currency: option.value })}
+                  isSearchable={false}
+                  minWidth={100}
+                />
+              )}
+            </StyledInputField>
+          )}
+          <StyledInputField
+            name="amount"
+            htmlFor="bulk-amount"
+            label={<FormattedMessage id="RecurringContributions.Bulk.NewAmount" defaultMessage="New amount" />}
+            mb={2}
+          >
+            {({ id }) => (
+              <StyledInputAmount
+                id={id}
+                currency={params.currency}
+                value={params.amount}
+                min={100}
+                onChange={amount => onChange({ ...params, amount })}
+                data-cy="bulk-amount-input"
+              />
+            )}
+          </StyledInputField>
+        </Flex>
+      );
+    }
+    default:
+      return null;
+  }
+};
+
+ActionParamsForm.propTypes = {
+  action: PropTypes.oneOf(Object.values(RECURRING_CONTRIBUTIONS_BULK_ACTION)).isRequired,
+  account: PropTypes.object.isRequired,
+  contributions: PropTypes.arrayOf(PropTypes.object).isRequired,
+  params: PropTypes.object.isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+const getDefaultParams = (action, contributions) => {
+  if (action === UPDATE_AMOUNT) {
+    const currency = uniq(contributions.map(contribution => contribution.amount.currency)).sort()[0];
+    return { currency, amount: null };
+  } else {
+    return {};
+  }
+};
+
+const isValidParams = (action, params) => {
+  switch (action) {
+    case UPDATE_PAYMENT_METHOD:
+      return Boolean(params.paymentMethod);
+    case UPDATE_AMOUNT:
+      return Boolean(params.currency && params.amount);
+    default:
+      return false;
+  }
+};
+
+const STEP = { CONFIRM: 'CONFIRM', PROCESSING: 'PROCESSING', DONE: 'DONE' };
+
+/**
+ * Updates the payment method or the amount of multiple recurring contributions at once,
+ * then displays a report with the result for each of them.
+ */
+const RecurringContributionsBulkActionModal = ({ action, account, contributions, onClose }) => {
+  const intl = useIntl();
+  const [step, setStep] = React.useState(STEP.CONFIRM);
+  const [progress, setProgress] = React.useState(0);
+  const [results, setResults] = React.useState(null);
+  const [params, setParams] = React.useState(() => getDefaultParams(action, contributions));
+  const [updateOrder] = useMutation(bulkUpdateOrderMutation, { context: API_V2_CONTEXT });
+  const { eligible, skipped } = React.useMemo(
+    () => splitContributionsForBulkAction(contributions, action, params),
+    [contributions, action, params],
+  );
+
+  const failures = results?.filter(result => !result.success) || [];
+
+  const submit = async () => {
+    setStep(STEP.PROCESSING);
+    const processFn = contribution => {
+      return updateOrder({ variables: getUpdateOrderVariables(contribution, action, params) });
+    };
+
+    const results = await runBulkAction(eligible, processFn, nbProcessed => setProgress(nbProcessed / eligible.length));
+    setResults(results);
+    setStep(STEP.DONE);
+  };
+
+  const close = () => {
+    if (step !== STEP.PROCESSING) {
+      onClose(results);
+    }
+  };
+
+  return (
+    <StyledModal show width="570px" onClose={close} trapFocus>
+      <ModalHeader onClose={close} hideCloseIcon={step === STEP.PROCESSING}>
+        <H4 fontSize="20px" fontWeight="700">
+          <BulkActionLabel action={action} />
+        </H4>
+      </ModalHeader>
+      <ModalBody>
+        {step === STEP.CONFIRM && (
+          <React.Fragment>
+            <Box mb={3}>
+              <ActionParamsForm
+                action={action}
+                account={account}
+                contributions={contributions}
+                params={params}
+                onChange={setParams}
+              />
+            </Box>
+            <P mb={3}>
+              <FormattedMessage
+                id="RecurringContributions.Bulk.Summary"
+                defaultMessage="This change will be applied to {count, plural, one {# recurring contribution} other {# recurring contributions}}."
+                values={{ count: eligible.length }}
+              />
+            </P>
+            {skipped.length > 0 && (
+              <MessageBox type="warning" withIcon fontSize="13px">
+                <FormattedMessage
+                  id="RecurringContributions.Bulk.Skipped"
+                  defaultMessage="{count, plural, one {# selected contribution} other {# selected contributions}} will be skipped because they are not active, already up to date, in another currency or paid with PayPal."
+                  values={{ count: skipped.length }}
+                />
+              </MessageBox>
+            )}
+          </React.Fragment>
+        )}
+        {step === STEP.PROCESSING && (
+          <Box py={3}>
+            <StyledProgressBar percentage={progress} height={8} />
+            <P fontSize="12px" color="black.700" mt={2}>
+              <FormattedMessage
+                id="ExpensesBulkActions.Processing"
+                defaultMessage="Processing {processed} of {total}..."
+                values={{ processed: Math.round(progress * eligible.length), total: eligible.length }}
+              />
+            </P>
+          </Box>
+        )}
+        {step === STEP.DONE && (
+          <React.Fragment>
+            <MessageBox type={failures.length ? 'warning' : 'success'} withIcon mb={3} fontSize="13px">
+              <FormattedMessage
+                id="RecurringContributions.Bulk.Report"
+                defaultMessage="{successCount, plural, one {# contribution} other {# contributions}} updated successfully, {failureCount, plural, one {# failure} other {# failures}}."
+                values={{ successCount: results.length - failures.length, failureCount: failures.length }}
+              />
+            </MessageBox>
+            <Container maxHeight={300} overflowY="auto" data-cy="bulk-action-report">
+              {results.map(({ item: contribution, success, error }) => (
+                <Container
+                  key={contribution.id}
+                  display="flex"
+                  alignItems="flex-start"
+                  py={2}
+                  borderBottom="1px solid #e6e8eb"
+                >
+                  <Box mr={2} color={success ? 'green.500' : 'red.500'}>
+                    {success ? <CheckCircle size={16} /> : <XCircle size={16} />}
+                  </Box>
+                  <Box flex="1 1">
+                    <P fontSize="13px" fontWeight="500">
+                      {contribution.toAccount.name}
+                    </P>
+                    {error && (
+                      <P fontSize="12px" color="red.700" mt={1}>
+                        {i18nGraphqlException(intl, error)}
+                      </P>
+                    )}
+                  </Box>
+                  <Span fontSize="13px" ml={2}>
+                    <FormattedMoneyAmount
+                      amount={contribution.amount.valueInCents}
+                      currency={contribution.amount.currency}
+                      frequency={contribution.frequency}
+                    />
+                  </Span>
+                </Container>
+              ))}
+            </Container>
+          </React.Fragment>
+        )}
+      </ModalBody>
+      <ModalFooter>
+        <Flex justifyContent="flex-end">
+          {step === STEP.DONE ? (
+            <StyledButton buttonStyle="primary" minWidth={120} onClick={close} data-cy="bulk-action-close">
+              <FormattedMessage id="Close" defaultMessage="Close" />
+            </StyledButton>
+          ) : (
+            <React.Fragment>
+              <StyledButton mr={2} minWidth={120} onClick={close} disabled={step === STEP.PROCESSING}>
+                <FormattedMessage id="actions.cancel" defaultMessage="Cancel" />
+              </StyledButton>
+              <StyledButton
+                buttonStyle="primary"
+                minWidth={120}
+                onClick={submit}
+                loading={step === STEP.PROCESSING}
+                disabled={!eligible.length || !isValidParams(action, params)}
+                data-cy="bulk-action-confirm"
+              >
+                <FormattedMessage id="confirm" defaultMessage="Confirm" />
+              </StyledButton>
+            </React.Fragment>
+          )}
+        </Flex>
+      </ModalFooter>
+    </StyledModal>
+  );
+};
+
+RecurringContributionsBulkActionModal.propTypes = {
+  action: PropTypes.oneOf(Object.values(RECURRING_CONTRIBUTIONS_BULK_ACTION)).isRequired,
+  /** The account that owns the contributions */
+  account: PropTypes.shape({ id: PropTypes.string.isRequired }).isRequired,
+  contributions: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      status: PropTypes.string,
+      frequency: PropTypes.string,
+      amount: PropTypes.shape({ valueInCents: PropTypes.number, currency: PropTypes.string }),
+      paymentMethod: PropTypes.object,
+      toAccount: PropTypes.object,
+    }),
+  ).isRequired,
+  /** Called with the results of the action, or null if it was cancelled */
+  onClose: PropTypes.func.isRequired,
+};
+
+export default RecurringContributionsBulkActionModal;
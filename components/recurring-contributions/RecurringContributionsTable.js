@@ -0,0 +1,324 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import themeGet from '@styled-system/theme-get';
+import { without } from 'lodash';
+import { defineMessages, FormattedDate, FormattedMessage, useIntl } from 'react-intl';
+import styled from 'styled-components';
+
+import { getPaymentMethodName } from '../../lib/payment_method_label';
+import {
+  filterRecurringContributions,
+  getPaymentMethodsFromContributions,
+  NO_PAYMENT_METHOD,
+  RECURRING_CONTRIBUTION_STATUS_FILTER,
+  RECURRING_CONTRIBUTIONS_BULK_ACTION,
+  splitContributionsForBulkAction,
+} from '../../lib/recurring-contributions';
+
+import Avatar from '../Avatar';
+import Container from '../Container';
+import FormattedMoneyAmount from '../FormattedMoneyAmount';
+import { Box, Flex } from '../Grid';
+import LinkCollective from '../LinkCollective';
+import OrderStatusTag from '../orders/OrderStatusTag';
+import StyledButton from '../StyledButton';
+import StyledCheckbox from '../StyledCheckbox';
+import StyledInputField from '../StyledInputField';
+import StyledSelect from '../StyledSelect';
+import { P, Span } from '../Text';
+
+import RecurringContributionsBulkActionModal, { BulkActionLabel } from './RecurringContributionsBulkActionModal';
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 13px;
+
+  th {
+    text-align: left;
+    font-weight: 500;
+    font-size: 12px;
+    text-transform: uppercase;
+    color: ${themeGet('colors.black.600')};
+    padding: 8px;
+    border-bottom: 1px solid ${themeGet('colors.black.300')};
+    white-space: nowrap;
+  }
+
+  td {
+    padding: 8px;
+    border-bottom: 1px solid ${themeGet('colors.black.200')};
+    vertical-align: middle;
+  }
+`;
+
+const StickyBar = styled(Flex)`
+  position: sticky;
+  bottom: 16px;
+  z-index: 10;
+  background: white;
+  border: 1px solid #dcdee0;
+  border-radius: 12px;
+  box-shadow: 0px 4px 12px rgba(20, 20, 20, 0.16);
+`;
+
+const STATUS_FILTER_MESSAGES = defineMessages({
+  [RECURRING_CONTRIBUTION_STATUS_FILTER.ALL]: {
+    id: 'RecurringContributions.Filter.AllStatuses',
+    defaultMessage: 'All statuses',
+  },
+  [RECURRING_CONTRIBUTION_STATUS_FILTER.ACTIVE]: {
+    id: 'Subscriptions.Active',
+    defaultMessage: 'Active',
+  },
+  [RECURRING_CONTRIBUTION_STATUS_FILTER.ERROR]: {
+    id: 'RecurringContributions.Filter.Error',
+    defaultMessage: 'Failed payment',
+  },
+  [RECURRING_CONTRIBUTION_STATUS_FILTER.CANCELLED]: {
+    id: 'Subscriptions.Cancelled',
+    defaultMessage: 'Cancelled',
+  },
+});
+
+const PAYMENT_METHOD_FILTER_MESSAGES = defineMessages({
+  all: {
+    id: 'RecurringContributions.Filter.AllPaymentMethods',
+    defaultMessage: 'All payment methods',
+  },
+  none: {
+    id: 'RecurringContributions.Filter.NoPaymentMethod',
+    defaultMessage: 'No payment method',
+  },
+});
+
+/**
+ * A table with all the recurring contributions of an account, that can be filtered by status
+ * and payment method. Selected contributions can be updated in bulk.
+ */
+const RecurringContributionsTable = ({ account, contributions, onBulkActionComplete }) => {
+  const intl = useIntl();
+  const [status, setStatus] = React.useState(RECURRING_CONTRIBUTION_STATUS_FILTER.ACTIVE);
+  const [paymentMethodId, setPaymentMethodId] = React.useState(null);
+  const [selectedIds, setSelectedIds] = React.useState([]);
+  const [selectedAction, setSelectedAction] = React.useState(null);
+  const filteredContributions = React.useMemo(
+    () => filterRecurringContributions(contributions, { status, paymentMethodId }),
+    [contributions, status, paymentMethodId],
+  );
+
+  // Only keep the selected contributions that are still displayed
+  const selectedContributions = filteredContributions.filter(contribution => selectedIds.includes(contribution.id));
+  const isAllSelected =
+    filteredContributions.length > 0 && selectedContributions.length === filteredContributions.length;
+  const toggleContribution = (contribution, checked) => {
+    const ids = without(selectedIds, contribution.id);
+    setSelectedIds(checked ? [...ids, contribution.id] : ids);
+  };
+
+  const statusOptions = Object.values(RECURRING_CONTRIBUTION_STATUS_FILTER).map(value => ({
+    value,
+    label: intl.formatMessage(STATUS_FILTER_MESSAGES[value]),
+  }));
+  const paymentMethodOptions = [
+    { value: null, label: intl.formatMessage(PAYMENT_METHOD_FILTER_MESSAGES.all) },
+    ...getPaymentMethodsFromContributions(contributions).map(paymentMethod => ({
+      value: paymentMethod.id,
+      label: getPaymentMethodName(paymentMethod),
+    })),
+    { value: NO_PAYMENT_METHOD, label: intl.formatMessage(PAYMENT_METHOD_FILTER_MESSAGES.none) },
+  ];
+
+  return (
+    <Box mt={4}>
+      <Flex flexWrap="wrap" mb={3}>
+        <StyledInputField
+          name="status"
+          htmlFor="recurring-contributions-status-filter"
+          label={<FormattedMessage id="order.status" defaultMessage="Status" />}
+          mr={3}
+          mb={2}
+          minWidth={200}
+        >
+          {({ id }) => (
+            <StyledSelect
+              inputId={id}
+              options={statusOptions}
+              value={statusOptions.find(option => option.value === status)}
+              onChange={option => setStatus(option.value)}
+              isSearchable={false}
+              data-cy="recurring-contributions-status-filter"
+            />
+          )}
+        </StyledInputField>
+        <StyledInputField
+          name="paymentMethod"
+          htmlFor="recurring-contributions-payment-method-filter"
+          label={<FormattedMessage id="paymentmethod.label" defaultMessage="Payment Method" />}
+          mb={2}
+          minWidth={250}
+        >
+          {({ id }) => (
+            <StyledSelect
+              inputId={id}
+              options={paymentMethodOptions}
+              value={paymentMethodOptions.find(option => option.value === paymentMethodId)}
+              onChange={option => setPaymentMethodId(option.value)}
+              data-cy="recurring-contributions-payment-method-filter"
+            />
+          )}
+        </StyledInputField>
+      </Flex>
+      {filteredContributions.length ? (
+        <Container overflowX="auto">
+          <Table data-cy="recurring-contributions-table">
+            <thead>
+              <tr>
+                <th>
+                  <StyledCheckbox
+                    name="select-all-recurring-contributions"
+                    checked={isAllSelected}
+                    onChange={({ checked }) => setSelectedIds(checked ? filteredContributions.map(c => c.id) : [])}
+                  />
+                </th>
+                <th>
+                  <FormattedMessage id="Collective" defaultMessage="Collective" />
+                </th>
+                <th>
+                  <FormattedMessage id="Fields.amount" defaultMessage="Amount" />
+                </th>
+                <th>
+                  <FormattedMessage id="paymentmethod.label" defaultMessage="Payment Method" />
+                </th>
+                <th>
+                  <FormattedMessage id="order.status" defaultMessage="Status" />
+                </th>
+                <th>
+                  <FormattedMessage id="RecurringContributions.NextCharge" defaultMessage="Next charge" />
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {filteredContributions.map(contribution => (
+                <tr key={contribution.id} data-cy="recurring-contribution-row">
+                  <td>
+                    <StyledCheckbox
+                      name={`select-recurring-contribution-${contribution.id}`}
+                      checked={selectedIds.includes(contribution.id)}
+                      onChange={({ checked }) => toggleContribution(contribution, checked)}
+                    />
+                  </td>
+                  <td>
+                    <Flex alignItems="center">
+                      <Avatar collective={contribution.toAccount} radius={24} mr={2} />
+                      <LinkCollective collective={contribution.toAccount} />
+                    </Flex>
+                  </td>
+                  <td>
+                    <FormattedMoneyAmount
+                      amount={contribution.amount.valueInCents}
+                      currency={contribution.amount.currency}
+                      frequency={contribution.frequency}
+                    />
+                  </td>
+                  <td>
+                    {contribution.paymentMethod ? (
+                      getPaymentMethodName(contribution.paymentMethod)
+                    ) : (
+                      <Span color="black.500">
+                        <FormattedMessage
+                          id="RecurringContributions.Filter.NoPaymentMethod"
+                          defaultMessage="No payment method"
+                        />
+                      </Span>
+                    )}
+                  </td>
+                  <td>
+                    <OrderStatusTag status={contribution.status} fontSize="10px" />
+                  </td>
+                  <td>
+                    {contribution.nextChargeDate && (
+                      <FormattedDate value={contribution.nextChargeDate} dateStyle="medium" timeZone="UTC" />
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        </Container>
+      ) : (
+        <P color="black.600" fontSize="16px" textAlign="center" py={4}>
+          <FormattedMessage
+            id="RecurringContributions.none"
+            defaultMessage="No recurring contributions to see here! 👀"
+          />
+        </P>
+      )}
+      {selectedContributions.length > 0 && (
+        <StickyBar
+          mt={3}
+          px={3}
+          py={2}
+          alignItems="center"
+          justifyContent="space-between"
+          flexWrap="wrap"
+          data-cy="recurring-contributions-bulk-actions-bar"
+        >
+          <Flex alignItems="center" my={1}>
+            <Span fontSize="14px" fontWeight="500" mr={2}>
+              <FormattedMessage
+                id="RecurringContributions.Bulk.Selected"
+                defaultMessage="{count, plural, one {# contribution} other {# contributions}} selected"
+                values={{ count: selectedContributions.length }}
+              />
+            </Span>
+            <StyledButton buttonSize="tiny" isBorderless onClick={() => setSelectedIds([])}>
+              <FormattedMessage id="ExpensesBulkActions.ClearSelection" defaultMessage="Clear selection" />
+            </StyledButton>
+          </Flex>
+          <Flex flexWrap="wrap" justifyContent="flex-end">
+            {Object.values(RECURRING_CONTRIBUTIONS_BULK_ACTION).map(action => {
+              const { eligible } = splitContributionsForBulkAction(selectedContributions, action);
+              return (
+                <StyledButton
+                  key={action}
+                  buttonSize="tiny"
+                  m={1}
+                  disabled={!eligible.length}
+                  onClick={() => setSelectedAction(action)}
+                  data-cy={`bulk-action-${action}`}
+                >
+                  <BulkActionLabel action={action} />
+                </StyledButton>
+              );
+            })}
+          </Flex>
+        </StickyBar>
+      )}
+      {selectedAction && (
+        <RecurringContributionsBulkActionModal
+          action={selectedAction}
+          account={account}
+          contributions={selectedContributions}
+          onClose={results => {
+            setSelectedAction(null);
+            if (results) {
+              setSelectedIds([]);
+              onBulkActionComplete?.(results);
+            }
+          }}
+        />
+      )}
+    </Box>
+  );
+};
+
+RecurringContributionsTable.propTypes = {
+  /** The account that owns the contributions */
+  account: PropTypes.shape({ id: PropTypes.string.isRequired }).isRequired,
+  contributions: PropTypes.arrayOf(PropTypes.object).isRequired,
+  /** Called with the list of results once a bulk action has been run */
+  onBulkActionComplete: PropTypes.func,
+};
+
+export default RecurringContributionsTable;
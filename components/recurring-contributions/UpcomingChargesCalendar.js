@@ -0,0 +1,85 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { FormattedDate, FormattedMessage } from 'react-intl';
+
+import { getUpcomingCharges } from '../../lib/recurring-contributions';
+
+import Container from '../Container';
+import FormattedMoneyAmount from '../FormattedMoneyAmount';
+import { Flex, Grid } from '../Grid';
+import StyledCard from '../StyledCard';
+import { P, Span } from '../Text';
+
+/**
+ * Displays the charges of the active recurring contributions for the next 12 months,
+ * with the totals for each month.
+ */
+const UpcomingChargesCalendar = ({ contributions, from }) => {
+  const months = React.useMemo(() => getUpcomingCharges(contributions, { from }), [contributions, from]);
+
+  return (
+    <Grid gridGap={16} gridTemplateColumns="repeat(auto-fill, minmax(250px, 1fr))" data-cy="upcoming-charges-calendar">
+      {months.map(({ month, charges, totals }) => (
+        <StyledCard key={month.toISOString()} p={3} data-cy="upcoming-charges-month">
+          <P fontSize="15px" fontWeight="bold" mb={2} textTransform="capitalize">
+            <FormattedDate value={month} month="long" year="numeric" timeZone="UTC" />
+          </P>
+          {charges.length ? (
+            <React.Fragment>
+              <Container maxHeight={200} overflowY="auto">
+                {charges.map(({ date, amount, currency, contribution }) => (
+                  <Flex key={`${contribution.id}-${date.toISOString()}`} justifyContent="space-between" py={1}>
+                    <Flex minWidth={0} mr={2} alignItems="baseline">
+                      <Span fontSize="12px" color="black.600" mr={2} whiteSpace="nowrap">
+                        <FormattedDate value={date} day="numeric" month="short" timeZone="UTC" />
+                      </Span>
+                      <Span fontSize="13px" truncateOverflow title={contribution.toAccount.name}>
+                        {contribution.toAccount.name}
+                      </Span>
+                    </Flex>
+                    <Span fontSize="13px" whiteSpace="nowrap">
+                      <FormattedMoneyAmount amount={amount} currency={currency} amountStyles={null} />
+                    </Span>
+                  </Flex>
+                ))}
+              </Container>
+              <Container borderTop="1px solid #e6e8eb" mt={2} pt={2}>
+                {totals.map(({ currency, amount }) => (
+                  <Flex key={currency} justifyContent="space-between" data-cy={`upcoming-charges-total-${currency}`}>
+                    <Span fontSize="13px" color="black.700">
+                      <FormattedMessage id="UpcomingCharges.Total" defaultMessage="Total" />
+                    </Span>
+                    <Span fontSize="13px" fontWeight="bold">
+                      <FormattedMoneyAmount amount={amount} currency={currency} amountStyles={null} showCurrencyCode />
+                    </Span>
+                  </Flex>
+                ))}
+              </Container>
+            </React.Fragment>
+          ) : (
+            <P fontSize="13px" color="black.500">
+              <FormattedMessage id="UpcomingCharges.None" defaultMessage="No charges this month" />
+            </P>
+          )}
+        </StyledCard>
+      ))}
+    </Grid>
+  );
+};
+
+UpcomingChargesCalendar.propTypes = {
+  contributions: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      status: PropTypes.string,
+      frequency: PropTypes.string,
+      nextChargeDate: PropTypes.string,
+      amount: PropTypes.shape({ valueInCents: PropTypes.number, currency: PropTypes.string }),
+      toAccount: PropTypes.shape({ name: PropTypes.string }),
+    }),
+  ).isRequired,
+  /** The first month to display, defaults to the current month */
+  from: PropTypes.instanceOf(Date),
+};
+
+export default UpcomingChargesCalendar;
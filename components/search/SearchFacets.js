@@ -0,0 +1,70 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { FormattedMessage, useIntl } from 'react-intl';
+
+import formatCollectiveType from '../../lib/i18n/collective-type';
+import { SEARCH_ACCOUNT_TYPES, toggleSearchFilterValue, updateSearchFilter } from '../../lib/search-filters';
+
+import { Box } from '../Grid';
+import StyledCheckbox from '../StyledCheckbox';
+import { P, Span } from '../Text';
+
+const FacetTitle = ({ children }) => (
+  <P fontSize="12px" fontWeight="bold" color="black.800" textTransform="uppercase" letterSpacing="0.06em" mb={2}>
+    {children}
+  </P>
+);
+
+FacetTitle.propTypes = {
+  children: PropTypes.node,
+};
+
+/**
+ * The filters of the search page.
+ */
+const SearchFacets = ({ filters, onChange }) => {
+  const intl = useIntl();
+  return (
+    <Box data-cy="search-facets">
+      <Box mb={4}>
+        <FacetTitle>
+          <FormattedMessage id="search.facets.type" defaultMessage="Type" />
+        </FacetTitle>
+        {SEARCH_ACCOUNT_TYPES.map(type => (
+          <Box key={type} mb={1}>
+            <StyledCheckbox
+              name={`type-${type}`}
+              checked={filters.types.includes(type)}
+              onChange={() => onChange(toggleSearchFilterValue(filters, 'types', type))}
+              label={<Span fontSize="13px">{formatCollectiveType(intl, type, 2)}</Span>}
+            />
+          </Box>
+        ))}
+        <Box mt={2}>
+          <StyledCheckbox
+            name="isHost"
+            checked={Boolean(filters.isHost)}
+            onChange={({ checked }) => onChange(updateSearchFilter(filters, 'isHost', checked || undefined))}
+            label={
+              <Span fontSize="13px">
+                <FormattedMessage id="searchFilter.host" defaultMessage="Fiscal hosts" />
+              </Span>
+            }
+          />
+        </Box>
+      </Box>
+    </Box>
+  );
+};
+
+SearchFacets.propTypes = {
+  /** The filters, as returned by `parseSearchQuery` */
+  filters: PropTypes.shape({
+    types: PropTypes.arrayOf(PropTypes.string).isRequired,
+    isHost: PropTypes.bool,
+  }).isRequired,
+  /** Called with the new filters */
+  onChange: PropTypes.func.isRequired,
+};
+
+export default SearchFacets;
@@ -0,0 +1,66 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { FormattedMessage } from 'react-intl';
+
+import Container from '../Container';
+import FormattedMoneyAmount from '../FormattedMoneyAmount';
+import { Box } from '../Grid';
+import StyledCollectiveCard from '../StyledCollectiveCard';
+import { P, Span } from '../Text';
+
+/**
+ * A card to show an account in the search results.
+ */
+const SearchResultCard = ({ account, ...props }) => {
+  const totalReceived = account.stats?.totalAmountReceived;
+  const nbContributors = account.stats?.backers?.all;
+  return (
+    <StyledCollectiveCard collective={account} position="relative" {...props} data-cy="search-result">
+      <Container p={3}>
+        {nbContributors > 0 && (
+          <P fontSize="12px" lineHeight="18px">
+            <FormattedMessage
+              id="search.result.contributors"
+              defaultMessage="{count, plural, one {Financial contributor} other {Financial contributors}}"
+              values={{ count: nbContributors }}
+            />
+            <Span display="block" fontWeight="bold" fontSize="16px" lineHeight="24px">
+              {nbContributors}
+            </Span>
+          </P>
+        )}
+        {totalReceived > 0 && (
+          <Box mt={1}>
+            <P fontSize="12px" lineHeight="18px">
+              <FormattedMessage id="search.result.totalRaised" defaultMessage="Total raised" />
+            </P>
+            <P fontSize="16px" lineHeight="24px" fontWeight="bold">
+              <FormattedMoneyAmount
+                amount={totalReceived}
+                currency={account.currency}
+                precision={0}
+                amountStyles={null}
+              />
+            </P>
+          </Box>
+        )}
+      </Container>
+    </StyledCollectiveCard>
+  );
+};
+
+SearchResultCard.propTypes = {
+  account: PropTypes.shape({
+    slug: PropTypes.string.isRequired,
+    currency: PropTypes.string,
+    stats: PropTypes.shape({
+      /** In cents, in the currency of the account */
+      totalAmountReceived: PropTypes.number,
+      backers: PropTypes.shape({
+        all: PropTypes.number,
+      }),
+    }),
+  }).isRequired,
+};
+
+export default SearchResultCard;
@@ -0,0 +1,124 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { useQuery } from '@apollo/client';
+import { FormattedMessage, useIntl } from 'react-intl';
+import styled, { css } from 'styled-components';
+
+import formatCollectiveType from '../../lib/i18n/collective-type';
+import { SEARCH_ACCOUNT_TYPES } from '../../lib/search-filters';
+
+import Avatar from '../Avatar';
+import Container from '../Container';
+import { Box } from '../Grid';
+import Link from '../Link';
+import StyledSpinner from '../StyledSpinner';
+import { P, Span } from '../Text';
+
+import { searchSuggestionsQuery } from './graphql';
+
+/** Suggestions are only fetched once the user stopped typing for this delay (in ms) */
+const SUGGESTIONS_DEBOUNCE_DELAY = 300;
+
+const MIN_SEARCH_TERM_LENGTH = 2;
+
+const SuggestionItem = styled.div`
+  display: flex;
+  align-items: center;
+  padding: 8px 12px;
+  cursor: pointer;
+
+  ${props =>
+    props.isHighlighted &&
+    css`
+      background: ${props.theme.colors.primary[50]};
+    `}
+`;
+
+/**
+ * Debounce the value to not trigger a query for every keystroke.
+ */
+const useDebouncedValue = (value, delay) => {
+  const [debouncedValue, setDebouncedValue] = React.useState(value);
+  React.useEffect(() => {
+    const timeout = setTimeout(() => setDebouncedValue(value), delay);
+    return () => clearTimeout(timeout);
+  }, [value, delay]);
+
+  return debouncedValue;
+};
+
+/**
+ * The typeahead suggestions of `SearchBar`, displayed in a dropdown below the input.
+ */
+const SearchSuggestions = ({ searchTerm, highlightedIndex, onSuggestionsChange }) => {
+  const intl = useIntl();
+  const debouncedSearchTerm = useDebouncedValue(searchTerm.trim(), SUGGESTIONS_DEBOUNCE_DELAY);
+  const isTooShort = debouncedSearchTerm.length < MIN_SEARCH_TERM_LENGTH;
+  const { data, loading } = useQuery(searchSuggestionsQuery, {
+    variables: { term: debouncedSearchTerm, types: SEARCH_ACCOUNT_TYPES },
+    skip: isTooShort,
+  });
+
+  const accounts = React.useMemo(() => (isTooShort ? [] : data?.search?.collectives || []), [isTooShort, data]);
+  React.useEffect(() => {
+    onSuggestionsChange(accounts);
+  }, [accounts]);
+
+  if (searchTerm.trim().length < MIN_SEARCH_TERM_LENGTH) {
+    return null;
+  }
+
+  return (
+    <Container
+      position="absolute"
+      top="100%"
+      left={0}
+      right={0}
+      mt={1}
+      zIndex={1000}
+      background="white"
+      borderRadius="8px"
+      border="1px solid"
+      borderColor="black.300"
+      boxShadow="0px 4px 8px rgba(20, 20, 20, 0.16)"
+      overflow="hidden"
+      data-cy="search-suggestions"
+    >
+      {loading && !accounts.length ? (
+        <Box p={3} textAlign="center">
+          <StyledSpinner size={16} />
+        </Box>
+      ) : !accounts.length ? (
+        <P p={3} fontSize="13px" color="black.600">
+          <FormattedMessage id="search.noResult" defaultMessage="Your search did not match any result" />
+        </P>
+      ) : (
+        accounts.map((account, index) => (
+          <Link key={account.id} href={`/${account.slug}`}>
+            <SuggestionItem isHighlighted={index === highlightedIndex}>
+              <Avatar collective={account} radius={24} mr={2} />
+              <Box flex="1" minWidth={0}>
+                <P fontSize="13px" fontWeight="500" color="black.900" truncateOverflow>
+                  {account.name}
+                </P>
+                <Span fontSize="11px" color="black.600">
+                  {formatCollectiveType(intl, account.type)}
+                </Span>
+              </Box>
+            </SuggestionItem>
+          </Link>
+        ))
+      )}
+    </Container>
+  );
+};
+
+SearchSuggestions.propTypes = {
+  searchTerm: PropTypes.string.isRequired,
+  /** The index of the suggestion selected with the keyboard */
+  highlightedIndex: PropTypes.number,
+  /** Called with the list of suggested accounts when it changes */
+  onSuggestionsChange: PropTypes.func.isRequired,
+};
+
+export default SearchSuggestions;
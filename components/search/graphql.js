@@ -0,0 +1,54 @@
+import { gql } from '@apollo/client';
+
+export const searchPageQuery = gql`
+  query SearchPage($term: String!, $types: [TypeOfCollective], $isHost: Boolean, $limit: Int, $offset: Int) {
+    search(term: $term, types: $types, isHost: $isHost, limit: $limit, offset: $offset, skipRecentAccounts: true) {
+      collectives {
+        id
+        slug
+        type
+        name
+        description
+        imageUrl(height: 96)
+        backgroundImageUrl(height: 200)
+        tags
+        website
+        currency
+        settings
+        host {
+          id
+        }
+        parentCollective {
+          id
+          slug
+          backgroundImageUrl(height: 200)
+        }
+        stats {
+          id
+          totalAmountReceived
+          backers {
+            id
+            all
+          }
+        }
+      }
+      limit
+      offset
+      total
+    }
+  }
+`;
+
+export const searchSuggestionsQuery = gql`
+  query SearchSuggestions($term: String!, $types: [TypeOfCollective]) {
+    search(term: $term, types: $types, limit: 6, skipRecentAccounts: true) {
+      collectives {
+        id
+        slug
+        type
+        name
+        imageUrl(height: 64)
+      }
+    }
+  }
+`;
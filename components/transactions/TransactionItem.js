@@ -8,7 +8,6 @@ import { FormattedMessage, useIntl } from 'react-intl';
 import styled from 'styled-components';
 
 import { TransactionKind, TransactionTypes } from '../../lib/constants/transactions';
-import { formatCurrency } from '../../lib/currency-utils';
 import { i18nTransactionKind, i18nTransactionType } from '../../lib/i18n/transaction';
 
 import Avatar from '../Avatar';
@@ -18,6 +17,7 @@ import DateTime from '../DateTime';
 import DefinedTerm, { Terms } from '../DefinedTerm';
 import ExpenseStatusTag from '../expenses/ExpenseStatusTag';
 import ExpenseTags from '../expenses/ExpenseTags';
+import FormattedMoneyAmount from '../FormattedMoneyAmount';
 import { Box, Flex } from '../Grid';
 import PrivateInfoIcon from '../icons/PrivateInfoIcon';
 import Link from '../Link';
@@ -213,12 +213,14 @@ const TransactionItem = ({ displayActions, collective, transaction, onMutationSu
               ml="auto"
             >
               <TransactionSign isCredit={isCredit} />
-              <Span fontWeight="bold" color="black.900" mr={1}>
-                {formatCurrency(Math.abs(displayedAmount.valueInCents), displayedAmount.currency)}
-              </Span>
-              <Span color="black.700" textTransform="uppercase">
-                {displayedAmount.currency}
-              </Span>
+              <FormattedMoneyAmount
+                amount={Math.abs(displayedAmount.valueInCents)}
+                currency={displayedAmount.currency}
+                precision={2}
+                amountStyles={{ fontWeight: 'bold', color: 'black.900', mr: 1 }}
+                currencyCodeStyles={{ color: 'black.700', textTransform: 'uppercase' }}
+                convertToDisplayCurrency
+              />
             </Container>
             {hasOrder && (
               <TransactionStatusTag
@@ -1,15 +1,12 @@
 import React from 'react';
 import PropTypes from 'prop-types';
-import { withApollo } from '@apollo/client/react/hoc';
 import { Download as IconDownload } from '@styled-icons/feather/Download';
 import dayjs from 'dayjs';
 import { FormattedMessage, useIntl } from 'react-intl';
 
 import { fetchCSVFileFromRESTService } from '../../lib/api';
 import { parseDateInterval } from '../../lib/date-utils';
-import { formatErrorMessage, i18nGraphqlException } from '../../lib/errors';
-import { exportFile } from '../../lib/export_file';
-import { transactionsQuery } from '../../lib/graphql/queries';
+import { formatErrorMessage } from '../../lib/errors';
 import { getFromLocalStorage, LOCAL_STORAGE_KEYS } from '../../lib/local-storage';
 
 import { Box, Flex } from '../Grid';
@@ -19,67 +16,12 @@ import StyledButton from '../StyledButton';
 import { TOAST_TYPE, useToasts } from '../ToastProvider';
 import { getDefaultKinds } from '../transactions/filters/TransactionsKindFilter';
 
-const transformResultInCSV = json => {
-  const q = value => `"${value}"`; /* Quote value */
-  const f = value => (value / 100).toFixed(2); /* Add cents */
-  const d = value => dayjs(new Date(value)).format('YYYY-MM-DD HH:mm:ss');
+import TransactionsExportModal from './TransactionsExportModal';
 
-  // Sanity check. It will return an empty CSV for the user
-  if (json.length === 0) {
-    return '';
-  }
-
-  // All the json lines contain the same values for these two
-  // variables. It's save to get them from any index.
-  const hostCurrency = json[0].host.currency;
-  const collectiveCurrency = json[0].currency;
-
-  const header = [
-    'Transaction Description',
-    'User Name',
-    'User Profile',
-    'Transaction Date',
-    'Collective Currency',
-    'Host Currency',
-    'Transaction Amount',
-    `Host Fee (${hostCurrency})`,
-    `Open Collective Fee (${hostCurrency})`,
-    `Payment Processor Fee (${hostCurrency})`,
-    `Net Amount (${collectiveCurrency})`,
-    'Subscription Interval',
-    'Order Date',
-    'Tags',
-  ].join(',');
-
-  const lines = json.map(i => {
-    const profile = `http://opencollective.com/${i.fromCollective.slug}`;
-    const subscriptionInterval = i.subscription ? i.subscription.interval : 'one time';
-    const expenseTags = i.expense?.tags ? i.expense.tags.join(', ') : '';
-
-    return [
-      q(i.description) /* Transaction Description */,
-      q(i.fromCollective.name) /* User Name  */,
-      q(profile) /* User Profile  */,
-      d(i.createdAt) /* Transaction Date  */,
-      q(i.currency) /* Currency */,
-      q(hostCurrency) /* Host Currency */,
-      f(i.amount) /* Transaction Amount */,
-      f(i.hostFeeInHostCurrency) /* Host Fee */,
-      f(i.platformFeeInHostCurrency) /* Platform Fee */,
-      f(i.paymentProcessorFeeInHostCurrency) /* Payment Processor Fee */,
-      f(i.netAmountInCollectiveCurrency) /* Net Amount */,
-      q(subscriptionInterval) /* Interval of subscription */,
-      q(new Date(i.createdAt).toISOString()) /* Order Date */,
-      q(expenseTags) /* Tags */,
-    ].join(',');
-  });
-
-  return [header].concat(lines).join('\n');
-};
-
-const TransactionsDownloadCSV = ({ collective, client, query }) => {
+const TransactionsDownloadCSV = ({ collective, query }) => {
   const intl = useIntl();
   const [loading, setLoading] = React.useState(null);
+  const [showExportModal, setShowExportModal] = React.useState(false);
   const { addToast } = useToasts();
   let dateFrom, dateTo;
   if (query.period) {
@@ -90,39 +32,6 @@ const TransactionsDownloadCSV = ({ collective, client, query }) => {
 
   const kinds = query.kind ? query.kind.split(',') : getDefaultKinds();
 
-  const download = async () => {
-    try {
-      setLoading('v1');
-      const result = await client.query({
-        query: transactionsQuery,
-        variables: {
-          dateFrom: dateFrom,
-          dateTo: dateTo,
-          CollectiveId: collective.legacyId,
-          type: type,
-          kinds: kinds,
-        },
-      });
-      const csv = transformResultInCSV(result.data.allTransactions);
-
-      // Don't prompt the file download unless there's data coming
-      if (csv === '') {
-        return;
-      }
-
-      // Helper to prepare date values to be part of the file name
-      const format = d => dayjs(d).format('YYYY-MM-DD');
-      let fileName = `${collective.slug}-from-`;
-      fileName += `${format(dateFrom)}-to-`;
-      fileName += `${format(dateTo)}.csv`;
-      return exportFile('text/plain;charset=utf-8', fileName, csv);
-    } catch (error) {
-      addToast({ type: TOAST_TYPE.ERROR, message: i18nGraphqlException(intl, error) });
-    } finally {
-      setLoading(null);
-    }
-  };
-
   const downloadV2 = async event => {
     const accessToken = getFromLocalStorage(LOCAL_STORAGE_KEYS.ACCESS_TOKEN);
 
@@ -247,16 +156,25 @@ const TransactionsDownloadCSV = ({ collective, client, query }) => {
           <StyledButton
             data-cy="download-csv-download"
             buttonSize="tiny"
-            onClick={download}
+            onClick={() => setShowExportModal(true)}
             mt="12px"
-            loading={loading === 'v1'}
-            disabled={Boolean(loading) && loading !== 'v1'}
+            disabled={Boolean(loading)}
             minWidth={115}
           >
-            <FormattedMessage id="Download" defaultMessage="Download" /> (v1)
+            <FormattedMessage id="TransactionsExport.Customize" defaultMessage="Customize export" />
           </StyledButton>
         </Box>
       </PopupMenu>
+      {showExportModal && (
+        <TransactionsExportModal
+          collective={collective}
+          dateFrom={dateFrom}
+          dateTo={dateTo}
+          type={type}
+          kinds={kinds}
+          onClose={() => setShowExportModal(false)}
+        />
+      )}
     </Flex>
   );
 };
@@ -268,8 +186,8 @@ TransactionsDownloadCSV.propTypes = {
     slug: PropTypes.string,
     legacyId: PropTypes.number.isRequired,
     currency: PropTypes.string.isRequired,
+    createdAt: PropTypes.string,
   }).isRequired,
-  client: PropTypes.object,
   query: PropTypes.shape({
     type: PropTypes.string,
     kind: PropTypes.string,
@@ -282,4 +200,4 @@ TransactionsDownloadCSV.propTypes = {
   }),
 };
 
-export default withApollo(TransactionsDownloadCSV);
+export default TransactionsDownloadCSV;
@@ -0,0 +1,292 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { useApolloClient } from '@apollo/client';
+import { ChevronDown } from '@styled-icons/feather/ChevronDown';
+import { ChevronUp } from '@styled-icons/feather/ChevronUp';
+import { saveAs } from 'file-saver';
+import { clamp } from 'lodash';
+import { FormattedMessage, useIntl } from 'react-intl';
+
+import { i18nGraphqlException } from '../../lib/errors';
+import { transactionsQuery } from '../../lib/graphql/queries';
+import {
+  createTransactionsExportWriter,
+  DEFAULT_TRANSACTIONS_EXPORT_COLUMNS,
+  fetchAllTransactionsForExport,
+  getExportColumnHeader,
+  getTransactionsExportFilename,
+  TRANSACTIONS_EXPORT_COLUMNS,
+  TRANSACTIONS_EXPORT_FORMAT,
+  TRANSACTIONS_EXPORT_FORMATS,
+} from '../../lib/transactions-export';
+
+import Container from '../Container';
+import { Box, Flex } from '../Grid';
+import MessageBox from '../MessageBox';
+import StyledButton from '../StyledButton';
+import StyledCheckbox from '../StyledCheckbox';
+import StyledInputField from '../StyledInputField';
+import StyledModal, { ModalBody, ModalFooter, ModalHeader } from '../StyledModal';
+import StyledProgressBar from '../StyledProgressBar';
+import StyledRoundButton from '../StyledRoundButton';
+import StyledSelect from '../StyledSelect';
+import { H4, P } from '../Text';
+import { TOAST_TYPE, useToasts } from '../ToastProvider';
+
+const PAGE_SIZE = 500;
+
+const FORMAT_OPTIONS = Object.keys(TRANSACTIONS_EXPORT_FORMATS).map(format => ({
+  value: format,
+  label: TRANSACTIONS_EXPORT_FORMATS[format].label,
+}));
+
+const getInitialColumns = () => {
+  const otherColumns = TRANSACTIONS_EXPORT_COLUMNS.filter(c => !DEFAULT_TRANSACTIONS_EXPORT_COLUMNS.includes(c.id));
+  return [
+    ...DEFAULT_TRANSACTIONS_EXPORT_COLUMNS.map(id => ({ id, isSelected: true })),
+    ...otherColumns.map(({ id }) => ({ id, isSelected: false })),
+  ];
+};
+
+const COLUMN_HEADERS = TRANSACTIONS_EXPORT_COLUMNS.reduce((result, column) => {
+  // Use generic labels for the columns that include the currency in their name
+  result[column.id] = getExportColumnHeader(column, { hostCurrency: 'Host Currency', collectiveCurrency: 'Currency' });
+  return result;
+}, {});
+
+/**
+ * Transactions are returned from the most recent to the oldest, so we estimate the progress
+ * from the date of the last transaction fetched.
+ */
+const getProgressPercentage = (lastTransactionDate, dateFrom, dateTo, collectiveCreatedAt) => {
+  const start = new Date(dateFrom || collectiveCreatedAt).getTime();
+  const end = (dateTo ? new Date(dateTo) : new Date()).getTime();
+  if (!lastTransactionDate || !start || end <= start) {
+    return 0;
+  }
+
+  return clamp((end - new Date(lastTransactionDate).getTime()) / (end - start), 0, 1);
+};
+
+const TransactionsExportModal = ({ collective, dateFrom, dateTo, type, kinds, onClose }) => {
+  const intl = useIntl();
+  const client = useApolloClient();
+  const { addToast } = useToasts();
+  const [format, setFormat] = React.useState(TRANSACTIONS_EXPORT_FORMAT.CSV);
+  const [columns, setColumns] = React.useState(getInitialColumns);
+  const [progress, setProgress] = React.useState(null);
+  const isCancelled = React.useRef(false);
+  const hasColumns = TRANSACTIONS_EXPORT_FORMATS[format].hasColumns;
+  const selectedColumns = columns.filter(c => c.isSelected).map(c => c.id);
+  const isExporting = Boolean(progress);
+
+  // Stop fetching pages if the modal gets unmounted
+  React.useEffect(() => {
+    return () => {
+      isCancelled.current = true;
+    };
+  }, []);
+
+  const moveColumn = (index, offset) => {
+    const newColumns = [...columns];
+    const [column] = newColumns.splice(index, 1);
+    newColumns.splice(index + offset, 0, column);
+    setColumns(newColumns);
+  };
+
+  const toggleColumn = (index, isSelected) => {
+    setColumns(columns.map((column, idx) => (idx === index ? { ...column, isSelected } : column)));
+  };
+
+  const startExport = async () => {
+    isCancelled.current = false;
+    setProgress({ nbFetched: 0, percentage: 0 });
+    const writer = createTransactionsExportWriter({
+      format,
+      columns: selectedColumns,
+      collective,
+      dateFrom,
+      dateTo,
+    });
+
+    try {
+      const isComplete = await fetchAllTransactionsForExport({
+        writer,
+        pageSize: PAGE_SIZE,
+        isCancelled: () => isCancelled.current,
+        fetchPage: async (offset, limit) => {
+          const result = await client.query({
+            query: transactionsQuery,
+            fetchPolicy: 'no-cache',
+            variables: { CollectiveId: collective.legacyId, dateFrom, dateTo, type, kinds, offset, limit },
+          });
+
+          const transactions = result.data.allTransactions || [];
+          const lastTransaction = transactions[transactions.length - 1];
+          if (lastTransaction && !isCancelled.current) {
+            const percentage = getProgressPercentage(lastTransaction.createdAt, dateFrom, dateTo, collective.createdAt);
+            setProgress(previous => ({ ...previous, percentage }));
+          }
+
+          return transactions;
+        },
+        onProgress: ({ nbFetched }) => {
+          if (!isCancelled.current) {
+            setProgress(previous => ({ ...previous, nbFetched }));
+          }
+        },
+      });
+
+      if (isComplete) {
+        saveAs(writer.getBlob(), getTransactionsExportFilename(collective.slug, format, dateFrom, dateTo));
+        onClose();
+        return;
+      }
+    } catch (error) {
+      addToast({ type: TOAST_TYPE.ERROR, message: i18nGraphqlException(intl, error) });
+    }
+
+    if (!isCancelled.current) {
+      setProgress(null);
+    }
+  };
+
+  const cancelExport = () => {
+    isCancelled.current = true;
+    setProgress(null);
+  };
+
+  return (
+    <StyledModal show width="570px" onClose={onClose} trapFocus>
+      <ModalHeader onClose={onClose}>
+        <H4 fontSize="20px" fontWeight="700">
+          <FormattedMessage id="TransactionsExport.Title" defaultMessage="Export transactions" />
+        </H4>
+      </ModalHeader>
+      <ModalBody>
+        <P fontSize="13px" color="black.700" mb={3}>
+          <FormattedMessage
+            id="Transactions.DownloadCSV.Description"
+            defaultMessage="Use the filters to define the transactions you would like to download."
+          />
+        </P>
+        <StyledInputField name="format" htmlFor="transactions-export-format" label="Format" mb={3}>
+          {({ id }) => (
+            <StyledSelect
+              inputId={id}
+              options={FORMAT_OPTIONS}
+              value={FORMAT_OPTIONS.find(option => option.value === format)}
+              onChange={({ value }) => setFormat(value)}
+              isSearchable={false}
+              disabled={isExporting}
+            />
+          )}
+        </StyledInputField>
+        {hasColumns ? (
+          <Box>
+            <P fontWeight="700" fontSize="14px" mb={2}>
+              <FormattedMessage id="TransactionsExport.Columns" defaultMessage="Columns" />
+            </P>
+            <Container maxHeight={280} overflowY="auto" border="1px solid" borderColor="black.300" borderRadius="8px">
+              {columns.map((column, index) => (
+                <Flex
+                  key={column.id}
+                  alignItems="center"
+                  justifyContent="space-between"
+                  px={2}
+                  py={1}
+                  data-cy={`export-column-${column.id}`}
+                >
+                  <StyledCheckbox
+                    name={`export-column-${column.id}`}
+                    checked={column.isSelected}
+                    disabled={isExporting}
+                    label={COLUMN_HEADERS[column.id]}
+                    onChange={({ checked }) => toggleColumn(index, checked)}
+                  />
+                  <Flex>
+                    <StyledRoundButton
+                      size={24}
+                      mr={1}
+                      disabled={isExporting || index === 0}
+                      onClick={() => moveColumn(index, -1)}
+                      title={intl.formatMessage({ id: 'TransactionsExport.MoveUp', defaultMessage: 'Move up' })}
+                    >
+                      <ChevronUp size={14} />
+                    </StyledRoundButton>
+                    <StyledRoundButton
+                      size={24}
+                      disabled={isExporting || index === columns.length - 1}
+                      onClick={() => moveColumn(index, 1)}
+                      title={intl.formatMessage({ id: 'TransactionsExport.MoveDown', defaultMessage: 'Move down' })}
+                    >
+                      <ChevronDown size={14} />
+                    </StyledRoundButton>
+                  </Flex>
+                </Flex>
+              ))}
+            </Container>
+          </Box>
+        ) : (
+          <MessageBox type="info" fontSize="13px">
+            <FormattedMessage
+              id="TransactionsExport.AccountingFormat"
+              defaultMessage="This format is meant to be imported in accounting software. It includes the date, net amount, payee and description of each transaction."
+            />
+          </MessageBox>
+        )}
+        {isExporting && (
+          <Box mt={3} data-cy="export-progress">
+            <StyledProgressBar percentage={progress.percentage} height={8} />
+            <P fontSize="12px" color="black.700" mt={2}>
+              <FormattedMessage
+                id="TransactionsExport.Progress"
+                defaultMessage="{count, plural, one {# transaction} other {# transactions}} fetched"
+                values={{ count: progress.nbFetched }}
+              />
+            </P>
+          </Box>
+        )}
+      </ModalBody>
+      <ModalFooter>
+        <Flex justifyContent="flex-end" flexWrap="wrap">
+          {isExporting ? (
+            <StyledButton mx={2} minWidth={120} onClick={cancelExport} data-cy="export-cancel">
+              <FormattedMessage id="actions.cancel" defaultMessage="Cancel" />
+            </StyledButton>
+          ) : (
+            <StyledButton mx={2} minWidth={120} onClick={onClose}>
+              <FormattedMessage id="Close" defaultMessage="Close" />
+            </StyledButton>
+          )}
+          <StyledButton
+            buttonStyle="primary"
+            minWidth={120}
+            loading={isExporting}
+            disabled={hasColumns && !selectedColumns.length}
+            onClick={startExport}
+            data-cy="export-download"
+          >
+            <FormattedMessage id="Download" defaultMessage="Download" />
+          </StyledButton>
+        </Flex>
+      </ModalFooter>
+    </StyledModal>
+  );
+};
+
+TransactionsExportModal.propTypes = {
+  collective: PropTypes.shape({
+    slug: PropTypes.string.isRequired,
+    legacyId: PropTypes.number.isRequired,
+    currency: PropTypes.string,
+    createdAt: PropTypes.string,
+  }).isRequired,
+  dateFrom: PropTypes.string,
+  dateTo: PropTypes.string,
+  type: PropTypes.string,
+  kinds: PropTypes.arrayOf(PropTypes.string),
+  onClose: PropTypes.func.isRequired,
+};
+
+export default TransactionsExportModal;
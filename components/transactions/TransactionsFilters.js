@@ -4,10 +4,12 @@ import { FormattedMessage } from 'react-intl';
 import styled from 'styled-components';
 
 import { encodeDateInterval } from '../../lib/date-utils';
+import { SAVED_VIEWS_PAGE } from '../../lib/saved-views';
 
 import AmountFilter from '../budget/filters/AmountFilter';
 import PeriodFilter from '../budget/filters/PeriodFilter';
 import { Box, Flex } from '../Grid';
+import SavedFilterViews from '../SavedFilterViews';
 
 import TransactionsKindFilter from './filters/TransactionsKindFilter';
 import TransactionsTypeFilter from './filters/TransactionsTypeFilter';
@@ -61,6 +63,12 @@ const TransactionsFilters = ({ collective, filters, kinds, onChange }) => {
         </FilterLabel>
         <TransactionsKindFilter kinds={kinds} {...getFilterProps('kind')} />
       </FilterContainer>
+      <FilterContainer mr={[0, '8px']} mb={['8px', 0]} flexGrow={1}>
+        <FilterLabel htmlFor={`saved-views-${SAVED_VIEWS_PAGE.TRANSACTIONS}`}>
+          <FormattedMessage id="SavedViews.Label" defaultMessage="Views" />
+        </FilterLabel>
+        <SavedFilterViews page={SAVED_VIEWS_PAGE.TRANSACTIONS} query={filters} onChange={onChange} />
+      </FilterContainer>
     </Flex>
   );
 };
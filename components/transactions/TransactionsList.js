@@ -2,6 +2,7 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import styled, { css } from 'styled-components';
 
+import { useTransactionsRates } from '../DisplayCurrencyProvider';
 import StyledCard from '../StyledCard';
 
 import TransactionItem from './TransactionItem';
@@ -15,6 +16,7 @@ const Container = styled.div`
 `;
 
 const TransactionsList = ({ transactions, collective, displayActions, onMutationSuccess }) => {
+  useTransactionsRates(transactions);
   if (!transactions?.length) {
     return null;
   }
@@ -14,6 +14,10 @@ export const transactionsQueryCollectionFragment = gqlV2/* GraphQL */ `
         currency
         valueInCents
       }
+      amountInHostCurrency {
+        currency
+        valueInCents
+      }
       netAmount {
         currency
         valueInCents
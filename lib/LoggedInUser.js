@@ -1,6 +1,7 @@
 import { get, uniqBy } from 'lodash';
 
 import { CollectiveType } from './constants/collectives';
+import { getRolesWithPermission, PERMISSIONS } from './constants/permissions';
 import ROLES from './constants/roles';
 
 /**
@@ -36,6 +37,32 @@ LoggedInUser.prototype.hasRole = function (roles, collective) {
   }
 };
 
+/**
+ * hasPermission if LoggedInUser is
+ * - its own USER collective
+ * - has a role granting `permission` on the collective (see `ROLES_PERMISSIONS`)
+ * - has a role granting `permission` on the parent, for events and projects
+ */
+LoggedInUser.prototype.hasPermission = function (permission, collective) {
+  if (!collective) {
+    return false;
+  } else if (collective.id && collective.id === this.CollectiveId) {
+    return true;
+  } else if (collective.slug && collective.slug === get(this, 'collective.slug')) {
+    return true;
+  }
+
+  const roles = getRolesWithPermission(permission);
+  if (this.hasRole(roles, collective)) {
+    return true;
+  } else if ([CollectiveType.EVENT, CollectiveType.PROJECT].includes(collective.type)) {
+    const parent = collective.parentCollective || collective.parent;
+    return this.hasRole(roles, parent);
+  } else {
+    return false;
+  }
+};
+
 /**
  * CanEditCollective if LoggedInUser is
  * - its own USER collective
@@ -69,7 +96,7 @@ LoggedInUser.prototype.canEditComment = function (comment) {
   }
 
   return (
-    this.hasRole([ROLES.HOST, ROLES.ADMIN], comment.collective) ||
+    this.hasPermission(PERMISSIONS.MANAGE_CONVERSATIONS, comment.collective) ||
     this.isHostAdmin(comment.collective) ||
     this.isSelf(comment.fromCollective) ||
     this.canEditEvent(comment.collective)
@@ -125,9 +152,9 @@ LoggedInUser.prototype.canEditProject = function (project) {
 LoggedInUser.prototype.canEditUpdate = function (update) {
   if (!update) {
     return false;
-  } else if (this.canEditCollective(update.fromAccount)) {
+  } else if (this.hasPermission(PERMISSIONS.MANAGE_UPDATES, update.fromAccount)) {
     return true; // if admin of collective author
-  } else if (this.canEditCollective(update.account)) {
+  } else if (this.hasPermission(PERMISSIONS.MANAGE_UPDATES, update.account)) {
     return true;
   }
 };
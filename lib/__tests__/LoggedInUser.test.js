@@ -1,3 +1,4 @@
+import { getTeamMemberRoles, PERMISSIONS } from '../constants/permissions';
 import LoggedInUser from '../LoggedInUser';
 
 // Define some test collectives
@@ -107,6 +108,42 @@ describe('Collectives', () => {
   });
 });
 
+describe('Permissions', () => {
+  const accountantCollective = { id: 8, type: 'COLLECTIVE', slug: 'accountant-collective' };
+  const accountantProject = { id: 18, type: 'PROJECT', slug: 'accountant-project', parent: accountantCollective };
+  const teamUser = new LoggedInUser({
+    id: 3,
+    memberOf: [{ collective: accountantCollective, role: 'ACCOUNTANT' }],
+    CollectiveId: 1001,
+    collective: { id: 1001, slug: 'team-user-collective' },
+  });
+
+  describe('hasPermission', () => {
+    it('grants all permissions to admins and to the user itself', () => {
+      Object.values(PERMISSIONS).forEach(permission => {
+        expect(testUser.hasPermission(permission, adminCollective)).toBe(true);
+        expect(testUser.hasPermission(permission, adminEventCollectiveParent)).toBe(true);
+        expect(testUser.hasPermission(permission, testUser.collective)).toBe(true);
+        expect(testUser.hasPermission(permission, { id: testUser.CollectiveId })).toBe(true);
+        expect(testUser.hasPermission(permission, memberCollective)).toBe(false);
+        expect(testUser.hasPermission(permission, null)).toBe(false);
+      });
+    });
+
+    it('grants permissions based on the role', () => {
+      expect(teamUser.hasPermission(PERMISSIONS.VIEW_FINANCES, accountantCollective)).toBe(true);
+      expect(teamUser.hasPermission(PERMISSIONS.EXPORT_FINANCES, accountantProject)).toBe(true);
+      expect(teamUser.hasPermission(PERMISSIONS.PAY_EXPENSES, accountantCollective)).toBe(false);
+      expect(teamUser.hasPermission(PERMISSIONS.MANAGE_CONTRIBUTIONS, accountantCollective)).toBe(false);
+      expect(teamUser.hasPermission(PERMISSIONS.MANAGE_CONVERSATIONS, accountantCollective)).toBe(false);
+    });
+
+    it('does not change who can edit the collective', () => {
+      expect(teamUser.canEditCollective(accountantCollective)).toBe(false);
+    });
+  });
+});
+
 describe('Events', () => {
   describe('canEditEvent', () => {
     it('returns true if user can edit event', () => {
@@ -133,4 +170,10 @@ describe('Comments', () => {
       expect(testUser.canEditComment({ collective: adminEventCollectiveParent })).toBe(true);
     });
   });
+
+  describe('getTeamMemberRoles', () => {
+    it('only returns the roles supported by the API', () => {
+      expect(getTeamMemberRoles()).toEqual(['ADMIN', 'MEMBER', 'ACCOUNTANT']);
+    });
+  });
 });
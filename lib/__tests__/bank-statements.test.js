@@ -0,0 +1,174 @@
+import {
+  autoMatchBankStatement,
+  BANK_STATEMENT_ERRORS,
+  BANK_STATEMENT_FORMATS,
+  getOrdersToReconcile,
+  MATCH_TYPES,
+  parseBankStatement,
+  parseStatementAmount,
+  parseStatementDate,
+} from '../bank-statements';
+
+const CSV_STATEMENT = `Account;BE68 5390 0754 7034
+Booking date;Description;Reference;Amount;Currency
+15/06/2021;Transfer from Jane Doe;Contribution 4242;50,00;EUR
+16/06/2021;Card payment;;-12,50;EUR
+17/06/2021;John Smith;;1.234,56;EUR
+`;
+
+const CAMT_STATEMENT = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+  <BkToCstmrStmt>
+    <Stmt>
+      <Ntry>
+        <Amt Ccy="EUR">75.00</Amt>
+        <CdtDbtInd>CRDT</CdtDbtInd>
+        <BookgDt><Dt>2021-06-18</Dt></BookgDt>
+        <AcctSvcrRef>TX-1</AcctSvcrRef>
+        <NtryDtls>
+          <TxDtls>
+            <Refs><EndToEndId>NOTPROVIDED</EndToEndId></Refs>
+            <RltdPties><Dbtr><Nm>Acme &amp; Co</Nm></Dbtr></RltdPties>
+            <RmtInf><Ustrd>Ref 4243 and 4244</Ustrd></RmtInf>
+          </TxDtls>
+        </NtryDtls>
+      </Ntry>
+      <Ntry>
+        <Amt Ccy="EUR">10.00</Amt>
+        <CdtDbtInd>DBIT</CdtDbtInd>
+        <BookgDt><Dt>2021-06-18</Dt></BookgDt>
+      </Ntry>
+    </Stmt>
+  </BkToCstmrStmt>
+</Document>`;
+
+const OFX_STATEMENT = `OFXHEADER:100
+DATA:OFXSGML
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<CURDEF>USD
+<BANKTRANLIST>
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20210620120000
+<TRNAMT>25.00
+<FITID>OFX-1
+<NAME>Someone
+<MEMO>Thanks!
+</STMTTRN>
+</BANKTRANLIST>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+
+const order = (id, legacyId, valueInCents, createdAt = '2021-06-10T10:00:00.000Z', currency = 'EUR') => ({
+  id,
+  legacyId,
+  createdAt,
+  amount: { valueInCents, currency },
+});
+
+describe('Bank statements', () => {
+  it('parses the dates', () => {
+    expect(parseStatementDate('2021-06-15T10:00:00')).toBe('2021-06-15');
+    expect(parseStatementDate('20210615120000[-5:EST]')).toBe('2021-06-15');
+    expect(parseStatementDate('5.6.2021')).toBe('2021-06-05');
+    expect(parseStatementDate('06/15/2021')).toBe('2021-06-15');
+    expect(parseStatementDate('yesterday')).toBe(null);
+  });
+
+  it('parses the amounts', () => {
+    expect(parseStatementAmount('25')).toBe(2500);
+    expect(parseStatementAmount('-12,50')).toBe(-1250);
+    expect(parseStatementAmount('$1,000.00')).toBe(100000);
+    expect(parseStatementAmount('1.234,56')).toBe(123456);
+    expect(parseStatementAmount('1.000')).toBe(100000);
+    expect(parseStatementAmount('1.000.000')).toBe(100000000);
+    expect(parseStatementAmount('1.50')).toBe(150);
+    expect(parseStatementAmount('1000.500')).toBe(100050);
+    expect(parseStatementAmount('abc')).toBe(null);
+  });
+
+  it('parses CSV statements and only keeps the credits', () => {
+    const { format, lines, error } = parseBankStatement(CSV_STATEMENT);
+    expect(format).toBe(BANK_STATEMENT_FORMATS.CSV);
+    expect(error).toBe(null);
+    expect(lines).toEqual([
+      {
+        id: 'line-3',
+        date: '2021-06-15',
+        amount: 5000,
+        currency: 'EUR',
+        reference: 'Contribution 4242',
+        description: 'Transfer from Jane Doe - Contribution 4242',
+      },
+      { id: 'line-5', date: '2021-06-17', amount: 123456, currency: 'EUR', reference: null, description: 'John Smith' },
+    ]);
+  });
+
+  it('returns an error when the columns are not found', () => {
+    expect(parseBankStatement('foo,bar\n1,2').error).toBe(BANK_STATEMENT_ERRORS.MISSING_COLUMNS);
+  });
+
+  it('parses CAMT.053 statements', () => {
+    const { format, lines } = parseBankStatement(CAMT_STATEMENT);
+    expect(format).toBe(BANK_STATEMENT_FORMATS.CAMT053);
+    expect(lines).toEqual([
+      {
+        id: 'TX-1',
+        date: '2021-06-18',
+        amount: 7500,
+        currency: 'EUR',
+        reference: null,
+        description: 'Acme & Co - Ref 4243 and 4244',
+      },
+    ]);
+  });
+
+  it('parses OFX statements', () => {
+    const { format, lines } = parseBankStatement(OFX_STATEMENT);
+    expect(format).toBe(BANK_STATEMENT_FORMATS.OFX);
+    expect(lines).toEqual([
+      {
+        id: 'OFX-1',
+        date: '2021-06-20',
+        amount: 2500,
+        currency: 'USD',
+        reference: null,
+        description: 'Someone - Thanks!',
+      },
+    ]);
+  });
+
+  it('matches the lines with the pending orders', () => {
+    const lines = [
+      ...parseBankStatement(CSV_STATEMENT).lines,
+      ...parseBankStatement(CAMT_STATEMENT).lines,
+      { id: 'line-x', date: '2021-06-20', amount: 2000, currency: 'EUR', description: 'No reference' },
+    ];
+
+    const orders = [
+      order('o1', 4242, 5500),
+      order('o2', 4243, 2500),
+      order('o3', 4244, 5000),
+      order('o4', 5000, 2000),
+      order('o5', 5001, 123456, '2021-03-01T10:00:00.000Z'),
+    ];
+
+    const allocations = autoMatchBankStatement(lines, orders);
+    expect(allocations).toEqual({
+      // The amount received is used, even if it differs from the order
+      'line-3': [{ orderId: 'o1', amount: 5000, matchType: MATCH_TYPES.REFERENCE }],
+      'TX-1': [
+        { orderId: 'o2', amount: 2500, matchType: MATCH_TYPES.REFERENCE },
+        { orderId: 'o3', amount: 5000, matchType: MATCH_TYPES.REFERENCE },
+      ],
+      'line-x': [{ orderId: 'o4', amount: 2000, matchType: MATCH_TYPES.AMOUNT_AND_DATE }],
+      // line-5 has the amount of o5, but the order is too old
+    });
+
+    expect(getOrdersToReconcile(lines, allocations, orders)).toEqual([
+      { order: orders[0], amountReceived: 5000 },
+      { order: orders[1], amountReceived: 2500 },
+      { order: orders[2], amountReceived: 5000 },
+      { order: orders[3], amountReceived: 2000 },
+    ]);
+  });
+});
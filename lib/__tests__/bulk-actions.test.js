@@ -0,0 +1,47 @@
+import { getTotalAmountsByCurrency, runBulkAction, splitItemsForBulkAction } from '../bulk-actions';
+
+const items = [
+  { id: 1, currency: 'USD', amount: 1000 },
+  { id: 2, currency: 'EUR', amount: 2500 },
+  { id: 3, currency: 'USD', amount: 500 },
+];
+
+describe('bulk actions lib', () => {
+  it('splits the items between eligible and skipped', () => {
+    const { eligible, skipped } = splitItemsForBulkAction(items, item => item.currency === 'USD');
+    expect(eligible.map(item => item.id)).toEqual([1, 3]);
+    expect(skipped.map(item => item.id)).toEqual([2]);
+    expect(splitItemsForBulkAction([], () => true)).toEqual({ eligible: [], skipped: [] });
+  });
+
+  it('returns the totals by currency', () => {
+    expect(getTotalAmountsByCurrency(items)).toEqual([
+      { currency: 'EUR', amount: 2500, count: 1 },
+      { currency: 'USD', amount: 1500, count: 2 },
+    ]);
+    expect(getTotalAmountsByCurrency([])).toEqual([]);
+  });
+
+  it('runs the action on all the items, one after the other, even if some fail', async () => {
+    const calls = [];
+    const processFn = jest.fn(async item => {
+      calls.push(item.id);
+      if (item.id === 2) {
+        throw new Error('Failed');
+      }
+    });
+
+    const onProgress = jest.fn();
+    const results = await runBulkAction(items, processFn, onProgress);
+    expect(calls).toEqual([1, 2, 3]);
+    expect(results.map(result => result.item.id)).toEqual([1, 2, 3]);
+    expect(results.map(result => result.success)).toEqual([true, false, true]);
+    expect(results[1].error.message).toBe('Failed');
+    expect(results[0].error).toBe(null);
+    expect(onProgress.mock.calls).toEqual([
+      [1, 3],
+      [2, 3],
+      [3, 3],
+    ]);
+  });
+});
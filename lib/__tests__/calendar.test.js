@@ -0,0 +1,35 @@
+import { getEventICSUrl, getGoogleCalendarUrl, getOutlookCalendarUrl, getWebcalUrl } from '../calendar';
+
+const event = {
+  slug: 'meetup',
+  name: 'Webpack meetup',
+  startsAt: '2021-06-15T18:00:00.000Z',
+  timezone: 'Europe/Berlin',
+  location: { name: 'Factory', address: 'Berlin' },
+  parentCollective: { slug: 'webpack' },
+};
+
+describe('Calendar links', () => {
+  it('links to the .ics files', () => {
+    expect(getEventICSUrl(event)).toBe(`${process.env.WEBSITE_URL}/webpack/events/meetup.ics`);
+    expect(getWebcalUrl('https://opencollective.com/webpack/events.ics')).toBe(
+      'webcal://opencollective.com/webpack/events.ics',
+    );
+  });
+
+  it('generates the Google Calendar link', () => {
+    const url = new URL(getGoogleCalendarUrl(event));
+    expect(url.searchParams.get('text')).toBe('Webpack meetup');
+    expect(url.searchParams.get('dates')).toBe('20210615T180000Z/20210615T190000Z');
+    expect(url.searchParams.get('location')).toBe('Factory, Berlin');
+    expect(url.searchParams.get('ctz')).toBe('Europe/Berlin');
+    expect(new URL(getGoogleCalendarUrl({ ...event, timezone: 'Not/AZone' })).searchParams.has('ctz')).toBe(false);
+  });
+
+  it('generates the Outlook link', () => {
+    const url = new URL(getOutlookCalendarUrl({ ...event, endsAt: '2021-06-15T21:00:00.000Z' }));
+    expect(url.searchParams.get('startdt')).toBe('2021-06-15T18:00:00.000Z');
+    expect(url.searchParams.get('enddt')).toBe('2021-06-15T21:00:00.000Z');
+    expect(url.searchParams.get('body')).toBe(`${process.env.WEBSITE_URL}/webpack/events/meetup`);
+  });
+});
@@ -0,0 +1,54 @@
+import {
+  archiveReachedGoal,
+  getDaysBeforeDeadline,
+  getGoalCurrentValue,
+  getGoalProgress,
+  getReachedMilestones,
+  GOAL_TYPES,
+  isCoverGoal,
+} from '../collective-goals';
+
+const amount = valueInCents => ({ valueInCents, currency: 'USD' });
+
+describe('collective goals lib', () => {
+  const account = {
+    stats: {
+      balance: amount(5000),
+      yearlyBudget: amount(120000),
+    },
+    totalFinancialContributors: 42,
+    tiers: { nodes: [{ legacyId: 7, orders: { totalCount: 3 } }] },
+  };
+
+  it('computes the progress of all the goal types', () => {
+    expect(isCoverGoal({ amount: 100 })).toBe(true);
+    expect(isCoverGoal({ type: GOAL_TYPES.BACKERS })).toBe(false);
+
+    const backersGoal = { type: GOAL_TYPES.BACKERS, count: 84 };
+    expect(getGoalCurrentValue(backersGoal, account)).toBe(42);
+    expect(getGoalProgress(backersGoal, 42)).toBe(0.5);
+    expect(getGoalCurrentValue({ type: GOAL_TYPES.TIER_CONTRIBUTIONS, tierId: 7 }, account)).toBe(3);
+    expect(getGoalCurrentValue({ amount: 100 }, account)).toBe(120000);
+    expect(getGoalProgress({ amount: 100 }, 120000)).toBe(1);
+    expect(getGoalProgress({ type: GOAL_TYPES.BACKERS }, 42)).toBe(0);
+    expect(getReachedMilestones(0.6)).toEqual([0.25, 0.5]);
+  });
+
+  it('computes the days before the deadline', () => {
+    const now = new Date('2021-06-10T15:00:00');
+    expect(getDaysBeforeDeadline({}, now)).toBe(null);
+    expect(getDaysBeforeDeadline({ deadline: '2021-06-20' }, now)).toBe(10);
+    expect(getDaysBeforeDeadline({ deadline: '2021-06-10' }, now)).toBe(0);
+    expect(getDaysBeforeDeadline({ deadline: '2021-06-01' }, now)).toBe(-9);
+  });
+
+  it('moves the reached goals to the history', () => {
+    const goals = [{ key: 'a', amount: 100 }, { key: 'b' }];
+    const result = archiveReachedGoal(goals, [{ key: 'old' }], 'a', new Date('2021-01-01T00:00:00.000Z'));
+    expect(result.goals).toEqual([{ key: 'b' }]);
+    expect(result.goalsHistory).toEqual([
+      { key: 'a', amount: 100, reachedAt: '2021-01-01T00:00:00.000Z' },
+      { key: 'old' },
+    ]);
+  });
+});
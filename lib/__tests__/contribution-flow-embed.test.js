@@ -0,0 +1,88 @@
+import {
+  createEmbedMessage,
+  EMBED_EVENTS,
+  getEmbedAllowedOrigins,
+  getParentOrigin,
+  isAllowedEmbedOrigin,
+  normalizeOrigin,
+  parseAllowedOrigins,
+  parseEmbedMessage,
+  postEmbedEvent,
+} from '../contribution-flow-embed';
+
+const getIframeWindow = ({ ancestorOrigins, referrer = '' } = {}) => {
+  const parent = { postMessage: jest.fn() };
+  return { parent, location: { ancestorOrigins }, document: { referrer } };
+};
+
+describe('Contribution flow embed', () => {
+  it('normalizes the origins', () => {
+    expect(normalizeOrigin('https://Example.com/donate/?a=b')).toBe('https://example.com');
+    expect(normalizeOrigin('http://localhost:3000/')).toBe('http://localhost:3000');
+    expect(normalizeOrigin('https://*.example.com')).toBe('https://*.example.com');
+    expect(normalizeOrigin('ftp://example.com')).toBe(null);
+    expect(normalizeOrigin('example.com')).toBe(null);
+    expect(normalizeOrigin('')).toBe(null);
+  });
+
+  it('parses the allowlist', () => {
+    const text = 'https://example.com/\n\n https://*.example.org, https://example.com\nnot an origin';
+    expect(parseAllowedOrigins(text)).toEqual({
+      origins: ['https://example.com', 'https://*.example.org'],
+      invalid: ['not an origin'],
+    });
+
+    const account = { settings: { collectivePage: { embedAllowedOrigins: ['https://example.com'] } } };
+    expect(getEmbedAllowedOrigins(account)).toEqual(['https://example.com']);
+    expect(getEmbedAllowedOrigins({ settings: {} })).toEqual([]);
+  });
+
+  it('checks the origin against the allowlist', () => {
+    const allowlist = ['https://example.com', 'https://*.example.org'];
+    expect(isAllowedEmbedOrigin('https://example.com', allowlist)).toBe(true);
+    expect(isAllowedEmbedOrigin('http://example.com', allowlist)).toBe(false);
+    expect(isAllowedEmbedOrigin('https://example.com.evil.io', allowlist)).toBe(false);
+    expect(isAllowedEmbedOrigin('https://docs.example.org', allowlist)).toBe(true);
+    expect(isAllowedEmbedOrigin('https://example.org', allowlist)).toBe(false);
+    expect(isAllowedEmbedOrigin('https://evilexample.org', allowlist)).toBe(false);
+    expect(isAllowedEmbedOrigin('https://example.com', [])).toBe(false);
+  });
+
+  it('returns the origin of the parent window', () => {
+    const win = getIframeWindow({ ancestorOrigins: ['https://example.com'], referrer: 'https://other.com/page' });
+    expect(getParentOrigin(win)).toBe('https://example.com');
+    expect(getParentOrigin(getIframeWindow({ referrer: 'https://other.com/page' }))).toBe('https://other.com');
+
+    const topWindow = { location: {}, document: { referrer: 'https://example.com' } };
+    topWindow.parent = topWindow;
+    expect(getParentOrigin(topWindow)).toBe(null);
+  });
+
+  it('only accepts valid messages', () => {
+    const message = createEmbedMessage('embed-1', EMBED_EVENTS.SUCCESS, { orderId: 'abc' });
+    expect(parseEmbedMessage(message)).toEqual({
+      embedId: 'embed-1',
+      type: EMBED_EVENTS.SUCCESS,
+      payload: { orderId: 'abc' },
+    });
+
+    expect(parseEmbedMessage({ ...message, type: 'unknown' })).toBe(null);
+    expect(parseEmbedMessage({ ...message, source: 'other' })).toBe(null);
+    expect(parseEmbedMessage(`oc-${JSON.stringify(message)}`)).toBe(null);
+  });
+
+  it('only posts the events to the allowed origins', () => {
+    const win = getIframeWindow({ ancestorOrigins: ['https://example.com'] });
+    const options = { win, embedId: 'embed-1' };
+
+    expect(postEmbedEvent(EMBED_EVENTS.CLOSE, {}, { ...options, allowedOrigins: ['https://other.com'] })).toBe(false);
+    expect(win.parent.postMessage).not.toHaveBeenCalled();
+
+    const allowedOrigins = ['https://example.com'];
+    expect(postEmbedEvent(EMBED_EVENTS.STEP_CHANGE, { step: 'payment' }, { ...options, allowedOrigins })).toBe(true);
+    expect(win.parent.postMessage).toHaveBeenCalledWith(
+      createEmbedMessage('embed-1', EMBED_EVENTS.STEP_CHANGE, { step: 'payment' }),
+      'https://example.com',
+    );
+  });
+});
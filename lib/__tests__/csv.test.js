@@ -0,0 +1,30 @@
+import { formatCSV, parseCSV } from '../csv';
+
+describe('csv lib', () => {
+  it('parses CSV files', () => {
+    expect(parseCSV('a,b\n"c ""quoted""","multi\nline"\r\n\n')).toEqual([
+      ['a', 'b'],
+      ['c "quoted"', 'multi\nline'],
+    ]);
+    expect(parseCSV('\uFEFFemail;amount\nx@y.com;12,50')).toEqual([
+      ['email', 'amount'],
+      ['x@y.com', '12,50'],
+    ]);
+  });
+
+  it('formats CSV files', () => {
+    expect(
+      formatCSV([
+        ['name', 'amount'],
+        ['Jane "JD" Doe, Jr.', 12.5],
+        ['multi\r\nline', null],
+      ]),
+    ).toBe('name,amount\n"Jane ""JD"" Doe, Jr.",12.5\n"multi\r\nline",');
+  });
+
+  it('prevents formulas in the generated CSV files', () => {
+    expect(formatCSV([['=HYPERLINK("http://evil.com")', '+1', '@SUM(A1)', '-2+3', '-12.50', -5]])).toBe(
+      `"'=HYPERLINK(""http://evil.com"")",'+1,'@SUM(A1),'-2+3,-12.50,-5`,
+    );
+  });
+});
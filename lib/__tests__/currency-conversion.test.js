@@ -0,0 +1,74 @@
+import {
+  combineRateProviders,
+  convertAmount,
+  createRatesStore,
+  fetchExchangeRates,
+  getRatesFromTransactions,
+} from '../currency-conversion';
+
+describe('Currency conversion', () => {
+  describe('createRatesStore', () => {
+    it('returns the stored rates, their inverse and identity', () => {
+      const store = createRatesStore([{ fromCurrency: 'EUR', toCurrency: 'USD', value: 1.25 }]);
+      expect(store.getRate('EUR', 'USD')).toBe(1.25);
+      expect(store.getRate('USD', 'EUR')).toBe(0.8);
+      expect(store.getRate('GBP', 'GBP')).toBe(1);
+      expect(store.getRate('GBP', 'USD')).toBeNull();
+    });
+
+    it('only reports changes when rates are new or updated', () => {
+      const store = createRatesStore();
+      expect(store.addRates([{ fromCurrency: 'EUR', toCurrency: 'USD', value: 1.25 }])).toBe(true);
+      expect(store.addRates([{ fromCurrency: 'EUR', toCurrency: 'USD', value: 1.25 }])).toBe(false);
+      expect(store.addRates([{ fromCurrency: 'EUR', toCurrency: 'USD', value: 1.2 }])).toBe(true);
+    });
+  });
+
+  it('combines rate providers', () => {
+    const custom = { getRate: (from, to) => (from === 'EUR' && to === 'USD' ? 2 : null) };
+    const provider = combineRateProviders(
+      custom,
+      createRatesStore([{ fromCurrency: 'EUR', toCurrency: 'USD', value: 1.25 }]),
+      undefined,
+    );
+    expect(provider.getRate('EUR', 'USD')).toBe(2);
+    expect(provider.getRate('USD', 'EUR')).toBe(0.8);
+    expect(provider.getRate('EUR', 'GBP')).toBeNull();
+  });
+
+  it('extracts rates from V1 and V2 transactions', () => {
+    const rates = getRatesFromTransactions([
+      { currency: 'EUR', hostCurrency: 'USD', hostCurrencyFxRate: 1.25 },
+      {
+        amount: { valueInCents: -1000, currency: 'GBP' },
+        amountInHostCurrency: { valueInCents: -1150, currency: 'EUR' },
+      },
+      {
+        amount: { valueInCents: 1000, currency: 'USD' },
+        amountInHostCurrency: { valueInCents: 1000, currency: 'USD' },
+      },
+      null,
+    ]);
+
+    expect(rates).toEqual([
+      { fromCurrency: 'EUR', toCurrency: 'USD', value: 1.25 },
+      { fromCurrency: 'GBP', toCurrency: 'EUR', value: 1.15 },
+    ]);
+  });
+
+  it('converts amounts', () => {
+    const store = createRatesStore([{ fromCurrency: 'EUR', toCurrency: 'USD', value: 1.2345 }]);
+    expect(convertAmount(1000, 'EUR', 'USD', store)).toBe(1235);
+    expect(convertAmount(1000, 'USD', 'USD', store)).toBe(1000);
+    expect(convertAmount(1000, 'GBP', 'USD', store)).toBeNull();
+  });
+
+  it('fetches the missing rates', async () => {
+    global.fetch = jest.fn(async () => ({ ok: true, json: async () => ({ base: 'USD', rates: { EUR: 0.8 } }) }));
+    const rates = await fetchExchangeRates(['EUR', 'USD'], 'USD');
+    expect(global.fetch).toHaveBeenCalledWith('https://api.frankfurter.app/latest?from=USD&to=EUR');
+    expect(rates).toEqual([{ fromCurrency: 'USD', toCurrency: 'EUR', value: 0.8 }]);
+    expect(createRatesStore(rates).getRate('EUR', 'USD')).toBe(1.25);
+    delete global.fetch;
+  });
+});
@@ -0,0 +1,90 @@
+import {
+  canApplyBulkAction,
+  EXPENSE_BULK_ACTION,
+  getProcessExpenseVariables,
+  splitExpensesForBulkAction,
+} from '../../components/expenses/lib/bulk-actions';
+
+import { PayoutMethodType } from '../constants/payout-method';
+
+const { APPROVE, REJECT, UNAPPROVE, MARK_AS_PAID, SCHEDULE_FOR_PAYMENT, ADD_TAGS } = EXPENSE_BULK_ACTION;
+
+const paypalHost = {
+  settings: { features: { paypalPayouts: true } },
+  supportedPayoutMethods: [PayoutMethodType.PAYPAL],
+};
+
+const expenses = [
+  {
+    id: 'e-1',
+    legacyId: 1,
+    currency: 'USD',
+    amount: 1000,
+    payoutMethod: { type: PayoutMethodType.PAYPAL },
+    permissions: { canApprove: true, canReject: true, canPay: true },
+  },
+  {
+    id: 'e-2',
+    legacyId: 2,
+    currency: 'EUR',
+    amount: 2500,
+    payoutMethod: { type: PayoutMethodType.OTHER },
+    permissions: { canUnapprove: true, canPay: true, canEditTags: true },
+  },
+  {
+    id: 'e-3',
+    legacyId: 3,
+    currency: 'USD',
+    amount: 500,
+    payoutMethod: { type: PayoutMethodType.PAYPAL },
+    permissions: null,
+  },
+];
+
+const ids = list => list.map(item => item.id);
+
+describe('expenses bulk actions', () => {
+  it('checks the permissions for each action', () => {
+    const [expense1, expense2, expense3] = expenses;
+    expect(canApplyBulkAction(expense1, APPROVE)).toBe(true);
+    expect(canApplyBulkAction(expense2, APPROVE)).toBe(false);
+    expect(canApplyBulkAction(expense1, REJECT)).toBe(true);
+    expect(canApplyBulkAction(expense2, UNAPPROVE)).toBe(true);
+    expect(canApplyBulkAction(expense2, MARK_AS_PAID)).toBe(true);
+    expect(canApplyBulkAction(expense2, ADD_TAGS)).toBe(true);
+    expect(canApplyBulkAction(expense1, ADD_TAGS)).toBe(false);
+    expect(canApplyBulkAction(expense3, MARK_AS_PAID)).toBe(false);
+    expect(canApplyBulkAction(expense1, 'UNKNOWN')).toBe(false);
+  });
+
+  it('only schedules the payments that can be paid automatically by the host', () => {
+    const [expense1, expense2, expense3] = expenses;
+    expect(canApplyBulkAction(expense1, SCHEDULE_FOR_PAYMENT, paypalHost)).toBe(true);
+    expect(canApplyBulkAction(expense1, SCHEDULE_FOR_PAYMENT, null)).toBe(false);
+    expect(canApplyBulkAction(expense1, SCHEDULE_FOR_PAYMENT, { ...paypalHost, settings: {} })).toBe(false);
+    expect(canApplyBulkAction(expense2, SCHEDULE_FOR_PAYMENT, paypalHost)).toBe(false);
+    expect(canApplyBulkAction(expense3, SCHEDULE_FOR_PAYMENT, paypalHost)).toBe(false);
+  });
+
+  it('splits the expenses between eligible and skipped', () => {
+    const approve = splitExpensesForBulkAction(expenses, APPROVE);
+    expect(ids(approve.eligible)).toEqual(['e-1']);
+    expect(ids(approve.skipped)).toEqual(['e-2', 'e-3']);
+
+    const pay = splitExpensesForBulkAction(expenses, MARK_AS_PAID);
+    expect(ids(pay.eligible)).toEqual(['e-1', 'e-2']);
+    expect(ids(pay.skipped)).toEqual(['e-3']);
+
+    expect(splitExpensesForBulkAction([], APPROVE)).toEqual({ eligible: [], skipped: [] });
+  });
+
+  it('returns the variables for the process expense mutation', () => {
+    expect(getProcessExpenseVariables(expenses[0], APPROVE)).toEqual({ id: 'e-1', legacyId: 1, action: APPROVE });
+    expect(getProcessExpenseVariables(expenses[1], MARK_AS_PAID)).toEqual({
+      id: 'e-2',
+      legacyId: 2,
+      action: 'PAY',
+      paymentParams: { forceManual: true },
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import { HOST_FEE_STRUCTURE } from '../constants/host-fee-structure';
+import getPaymentMethodFees, { getFeesBreakdown, getHostFee, getPaymentProcessor, PAYMENT_PROCESSOR } from '../fees';
+
+/**
+ * For each provider: the payment methods (in their different forms) and the expected fees for 100.00 USD
+ */
+const FIXTURES = {
+  [PAYMENT_PROCESSOR.STRIPE]: [
+    {
+      paymentMethod: { service: 'STRIPE', type: 'CREDITCARD', balance: { currency: 'USD' } },
+      expected: { fee: 320, isExact: true },
+    },
+    {
+      paymentMethod: { providerType: 'CREDIT_CARD', data: { country: 'FR' } },
+      expected: { fee: 170, isExact: false },
+    },
+    {
+      paymentMethod: { service: 'stripe', type: 'creditcard', balance: { currency: 'EUR' } },
+      expected: { fee: 170, isExact: false },
+    },
+    {
+      paymentMethod: { providerType: 'ALIPAY' },
+      expected: { fee: 320, isExact: false },
+    },
+  ],
+  [PAYMENT_PROCESSOR.PAYPAL]: [
+    {
+      paymentMethod: { providerType: 'PAYPAL' },
+      expected: { fee: 420, isExact: false },
+    },
+    {
+      paymentMethod: { service: 'PAYPAL', type: 'ADAPTIVE', balance: { currency: 'USD' } },
+      expected: { fee: 420, isExact: false },
+    },
+  ],
+  [PAYMENT_PROCESSOR.BANK_TRANSFER]: [
+    {
+      paymentMethod: { providerType: 'BANK_TRANSFER' },
+      expected: { fee: 0, isExact: false },
+    },
+    {
+      paymentMethod: { service: 'OPENCOLLECTIVE', type: 'MANUAL' },
+      expected: { fee: 0, isExact: false },
+    },
+  ],
+  [PAYMENT_PROCESSOR.CRYPTO]: [
+    {
+      paymentMethod: { providerType: 'CRYPTO' },
+      expected: { fee: 100, isExact: false },
+    },
+    {
+      paymentMethod: { service: 'THEGIVINGBLOCK', type: 'CRYPTO' },
+      expected: { fee: 100, isExact: false },
+    },
+  ],
+  [PAYMENT_PROCESSOR.INTERNAL]: [
+    {
+      paymentMethod: { providerType: 'PREPAID_BUDGET' },
+      expected: { fee: 0, isExact: true },
+    },
+    {
+      paymentMethod: { providerType: 'ACCOUNT_BALANCE' },
+      expected: { fee: 0, isExact: true },
+    },
+    {
+      paymentMethod: { service: 'OPENCOLLECTIVE', type: 'COLLECTIVE' },
+      expected: { fee: 0, isExact: true },
+    },
+    {
+      paymentMethod: { service: 'OPENCOLLECTIVE', type: 'GIFTCARD' },
+      expected: { fee: 0, isExact: true },
+    },
+  ],
+};
+
+describe('Fees', () => {
+  describe.each(Object.keys(FIXTURES))('%s', processor => {
+    it.each(FIXTURES[processor])('computes the fees for %j', ({ paymentMethod, expected }) => {
+      expect(getPaymentProcessor(paymentMethod)).toBe(processor);
+      expect(getPaymentMethodFees(paymentMethod, 10000, 'USD')).toMatchObject(expected);
+    });
+  });
+
+  it('uses the source payment method of gift cards', () => {
+    const giftCard = { type: 'GIFTCARD', sourcePaymentMethod: { type: 'CREDITCARD', balance: { currency: 'USD' } } };
+    expect(getPaymentProcessor(giftCard)).toBe(PAYMENT_PROCESSOR.STRIPE);
+    expect(getPaymentMethodFees(giftCard, 10000, 'USD')).toMatchObject({ fee: 320, isExact: true });
+  });
+
+  it('returns an inexact empty fee for unknown payment methods', () => {
+    expect(getPaymentMethodFees(null, 10000, 'USD')).toEqual({ fee: 0, feePercent: 0, isExact: false });
+    expect(getPaymentMethodFees({ type: 'UNKNOWN' }, 10000, 'USD')).toEqual({ fee: 0, feePercent: 0, isExact: false });
+  });
+
+  it('computes host fees according to the fee structure', () => {
+    expect(getHostFee(10000, { hostFeePercent: 10 })).toBe(1000);
+    expect(getHostFee(10000, { hostFeePercent: 5, hostFeesStructure: HOST_FEE_STRUCTURE.CUSTOM_FEE })).toBe(500);
+    expect(getHostFee(10000, { hostFeePercent: 10, hostFeesStructure: HOST_FEE_STRUCTURE.MONTHLY_RETAINER })).toBe(0);
+    expect(getHostFee(10000, {})).toBe(0);
+  });
+
+  it('breaks down a contribution', () => {
+    const breakdown = getFeesBreakdown({
+      amount: 10000,
+      taxAmount: 2000,
+      platformTip: 1500,
+      paymentMethod: { service: 'STRIPE', type: 'CREDITCARD', balance: { currency: 'USD' } },
+      collective: { currency: 'USD', hostFeePercent: 10, platformFeePercent: 0 },
+    });
+
+    expect(breakdown).toMatchObject({
+      totalAmount: 13500,
+      hostFee: 1000,
+      platformFee: 0,
+      platformTip: 1500,
+      // Stripe charges the full amount: 13500 * 2.9% + 30
+      paymentProcessorFee: 422,
+      netAmountForCollective: 10000 - 1000 - 422,
+      isExact: true,
+    });
+  });
+
+  it('marks the breakdown as inexact when the payment method is unknown', () => {
+    const breakdown = getFeesBreakdown({ amount: 10000, collective: { currency: 'USD', platformFeePercent: 5 } });
+    expect(breakdown).toMatchObject({ totalAmount: 10000, platformFee: 500, netAmountForCollective: 9500 });
+    expect(breakdown.isExact).toBe(false);
+  });
+});
@@ -0,0 +1,83 @@
+import FormPersister, { DRAFT_FORM_TYPE, getSavedDrafts, moveGuestDraftsToUser } from '../form-persister';
+
+describe('FormPersister', () => {
+  const draftInfo = { type: DRAFT_FORM_TYPE.EXPENSE, contextId: 'babel', ownerId: 42, title: 'Babel' };
+
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  it('saves and loads drafts', () => {
+    const persister = new FormPersister(draftInfo);
+    persister.saveValues({ description: 'Laptop' });
+    expect(persister.loadValues()).toEqual({ description: 'Laptop' });
+    expect(persister.loadDraft()).toMatchObject({ ownerId: 42, title: 'Babel', version: 1, url: '/' });
+    expect(persister.loadDraft().savedAt).toBeDefined();
+
+    persister.clearValues();
+    expect(persister.loadDraft()).toBeNull();
+  });
+
+  it('discards drafts saved with another version', () => {
+    new FormPersister(draftInfo).saveValues({ description: 'Laptop' });
+    const persister = new FormPersister(draftInfo, { version: 2 });
+    expect(persister.loadDraft()).toBeNull();
+    expect(getSavedDrafts(42)).toEqual([]);
+  });
+
+  it('lists the drafts of a user', () => {
+    new FormPersister(draftInfo).saveValues({ description: 'Laptop' });
+    new FormPersister({ ...draftInfo, type: DRAFT_FORM_TYPE.UPDATE }).saveValues({ title: 'Hello' });
+    new FormPersister({ ...draftInfo, ownerId: 43 }).saveValues({ description: 'Other user' });
+    window.localStorage.setItem('formState-unknown', '{"description":"Not a draft"}');
+
+    const drafts = getSavedDrafts(42);
+    expect(drafts.map(d => d.type).sort()).toEqual([DRAFT_FORM_TYPE.EXPENSE, DRAFT_FORM_TYPE.UPDATE]);
+    expect(window.localStorage.getItem('formState-unknown')).toBe('{"description":"Not a draft"}');
+  });
+
+  it('migrates the drafts saved before versioning only once', () => {
+    window.localStorage.setItem('formState-conversation-my-collective-42', '{"title":"Hello","html":"","tags":[]}');
+    window.localStorage.setItem('formState-conversation-my-collective-43', 'not json');
+    window.localStorage.setItem('otherKey', 'unrelated');
+
+    const drafts = getSavedDrafts(42);
+    expect(drafts).toHaveLength(1);
+    expect(drafts[0]).toMatchObject({
+      type: DRAFT_FORM_TYPE.CONVERSATION,
+      contextId: 'my-collective',
+      ownerId: 42,
+      title: 'my-collective',
+      url: '/my-collective/conversations/new',
+      values: { title: 'Hello', html: '', tags: [] },
+    });
+
+    expect(window.localStorage.getItem('formState-conversation-my-collective-43')).toBe('not json');
+    expect(window.localStorage.getItem('otherKey')).toBe('unrelated');
+
+    window.localStorage.setItem('formState-conversation-other-collective-42', '{"title":"Later"}');
+    expect(getSavedDrafts(42)).toHaveLength(1);
+  });
+
+  it('migrates the legacy draft of the form being loaded', () => {
+    window.localStorage.setItem('expense-babel=42', '{"description":"Laptop"}');
+    expect(new FormPersister(draftInfo).loadDraft()).toMatchObject({
+      title: 'Babel',
+      url: '/',
+      values: { description: 'Laptop' },
+    });
+
+    expect(window.localStorage.getItem('expense-babel=42')).toBeNull();
+    expect(getSavedDrafts(42)).toHaveLength(1);
+  });
+
+  it('moves the guest drafts to the user', () => {
+    const guestPersister = new FormPersister({ ...draftInfo, ownerId: null });
+    guestPersister.saveValues({ description: 'Guest' });
+    expect(getSavedDrafts(null)).toHaveLength(1);
+
+    expect(moveGuestDraftsToUser(42)).toEqual(1);
+    expect(getSavedDrafts(null)).toHaveLength(0);
+    expect(new FormPersister(draftInfo).loadValues()).toEqual({ description: 'Guest' });
+  });
+});
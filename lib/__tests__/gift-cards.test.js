@@ -0,0 +1,57 @@
+import {
+  GIFT_CARDS_CSV_ERRORS,
+  groupGiftCardsRecipients,
+  parseCSVAmount,
+  parseGiftCardsRecipientsCSV,
+} from '../gift-cards';
+
+describe('gift cards lib', () => {
+  it('parses amounts from spreadsheets', () => {
+    expect(parseCSVAmount('25')).toBe(2500);
+    expect(parseCSVAmount('25,5')).toBe(2550);
+    expect(parseCSVAmount('$1,000.00')).toBe(100000);
+    expect(parseCSVAmount('1,000')).toBe(100000);
+    expect(parseCSVAmount('abc')).toBe(null);
+  });
+
+  it('parses the recipients of a batch', () => {
+    const csv = [
+      'Email,Amount,Message',
+      'jane@example.com,50,"Thanks, Jane!"',
+      'john@example.com,,',
+      'JANE@example.com,10,',
+      'not-an-email,10,',
+      'tiny@example.com,1,',
+    ].join('\n');
+
+    const { recipients, errors } = parseGiftCardsRecipientsCSV(csv, { defaultAmount: 2000, minAmount: 500 });
+    expect(recipients).toEqual([
+      { email: 'jane@example.com', amount: 5000, customMessage: 'Thanks, Jane!' },
+      { email: 'john@example.com', amount: 2000, customMessage: null },
+    ]);
+    expect(errors.map(({ line, type }) => [line, type])).toEqual([
+      [4, GIFT_CARDS_CSV_ERRORS.DUPLICATE_EMAIL],
+      [5, GIFT_CARDS_CSV_ERRORS.INVALID_EMAIL],
+      [6, GIFT_CARDS_CSV_ERRORS.INVALID_AMOUNT],
+    ]);
+
+    expect(parseGiftCardsRecipientsCSV('name\nJane').errors).toEqual([
+      { line: 1, type: GIFT_CARDS_CSV_ERRORS.MISSING_EMAIL_COLUMN },
+    ]);
+  });
+
+  it('groups the recipients by amount and message', () => {
+    const recipients = [
+      { email: 'a@example.com', amount: 5000, customMessage: 'Thanks!' },
+      { email: 'b@example.com', amount: 2000, customMessage: null },
+      { email: 'c@example.com', amount: 5000, customMessage: 'Thanks!' },
+      { email: 'd@example.com', amount: 5000, customMessage: null },
+    ];
+
+    expect(groupGiftCardsRecipients(recipients)).toEqual([
+      { amount: 5000, customMessage: 'Thanks!', emails: ['a@example.com', 'c@example.com'] },
+      { amount: 2000, customMessage: null, emails: ['b@example.com'] },
+      { amount: 5000, customMessage: null, emails: ['d@example.com'] },
+    ]);
+  });
+});
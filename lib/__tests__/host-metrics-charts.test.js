@@ -0,0 +1,70 @@
+import {
+  getBucketInterval,
+  getChartCSV,
+  getComparisonPeriods,
+  getDrillDownLink,
+  getVariation,
+  HOST_CHART_COMPARISONS,
+  HOST_CHART_METRICS,
+  timeSeriesToValues,
+} from '../host-metrics-charts';
+
+const now = new Date('2021-03-10T15:00:00.000Z');
+
+describe('host metrics charts lib', () => {
+  it('computes the periods to compare', () => {
+    expect(getComparisonPeriods(HOST_CHART_COMPARISONS.MONTH, now)).toEqual({
+      timeUnit: 'DAY',
+      nbBuckets: 31,
+      current: { dateFrom: '2021-03-01T00:00:00.000Z', dateTo: '2021-03-31T23:59:59.999Z' },
+      previous: { dateFrom: '2021-02-01T00:00:00.000Z', dateTo: '2021-02-28T23:59:59.999Z' },
+    });
+
+    const yearly = getComparisonPeriods(HOST_CHART_COMPARISONS.YEAR, now);
+    expect(yearly.timeUnit).toBe('MONTH');
+    expect(yearly.nbBuckets).toBe(12);
+    expect(yearly.previous.dateFrom).toBe('2020-01-01T00:00:00.000Z');
+  });
+
+  it('converts the time series nodes to values', () => {
+    const nodes = [
+      { date: '2021-03-01T00:00:00.000Z', amount: { valueInCents: 1000 } },
+      { date: '2021-03-03T00:00:00.000Z', amount: { valueInCents: -500 } },
+    ];
+
+    expect(timeSeriesToValues(nodes, 'DAY', 4)).toEqual([1000, 0, 500, 0]);
+    expect(timeSeriesToValues(nodes, 'MONTH', 12)[2]).toBe(1500);
+    expect(timeSeriesToValues(null, 'MONTH', 2)).toEqual([0, 0]);
+  });
+
+  it('links the data points to the matching lists', () => {
+    const { current } = getComparisonPeriods(HOST_CHART_COMPARISONS.YEAR, now);
+    const interval = getBucketInterval(current, 'MONTH', 1);
+    expect(interval).toEqual({ from: '2021-02-01', to: '2021-02-28', timezoneType: 'UTC' });
+
+    const tipsLink = new URL(getDrillDownLink('opensource', HOST_CHART_METRICS.PLATFORM_TIPS, interval), 'http://x');
+    expect(tipsLink.pathname).toBe('/opensource/transactions');
+    expect(tipsLink.searchParams.get('kind')).toBe('PLATFORM_TIP');
+    expect(tipsLink.searchParams.get('period')).toBe('2021-02-01T00:00:00.000Z→2021-02-28T23:59:59.999Z~UTC');
+
+    const feesLink = getDrillDownLink('opensource', HOST_CHART_METRICS.HOST_FEES, interval);
+    expect(feesLink).toMatch(/^\/opensource\/transactions\?.+&kind=HOST_FEE$/);
+  });
+
+  it('computes the variation', () => {
+    expect(getVariation(150, 100)).toBe(0.5);
+    expect(getVariation(50, 100)).toBe(-0.5);
+    expect(getVariation(50, 0)).toBe(null);
+  });
+
+  it('exports the series as CSV', () => {
+    const series = [
+      { name: 'This year', data: [1000, 250] },
+      { name: 'Last year, all', data: [0] },
+    ];
+
+    expect(getChartCSV(['Jan', 'Feb'], series)).toBe(
+      'Period,This year,"Last year, all"\nJan,10.00,0.00\nFeb,2.50,0.00',
+    );
+  });
+});
@@ -0,0 +1,76 @@
+import {
+  createHostReportTemplate,
+  getHostReportTemplates,
+  getHostReportURL,
+  parseCSVPreview,
+  removeHostReportTemplate,
+  saveHostReportTemplate,
+  storeHostReportTemplates,
+  validateHostReportTemplate,
+} from '../host-report-templates';
+
+describe('host report templates lib', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  it('stores the templates of each host, sorted by name', () => {
+    storeHostReportTemplates('host-1', [
+      { id: '1', name: 'Zebra' },
+      { id: '2', name: 'Monthly' },
+    ]);
+
+    expect(getHostReportTemplates('host-1').map(t => t.id)).toEqual(['2', '1']);
+    expect(getHostReportTemplates('host-2')).toEqual([]);
+  });
+
+  it('adds, updates and removes templates', () => {
+    const template = createHostReportTemplate({ name: 'Monthly export' });
+    let templates = saveHostReportTemplate([], template);
+    expect(templates).toHaveLength(1);
+    templates = saveHostReportTemplate(templates, { ...template, name: 'Renamed' });
+    expect(templates).toEqual([{ ...template, name: 'Renamed' }]);
+    expect(removeHostReportTemplate(templates, template.id)).toEqual([]);
+  });
+
+  it('requires a name', () => {
+    expect(validateHostReportTemplate(createHostReportTemplate({ name: ' ' }))).toEqual({ name: 'required' });
+    expect(validateHostReportTemplate(createHostReportTemplate({ name: 'Test' }))).toEqual({});
+  });
+
+  it('builds the report URL', () => {
+    const url = new URL(
+      getHostReportURL('opensource', {
+        dateFrom: '2021-01-01T00:00:00.000Z',
+        accountsSlugs: ['babel', 'webpack'],
+        format: 'csv',
+      }),
+    );
+
+    expect(url.pathname).toBe('/v2/opensource/hostTransactions.csv');
+    expect(url.searchParams.get('account')).toBe('babel,webpack');
+    expect(url.searchParams.has('dateTo')).toBe(false);
+  });
+
+  it('parses the first rows of a CSV', () => {
+    const csv =
+      'date,description,amount\r\n2021-01-01,"Hello, ""World""",10\n2021-01-02,"Multi\nline",20\n2021-01-03,x,30';
+    expect(parseCSVPreview(csv, 2)).toEqual({
+      headers: ['date', 'description', 'amount'],
+      rows: [
+        ['2021-01-01', 'Hello, "World"', '10'],
+        ['2021-01-02', 'Multi\nline', '20'],
+      ],
+    });
+    expect(parseCSVPreview(csv).rows).toHaveLength(3);
+    expect(parseCSVPreview('')).toEqual({ headers: [], rows: [] });
+  });
+
+  it('parses the first rows of a TXT report', () => {
+    const txt = 'date\tdescription\tamount\n2021-01-01\tHello, World\t10';
+    expect(parseCSVPreview(txt)).toEqual({
+      headers: ['date', 'description', 'amount'],
+      rows: [['2021-01-01', 'Hello, World', '10']],
+    });
+  });
+});
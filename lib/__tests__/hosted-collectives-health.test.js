@@ -0,0 +1,113 @@
+import {
+  generateHostedCollectivesHealthCSV,
+  getHealthAlerts,
+  getHostedCollectivesHealth,
+  getMonthsOfRunway,
+  HOSTED_COLLECTIVES_HEALTH_ALERTS,
+  HOSTED_COLLECTIVES_HEALTH_COLUMNS,
+  sortHostedCollectivesHealth,
+} from '../hosted-collectives-health';
+
+const NOW = new Date('2021-06-15T12:00:00.000Z');
+
+const collective = (id, { balance, yearlyBudget, spending, lastActivityAt = null, admins = 1, createdAt }) => ({
+  id,
+  name: `Collective ${id}`,
+  slug: `collective-${id}`,
+  currency: 'USD',
+  createdAt: createdAt || '2020-01-01T00:00:00.000Z',
+  stats: {
+    balance: { valueInCents: balance },
+    yearlyBudget: { valueInCents: yearlyBudget },
+    monthlySpending: { valueInCents: spending },
+  },
+  transactions: { nodes: lastActivityAt ? [{ id: `t-${id}`, createdAt: lastActivityAt }] : [] },
+  members: { totalCount: admins },
+});
+
+const COLLECTIVES = [
+  // Spends 200/month, receives 100/month: 10 months of runway
+  collective('a', {
+    balance: 100000,
+    yearlyBudget: 120000,
+    spending: 20000,
+    lastActivityAt: '2021-06-01T00:00:00.000Z',
+  }),
+  // Receives more than it spends
+  collective('b', { balance: 5000, yearlyBudget: 360000, spending: 1000, lastActivityAt: '2021-05-01T00:00:00.000Z' }),
+  // In deficit and still spending
+  collective('c', {
+    balance: -3000,
+    yearlyBudget: 0,
+    spending: 1000,
+    lastActivityAt: '2020-11-01T00:00:00.000Z',
+    admins: 3,
+  }),
+  // Never had any transaction
+  collective('d', { balance: 0, yearlyBudget: 0, spending: 0, admins: 0 }),
+];
+
+const PENDING_EXPENSES = [{ account: { id: 'a' } }, { account: { id: 'c' } }, { account: { id: 'a' } }];
+
+describe('Hosted collectives health', () => {
+  const rows = getHostedCollectivesHealth(COLLECTIVES, PENDING_EXPENSES);
+
+  it('computes the months of runway', () => {
+    expect(getMonthsOfRunway(100000, 10000, 20000)).toBe(10);
+    expect(getMonthsOfRunway(100000, 20000, 20000)).toBe(null);
+    expect(getMonthsOfRunway(-3000, 0, 1000)).toBe(-3);
+  });
+
+  it('builds the rows from the collectives and the pending expenses', () => {
+    expect(rows[0]).toMatchObject({
+      balance: 100000,
+      monthlyIncome: 10000,
+      monthlySpending: 20000,
+      runway: 10,
+      lastActivityAt: '2021-06-01T00:00:00.000Z',
+      pendingExpensesCount: 2,
+      adminsCount: 1,
+    });
+
+    expect(rows.map(row => row.pendingExpensesCount)).toEqual([2, 0, 1, 0]);
+  });
+
+  it('raises the negative runway and dormant alerts', () => {
+    expect(rows.map(row => getHealthAlerts(row, NOW))).toEqual([
+      [],
+      [],
+      [HOSTED_COLLECTIVES_HEALTH_ALERTS.NEGATIVE_RUNWAY, HOSTED_COLLECTIVES_HEALTH_ALERTS.DORMANT],
+      [HOSTED_COLLECTIVES_HEALTH_ALERTS.DORMANT],
+    ]);
+
+    // Recently created collectives without transactions are not dormant yet
+    const [newCollective] = getHostedCollectivesHealth([
+      collective('e', { balance: 0, yearlyBudget: 0, spending: 0, createdAt: '2021-05-01T00:00:00.000Z' }),
+    ]);
+
+    expect(getHealthAlerts(newCollective, NOW)).toEqual([]);
+  });
+
+  it('sorts the rows on any column', () => {
+    const getIds = (column, direction) =>
+      sortHostedCollectivesHealth(rows, column, direction).map(r => r.collective.id);
+    expect(getIds(HOSTED_COLLECTIVES_HEALTH_COLUMNS.BALANCE, 'DESC')).toEqual(['a', 'b', 'd', 'c']);
+    expect(getIds(HOSTED_COLLECTIVES_HEALTH_COLUMNS.RUNWAY, 'ASC')).toEqual(['c', 'a', 'b', 'd']);
+    expect(getIds(HOSTED_COLLECTIVES_HEALTH_COLUMNS.LAST_ACTIVITY, 'DESC')).toEqual(['a', 'b', 'c', 'd']);
+    expect(getIds(HOSTED_COLLECTIVES_HEALTH_COLUMNS.PENDING_EXPENSES, 'DESC')).toEqual(['a', 'c', 'b', 'd']);
+    expect(getIds(HOSTED_COLLECTIVES_HEALTH_COLUMNS.ADMINS, 'ASC')).toEqual(['d', 'a', 'b', 'c']);
+  });
+
+  it('exports the table as CSV', () => {
+    const lines = generateHostedCollectivesHealthCSV(rows, NOW).split('\n');
+    expect(lines).toHaveLength(5);
+    expect(lines[0]).toEqual(
+      'Collective,Slug,Currency,Balance,Est. monthly income,Monthly spending,Months of runway,Last activity,Pending expenses,Admins,Alerts',
+    );
+    expect(lines[1]).toEqual('Collective a,collective-a,USD,1000.00,100.00,200.00,10.0,2021-06-01,2,1,');
+    expect(lines[3]).toEqual(
+      'Collective c,collective-c,USD,-30.00,0.00,10.00,-3.0,2020-11-01,1,3,NEGATIVE_RUNWAY DORMANT',
+    );
+    expect(lines[4]).toEqual('Collective d,collective-d,USD,0.00,0.00,0.00,,,0,0,DORMANT');
+  });
+});
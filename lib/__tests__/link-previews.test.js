@@ -0,0 +1,32 @@
+import { getGithubPreviewHTML, getLinkPreviewInfo, LINK_PREVIEW_TYPE } from '../link-previews';
+
+describe('link previews lib', () => {
+  it('detects the links with a preview', () => {
+    expect(getLinkPreviewInfo('https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=42')).toEqual({
+      type: LINK_PREVIEW_TYPE.YOUTUBE,
+      url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=42',
+      id: 'dQw4w9WgXcQ',
+    });
+    expect(getLinkPreviewInfo('https://youtu.be/dQw4w9WgXcQ').id).toBe('dQw4w9WgXcQ');
+    expect(getLinkPreviewInfo(' https://github.com/opencollective/opencollective/issues/4242 ')).toEqual({
+      type: LINK_PREVIEW_TYPE.GITHUB_ISSUE,
+      url: 'https://github.com/opencollective/opencollective/issues/4242',
+      owner: 'opencollective',
+      repo: 'opencollective',
+      number: 4242,
+    });
+    expect(getLinkPreviewInfo('https://github.com/babel/babel/pull/12#issuecomment-1').type).toBe(
+      LINK_PREVIEW_TYPE.GITHUB_PULL_REQUEST,
+    );
+    expect(getLinkPreviewInfo('https://github.com/babel/babel')).toBe(null);
+    expect(getLinkPreviewInfo('')).toBe(null);
+  });
+
+  it('renders the GitHub previews as cards', () => {
+    const preview = getLinkPreviewInfo('https://github.com/babel/babel/pull/12');
+    expect(getGithubPreviewHTML(preview)).toBe(
+      '<a href="https://github.com/babel/babel/pull/12" class="link-preview link-preview--github"><strong>babel/babel#12</strong> <small>Pull request</small></a>',
+    );
+    expect(getGithubPreviewHTML({ ...preview, owner: '<b>' })).toContain('<strong>&lt;b&gt;/babel#12</strong>');
+  });
+});
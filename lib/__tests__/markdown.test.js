@@ -0,0 +1,131 @@
+import { htmlToMarkdown, markdownToHTML } from '../markdown';
+
+describe('markdown lib', () => {
+  describe('markdownToHTML', () => {
+    it('converts paragraphs like Trix', () => {
+      expect(markdownToHTML('Hello **world**\nNew line\n\nSecond *paragraph*')).toBe(
+        '<div>Hello <strong>world</strong><br>New line<br><br>Second <em>paragraph</em></div>',
+      );
+    });
+
+    it('converts the blocks', () => {
+      const markdown = [
+        '# Title',
+        '## Subtitle',
+        '> Quote',
+        '```js',
+        'const a = 1 < 2;',
+        '```',
+        '- One',
+        '  - Nested',
+        '- Two',
+        '1. First',
+        '| Name | Amount |',
+        '| --- | ---: |',
+        '| Coffee | 4 |',
+      ].join('\n');
+
+      expect(markdownToHTML(markdown)).toBe(
+        [
+          '<h3>Title</h3>',
+          '<h4>Subtitle</h4>',
+          '<blockquote>Quote</blockquote>',
+          '<pre>const a = 1 &lt; 2;</pre>',
+          '<ul><li>One<ul><li>Nested</li></ul></li><li>Two</li></ul>',
+          '<ol><li>First</li></ol>',
+          '<table><thead><tr><th>Name</th><th>Amount</th></tr></thead><tbody><tr><td>Coffee</td><td>4</td></tr></tbody></table>',
+        ].join(''),
+      );
+    });
+
+    it('converts links, images and code', () => {
+      expect(markdownToHTML('See [the `docs`](https://docs.opencollective.com) ![logo](/logo.png) ~~old~~')).toBe(
+        '<div>See <a href="https://docs.opencollective.com">the <code>docs</code></a> <img src="/logo.png" alt="logo"> <del>old</del></div>',
+      );
+    });
+
+    it('escapes HTML and unsafe links', () => {
+      expect(markdownToHTML('<script>alert(1)</script> [x](javascript:alert(1))')).toBe(
+        '<div>&lt;script&gt;alert(1)&lt;/script&gt; [x](javascript:alert(1))</div>',
+      );
+    });
+
+    it('keeps the raw HTML blocks of embeds', () => {
+      const iframe = '<iframe src="https://www.youtube-nocookie.com/embed/abc" width="100%"></iframe>';
+      expect(markdownToHTML(`Video:\n\n${iframe}`)).toBe(`<div>Video:</div>${iframe}`);
+
+      const preview = '<a href="https://github.com/babel/babel/pull/12" class="link-preview link-preview--github">';
+      expect(markdownToHTML(`${preview}<strong>babel/babel#12</strong> <small>Pull request</small></a>`)).toBe(
+        `${preview}<strong>babel/babel#12</strong> <small>Pull request</small></a>`,
+      );
+    });
+
+    it('escapes the raw HTML that is not an embed of the editor', () => {
+      expect(markdownToHTML('<div onmouseover="alert(1)">Hi</div>')).toBe(
+        '<div>&lt;div onmouseover="alert(1)"&gt;Hi&lt;/div&gt;</div>',
+      );
+      expect(markdownToHTML('<iframe src="https://evil.com/embed/abc"></iframe>')).toBe(
+        '<div>&lt;iframe src="https://evil.com/embed/abc"&gt;&lt;/iframe&gt;</div>',
+      );
+      expect(markdownToHTML('<iframe src="https://player.vimeo.com/video/1" onload="alert(1)"></iframe>')).toBe(
+        '<iframe src="https://player.vimeo.com/video/1"></iframe>',
+      );
+      expect(
+        markdownToHTML('<a href="https://github.com/a/b/issues/1" class="link-preview" onclick="x()">Hi</a>'),
+      ).toBe(
+        '<a href="https://github.com/a/b/issues/1" class="link-preview link-preview--github"><strong>a/b#1</strong> <small>Issue</small></a>',
+      );
+    });
+
+    it('supports escaped backticks and pipes', () => {
+      expect(markdownToHTML('\\`not code\\` and `code`')).toBe('<div>`not code` and <code>code</code></div>');
+      expect(markdownToHTML('| A \\| B | C |\n| --- | --- |')).toBe(
+        '<table><thead><tr><th>A | B</th><th>C</th></tr></thead></table>',
+      );
+    });
+  });
+
+  describe('htmlToMarkdown', () => {
+    it('converts the HTML of Trix', () => {
+      const html =
+        '<div><!--block-->Hello <strong>world </strong>and <em>you</em><br><br>Second line with a <a href="https://opencollective.com">link</a></div>' +
+        '<figure data-trix-content-type="image/png" class="attachment attachment--preview"><img src="https://images.opencollective.com/a.png" width="10" height="10"><figcaption class="attachment__caption"></figcaption></figure>';
+
+      expect(htmlToMarkdown(html)).toBe(
+        'Hello **world** and *you*\n\nSecond line with a [link](https://opencollective.com)\n\n![](https://images.opencollective.com/a.png)',
+      );
+    });
+
+    it('converts the attachments', () => {
+      const table = '<table><tbody><tr><td>A</td></tr></tbody></table>';
+      const pdf = JSON.stringify({ url: 'https://x.com/a.pdf', filename: 'invoice.pdf' }).replace(/"/g, '&quot;');
+      const html =
+        `<figure data-trix-content-type="--embed-table" class="attachment attachment--content">${table}<figcaption></figcaption></figure>` +
+        `<figure data-trix-attachment="${pdf}" class="attachment attachment--file"><figcaption>invoice.pdf</figcaption></figure>`;
+
+      expect(htmlToMarkdown(html)).toBe('| A |\n| --- |\n\n[invoice.pdf](https://x.com/a.pdf)');
+    });
+
+    it('escapes the Markdown characters in the text', () => {
+      expect(htmlToMarkdown('<div># Not a title<br>- Not a list<br>2 * 3 = 6</div>')).toBe(
+        '\\# Not a title\n\\- Not a list\n2 \\* 3 = 6',
+      );
+    });
+  });
+
+  it('round-trips the HTML of the editor', () => {
+    const html = [
+      '<h3>Release notes</h3>',
+      '<div>We shipped <strong>a lot</strong> of <del>bugs</del> <em>features</em>: <code>npm i</code><br>See <a href="https://github.com/opencollective">GitHub</a><br><br>Thanks to <a href="https://opencollective.com/babel">@Babel</a>!</div>',
+      '<blockquote>Quoted<br>text</blockquote>',
+      '<pre>const a = "*b*";<br>  return a;</pre>',
+      '<ul><li>One<ul><li>Nested <strong>item</strong></li></ul></li><li>Two</li></ul>',
+      '<ol><li>First</li><li>Second</li></ol>',
+      '<table><thead><tr><th>Name</th><th>Amount</th></tr></thead><tbody><tr><td>Coffee | tea</td><td>4</td></tr></tbody></table>',
+      '<iframe src="https://www.youtube-nocookie.com/embed/abc/?showinfo=0" width="100%" height="394" frameborder="0" allowfullscreen=""></iframe>',
+      '<div>1. Not a list, *not italic* and 2 &lt; 3</div>',
+    ].join('');
+
+    expect(markdownToHTML(htmlToMarkdown(html))).toBe(html);
+  });
+});
@@ -0,0 +1,136 @@
+import {
+  canAddExpenseToPayoutBatch,
+  generatePayoutBatchCSV,
+  generateSEPACreditTransfer,
+  getPayoutBatchBalanceChecks,
+  getPayoutBatchPaymentVariables,
+  getSEPAIneligibilityReason,
+  groupExpensesForPayoutBatch,
+  sanitizeSEPAText,
+  SEPA_INELIGIBILITY_REASONS,
+} from '../payout-batches';
+
+const collective = (id, balance, currency = 'EUR') => ({
+  id,
+  name: `Collective ${id}`,
+  currency,
+  stats: { balanceWithBlockedFunds: { valueInCents: balance, currency } },
+});
+
+const bankAccount = details => ({ type: 'BANK_ACCOUNT', data: { accountHolderName: 'Zoë Müller', details } });
+
+const expense = (legacyId, amount, currency, payoutMethod, account) => ({
+  id: `e${legacyId}`,
+  legacyId,
+  description: 'Tickets & hotel',
+  amount,
+  currency,
+  payoutMethod,
+  account,
+  payee: { name: 'Payee' },
+  permissions: { canPay: true },
+});
+
+const collectiveA = collective('a', 20000);
+const collectiveB = collective('b', 10000);
+const collectiveUSD = collective('c', 50000, 'USD');
+
+const EXPENSES = [
+  expense(1, 10000, 'EUR', bankAccount({ IBAN: 'de89 3704 0044 0532 0130 00', BIC: 'COBADEFFXXX' }), collectiveA),
+  expense(2, 5000, 'EUR', { type: 'PAYPAL', data: { email: 'payee@example.com' } }, collectiveA),
+  expense(3, 9900, 'EUR', bankAccount({ IBAN: 'FR1420041010050500013M02606' }), collectiveB),
+  expense(4, 2500, 'USD', bankAccount({ accountNumber: '12345678', abartn: '026009593' }), collectiveUSD),
+];
+
+describe('Payout batches', () => {
+  it('only adds the expenses that can be paid manually', () => {
+    expect(canAddExpenseToPayoutBatch(EXPENSES[0])).toBe(true);
+    expect(canAddExpenseToPayoutBatch({ ...EXPENSES[0], permissions: { canPay: false } })).toBe(false);
+    expect(canAddExpenseToPayoutBatch({ ...EXPENSES[0], payoutMethod: { type: 'ACCOUNT_BALANCE' } })).toBe(false);
+  });
+
+  it('groups the expenses by payout method and currency', () => {
+    const groups = groupExpensesForPayoutBatch(EXPENSES);
+    expect(groups.map(({ key, totalAmount, expenses }) => [key, totalAmount, expenses.length])).toEqual([
+      ['BANK_ACCOUNT-EUR', 19900, 2],
+      ['BANK_ACCOUNT-USD', 2500, 1],
+      ['PAYPAL-EUR', 5000, 1],
+    ]);
+  });
+
+  it('checks the balance of each collective, fees included', () => {
+    const fees = { 'BANK_ACCOUNT-EUR': 100, 'PAYPAL-EUR': 50 };
+    const checks = getPayoutBatchBalanceChecks(EXPENSES, fees);
+    expect(checks.map(({ account, totalAmount, isSufficient }) => [account.id, totalAmount, isSufficient])).toEqual([
+      ['a', 15150, true],
+      ['b', 10000, true],
+      ['c', 2500, true],
+    ]);
+
+    // The fee is what makes the balance of B insufficient
+    expect(getPayoutBatchBalanceChecks([EXPENSES[2]], { 'BANK_ACCOUNT-EUR': 101 })[0].isSufficient).toBe(false);
+    // Can't compare with a balance in another currency
+    const usdExpenseForEURCollective = { ...EXPENSES[3], account: collectiveB };
+    expect(getPayoutBatchBalanceChecks([usdExpenseForEURCollective])[0].isSufficient).toBe(null);
+  });
+
+  it('returns the expenses that cannot be paid with SEPA', () => {
+    expect(getSEPAIneligibilityReason(EXPENSES[0])).toBe(null);
+    expect(getSEPAIneligibilityReason(EXPENSES[1])).toBe(SEPA_INELIGIBILITY_REASONS.MISSING_IBAN);
+    expect(getSEPAIneligibilityReason(EXPENSES[3])).toBe(SEPA_INELIGIBILITY_REASONS.NOT_EUR);
+  });
+
+  it('sanitizes the texts for SEPA', () => {
+    expect(sanitizeSEPAText('Zoë & Müller <GmbH>', 70)).toBe('Zoe Muller GmbH');
+    expect(sanitizeSEPAText('A very long name', 6)).toBe('A very');
+  });
+
+  it('generates a SEPA credit transfer', () => {
+    const xml = generateSEPACreditTransfer({
+      batchId: 'PAYOUTS-1',
+      debtor: { name: 'Host Ltd', iban: 'BE68 5390 0754 7034', bic: '' },
+      expenses: [EXPENSES[0], EXPENSES[2]],
+      executionDate: '2021-06-16',
+      now: new Date('2021-06-15T10:00:00.000Z'),
+    });
+
+    expect(xml).toContain('<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pain.001.001.03"');
+    expect(xml).toContain('<CreDtTm>2021-06-15T10:00:00</CreDtTm>');
+    expect(xml.match(/<NbOfTxs>2<\/NbOfTxs>/g)).toHaveLength(2);
+    expect(xml.match(/<CtrlSum>199.00<\/CtrlSum>/g)).toHaveLength(2);
+    expect(xml).toContain('<ReqdExctnDt>2021-06-16</ReqdExctnDt>');
+    expect(xml).toContain('<DbtrAcct><Id><IBAN>BE68539007547034</IBAN></Id></DbtrAcct>');
+    expect(xml).toContain('<DbtrAgt><FinInstnId><Othr><Id>NOTPROVIDED</Id></Othr></FinInstnId></DbtrAgt>');
+    expect(xml).toContain(
+      [
+        '      <CdtTrfTxInf>',
+        '        <PmtId><EndToEndId>EXPENSE-1</EndToEndId></PmtId>',
+        '        <Amt><InstdAmt Ccy="EUR">100.00</InstdAmt></Amt>',
+        '        <CdtrAgt><FinInstnId><BIC>COBADEFFXXX</BIC></FinInstnId></CdtrAgt>',
+        '        <Cdtr><Nm>Zoe Muller</Nm></Cdtr>',
+        '        <CdtrAcct><Id><IBAN>DE89370400440532013000</IBAN></Id></CdtrAcct>',
+        '        <RmtInf><Ustrd>Expense 1 - Tickets hotel</Ustrd></RmtInf>',
+        '      </CdtTrfTxInf>',
+      ].join('\n'),
+    );
+  });
+
+  it('generates a generic CSV', () => {
+    const lines = generatePayoutBatchCSV([EXPENSES[1], EXPENSES[3]]).split('\n');
+    expect(lines).toEqual([
+      'Reference,Collective,Payee,Account holder,Payout method,IBAN,Account number,BIC / SWIFT,Bank code,Currency,Amount',
+      'Expense 2 - Tickets & hotel,Collective a,Payee,Payee,PAYPAL,,payee@example.com,,,EUR,50.00',
+      'Expense 4 - Tickets & hotel,Collective c,Payee,Zoë Müller,BANK_ACCOUNT,,12345678,,026009593,USD,25.00',
+    ]);
+  });
+
+  it('returns the variables to pay the expenses manually', () => {
+    const feesPerTransfer = { 'BANK_ACCOUNT-EUR': 100 };
+    expect(getPayoutBatchPaymentVariables(EXPENSES[0], feesPerTransfer)).toEqual({
+      id: 'e1',
+      action: 'PAY',
+      paymentParams: { forceManual: true, paymentProcessorFee: 100 },
+    });
+    expect(getPayoutBatchPaymentVariables(EXPENSES[1], feesPerTransfer).paymentParams.paymentProcessorFee).toBe(0);
+  });
+});
@@ -0,0 +1,102 @@
+import {
+  CONFIDENCE,
+  extractTextFromPdfContent,
+  localReceiptParsingEngine,
+  MAX_PDF_SIZE,
+  parseReceipt,
+  parseReceiptText,
+} from '../receipt-parsing';
+
+const now = new Date('2021-06-01T00:00:00.000Z');
+
+const RECEIPT = `
+  Blue Bottle Coffee
+  300 Webster St, Oakland
+  Date: 03/14/2021 10:32
+
+  Latte              4.50
+  Croissant          3.75
+  Subtotal           8.25
+  Tax                0.74
+  TOTAL          USD 8.99
+`;
+
+describe('receipt parsing lib', () => {
+  describe('parseReceiptText', () => {
+    it('finds all the fields of a receipt', () => {
+      const result = parseReceiptText(RECEIPT, { now });
+      expect(result.amount).toEqual({ value: 899, confidence: 0.9, level: CONFIDENCE.HIGH });
+      expect(result.currency.value).toBe('USD');
+      expect(result.currency.level).toBe(CONFIDENCE.HIGH);
+      expect(result.date).toEqual({ value: '2021-03-14', confidence: 0.8, level: CONFIDENCE.HIGH });
+      expect(result.merchant.value).toBe('Blue Bottle Coffee');
+    });
+
+    it('uses the biggest amount with a low confidence when there is no total', () => {
+      const result = parseReceiptText('Shop\n12.00\n3.50\n', { now });
+      expect(result.amount).toMatchObject({ value: 1200, level: CONFIDENCE.LOW });
+    });
+
+    it('supports european formats', () => {
+      const result = parseReceiptText('Boulangerie Paul\n04.03.2021\nMontant 1.234,56 €', { now });
+      expect(result.amount.value).toBe(123456);
+      expect(result.currency).toMatchObject({ value: 'EUR', level: CONFIDENCE.HIGH });
+      expect(result.date).toMatchObject({ value: '2021-03-04', level: CONFIDENCE.MEDIUM });
+    });
+
+    it('finds amounts separated by a single space', () => {
+      expect(parseReceiptText('Shop\n3.50 12.00\n', { now }).amount.value).toBe(1200);
+    });
+
+    it('parses dates with month names and flags dates in the future', () => {
+      expect(parseReceiptText('Invoice\nMarch 4th, 2021', { now }).date.value).toBe('2021-03-04');
+      expect(parseReceiptText('12 Dec 2020', { now }).date.value).toBe('2020-12-12');
+      expect(parseReceiptText('2022-01-01', { now }).date.level).toBe(CONFIDENCE.LOW);
+      expect(parseReceiptText('2021-02-30', { now }).date).toBe(null);
+    });
+
+    it('has a lower confidence for ambiguous currencies', () => {
+      expect(parseReceiptText('Total $12.00', { now }).currency).toMatchObject({
+        value: 'USD',
+        level: CONFIDENCE.MEDIUM,
+      });
+    });
+
+    it('returns null for everything when nothing is found', () => {
+      expect(parseReceiptText('', { now })).toEqual({ amount: null, currency: null, date: null, merchant: null });
+    });
+  });
+
+  it('extracts the text from a PDF content stream', () => {
+    const content = 'BT /F1 12 Tf 72 712 Td (Hello \\(World\\)) Tj ET BT [(To) -20 (tal 12.00)] TJ ET';
+    expect(extractTextFromPdfContent(content)).toBe('Hello (World)\nTotal 12.00');
+  });
+
+  describe('parseReceipt', () => {
+    it('uses the file name with the local engine', async () => {
+      const file = { name: '2021-03-04_Uber_23.50_EUR.jpg', type: 'image/jpeg' };
+      const result = await parseReceipt(file, { engine: localReceiptParsingEngine });
+      expect(result.engine).toBe('local');
+      expect(result.amount.value).toBe(2350);
+      expect(result.currency.value).toBe('EUR');
+      expect(result.date.value).toBe('2021-03-04');
+      expect(result.merchant.value).toBe('Uber');
+    });
+
+    it('only reads the file name of big PDFs', async () => {
+      const arrayBuffer = jest.fn();
+      const file = { name: 'Uber_23.50_EUR.pdf', type: 'application/pdf', size: MAX_PDF_SIZE + 1, arrayBuffer };
+      expect(await localReceiptParsingEngine.extractText(file)).toBe('Uber 23.50 EUR');
+      expect(arrayBuffer).not.toHaveBeenCalled();
+    });
+
+    it('supports custom engines and never throws', async () => {
+      const engine = { name: 'custom', extractText: async () => 'ACME\nTotal 10.00' };
+      expect((await parseReceipt({}, { engine })).amount.value).toBe(1000);
+      const failingEngine = { name: 'failing', extractText: () => Promise.reject(new Error('Nope')) };
+      expect(await parseReceipt({}, { engine: failingEngine })).toBe(null);
+      const emptyEngine = { name: 'empty', extractText: async () => '' };
+      expect(await parseReceipt({}, { engine: emptyEngine })).toBe(null);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+import {
+  canApplyBulkAction,
+  filterRecurringContributions,
+  getPaymentMethodsFromContributions,
+  getUpcomingCharges,
+  getUpdateOrderVariables,
+  NO_PAYMENT_METHOD,
+  RECURRING_CONTRIBUTIONS_BULK_ACTION,
+} from '../recurring-contributions';
+
+const { UPDATE_AMOUNT, UPDATE_PAYMENT_METHOD } = RECURRING_CONTRIBUTIONS_BULK_ACTION;
+
+const card1 = { id: 'pm-1', service: 'STRIPE', type: 'CREDITCARD' };
+const card2 = { id: 'pm-2', service: 'STRIPE', type: 'CREDITCARD' };
+const paypal = { id: 'pm-3', service: 'PAYPAL', type: 'SUBSCRIPTION' };
+
+const contributions = [
+  {
+    id: 'o-1',
+    status: 'ACTIVE',
+    frequency: 'MONTHLY',
+    nextChargeDate: '2021-01-31T00:00:00.000Z',
+    amount: { valueInCents: 1000, currency: 'USD' },
+    paymentMethod: card1,
+  },
+  {
+    id: 'o-2',
+    status: 'ACTIVE',
+    frequency: 'YEARLY',
+    nextChargeDate: '2021-03-15T00:00:00.000Z',
+    amount: { valueInCents: 50000, currency: 'EUR' },
+    paymentMethod: card2,
+  },
+  {
+    id: 'o-3',
+    status: 'ERROR',
+    frequency: 'MONTHLY',
+    nextChargeDate: '2021-01-10T00:00:00.000Z',
+    amount: { valueInCents: 500, currency: 'USD' },
+    paymentMethod: paypal,
+  },
+  {
+    id: 'o-4',
+    status: 'CANCELLED',
+    frequency: 'MONTHLY',
+    nextChargeDate: null,
+    amount: { valueInCents: 2000, currency: 'USD' },
+    paymentMethod: null,
+  },
+];
+
+const ids = list => list.map(item => item.id);
+
+describe('recurring contributions lib', () => {
+  it('filters the contributions', () => {
+    expect(ids(filterRecurringContributions(contributions, {}))).toEqual(['o-1', 'o-2', 'o-3', 'o-4']);
+    expect(ids(filterRecurringContributions(contributions, { status: 'ACTIVE' }))).toEqual(['o-1', 'o-2', 'o-3']);
+    expect(ids(filterRecurringContributions(contributions, { status: 'ERROR' }))).toEqual(['o-3']);
+    expect(ids(filterRecurringContributions(contributions, { status: 'CANCELLED' }))).toEqual(['o-4']);
+    expect(ids(filterRecurringContributions(contributions, { paymentMethodId: 'pm-2' }))).toEqual(['o-2']);
+    expect(ids(filterRecurringContributions(contributions, { paymentMethodId: NO_PAYMENT_METHOD }))).toEqual(['o-4']);
+    expect(ids(filterRecurringContributions(contributions, { status: 'ACTIVE', frequency: 'MONTHLY' }))).toEqual([
+      'o-1',
+      'o-3',
+    ]);
+  });
+
+  it('returns the unique payment methods', () => {
+    const withDuplicate = [...contributions, { ...contributions[0], id: 'o-5' }];
+    expect(ids(getPaymentMethodsFromContributions(withDuplicate))).toEqual(['pm-1', 'pm-2', 'pm-3']);
+  });
+
+  describe('canApplyBulkAction', () => {
+    const [monthlyCard, yearlyCard, paypalContribution, cancelled] = contributions;
+
+    it('only applies to active contributions', () => {
+      expect(canApplyBulkAction(cancelled, UPDATE_PAYMENT_METHOD, { paymentMethod: card1 })).toBe(false);
+      expect(canApplyBulkAction(paypalContribution, UPDATE_PAYMENT_METHOD, { paymentMethod: card1 })).toBe(true);
+    });
+
+    it('skips contributions that already use the payment method', () => {
+      expect(canApplyBulkAction(monthlyCard, UPDATE_PAYMENT_METHOD, { paymentMethod: card1 })).toBe(false);
+      expect(canApplyBulkAction(yearlyCard, UPDATE_PAYMENT_METHOD, { paymentMethod: card1 })).toBe(true);
+    });
+
+    it('only updates amounts in the same currency', () => {
+      expect(canApplyBulkAction(monthlyCard, UPDATE_AMOUNT, { amount: 500, currency: 'USD' })).toBe(true);
+      expect(canApplyBulkAction(yearlyCard, UPDATE_AMOUNT, { amount: 500, currency: 'USD' })).toBe(false);
+    });
+
+    it('skips PayPal subscriptions for amount', () => {
+      expect(canApplyBulkAction(paypalContribution, UPDATE_AMOUNT, { currency: 'USD' })).toBe(false);
+    });
+  });
+
+  it('returns the variables for the updateOrder mutation', () => {
+    const [contribution] = contributions;
+    expect(getUpdateOrderVariables(contribution, UPDATE_PAYMENT_METHOD, { paymentMethod: card2 })).toEqual({
+      order: { id: 'o-1' },
+      paymentMethod: { id: 'pm-2' },
+    });
+    expect(getUpdateOrderVariables(contribution, UPDATE_AMOUNT, { amount: 1500, currency: 'USD' })).toEqual({
+      order: { id: 'o-1' },
+      amount: { valueInCents: 1500, currency: 'USD' },
+    });
+  });
+
+  describe('getUpcomingCharges', () => {
+    const months = getUpcomingCharges(contributions, { from: new Date('2021-01-20T00:00:00.000Z') });
+
+    it('returns 12 months', () => {
+      expect(months).toHaveLength(12);
+      expect(months[0].month.toISOString()).toBe('2021-01-01T00:00:00.000Z');
+      expect(months[11].month.toISOString()).toBe('2021-12-01T00:00:00.000Z');
+    });
+
+    it('computes the monthly charges without drifting', () => {
+      const dates = months.flatMap(m => m.charges.filter(c => c.contribution.id === 'o-1').map(c => c.date));
+      expect(dates).toHaveLength(12);
+      expect(dates[1].toISOString()).toBe('2021-02-28T00:00:00.000Z');
+      expect(dates[2].toISOString()).toBe('2021-03-31T00:00:00.000Z');
+    });
+
+    it('includes yearly charges once and ignores inactive contributions', () => {
+      expect(months[2].totals).toEqual([
+        { currency: 'EUR', amount: 50000, count: 1 },
+        { currency: 'USD', amount: 1000, count: 1 },
+      ]);
+      expect(months.flatMap(m => m.charges).some(c => ['o-3', 'o-4'].includes(c.contribution.id))).toBe(false);
+    });
+  });
+});
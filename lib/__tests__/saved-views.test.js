@@ -0,0 +1,60 @@
+import {
+  applyViewToQuery,
+  createSavedView,
+  getFiltersFromQuery,
+  getSavedViews,
+  getSavedViewUrl,
+  getViewMatchingQuery,
+  SAVED_VIEWS_PAGE,
+  storeSavedViews,
+  updateSavedView,
+} from '../saved-views';
+
+const { EXPENSES } = SAVED_VIEWS_PAGE;
+
+describe('saved views lib', () => {
+  const views = [
+    { id: '1', name: 'Zebra', filters: { status: 'PENDING' }, isPinned: false },
+    { id: '2', name: 'Approved invoices', filters: { status: 'APPROVED', type: 'INVOICE' }, isPinned: false },
+    { id: '3', name: 'Pinned', filters: { payout: 'PAYPAL' }, isPinned: true, isDefault: true },
+  ];
+
+  it('stores the views per user and returns them with pinned first', () => {
+    storeSavedViews(42, EXPENSES, views);
+    storeSavedViews(42, SAVED_VIEWS_PAGE.TRANSACTIONS, [views[0]]);
+    expect(getSavedViews(42, EXPENSES).map(v => v.id)).toEqual(['3', '2', '1']);
+    expect(getSavedViews(42, SAVED_VIEWS_PAGE.TRANSACTIONS).map(v => v.id)).toEqual(['1']);
+    expect(getSavedViews(42, SAVED_VIEWS_PAGE.ORDERS)).toEqual([]);
+    expect(getSavedViews(43, EXPENSES)).toEqual([]);
+  });
+
+  it('only keeps filters from the query', () => {
+    const query = { collectiveSlug: 'babel', offset: '20', status: 'APPROVED', type: 'INVOICE', amount: '' };
+    expect(getFiltersFromQuery(EXPENSES, query)).toEqual({ status: 'APPROVED', type: 'INVOICE' });
+    expect(getViewMatchingQuery(views, EXPENSES, query).id).toEqual('2');
+    expect(getViewMatchingQuery(views, EXPENSES, { status: 'REJECTED' })).toBeNull();
+  });
+
+  it('replaces the current filters when applying a view', () => {
+    const query = { collectiveSlug: 'babel', status: 'APPROVED', type: 'INVOICE' };
+    expect(applyViewToQuery(EXPENSES, query, views[0])).toMatchObject({
+      collectiveSlug: 'babel',
+      status: 'PENDING',
+      type: null,
+    });
+  });
+
+  it('creates and updates views', () => {
+    const view = createSavedView(EXPENSES, '  Pending  ', { hostSlug: 'opensource', status: 'PENDING' });
+    expect(view).toMatchObject({ name: 'Pending', filters: { status: 'PENDING' }, isDefault: false });
+    expect(view.id).toBeDefined();
+
+    const updated = updateSavedView(views, '1', { isDefault: true });
+    expect(updated.filter(v => v.isDefault).map(v => v.id)).toEqual(['1']);
+  });
+
+  it('generates a shareable URL', () => {
+    const url = getSavedViewUrl(views[1], '/babel/expenses');
+    expect(url).toEqual('http://localhost/babel/expenses?status=APPROVED&type=INVOICE');
+  });
+});
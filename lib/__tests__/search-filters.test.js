@@ -0,0 +1,48 @@
+import {
+  getSearchQueryVariables,
+  hasSearchFilters,
+  parseSearchQuery,
+  SEARCH_ACCOUNT_TYPES,
+  serializeSearchFilters,
+  toggleSearchFilterValue,
+} from '../search-filters';
+
+describe('search filters', () => {
+  it('serializes the filters to the URL and back', () => {
+    const query = { q: 'open source', types: 'COLLECTIVE,FUND', isHost: 'true', offset: '40' };
+    const filters = parseSearchQuery(query);
+    expect(filters).toEqual({
+      term: 'open source',
+      types: ['COLLECTIVE', 'FUND'],
+      isHost: true,
+      limit: 20,
+      offset: 40,
+    });
+    expect(serializeSearchFilters(filters)).toEqual({ ...query, isHost: true, offset: 40 });
+    expect(hasSearchFilters(filters)).toBe(true);
+  });
+
+  it('ignores invalid values and defaults', () => {
+    const filters = parseSearchQuery({ q: 'test', types: 'USER' });
+    expect(filters.types).toEqual([]);
+    expect(hasSearchFilters(filters)).toBe(false);
+    expect(serializeSearchFilters(filters)).toEqual({ q: 'test' });
+  });
+
+  it('toggles values and goes back to the first page', () => {
+    const filters = parseSearchQuery({ types: 'EVENT', offset: '20' });
+    expect(toggleSearchFilterValue(filters, 'types', 'EVENT')).toMatchObject({ types: [], offset: 0 });
+    expect(toggleSearchFilterValue(filters, 'types', 'FUND')).toMatchObject({ types: ['EVENT', 'FUND'], offset: 0 });
+  });
+
+  it('converts the filters to query variables', () => {
+    expect(getSearchQueryVariables(parseSearchQuery({ q: 'babel' }))).toEqual({
+      term: 'babel',
+      types: SEARCH_ACCOUNT_TYPES,
+      isHost: undefined,
+      limit: 20,
+      offset: 0,
+    });
+    expect(getSearchQueryVariables(parseSearchQuery({ q: 'babel', types: 'PROJECT' })).types).toEqual(['PROJECT']);
+  });
+});
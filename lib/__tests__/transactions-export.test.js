@@ -0,0 +1,181 @@
+import {
+  createTransactionsExportWriter,
+  fetchAllTransactionsForExport,
+  getTransactionsExportFilename,
+  TRANSACTIONS_EXPORT_FORMAT,
+} from '../transactions-export';
+
+const readBlob = blob => {
+  return new Promise(resolve => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+  });
+};
+
+const readBlobBytes = blob => {
+  return new Promise(resolve => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.readAsArrayBuffer(blob);
+  });
+};
+
+const collective = { slug: 'webpack', currency: 'USD' };
+
+const transaction = {
+  id: 42,
+  uuid: 'aaaa-bbbb',
+  description: 'Monthly "financial" contribution',
+  createdAt: '2021-03-04T12:30:00.000Z',
+  type: 'CREDIT',
+  amount: 1000,
+  currency: 'USD',
+  netAmountInCollectiveCurrency: 850,
+  hostFeeInHostCurrency: -100,
+  platformFeeInHostCurrency: 0,
+  paymentProcessorFeeInHostCurrency: -50,
+  fromCollective: { name: 'Xavier & Co', slug: 'xdamman' },
+  host: { currency: 'USD' },
+  subscription: { interval: 'month' },
+};
+
+describe('transactions export', () => {
+  it('exports CSV with the selected columns in order', async () => {
+    const writer = createTransactionsExportWriter({
+      format: TRANSACTIONS_EXPORT_FORMAT.CSV,
+      columns: ['amount', 'description', 'hostFee'],
+      collective,
+    });
+
+    writer.write([transaction]);
+    const csv = await readBlob(writer.getBlob());
+    expect(csv).toEqual(
+      [
+        'Transaction Amount,Transaction Description,Host Fee (USD)',
+        '10.00,"Monthly ""financial"" contribution",-1.00',
+      ].join('\n'),
+    );
+  });
+
+  it('exports JSON Lines', async () => {
+    const writer = createTransactionsExportWriter({
+      format: TRANSACTIONS_EXPORT_FORMAT.JSONL,
+      columns: ['id', 'netAmount', 'date'],
+      collective,
+    });
+
+    writer.write([transaction, { ...transaction, id: 43 }]);
+    const lines = (await readBlob(writer.getBlob())).trim().split('\n').map(JSON.parse);
+    expect(lines).toEqual([
+      { id: 42, netAmount: 8.5, date: '2021-03-04T12:30:00.000Z' },
+      { id: 43, netAmount: 8.5, date: '2021-03-04T12:30:00.000Z' },
+    ]);
+  });
+
+  it('exports OFX and QIF using the net amount', async () => {
+    const ofxWriter = createTransactionsExportWriter({ format: TRANSACTIONS_EXPORT_FORMAT.OFX, collective });
+    ofxWriter.write([transaction]);
+    const ofx = await readBlob(ofxWriter.getBlob());
+    expect(ofx).toContain('<ACCTID>webpack</ACCTID>');
+    expect(ofx).toContain('<TRNAMT>8.50</TRNAMT>');
+    expect(ofx).toContain('<NAME>Xavier &amp; Co</NAME>');
+    expect(ofx).toContain('<DTPOSTED>20210304123000</DTPOSTED>');
+    expect(ofx.trim().endsWith('</OFX>')).toBe(true);
+    expect(ofxWriter.getBlob()).toBe(ofxWriter.getBlob());
+    expect(await readBlob(ofxWriter.getBlob())).toBe(ofx);
+
+    const qifWriter = createTransactionsExportWriter({ format: TRANSACTIONS_EXPORT_FORMAT.QIF, collective });
+    qifWriter.write([transaction]);
+    const qif = await readBlob(qifWriter.getBlob());
+    expect(qif.split('\n')).toEqual([
+      '!Type:Bank',
+      'D03/04/2021',
+      'T8.50',
+      'PXavier & Co',
+      'MMonthly "financial" contribution',
+      'Naaaa-bbbb',
+      '^',
+      '',
+    ]);
+  });
+
+  it('exports XLSX as a ZIP archive', async () => {
+    const writer = createTransactionsExportWriter({ format: TRANSACTIONS_EXPORT_FORMAT.XLSX, collective });
+    writer.write([transaction]);
+    const bytes = await readBlobBytes(writer.getBlob());
+    // Local file header signature
+    expect(Array.from(bytes.slice(0, 4))).toEqual([0x50, 0x4b, 0x03, 0x04]);
+    const content = new TextDecoder().decode(bytes);
+    expect(content).toContain('xl/worksheets/sheet1.xml');
+    expect(content).toContain('<c r="G2"><v>10</v></c>');
+  });
+
+  it('only exports the headers when there are no transactions', async () => {
+    const writer = createTransactionsExportWriter({
+      format: TRANSACTIONS_EXPORT_FORMAT.CSV,
+      columns: ['amount', 'description'],
+      collective,
+    });
+
+    writer.write([]);
+    expect(await readBlob(writer.getBlob())).toBe('Transaction Amount,Transaction Description');
+  });
+
+  it('prevents formulas in the CSV export', async () => {
+    const writer = createTransactionsExportWriter({
+      format: TRANSACTIONS_EXPORT_FORMAT.CSV,
+      columns: ['description'],
+      collective,
+    });
+
+    writer.write([{ ...transaction, description: '=HYPERLINK("http://evil.com")' }]);
+    const csv = await readBlob(writer.getBlob());
+    expect(csv.split('\n')[1]).toBe(`"'=HYPERLINK(""http://evil.com"")"`);
+  });
+
+  it('fetches all the pages until the last one', async () => {
+    const writer = createTransactionsExportWriter({ format: TRANSACTIONS_EXPORT_FORMAT.CSV, collective });
+    const fetchPage = jest.fn((offset, limit) => {
+      const nbItems = offset < 4 ? limit : 1;
+      return Promise.resolve(Array(nbItems).fill(transaction));
+    });
+
+    const onProgress = jest.fn();
+    const isComplete = await fetchAllTransactionsForExport({ fetchPage, writer, pageSize: 2, onProgress });
+    expect(isComplete).toBe(true);
+    expect(fetchPage.mock.calls).toEqual([
+      [0, 2],
+      [2, 2],
+      [4, 2],
+    ]);
+    expect(writer.nbRows).toEqual(5);
+    expect(onProgress).toHaveBeenLastCalledWith({ nbFetched: 5, nbPages: 3 });
+  });
+
+  it('stops fetching pages when cancelled', async () => {
+    const writer = createTransactionsExportWriter({ format: TRANSACTIONS_EXPORT_FORMAT.CSV, collective });
+    let isCancelled = false;
+    const fetchPage = jest.fn(() => {
+      isCancelled = true;
+      return Promise.resolve([transaction, transaction]);
+    });
+
+    const isComplete = await fetchAllTransactionsForExport({
+      fetchPage,
+      writer,
+      pageSize: 2,
+      isCancelled: () => isCancelled,
+    });
+
+    expect(isComplete).toBe(false);
+    expect(fetchPage).toHaveBeenCalledTimes(1);
+    expect(writer.nbRows).toEqual(0);
+  });
+
+  it('generates file names', () => {
+    expect(
+      getTransactionsExportFilename('webpack', TRANSACTIONS_EXPORT_FORMAT.OFX, '2021-01-01', '2021-02-01'),
+    ).toEqual('webpack-from-2021-01-01-to-2021-02-01.ofx');
+  });
+});
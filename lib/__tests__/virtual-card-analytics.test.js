@@ -0,0 +1,108 @@
+/* eslint-disable camelcase */
+import {
+  DEFAULT_MISSING_RECEIPTS_THRESHOLD,
+  getCardLimitUtilization,
+  getCardsFlaggedForSuspension,
+  getChargesMissingReceipts,
+  getLastMonths,
+  getMissingReceiptsThreshold,
+  getMonthlySpendSeries,
+  getSpendByGroup,
+  OTHER_SERIES_ID,
+  VIRTUAL_CARD_SPEND_GROUPS,
+} from '../virtual-card-analytics';
+
+const NOW = new Date('2021-06-15T12:00:00.000Z');
+
+const card = (id, data) => ({ id, name: `Card ${id}`, last4: '4242', data });
+
+const charge = (
+  id,
+  cardId,
+  amount,
+  createdAt,
+  { merchant = 'aws', collective = 'babel', url = 'receipt.pdf' } = {},
+) => ({
+  id,
+  amount,
+  createdAt,
+  virtualCard: { id: cardId },
+  payee: { id: merchant, name: merchant },
+  account: { id: collective, name: collective },
+  items: [{ id: `item-${id}`, url }],
+});
+
+const CARDS = [
+  card('c1', { state: 'OPEN', spend_limit: 10000, spend_limit_duration: 'MONTHLY' }),
+  card('c2', { state: 'OPEN', spend_limit: 50000, spend_limit_duration: 'ANNUALLY' }),
+  card('c3', { state: 'PAUSED', spend_limit: 1000, spend_limit_duration: 'TRANSACTION' }),
+];
+
+const CHARGES = [
+  charge('1', 'c1', 5000, '2021-06-01T10:00:00.000Z'),
+  charge('2', 'c1', 2500, '2021-05-31T23:00:00.000Z', { url: null }),
+  charge('3', 'c2', 10000, '2021-02-10T10:00:00.000Z', { merchant: 'github', url: null }),
+  charge('4', 'c2', 1000, '2020-12-10T10:00:00.000Z', { merchant: 'github', collective: 'webpack', url: null }),
+  charge('5', 'c3', 700, '2021-06-02T10:00:00.000Z', { merchant: 'zoom', url: null }),
+];
+
+describe('Virtual card analytics', () => {
+  it('returns the last months', () => {
+    expect(getLastMonths(3, NOW)).toEqual([
+      '2021-04-01T00:00:00.000Z',
+      '2021-05-01T00:00:00.000Z',
+      '2021-06-01T00:00:00.000Z',
+    ]);
+  });
+
+  it('sums the spend by card, merchant and collective', () => {
+    const byMerchant = getSpendByGroup(CHARGES, VIRTUAL_CARD_SPEND_GROUPS.MERCHANT);
+    expect(byMerchant.map(({ id, total, count }) => [id, total, count])).toEqual([
+      ['github', 11000, 2],
+      ['aws', 7500, 2],
+      ['zoom', 700, 1],
+    ]);
+
+    const byCollective = getSpendByGroup(CHARGES, VIRTUAL_CARD_SPEND_GROUPS.COLLECTIVE);
+    expect(byCollective.map(({ id, total }) => [id, total])).toEqual([
+      ['babel', 18200],
+      ['webpack', 1000],
+    ]);
+  });
+
+  it('returns the monthly spend of the top groups', () => {
+    const months = getLastMonths(3, NOW);
+    const series = getMonthlySpendSeries(CHARGES, VIRTUAL_CARD_SPEND_GROUPS.CARD, months, 2);
+    expect(series.map(({ id, data }) => [id, data])).toEqual([
+      ['c2', [0, 0, 0]],
+      ['c1', [0, 2500, 5000]],
+      [OTHER_SERIES_ID, [0, 0, 700]],
+    ]);
+  });
+
+  it('computes the utilization of the monthly and annual limits', () => {
+    expect(getCardLimitUtilization(CARDS[0], CHARGES, NOW)).toEqual({ limit: 10000, spent: 5000, ratio: 0.5 });
+    expect(getCardLimitUtilization(CARDS[1], CHARGES, NOW)).toEqual({ limit: 50000, spent: 10000, ratio: 0.2 });
+    expect(getCardLimitUtilization(CARDS[2], CHARGES, NOW)).toBe(null);
+    expect(getCardLimitUtilization(card('c4', { spend_limit: 0 }), CHARGES, NOW)).toBe(null);
+  });
+
+  it('lists the charges missing receipts, oldest first', () => {
+    const noItems = { ...charge('6', 'c1', 100, '2021-01-01T00:00:00.000Z'), items: [] };
+    expect(getChargesMissingReceipts([...CHARGES, noItems]).map(c => c.id)).toEqual(['4', '6', '3', '2', '5']);
+  });
+
+  it('flags the active cards with too many missing receipts', () => {
+    expect(getMissingReceiptsThreshold({ settings: {} })).toBe(DEFAULT_MISSING_RECEIPTS_THRESHOLD);
+    expect(getMissingReceiptsThreshold({ settings: { virtualcards: { missingReceiptsThreshold: 2 } } })).toBe(2);
+
+    const flagged = getCardsFlaggedForSuspension(CARDS, CHARGES, 1);
+    expect(flagged.map(({ card, charges }) => [card.id, charges.map(c => c.id)])).toEqual([
+      ['c1', ['2']],
+      ['c2', ['3', '4']],
+      // c3 is already paused
+    ]);
+
+    expect(getCardsFlaggedForSuspension(CARDS, CHARGES, 2).map(({ card }) => card.id)).toEqual(['c2']);
+  });
+});
@@ -272,9 +272,9 @@ export async function fetchFromPDFService(url) {
 }
 
 /**
- * Fetch a CSV file, usually from the REST service
+ * Fetch the content of a file from the REST service, as text
  */
-export async function fetchCSVFileFromRESTService(url, filename, { isAuthenticated = true } = {}) {
+export async function fetchTextFromRESTService(url, { isAuthenticated = true } = {}) {
   const fetchParams = { method: 'GET' };
   if (isAuthenticated) {
     const accessToken = getFromLocalStorage(LOCAL_STORAGE_KEYS.ACCESS_TOKEN);
@@ -293,6 +293,14 @@ export async function fetchCSVFileFromRESTService(url, filename, { isAuthenticat
     throw new createError(ERROR.UNKNOWN, { message: content });
   }
 
+  return content;
+}
+
+/**
+ * Fetch a CSV file, usually from the REST service
+ */
+export async function fetchCSVFileFromRESTService(url, filename, { isAuthenticated = true } = {}) {
+  const content = await fetchTextFromRESTService(url, { isAuthenticated });
   return exportFile('text/csv;charset=utf-8', `${filename}.csv`, content);
 }
 
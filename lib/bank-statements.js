@@ -0,0 +1,374 @@
+import { padStart, sumBy } from 'lodash';
+
+import { parseCSV } from './csv';
+
+export const BANK_STATEMENT_FORMATS = {
+  CSV: 'CSV',
+  CAMT053: 'CAMT053',
+  OFX: 'OFX',
+};
+
+export const BANK_STATEMENT_ERRORS = {
+  MISSING_COLUMNS: 'MISSING_COLUMNS',
+  NO_CREDIT: 'NO_CREDIT',
+};
+
+export const MATCH_TYPES = {
+  REFERENCE: 'REFERENCE',
+  AMOUNT_AND_DATE: 'AMOUNT_AND_DATE',
+  MANUAL: 'MANUAL',
+};
+
+/** Contributors usually send the transfer within a few days, but it can take weeks to arrive */
+const MAX_TRANSFER_DELAY_DAYS = 30;
+
+/** Number of lines to look at to find the headers, as some banks add a preamble to their CSV exports */
+const MAX_CSV_PREAMBLE_LINES = 10;
+
+/** Possible headers for the CSV columns, lowercased. Banks all have their own format. */
+const CSV_HEADERS = {
+  date: ['date', 'booking date', 'transaction date', 'value date', 'posted date', 'posting date', 'completed date'],
+  amount: ['amount', 'transaction amount'],
+  credit: ['credit', 'credit amount', 'paid in', 'money in'],
+  currency: ['currency'],
+  reference: ['reference', 'payment reference', 'structured reference'],
+  description: [
+    'description',
+    'details',
+    'remittance information',
+    'communication',
+    'memo',
+    'narrative',
+    'name',
+    'payer',
+    'counterparty',
+  ],
+};
+
+// ---- Parsing ----
+
+/**
+ * Parses the dates found in the bank statements: ISO (`2021-06-15`), compact (`20210615`, used by
+ * OFX) or `DD/MM/YYYY` (also with `.` or `-`). `MM/DD/YYYY` is only recognized when the day is
+ * greater than 12, as we can't tell them apart otherwise.
+ *
+ * @returns {string|null} the date as `YYYY-MM-DD`
+ */
+export const parseStatementDate = value => {
+  const trimmedValue = value?.trim() || '';
+  let match = trimmedValue.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+  if (match) {
+    return `${match[1]}-${match[2]}-${match[3]}`;
+  }
+
+  match = trimmedValue.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/);
+  if (match) {
+    const [day, month] = parseInt(match[2], 10) > 12 ? [match[2], match[1]] : [match[1], match[2]];
+    return `${match[3]}-${padStart(month, 2, '0')}-${padStart(day, 2, '0')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Parses the amounts found in the bank statements, with either `.` or `,` as decimal separator:
+ * `1234.56`, `1,234.56`, `1.234,56`, `-12,50`. When both separators are used, the last one is the
+ * decimal separator. A dot followed by groups of exactly 3 digits (`1.000`) is a thousands separator.
+ *
+ * @returns {number|null} the amount in cents
+ */
+export const parseStatementAmount = value => {
+  let cleanValue = value.replace(/[^\d.,-]/g, '');
+  if (cleanValue.lastIndexOf(',') > cleanValue.lastIndexOf('.') && cleanValue.includes('.')) {
+    cleanValue = cleanValue.replace(/\./g, '').replace(',', '.');
+  } else if (/^-?\d{1,3}(\.\d{3})+$/.test(cleanValue)) {
+    cleanValue = cleanValue.replace(/\./g, '');
+  } else if (cleanValue.includes('.')) {
+    cleanValue = cleanValue.replace(/,/g, '');
+  } else {
+    cleanValue = cleanValue.replace(/,(\d{1,2})$/, '.$1').replace(/,/g, '');
+  }
+
+  const amount = parseFloat(cleanValue);
+  return isNaN(amount) || cleanValue === '' ? null : Math.round(amount * 100);
+};
+
+const findCSVColumn = (headers, column) => {
+  return headers.findIndex(header => CSV_HEADERS[column].includes(header));
+};
+
+const parseCSVStatement = content => {
+  const rows = parseCSV(content);
+  const headersIdx = rows.slice(0, MAX_CSV_PREAMBLE_LINES).findIndex(row => {
+    const headers = row.map(value => value.trim().toLowerCase());
+    const hasAmount = findCSVColumn(headers, 'amount') !== -1 || findCSVColumn(headers, 'credit') !== -1;
+    return findCSVColumn(headers, 'date') !== -1 && hasAmount;
+  });
+
+  if (headersIdx === -1) {
+    return { lines: [], error: BANK_STATEMENT_ERRORS.MISSING_COLUMNS };
+  }
+
+  const headers = rows[headersIdx].map(value => value.trim().toLowerCase());
+  const columns = {};
+  Object.keys(CSV_HEADERS).forEach(column => {
+    columns[column] = findCSVColumn(headers, column);
+  });
+
+  // All the text columns may hold the reference, depending on how the contributor filled the transfer
+  const textColumns = headers
+    .map((header, idx) => idx)
+    .filter(idx => CSV_HEADERS.description.includes(headers[idx]) || CSV_HEADERS.reference.includes(headers[idx]));
+
+  const lines = rows.slice(headersIdx + 1).map((row, idx) => {
+    const getValue = columnIdx => (columnIdx === -1 ? '' : (row[columnIdx] || '').trim());
+    const amountValue = getValue(columns.credit) || getValue(columns.amount);
+    return {
+      id: `line-${headersIdx + idx + 2}`,
+      date: parseStatementDate(getValue(columns.date)),
+      amount: amountValue ? parseStatementAmount(amountValue) : null,
+      currency: getValue(columns.currency).toUpperCase() || null,
+      reference: getValue(columns.reference) || null,
+      description: textColumns.map(getValue).filter(Boolean).join(' - '),
+    };
+  });
+
+  return { lines };
+};
+
+const decodeXMLEntities = value => {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+};
+
+/** Returns the content of all the `tag` elements, ignoring the namespace prefixes */
+const getXMLTags = (xml, tag) => {
+  const regex = new RegExp(`<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'g');
+  return Array.from(xml.matchAll(regex)).map(match => match[1]);
+};
+
+const getXMLTag = (xml, tag) => (xml && getXMLTags(xml, tag)[0]) || null;
+
+const getXMLTagText = (xml, tag) => {
+  const content = getXMLTag(xml, tag);
+  return content === null ? null : decodeXMLEntities(content.trim());
+};
+
+const getXMLAmount = xml => {
+  const match = xml?.match(/<(?:\w+:)?Amt(?=[\s>])(?:\s[^>]*?Ccy="(\w+)")?[^>]*>([^<]*)</);
+  return match ? { amount: parseStatementAmount(match[2]), currency: match[1] || null } : null;
+};
+
+const getCAMTTransactionInfo = xml => {
+  const reference = getXMLTagText(getXMLTag(xml, 'CdtrRefInf'), 'Ref') || getXMLTagText(xml, 'EndToEndId');
+  const texts = [
+    getXMLTagText(getXMLTag(xml, 'Dbtr'), 'Nm'),
+    ...getXMLTags(xml, 'Ustrd').map(decodeXMLEntities),
+    getXMLTagText(xml, 'AddtlTxInf'),
+  ];
+
+  return {
+    reference: reference && reference !== 'NOTPROVIDED' ? reference : null,
+    description: texts.filter(Boolean).join(' - '),
+  };
+};
+
+/**
+ * CAMT.053 is the ISO 20022 XML format for bank statements. An entry (`Ntry`) can hold multiple
+ * transactions (`TxDtls`) when the bank groups them, in which case we use one line per transaction.
+ */
+const parseCAMT053Statement = content => {
+  const lines = [];
+  getXMLTags(content, 'Ntry').forEach((entry, entryIdx) => {
+    if (getXMLTagText(entry, 'CdtDbtInd') !== 'CRDT') {
+      return;
+    }
+
+    const bookingDate = getXMLTag(entry, 'BookgDt') || getXMLTag(entry, 'ValDt');
+    const date = parseStatementDate(getXMLTagText(bookingDate, 'Dt') || getXMLTagText(bookingDate, 'DtTm'));
+    const entryId = getXMLTagText(entry, 'AcctSvcrRef') || getXMLTagText(entry, 'NtryRef') || `entry-${entryIdx}`;
+    const transactions = getXMLTags(entry, 'TxDtls');
+    if (transactions.length > 1) {
+      transactions.forEach((transaction, idx) => {
+        lines.push({
+          id: `${entryId}-${idx}`,
+          date,
+          ...getXMLAmount(transaction),
+          ...getCAMTTransactionInfo(transaction),
+        });
+      });
+    } else {
+      const info = getCAMTTransactionInfo(entry);
+      const additionalInfo = getXMLTagText(entry, 'AddtlNtryInf');
+      lines.push({
+        id: entryId,
+        date,
+        ...getXMLAmount(entry),
+        reference: info.reference,
+        description: [info.description, additionalInfo].filter(Boolean).join(' - '),
+      });
+    }
+  });
+
+  return { lines };
+};
+
+/** OFX 1.x is SGML: closing tags are optional for values */
+const getOFXValue = (content, tag) => {
+  const match = content.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeXMLEntities(match[1].trim()) : null;
+};
+
+const parseOFXStatement = content => {
+  const currency = getOFXValue(content, 'CURDEF');
+  const transactions = Array.from(content.matchAll(/<STMTTRN>([\s\S]*?)(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi));
+  const lines = transactions.map((match, idx) => {
+    const transaction = match[1];
+    const amount = getOFXValue(transaction, 'TRNAMT');
+    return {
+      id: getOFXValue(transaction, 'FITID') || `transaction-${idx}`,
+      date: parseStatementDate(getOFXValue(transaction, 'DTPOSTED')),
+      amount: amount ? parseStatementAmount(amount) : null,
+      currency: currency?.toUpperCase() || null,
+      reference: getOFXValue(transaction, 'REFNUM'),
+      description: [getOFXValue(transaction, 'NAME'), getOFXValue(transaction, 'MEMO')].filter(Boolean).join(' - '),
+    };
+  });
+
+  return { lines };
+};
+
+export const detectBankStatementFormat = content => {
+  if (/<(?:\w+:)?BkToCstmrStmt[\s>]/.test(content)) {
+    return BANK_STATEMENT_FORMATS.CAMT053;
+  } else if (/OFXHEADER|<OFX>/i.test(content.slice(0, 1000))) {
+    return BANK_STATEMENT_FORMATS.OFX;
+  } else {
+    return BANK_STATEMENT_FORMATS.CSV;
+  }
+};
+
+const PARSERS = {
+  [BANK_STATEMENT_FORMATS.CSV]: parseCSVStatement,
+  [BANK_STATEMENT_FORMATS.CAMT053]: parseCAMT053Statement,
+  [BANK_STATEMENT_FORMATS.OFX]: parseOFXStatement,
+};
+
+/**
+ * Parses a bank statement exported as CSV, CAMT.053 or OFX. Only the incoming transfers are kept.
+ *
+ * @returns {object} { format, lines, error } where lines have an `id`, a `date` (YYYY-MM-DD), an `amount`
+ * in cents, a `currency` (if the statement has one), a `reference` and a `description`
+ */
+export const parseBankStatement = text => {
+  const content = (text || '').replace(/^\uFEFF/, ''); // Remove the BOM added by some banks
+  const format = detectBankStatementFormat(content);
+  const { lines, error } = PARSERS[format](content);
+  if (error) {
+    return { format, lines: [], error };
+  }
+
+  const credits = lines.filter(line => line.amount > 0);
+  return { format, lines: credits, error: credits.length ? null : BANK_STATEMENT_ERRORS.NO_CREDIT };
+};
+
+// ---- Matching ----
+
+const isSameCurrency = (line, order) => !line.currency || line.currency === order.amount.currency;
+
+/**
+ * Contributors are asked to include the order `legacyId` as the reference of their transfer,
+ * see `BANK_TRANSFER_DEFAULT_INSTRUCTIONS`.
+ */
+const hasOrderReference = (line, order) => {
+  const regex = new RegExp(`(^|\\D)${order.legacyId}(\\D|$)`);
+  return regex.test(`${line.reference || ''} ${line.description || ''}`);
+};
+
+const isWithinTransferDelay = (line, order) => {
+  const days = (new Date(line.date) - new Date(order.createdAt.slice(0, 10))) / (24 * 60 * 60 * 1000);
+  return days >= 0 && days <= MAX_TRANSFER_DELAY_DAYS;
+};
+
+export const getAllocatedAmount = allocations => sumBy(allocations, 'amount');
+
+/**
+ * Returns the part of a statement line that is not allocated to any order yet
+ */
+export const getRemainingAmount = (line, allocations = []) => line.amount - getAllocatedAmount(allocations);
+
+/**
+ * Matches the statement lines with the pending orders. Each order is matched once at most:
+ * 1. With the references: a line with the reference of a single order is allocated to it, whatever
+ *    the amount received (bank fees...etc). A line with multiple references is split between the
+ *    orders if their amounts add up.
+ * 2. With the amount and date, for the remaining lines: if a single order has this exact amount and
+ *    was created within 30 days before the transfer.
+ *
+ * @returns {object} the allocations by line id, as `{ [lineId]: [{ orderId, amount, matchType }] }`
+ */
+export const autoMatchBankStatement = (lines, orders) => {
+  const matchedOrders = new Set();
+  const allocations = {};
+  const getAvailableOrders = line =>
+    orders.filter(order => !matchedOrders.has(order.id) && isSameCurrency(line, order));
+  const allocate = (line, orderAllocations) => {
+    allocations[line.id] = orderAllocations;
+    orderAllocations.forEach(allocation => matchedOrders.add(allocation.orderId));
+  };
+
+  lines.forEach(line => {
+    const candidates = getAvailableOrders(line).filter(order => hasOrderReference(line, order));
+    if (candidates.length === 1) {
+      allocate(line, [{ orderId: candidates[0].id, amount: line.amount, matchType: MATCH_TYPES.REFERENCE }]);
+    } else if (candidates.length > 1 && sumBy(candidates, 'amount.valueInCents') === line.amount) {
+      allocate(
+        line,
+        candidates.map(order => ({
+          orderId: order.id,
+          amount: order.amount.valueInCents,
+          matchType: MATCH_TYPES.REFERENCE,
+        })),
+      );
+    }
+  });
+
+  lines.forEach(line => {
+    if (allocations[line.id] || !line.date) {
+      return;
+    }
+
+    const candidates = getAvailableOrders(line).filter(order => {
+      return order.amount.valueInCents === line.amount && isWithinTransferDelay(line, order);
+    });
+
+    if (candidates.length === 1) {
+      allocate(line, [{ orderId: candidates[0].id, amount: line.amount, matchType: MATCH_TYPES.AMOUNT_AND_DATE }]);
+    }
+  });
+
+  return allocations;
+};
+
+/**
+ * Returns the orders to mark as paid, with the amount received for each of them. An order can be
+ * paid with multiple transfers, in which case the amounts are added up.
+ */
+export const getOrdersToReconcile = (lines, allocationsByLine, orders) => {
+  const byOrder = {};
+  lines.forEach(line => {
+    (allocationsByLine[line.id] || []).forEach(allocation => {
+      const order = orders.find(order => order.id === allocation.orderId);
+      if (order) {
+        byOrder[order.id] = byOrder[order.id] || { order, amountReceived: 0 };
+        byOrder[order.id].amountReceived += allocation.amount;
+      }
+    });
+  });
+
+  return Object.values(byOrder);
+};
@@ -0,0 +1,57 @@
+import { groupBy, sumBy } from 'lodash';
+
+/**
+ * Splits `items` between the ones `canApply` returns true for and the ones that will be skipped.
+ */
+export const splitItemsForBulkAction = (items, canApply) => {
+  const eligible = [];
+  const skipped = [];
+  items.forEach(item => {
+    if (canApply(item)) {
+      eligible.push(item);
+    } else {
+      skipped.push(item);
+    }
+  });
+
+  return { eligible, skipped };
+};
+
+/**
+ * Returns the total amount for each currency, sorted by currency.
+ *
+ * @param {Array<{ currency: string, amount: number }>} items
+ * @returns {Array<{ currency: string, amount: number, count: number }>}
+ */
+export const getTotalAmountsByCurrency = items => {
+  const byCurrency = groupBy(items, 'currency');
+  return Object.keys(byCurrency)
+    .sort()
+    .map(currency => ({
+      currency,
+      amount: sumBy(byCurrency[currency], 'amount'),
+      count: byCurrency[currency].length,
+    }));
+};
+
+/**
+ * Runs `processFn` on every item, one after the other to not overload the API and to
+ * provide a meaningful progress. Failures don't stop the process.
+ *
+ * @returns {Array<{ item: object, success: boolean, error: Error|null }>}
+ */
+export const runBulkAction = async (items, processFn, onProgress) => {
+  const results = [];
+  for (const item of items) {
+    try {
+      await processFn(item);
+      results.push({ item, success: true, error: null });
+    } catch (error) {
+      results.push({ item, success: false, error });
+    }
+
+    onProgress?.(results.length, items.length);
+  }
+
+  return results;
+};
@@ -0,0 +1,94 @@
+import timezones from './constants/timezones';
+import { addAuthTokenToHeader } from './api';
+
+/** Events without an end date are displayed as lasting one hour, same as the `.ics` files */
+const DEFAULT_EVENT_DURATION = 60 * 60 * 1000;
+
+const getEventParent = event => event.parent || event.parentCollective;
+
+const getEventUrl = event => `${process.env.WEBSITE_URL}/${getEventParent(event).slug}/events/${event.slug}`;
+
+const getEventEndDate = event => {
+  return event.endsAt ? new Date(event.endsAt) : new Date(new Date(event.startsAt).getTime() + DEFAULT_EVENT_DURATION);
+};
+
+const getEventLocation = ({ location }) => {
+  return [location?.name, location?.address].filter(Boolean).join(', ');
+};
+
+const getEventDescription = event => [event.description, getEventUrl(event)].filter(Boolean).join('\n\n');
+
+/**
+ * Formats a date as UTC, e.g. `20210615T180000Z`
+ */
+export const formatCalendarDate = date => {
+  return new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+};
+
+/**
+ * Returns the URL of the `.ics` file for an event. Event must have a `parent`.
+ */
+export const getEventICSUrl = event => `${getEventUrl(event)}.ics`;
+
+/**
+ * Returns the URL of the `.ics` feed with the upcoming events of `collective`
+ */
+export const getCollectiveEventsICSUrl = collective => `${process.env.WEBSITE_URL}/${collective.slug}/events.ics`;
+
+/**
+ * Returns the URL of the `.ics` feed with the events the logged in user registered to. The URL is
+ * private, as it embeds a token to let calendar apps fetch the feed.
+ */
+export const fetchRSVPsICSUrl = async () => {
+  const response = await fetch('/calendar/rsvps-feed-url', { headers: addAuthTokenToHeader() });
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error);
+  }
+
+  return result.url;
+};
+
+/**
+ * Calendar apps open the `webcal://` links to subscribe to the feeds, rather than downloading them
+ */
+export const getWebcalUrl = url => url.replace(/^https?:\/\//, 'webcal://');
+
+/**
+ * Returns a link to add the event in Google Calendar
+ */
+export const getGoogleCalendarUrl = event => {
+  const params = new URLSearchParams({
+    action: 'TEMPLATE',
+    text: event.name,
+    dates: `${formatCalendarDate(event.startsAt)}/${formatCalendarDate(getEventEndDate(event))}`,
+    details: getEventDescription(event),
+    location: getEventLocation(event),
+  });
+
+  if (timezones.includes(event.timezone)) {
+    params.set('ctz', event.timezone);
+  }
+
+  return `https://calendar.google.com/calendar/render?${params.toString()}`;
+};
+
+/**
+ * Returns a link to add the event in Outlook
+ */
+export const getOutlookCalendarUrl = event => {
+  const params = new URLSearchParams({
+    path: '/calendar/action/compose',
+    rru: 'addevent',
+    subject: event.name,
+    startdt: new Date(event.startsAt).toISOString(),
+    enddt: getEventEndDate(event).toISOString(),
+    body: getEventDescription(event),
+    location: getEventLocation(event),
+  });
+
+  return `https://outlook.live.com/calendar/0/deeplink/compose?${params.toString()}`;
+};
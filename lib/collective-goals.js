@@ -0,0 +1,86 @@
+import dayjs from './dayjs';
+
+/**
+ * Helpers for the goals of collectives, stored in `settings.goals`. Reached goals are
+ * moved to `settings.goalsHistory`.
+ */
+
+export const GOAL_TYPES = {
+  BALANCE: 'balance',
+  YEARLY_BUDGET: 'yearlyBudget',
+  BACKERS: 'backers',
+  TIER_CONTRIBUTIONS: 'tierContributions',
+};
+
+/** The goals displayed on the progress bar of `GoalsCover`, against the balance or the yearly budget */
+const COVER_GOAL_TYPES = [GOAL_TYPES.BALANCE, GOAL_TYPES.YEARLY_BUDGET];
+
+/** The goals that target a number of contributors/contributions rather than an amount */
+const COUNT_GOAL_TYPES = [GOAL_TYPES.BACKERS, GOAL_TYPES.TIER_CONTRIBUTIONS];
+
+/** Contributors are notified when these milestones are reached, if `notifyMilestones` is set */
+export const GOAL_MILESTONES = [0.25, 0.5, 0.75];
+
+/** Goals created before the types were introduced have no type, they're measured against the yearly budget */
+export const getGoalType = goal => goal.type || GOAL_TYPES.YEARLY_BUDGET;
+
+export const isCoverGoal = goal => COVER_GOAL_TYPES.includes(getGoalType(goal));
+
+export const isCountGoal = goal => COUNT_GOAL_TYPES.includes(getGoalType(goal));
+
+/** Returns the target of the goal, as a number for count goals or in cents for the others */
+export const getGoalTarget = goal => (isCountGoal(goal) ? goal.count : goal.amount) || 0;
+
+/**
+ * Returns the current value of the goal, from the result of `collectiveGoalProgressQuery`.
+ */
+export const getGoalCurrentValue = (goal, account) => {
+  switch (getGoalType(goal)) {
+    case GOAL_TYPES.BALANCE:
+      return account?.stats?.balance?.valueInCents || 0;
+    case GOAL_TYPES.BACKERS:
+      return account?.totalFinancialContributors || 0;
+    case GOAL_TYPES.TIER_CONTRIBUTIONS: {
+      const tier = account?.tiers?.nodes?.find(tier => tier.legacyId === goal.tierId);
+      return tier?.orders?.totalCount || 0;
+    }
+    default:
+      return account?.stats?.yearlyBudget?.valueInCents || 0;
+  }
+};
+
+/** Returns the progress of the goal, between 0 and 1 */
+export const getGoalProgress = (goal, currentValue) => {
+  const target = getGoalTarget(goal);
+  return target > 0 ? Math.min(currentValue / target, 1) : 0;
+};
+
+export const getReachedMilestones = progress => GOAL_MILESTONES.filter(milestone => progress >= milestone);
+
+/**
+ * Returns the number of days left before the deadline (0 on the last day, negative once passed),
+ * or null if the goal has no deadline.
+ */
+export const getDaysBeforeDeadline = (goal, now = new Date()) => {
+  if (!goal.deadline) {
+    return null;
+  }
+
+  return dayjs(goal.deadline).startOf('day').diff(dayjs(now).startOf('day'), 'day');
+};
+
+/**
+ * Moves the goal identified by `goalKey` to the history, rather than overwriting it with a new goal.
+ * @returns {Object} { goals, goalsHistory }
+ */
+export const archiveReachedGoal = (goals, goalsHistory, goalKey, now = new Date()) => {
+  const goal = goals.find(goal => goal.key === goalKey);
+  if (!goal) {
+    return { goals, goalsHistory };
+  }
+
+  return {
+    goals: goals.filter(goal => goal.key !== goalKey),
+    goalsHistory: [{ ...goal, reachedAt: now.toISOString() }, ...(goalsHistory || [])],
+  };
+};
@@ -0,0 +1,42 @@
+import ROLES from './roles';
+
+/**
+ * Fine-grained permissions that a member can have on an account.
+ * Use `LoggedInUser.hasPermission` to check them.
+ */
+export const PERMISSIONS = {
+  EDIT_SETTINGS: 'EDIT_SETTINGS', // change settings, payment methods, tiers...
+  MANAGE_MEMBERS: 'MANAGE_MEMBERS', // invite, edit and remove team members
+  VIEW_FINANCES: 'VIEW_FINANCES', // see private financial information (receipts, invoices, reports)
+  EXPORT_FINANCES: 'EXPORT_FINANCES', // download invoices and export transactions
+  PAY_EXPENSES: 'PAY_EXPENSES', // pay expenses and mark them as unpaid
+  MANAGE_CONTRIBUTIONS: 'MANAGE_CONTRIBUTIONS', // confirm pending contributions and reconcile bank transfers
+  MANAGE_UPDATES: 'MANAGE_UPDATES', // create, edit and publish updates
+  MANAGE_CONVERSATIONS: 'MANAGE_CONVERSATIONS', // moderate conversations and their comments
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+/**
+ * The permission matrix: which permissions are granted by each member role.
+ * Roles that are not listed here don't grant any permission.
+ */
+export const ROLES_PERMISSIONS = {
+  [ROLES.HOST]: ALL_PERMISSIONS,
+  [ROLES.ADMIN]: ALL_PERMISSIONS,
+  [ROLES.ACCOUNTANT]: [PERMISSIONS.VIEW_FINANCES, PERMISSIONS.EXPORT_FINANCES],
+};
+
+/**
+ * Returns the list of roles that grant `permission`
+ */
+export const getRolesWithPermission = permission => {
+  return Object.keys(ROLES_PERMISSIONS).filter(role => ROLES_PERMISSIONS[role].includes(permission));
+};
+
+/**
+ * Returns the roles that can be given to the team members of an account
+ */
+export const getTeamMemberRoles = () => {
+  return [ROLES.ADMIN, ROLES.MEMBER, ROLES.ACCOUNTANT];
+};
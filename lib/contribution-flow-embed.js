@@ -0,0 +1,130 @@
+import { get, uniq } from 'lodash';
+
+/**
+ * Protocol between the embedded contribution flow (`pages/embed/contribution-flow.js`) and the SDK
+ * served at `/embed/sdk.js` (`server/templates/embed-sdk.js`), which can't import this file: keep
+ * the source and the event types in sync. Events are only posted to the parent window if its
+ * origin is allowed in the settings of the collective.
+ */
+
+export const EMBED_MESSAGE_SOURCE = 'opencollective-embed';
+
+export const EMBED_EVENTS = {
+  RESIZE: 'resize',
+  STEP_CHANGE: 'stepChange',
+  SUCCESS: 'success',
+  ERROR: 'error',
+  CLOSE: 'close',
+};
+
+export const EMBED_ALLOWED_ORIGINS_SETTINGS_KEY = 'collectivePage.embedAllowedOrigins';
+
+const WILDCARD_ORIGIN_REGEX = /^(https?):\/\/\*\.([a-z0-9.-]+(:\d+)?)$/;
+
+/**
+ * Returns the origin of `value` (eg. `https://example.com` for `https://example.com/donate/`), or null
+ * if it's not a valid http(s) URL. Wildcards are accepted for subdomains, like `https://*.example.com`.
+ */
+export const normalizeOrigin = value => {
+  const trimmedValue = value?.trim().toLowerCase().replace(/\/+$/, '');
+  if (!trimmedValue) {
+    return null;
+  } else if (WILDCARD_ORIGIN_REGEX.test(trimmedValue)) {
+    return trimmedValue;
+  }
+
+  try {
+    const url = new URL(trimmedValue);
+    return ['http:', 'https:'].includes(url.protocol) ? url.origin : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Parses the allowlist entered by the admins, one origin per line or separated by commas.
+ *
+ * @returns {{ origins: Array<string>, invalid: Array<string> }}
+ */
+export const parseAllowedOrigins = text => {
+  const values = (text || '')
+    .split(/[\n,]/)
+    .map(value => value.trim())
+    .filter(Boolean);
+
+  const invalid = values.filter(value => !normalizeOrigin(value));
+  const origins = uniq(values.map(normalizeOrigin).filter(Boolean));
+  return { origins, invalid };
+};
+
+export const getEmbedAllowedOrigins = account => {
+  return get(account?.settings, EMBED_ALLOWED_ORIGINS_SETTINGS_KEY) || [];
+};
+
+/**
+ * Returns true if `origin` matches one of the `allowedOrigins`. Wildcards only match subdomains:
+ * `https://*.example.com` allows `https://docs.example.com` but not `https://example.com`.
+ */
+export const isAllowedEmbedOrigin = (origin, allowedOrigins) => {
+  const normalizedOrigin = normalizeOrigin(origin);
+  if (!normalizedOrigin || !allowedOrigins?.length) {
+    return false;
+  }
+
+  return allowedOrigins.some(allowedOrigin => {
+    const wildcard = allowedOrigin.match(WILDCARD_ORIGIN_REGEX);
+    if (!wildcard) {
+      return normalizeOrigin(allowedOrigin) === normalizedOrigin;
+    }
+
+    const [, protocol, domain] = wildcard;
+    return normalizedOrigin.startsWith(`${protocol}://`) && normalizedOrigin.endsWith(`.${domain}`);
+  });
+};
+
+/**
+ * Returns the origin of the page embedding `win`, or null if it's not in an iframe. Relies on
+ * `location.ancestorOrigins` when supported, on the referrer otherwise. As messages are posted
+ * with this origin as target, the browser won't deliver them if it was spoofed.
+ */
+export const getParentOrigin = (win = window) => {
+  if (!win.parent || win.parent === win) {
+    return null;
+  } else if (win.location.ancestorOrigins?.length) {
+    return win.location.ancestorOrigins[0];
+  } else {
+    return normalizeOrigin(win.document.referrer);
+  }
+};
+
+export const createEmbedMessage = (embedId, type, payload = {}) => {
+  return { source: EMBED_MESSAGE_SOURCE, embedId: embedId || null, type, payload };
+};
+
+/**
+ * Returns the message if `data` is a valid embed event, null otherwise
+ */
+export const parseEmbedMessage = data => {
+  if (!data || typeof data !== 'object' || data.source !== EMBED_MESSAGE_SOURCE) {
+    return null;
+  } else if (!Object.values(EMBED_EVENTS).includes(data.type)) {
+    return null;
+  } else {
+    return { embedId: data.embedId || null, type: data.type, payload: data.payload || {} };
+  }
+};
+
+/**
+ * Posts an event to the parent window, if its origin is allowed.
+ *
+ * @returns {boolean} true if the event was posted
+ */
+export const postEmbedEvent = (type, payload, { embedId, allowedOrigins, win = window } = {}) => {
+  const parentOrigin = getParentOrigin(win);
+  if (!parentOrigin || !isAllowedEmbedOrigin(parentOrigin, allowedOrigins)) {
+    return false;
+  }
+
+  win.parent.postMessage(createEmbedMessage(embedId, type, payload), parentOrigin);
+  return true;
+};
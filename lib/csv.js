@@ -0,0 +1,114 @@
+const SUPPORTED_DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Guess the delimiter of a CSV file from its first line, ignoring the quoted values.
+ * Spreadsheet softwares use `;` when the comma is the decimal separator of the locale.
+ */
+export const detectCSVDelimiter = text => {
+  const firstLine = text.split(/\r?\n/)[0].replace(/"[^"]*"/g, '');
+  const counts = SUPPORTED_DELIMITERS.map(delimiter => firstLine.split(delimiter).length - 1);
+  const maxCount = Math.max(...counts);
+  return maxCount > 0 ? SUPPORTED_DELIMITERS[counts.indexOf(maxCount)] : ',';
+};
+
+/**
+ * A minimal RFC 4180 parser: supports quoted values, escaped quotes (`""`) and line breaks
+ * inside quoted values. Empty lines are ignored.
+ *
+ * @param {string} text - the content of the CSV file
+ * @param {object} options
+ *  - delimiter: the values separator, detected from the first line if not provided
+ * @returns {Array<Array<string>>} the list of rows
+ */
+export const parseCSV = (text, { delimiter = null } = {}) => {
+  const content = (text || '').replace(/^\uFEFF/, ''); // Remove the BOM added by Excel
+  const separator = delimiter || detectCSVDelimiter(content);
+  const rows = [];
+  let row = [];
+  let value = '';
+  let inQuotes = false;
+
+  const pushRow = () => {
+    row.push(value);
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push(row);
+    }
+    row = [];
+    value = '';
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === separator) {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      pushRow();
+    } else {
+      value += char;
+    }
+  }
+
+  if (value !== '' || row.length > 0) {
+    pushRow();
+  }
+
+  return rows;
+};
+
+/**
+ * Parse a CSV file whose first line contains the headers.
+ * @returns {Array<object>} a list of objects, with the lowercased and trimmed headers as keys
+ */
+export const parseCSVWithHeaders = (text, options) => {
+  const [headers, ...rows] = parseCSV(text, options);
+  if (!headers) {
+    return [];
+  }
+
+  const keys = headers.map(header => header.trim().toLowerCase());
+  return rows.map(row => {
+    const entry = {};
+    keys.forEach((key, idx) => {
+      entry[key] = (row[idx] || '').trim();
+    });
+    return entry;
+  });
+};
+
+const CSV_FORMULA_PREFIXES = ['=', '+', '-', '@'];
+
+/**
+ * Prefixes the values that spreadsheet softwares would evaluate as a formula with a `'`, except numbers.
+ */
+export const escapeCSVFormula = str => {
+  return CSV_FORMULA_PREFIXES.includes(str[0]) && !/^-?\d+(\.\d+)?$/.test(str) ? `'${str}` : str;
+};
+
+/**
+ * Quotes the value when needed.
+ */
+const escapeCSVValue = value => {
+  const str = escapeCSVFormula(value === null || value === undefined ? '' : `${value}`);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * Generates a CSV from a list of rows, quoting the values when needed.
+ * @param {Array<Array<string|number>>} rows - the first row is usually the headers
+ */
+export const formatCSV = rows => rows.map(row => row.map(escapeCSVValue).join(',')).join('\n');
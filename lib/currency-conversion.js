@@ -0,0 +1,136 @@
+/**
+ * Helpers to convert amounts between currencies.
+ *
+ * Rates are looked up through "rate providers": objects with a `getRate(fromCurrency, toCurrency)`
+ * function that returns the rate to convert one unit of `fromCurrency` into `toCurrency`, or `null`
+ * if the rate is unknown. This makes it possible to plug other sources of rates (API, fixtures...etc).
+ */
+
+const FX_RATES_API_URL = 'https://api.frankfurter.app';
+
+const getPairKey = (fromCurrency, toCurrency) => `${fromCurrency}-${toCurrency}`;
+
+/**
+ * A simple rate provider that stores the rates it's given. Inverse rates are deduced automatically.
+ */
+export const createRatesStore = (initialRates = []) => {
+  const rates = new Map();
+  const store = {
+    /**
+     * @param {Array<{ fromCurrency: string, toCurrency: string, value: number }>} newRates
+     * @returns {boolean} true if some rates were added or updated
+     */
+    addRates(newRates) {
+      let hasChanged = false;
+      newRates.forEach(({ fromCurrency, toCurrency, value }) => {
+        const key = getPairKey(fromCurrency, toCurrency);
+        if (fromCurrency !== toCurrency && value > 0 && rates.get(key) !== value) {
+          rates.set(key, value);
+          hasChanged = true;
+        }
+      });
+
+      return hasChanged;
+    },
+    getRate(fromCurrency, toCurrency) {
+      if (fromCurrency === toCurrency) {
+        return 1;
+      } else if (rates.has(getPairKey(fromCurrency, toCurrency))) {
+        return rates.get(getPairKey(fromCurrency, toCurrency));
+      } else if (rates.has(getPairKey(toCurrency, fromCurrency))) {
+        return 1 / rates.get(getPairKey(toCurrency, fromCurrency));
+      } else {
+        return null;
+      }
+    },
+  };
+
+  store.addRates(initialRates);
+  return store;
+};
+
+/**
+ * Returns a rate provider that tries each provider in order until one of them knows the rate.
+ */
+export const combineRateProviders = (...providers) => ({
+  getRate(fromCurrency, toCurrency) {
+    for (const provider of providers) {
+      const rate = provider?.getRate(fromCurrency, toCurrency);
+      if (rate) {
+        return rate;
+      }
+    }
+
+    return null;
+  },
+});
+
+/**
+ * Extracts the FX rates used by the transactions. Works with transactions from both APIs:
+ * - V1 transactions have a `hostCurrencyFxRate` to convert `currency` into `hostCurrency`
+ * - V2 transactions have an `amount` and an `amountInHostCurrency`
+ */
+export const getRatesFromTransactions = transactions => {
+  const rates = [];
+  (transactions || []).forEach(transaction => {
+    if (!transaction) {
+      return;
+    } else if (transaction.hostCurrencyFxRate && transaction.currency && transaction.hostCurrency) {
+      rates.push({
+        fromCurrency: transaction.currency,
+        toCurrency: transaction.hostCurrency,
+        value: transaction.hostCurrencyFxRate,
+      });
+    } else if (transaction.amount?.valueInCents && transaction.amountInHostCurrency?.valueInCents) {
+      const { amount, amountInHostCurrency } = transaction;
+      rates.push({
+        fromCurrency: amount.currency,
+        toCurrency: amountInHostCurrency.currency,
+        value: Math.abs(amountInHostCurrency.valueInCents / amount.valueInCents),
+      });
+    }
+  });
+
+  return rates.filter(rate => rate.fromCurrency && rate.toCurrency && rate.fromCurrency !== rate.toCurrency);
+};
+
+/**
+ * Fetches the latest rates to convert `fromCurrencies` into `toCurrency`, using the reference
+ * rates of the European Central Bank published by the Frankfurter API (https://www.frankfurter.app).
+ * Only the currencies tracked by the ECB are supported, the others are simply not returned.
+ *
+ * @returns {Promise<Array<{ fromCurrency: string, toCurrency: string, value: number }>>}
+ */
+export const fetchExchangeRates = async (fromCurrencies, toCurrency) => {
+  const currencies = fromCurrencies.filter(currency => currency !== toCurrency);
+  if (!currencies.length) {
+    return [];
+  }
+
+  const response = await fetch(`${FX_RATES_API_URL}/latest?from=${toCurrency}&to=${currencies.join(',')}`);
+  if (!response.ok) {
+    throw new Error(`Unable to fetch the exchange rates for ${toCurrency} (${response.status})`);
+  }
+
+  // Rates are given for one unit of `toCurrency`, the rates store deduces the inverse ones
+  const body = await response.json();
+  return Object.entries(body.rates || {}).map(([currency, value]) => ({
+    fromCurrency: toCurrency,
+    toCurrency: currency,
+    value,
+  }));
+};
+
+/**
+ * Converts an amount in cents.
+ *
+ * @returns {number|null} the converted amount in cents, or null if the rate is unknown
+ */
+export const convertAmount = (amount, fromCurrency, toCurrency, rateProvider) => {
+  if (fromCurrency === toCurrency) {
+    return amount;
+  }
+
+  const rate = rateProvider.getRate(fromCurrency, toCurrency);
+  return rate ? Math.round(amount * rate) : null;
+};
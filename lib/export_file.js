@@ -1,13 +1,14 @@
+import { saveAs } from 'file-saver';
+
 import { get } from './api';
 
+/**
+ * Prompts the download of a file. Content is passed as a `Blob` rather than a `data:` URI
+ * to not hit the URL length limits of browsers with large files.
+ */
 export function exportFile(mimeType, filename, text) {
-  const element = document.createElement('a');
-  element.setAttribute('href', `data:${mimeType},${encodeURIComponent(text)}`);
-  element.setAttribute('download', filename);
-  element.style.display = 'none';
-  document.body.appendChild(element);
-  element.click();
-  document.body.removeChild(element);
+  const blob = new Blob([text], { type: mimeType });
+  return saveAs(blob, filename);
 }
 
 function json2csv(json) {
@@ -1,25 +1,134 @@
 import { isMemberOfTheEuropeanUnion } from '@opencollective/taxes';
 import { get } from 'lodash';
 
+import { HOST_FEE_STRUCTURE } from './constants/host-fee-structure';
 import {
   GQLV2_PAYMENT_METHOD_LEGACY_TYPES,
   PAYMENT_METHOD_SERVICE,
   PAYMENT_METHOD_TYPE,
 } from './constants/payment-methods';
 
-// Deprecated
-const PAYMENT_PROVIDER_TYPES_WITHOUT_FEES = new Set([
+/**
+ * The payment processors we know the fees of
+ */
+export const PAYMENT_PROCESSOR = {
+  STRIPE: 'STRIPE',
+  PAYPAL: 'PAYPAL',
+  BANK_TRANSFER: 'BANK_TRANSFER',
+  CRYPTO: 'CRYPTO',
+  /** Prepaid budgets, gift cards, collective balances...etc: money stays on the platform */
+  INTERNAL: 'INTERNAL',
+};
+
+/**
+ * Fee models of the payment processors. Percentages are expressed as decimals and fixed fees in cents.
+ *
+ * - `isExact`: whether the fee is guaranteed, regardless of the payer's location or currency
+ * - `euPercent`: an optional reduced rate for payments made from the European Union
+ */
+export const PAYMENT_PROCESSOR_FEES = {
+  [PAYMENT_PROCESSOR.STRIPE]: {
+    name: 'Stripe',
+    percent: 0.029,
+    euPercent: 0.014,
+    fixed: 30,
+    aboutURL: 'https://stripe.com/pricing',
+  },
+  [PAYMENT_PROCESSOR.PAYPAL]: {
+    // Paypal fee depends on the country of the account, and we can't possibly know this information in advance
+    name: 'PayPal',
+    percent: 0.039,
+    fixed: 30,
+    isExact: false,
+    aboutURL: 'https://www.paypal.com/webapps/mpp/paypal-fees',
+  },
+  [PAYMENT_PROCESSOR.BANK_TRANSFER]: {
+    // Banks may charge the host or the contributor, but we have no way to know how much
+    name: 'Bank transfer',
+    percent: 0,
+    fixed: 0,
+    isExact: false,
+  },
+  [PAYMENT_PROCESSOR.CRYPTO]: {
+    // Conversion fees depend on the market when the donation gets liquidated
+    name: 'The Giving Block',
+    percent: 0.01,
+    fixed: 0,
+    isExact: false,
+  },
+  [PAYMENT_PROCESSOR.INTERNAL]: {
+    name: 'Open Collective',
+    percent: 0,
+    fixed: 0,
+    isExact: true,
+  },
+};
+
+const INTERNAL_TYPES = new Set([
+  PAYMENT_METHOD_TYPE.PREPAID,
+  PAYMENT_METHOD_TYPE.COLLECTIVE,
+  PAYMENT_METHOD_TYPE.HOST,
+  PAYMENT_METHOD_TYPE.GIFTCARD,
+  // Deprecated form
   GQLV2_PAYMENT_METHOD_LEGACY_TYPES.PREPAID_BUDGET,
   GQLV2_PAYMENT_METHOD_LEGACY_TYPES.ACCOUNT_BALANCE,
+  GQLV2_PAYMENT_METHOD_LEGACY_TYPES.GIFT_CARD,
 ]);
 
-const PAYMENT_TYPES_WITHOUT_FEES = new Set([PAYMENT_METHOD_TYPE.PREPAID, PAYMENT_METHOD_TYPE.COLLECTIVE]);
+/**
+ * Returns the payment processor (one of `PAYMENT_PROCESSOR`) that will charge the payment method,
+ * or null if it's unknown. Works with both the legacy `providerType` and the `service`/`type` forms.
+ */
+export const getPaymentProcessor = paymentMethod => {
+  if (!paymentMethod) {
+    return null;
+  }
+
+  // Gift cards are charged on the payment method of the emitter
+  const pm = paymentMethod.sourcePaymentMethod || paymentMethod;
+  const service = pm.service?.toUpperCase();
+  const type = pm.type?.toUpperCase();
+  const providerType = pm.providerType;
+
+  if (
+    providerType === GQLV2_PAYMENT_METHOD_LEGACY_TYPES.CREDIT_CARD ||
+    providerType === GQLV2_PAYMENT_METHOD_LEGACY_TYPES.ALIPAY ||
+    type === PAYMENT_METHOD_TYPE.CREDITCARD ||
+    type === PAYMENT_METHOD_TYPE.ALIPAY
+  ) {
+    return PAYMENT_PROCESSOR.STRIPE;
+  } else if (providerType === GQLV2_PAYMENT_METHOD_LEGACY_TYPES.PAYPAL || service === PAYMENT_METHOD_SERVICE.PAYPAL) {
+    return PAYMENT_PROCESSOR.PAYPAL;
+  } else if (providerType === GQLV2_PAYMENT_METHOD_LEGACY_TYPES.BANK_TRANSFER || type === PAYMENT_METHOD_TYPE.MANUAL) {
+    return PAYMENT_PROCESSOR.BANK_TRANSFER;
+  } else if (
+    providerType === GQLV2_PAYMENT_METHOD_LEGACY_TYPES.CRYPTO ||
+    type === PAYMENT_METHOD_TYPE.CRYPTO ||
+    service === PAYMENT_METHOD_SERVICE.THEGIVINGBLOCK
+  ) {
+    return PAYMENT_PROCESSOR.CRYPTO;
+  } else if (INTERNAL_TYPES.has(providerType) || INTERNAL_TYPES.has(type)) {
+    return PAYMENT_PROCESSOR.INTERNAL;
+  } else {
+    return null;
+  }
+};
+
+const isEuropeanPaymentMethod = (paymentMethod, currency) => {
+  if (currency) {
+    return currency === 'EUR';
+  } else {
+    const country = get(paymentMethod, 'data.country');
+    return Boolean(country && isMemberOfTheEuropeanUnion(country));
+  }
+};
 
 /**
  * A helper to return the fee for given payment method.
  *
  * @param {object} - The payment method
  * @param {number} - The amount to pay, in cents
+ * @param {string} - The currency of the collective
  *
  * @return {object} paymentMethod
  *    - fee: The fee value. Will be 0 if there's no fee or if the payment method type is unknown.
@@ -29,67 +138,82 @@ const PAYMENT_TYPES_WITHOUT_FEES = new Set([PAYMENT_METHOD_TYPE.PREPAID, PAYMENT
  */
 const getPaymentMethodFees = (paymentMethod, amount, collectiveCurrency) => {
   const defaultFee = { fee: 0, feePercent: 0, isExact: false };
-  if (!paymentMethod) {
+  const processor = getPaymentProcessor(paymentMethod);
+  if (!processor) {
     return defaultFee;
   }
 
   const sourcePm = paymentMethod.sourcePaymentMethod || paymentMethod;
   const currency = sourcePm.balance?.currency || paymentMethod.balance?.currency;
+  const feeModel = PAYMENT_PROCESSOR_FEES[processor];
+  const isEU = Boolean(feeModel.euPercent) && isEuropeanPaymentMethod(sourcePm, currency);
+  const percent = isEU ? feeModel.euPercent : feeModel.percent;
+  const fee = !amount || (!percent && !feeModel.fixed) ? 0 : Math.round(amount * percent + feeModel.fixed);
 
-  if (
-    // TODO(paymentMethodType): remove deprecated form
-    // Deprecated form
-    sourcePm.providerType === GQLV2_PAYMENT_METHOD_LEGACY_TYPES.CREDIT_CARD ||
-    // Future proof form (no need to convert to uppercase here)
-    sourcePm.type === PAYMENT_METHOD_TYPE.CREDITCARD
-  ) {
-    let stripeFeePercent = 0.029;
-    if (currency === 'EUR') {
-      stripeFeePercent = 0.014;
-    } else if (!currency) {
-      const country = get(sourcePm, 'data.country');
-      if (country && isMemberOfTheEuropeanUnion(country)) {
-        stripeFeePercent = 0.014;
-      }
-    }
-
-    const fee = amount * stripeFeePercent + 30;
-    return {
-      name: 'Stripe',
-      fee,
-      feePercent: (fee / amount) * 100,
-      aboutURL: 'https://stripe.com/pricing',
-      // Can only be sure of the fee if we have the currency of the card and no currency conversion
-      isExact: currency === collectiveCurrency,
-    };
-  } else if (
-    // TODO(paymentMethodType): remove deprecated form
-    // Deprecated form
-    PAYMENT_PROVIDER_TYPES_WITHOUT_FEES.has(sourcePm.providerType) ||
-    // Future proof form (no need to convert to uppercase here)
-    PAYMENT_TYPES_WITHOUT_FEES.has(sourcePm.type)
-  ) {
-    return { ...defaultFee, isExact: true };
-  } else if (
-    // TODO(paymentMethodType): remove deprecated form
-    // Deprecated form
-    sourcePm.providerType === GQLV2_PAYMENT_METHOD_LEGACY_TYPES.PAYPAL ||
-    // Future proof form (no need to convert to uppercase here)
-    sourcePm.service === PAYMENT_METHOD_SERVICE.PAYPAL
-  ) {
-    // Paypal fee depends on the country of the account, and we can't possibly
-    // know this information in advance.
-    const fee = amount * 0.039 + 30;
-    return {
-      name: 'PayPal',
-      fee,
-      feePercent: (fee / amount) * 100,
-      isExact: false,
-      aboutURL: 'https://www.paypal.com/webapps/mpp/paypal-fees',
-    };
+  return {
+    processor,
+    name: feeModel.name,
+    fee,
+    feePercent: amount ? (fee / amount) * 100 : 0,
+    aboutURL: feeModel.aboutURL,
+    // For Stripe, we can only be sure of the fee if we have the currency of the card and no currency conversion
+    isExact: feeModel.isExact ?? currency === collectiveCurrency,
+  };
+};
+
+/**
+ * Returns the fee taken by the host on a contribution of `amount` cents.
+ *
+ * @param {number} amount - in cents
+ * @param {object} collective
+ * @param {number} collective.hostFeePercent - as a percentage (eg. 10 for 10%)
+ * @param {string} collective.hostFeesStructure - one of `HOST_FEE_STRUCTURE`
+ */
+export const getHostFee = (amount, { hostFeePercent, hostFeesStructure } = {}) => {
+  if (!amount || !hostFeePercent || hostFeesStructure === HOST_FEE_STRUCTURE.MONTHLY_RETAINER) {
+    // Collectives on a monthly retainer are charged separately, not on their contributions
+    return 0;
   }
 
-  return defaultFee;
+  return Math.round(amount * (hostFeePercent / 100));
+};
+
+/**
+ * Computes where the money of a contribution goes.
+ *
+ * @param {object} params
+ * @param {number} params.amount - the contribution amount (without taxes and platform tip), in cents
+ * @param {number} params.taxAmount - in cents
+ * @param {number} params.platformTip - the platform tip picked in `FeesOnTopInput`, in cents
+ * @param {object} params.paymentMethod - the payment method that will be charged
+ * @param {object} params.collective - with `currency`, `hostFeePercent`, `hostFeesStructure` and `platformFeePercent`
+ *
+ * @returns {object}
+ *    - totalAmount: what the contributor pays
+ *    - netAmountForCollective: what the collective receives
+ *    - hostFee: what the host keeps
+ *    - paymentProcessorFee: what the payment processor keeps (see `paymentProcessor` for details)
+ *    - platformFee, platformTip, taxAmount: what goes to the platform, and to taxes
+ *    - isExact: false if some of these amounts are estimations
+ */
+export const getFeesBreakdown = ({ amount = 0, taxAmount = 0, platformTip = 0, paymentMethod, collective = {} }) => {
+  const totalAmount = amount + taxAmount + platformTip;
+  const paymentProcessor = getPaymentMethodFees(paymentMethod, totalAmount, collective.currency);
+  const hostFee = getHostFee(amount, collective);
+  const platformFee = Math.round(amount * ((collective.platformFeePercent || 0) / 100));
+  const paymentProcessorFee = paymentProcessor.fee;
+
+  return {
+    totalAmount,
+    taxAmount,
+    platformTip,
+    platformFee,
+    hostFee,
+    paymentProcessorFee,
+    paymentProcessor,
+    netAmountForCollective: amount - hostFee - platformFee - paymentProcessorFee,
+    isExact: Boolean(paymentMethod) && paymentProcessor.isExact,
+  };
 };
 
 export default getPaymentMethodFees;
@@ -1,36 +1,253 @@
-import { throttle } from 'lodash';
+import { orderBy, throttle } from 'lodash';
 
-import { getFromLocalStorage, removeFromLocalStorage, setLocalStorage } from './local-storage';
+import {
+  getFromLocalStorage,
+  getLocalStorageKeys,
+  LOCAL_STORAGE_KEYS,
+  removeFromLocalStorage,
+  setLocalStorage,
+} from './local-storage';
 
+const STORAGE_PREFIX = 'formState-';
+
+/**
+ * Owner used for the drafts saved while not logged in. These drafts are moved to the user
+ * when they sign in, see `moveGuestDraftsToUser`.
+ */
+export const GUEST_DRAFT_OWNER = 'guest';
+
+/**
+ * The forms that persist their values as drafts
+ */
+export const DRAFT_FORM_TYPE = {
+  EXPENSE: 'expense',
+  UPDATE: 'update',
+  CONVERSATION: 'conversation',
+  CONTRIBUTION: 'contribution',
+  GIFT_CARDS: 'giftCards',
+};
+
+const getStorageKey = ({ type, contextId, ownerId }) => {
+  return `${STORAGE_PREFIX}${type}-${contextId}-${ownerId || GUEST_DRAFT_OWNER}`;
+};
+
+const parseDraft = (key, value) => {
+  try {
+    const draft = JSON.parse(value);
+    return draft?.type && draft.savedAt ? { ...draft, key } : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+const loadDraftFromKey = key => {
+  const value = getFromLocalStorage(key);
+  return value ? parseDraft(key, value) : null;
+};
+
+/**
+ * Version of the drafts storage, saved in `LOCAL_STORAGE_KEYS.FORM_DRAFTS_VERSION` once the drafts
+ * saved before versioning have been migrated.
+ */
+const DRAFTS_STORAGE_VERSION = 2;
+
+const getCurrentUrl = () =>
+  typeof window !== 'undefined' ? `${window.location.pathname}${window.location.search}` : null;
+
+/**
+ * Before drafts were versioned, the forms stored their raw values under these keys
+ */
+const LEGACY_DRAFT_KEYS = {
+  [DRAFT_FORM_TYPE.CONVERSATION]: {
+    regex: /^formState-conversation-(.+)-(\d+)$/,
+    getKey: ({ contextId, ownerId }) => `${STORAGE_PREFIX}conversation-${contextId}-${ownerId}`,
+    getDraftInfo: collectiveSlug => ({ title: collectiveSlug, url: `/${collectiveSlug}/conversations/new` }),
+  },
+  [DRAFT_FORM_TYPE.EXPENSE]: {
+    getKey: ({ contextId, ownerId }) => `expense-${contextId}=${ownerId}`,
+  },
+};
+
+const parseLegacyValues = value => {
+  try {
+    const values = JSON.parse(value);
+    return values && typeof values === 'object' && !values.savedAt ? values : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+const saveLegacyDraft = (legacyKey, draftInfo, values) => {
+  const draft = { ...draftInfo, version: 1, savedAt: new Date().toISOString(), values };
+  if (legacyKey !== getStorageKey(draft)) {
+    removeFromLocalStorage(legacyKey);
+  }
+
+  setLocalStorage(getStorageKey(draft), JSON.stringify(draft));
+};
+
+/**
+ * Converts the drafts saved by the previous version of the form persister to the current format. Runs
+ * only once per browser. Only the conversation drafts can be converted from their key alone, the expense
+ * drafts are converted when their form gets loaded (see `migrateLegacyDraft`). Other keys are left untouched.
+ */
+export const migrateLegacyDrafts = () => {
+  if (Number(getFromLocalStorage(LOCAL_STORAGE_KEYS.FORM_DRAFTS_VERSION)) >= DRAFTS_STORAGE_VERSION) {
+    return;
+  }
+
+  const { regex, getDraftInfo } = LEGACY_DRAFT_KEYS[DRAFT_FORM_TYPE.CONVERSATION];
+  getLocalStorageKeys().forEach(key => {
+    const match = key.match(regex);
+    const values = match && parseLegacyValues(getFromLocalStorage(key));
+    if (values) {
+      const [, contextId, ownerId] = match;
+      const draftInfo = { type: DRAFT_FORM_TYPE.CONVERSATION, contextId, ownerId: parseInt(ownerId) };
+      saveLegacyDraft(key, { ...draftInfo, ...getDraftInfo(contextId) }, values);
+    }
+  });
+
+  setLocalStorage(LOCAL_STORAGE_KEYS.FORM_DRAFTS_VERSION, String(DRAFTS_STORAGE_VERSION));
+};
+
+/**
+ * Converts the draft saved before versioning for the form described by `draftInfo`, if any.
+ */
+const migrateLegacyDraft = draftInfo => {
+  const legacyDraftKey = LEGACY_DRAFT_KEYS[draftInfo.type];
+  if (legacyDraftKey && draftInfo.ownerId !== GUEST_DRAFT_OWNER) {
+    const legacyKey = legacyDraftKey.getKey(draftInfo);
+    const values = parseLegacyValues(getFromLocalStorage(legacyKey));
+    if (values) {
+      saveLegacyDraft(legacyKey, { ...draftInfo, url: getCurrentUrl() }, values);
+    }
+  }
+};
+
+/**
+ * Persists the values of a form in localStorage so that they can be restored if the page gets
+ * closed or if the connection is lost before the form is submitted.
+ *
+ * Drafts are stored with the version of the form values: when the shape of the values changes,
+ * bump the version so that old drafts get discarded instead of breaking the form.
+ */
 export default class FormPersister {
-  constructor(formId = null, throttlePeriod = 1000) {
-    this.formId = formId;
+  /**
+   * @param {object} draftInfo - see `setDraftInfo`
+   * @param {object} options
+   * @param {number} options.version - version of the form values shape
+   * @param {number} options.throttlePeriod - minimum delay between two saves, in milliseconds
+   */
+  constructor(draftInfo = null, { version = 1, throttlePeriod = 1000 } = {}) {
+    this.version = version;
     this.saveValues = throttle(this.saveValues, throttlePeriod);
+    if (draftInfo) {
+      this.setDraftInfo(draftInfo);
+    }
   }
 
-  setFormId(formId) {
-    this.formId = `formState-${formId}`;
+  /**
+   * @param {object} draftInfo
+   * @param {string} draftInfo.type - one of `DRAFT_FORM_TYPE`
+   * @param {string|number} draftInfo.contextId - identifies the edited entity (collective, update...)
+   * @param {number} draftInfo.ownerId - ID of the logged in user, null for guests
+   * @param {string} draftInfo.title - a short description displayed in the list of drafts
+   */
+  setDraftInfo(draftInfo) {
+    this.draftInfo = { ...draftInfo, ownerId: draftInfo.ownerId || GUEST_DRAFT_OWNER };
+    this.formId = getStorageKey(this.draftInfo);
   }
 
   saveValues(values) {
     if (this.formId) {
-      setLocalStorage(this.formId, JSON.stringify(values));
+      const draft = {
+        ...this.draftInfo,
+        version: this.version,
+        savedAt: new Date().toISOString(),
+        url: getCurrentUrl(),
+        values,
+      };
+
+      setLocalStorage(this.formId, JSON.stringify(draft));
     }
   }
 
-  loadValues() {
-    if (this.formId) {
-      const itemFromStorage = getFromLocalStorage(this.formId);
-      if (itemFromStorage) {
-        return JSON.parse(itemFromStorage);
-      }
+  /**
+   * Returns the saved draft (with its `values` and `savedAt` date), or null if there's none.
+   * Drafts saved with another version of the form are removed.
+   */
+  loadDraft() {
+    if (!this.formId) {
+      return null;
     }
-    return null;
+
+    migrateLegacyDrafts();
+    migrateLegacyDraft(this.draftInfo);
+    const draft = loadDraftFromKey(this.formId);
+    if (draft && draft.version !== this.version) {
+      this.clearValues();
+      return null;
+    }
+
+    return draft;
+  }
+
+  loadValues() {
+    const draft = this.loadDraft();
+    return draft ? draft.values : null;
   }
 
   clearValues() {
+    // Make sure a pending save doesn't restore the draft right after it's cleared
+    this.saveValues.cancel();
     if (this.formId) {
       removeFromLocalStorage(this.formId);
     }
   }
 }
+
+/**
+ * Returns all the drafts saved in this browser for `ownerId`, most recent first.
+ */
+export const getSavedDrafts = ownerId => {
+  const owner = ownerId || GUEST_DRAFT_OWNER;
+  migrateLegacyDrafts();
+  const drafts = getLocalStorageKeys()
+    .filter(key => key.startsWith(STORAGE_PREFIX))
+    .map(loadDraftFromKey)
+    .filter(draft => draft && draft.ownerId === owner);
+
+  return orderBy(drafts, ['savedAt'], ['desc']);
+};
+
+export const removeDraft = draft => {
+  removeFromLocalStorage(draft.key);
+};
+
+/**
+ * Gives the drafts saved as a guest to the user who just signed in. If the user already has a draft
+ * for the same form, the most recent one is kept.
+ *
+ * @returns {number} the number of drafts moved
+ */
+export const moveGuestDraftsToUser = userId => {
+  if (!userId) {
+    return 0;
+  }
+
+  let count = 0;
+  getSavedDrafts(GUEST_DRAFT_OWNER).forEach(draft => {
+    const { key, ...draftContent } = draft;
+    const userDraft = { ...draftContent, ownerId: userId };
+    const userKey = getStorageKey(userDraft);
+    const existingDraft = loadDraftFromKey(userKey);
+    if (!existingDraft || existingDraft.savedAt < draft.savedAt) {
+      setLocalStorage(userKey, JSON.stringify(userDraft));
+      count++;
+    }
+
+    removeFromLocalStorage(key);
+  });
+
+  return count;
+};
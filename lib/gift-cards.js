@@ -0,0 +1,108 @@
+import { parseCSVWithHeaders } from './csv';
+import { isValidEmail } from './utils';
+
+export const GIFT_CARDS_CSV_ERRORS = {
+  MISSING_EMAIL_COLUMN: 'MISSING_EMAIL_COLUMN',
+  INVALID_EMAIL: 'INVALID_EMAIL',
+  DUPLICATE_EMAIL: 'DUPLICATE_EMAIL',
+  INVALID_AMOUNT: 'INVALID_AMOUNT',
+};
+
+/** The columns supported in the recipients CSV. Only `email` is required. */
+export const GIFT_CARDS_CSV_COLUMNS = ['email', 'amount', 'message'];
+
+export const GIFT_CARDS_CSV_TEMPLATE = [
+  GIFT_CARDS_CSV_COLUMNS.join(','),
+  'jane@example.com,50,Thank you for your support!',
+].join('\n');
+
+/**
+ * Parse an amount from a spreadsheet, like `25`, `25.50`, `25,50` or `$1,000.00`.
+ * @returns {number|null} the amount in cents, or null if invalid
+ */
+export const parseCSVAmount = value => {
+  let cleanValue = value.replace(/[^\d.,-]/g, '');
+  if (cleanValue.includes('.')) {
+    cleanValue = cleanValue.replace(/,/g, '');
+  } else {
+    cleanValue = cleanValue.replace(/,(\d{1,2})$/, '.$1').replace(/,/g, '');
+  }
+
+  const amount = parseFloat(cleanValue);
+  return isNaN(amount) || cleanValue === '' ? null : Math.round(amount * 100);
+};
+
+/**
+ * Parse the list of recipients for a gift cards batch from a CSV file. The amount is optional,
+ * `defaultAmount` is used if it's not set.
+ *
+ * @returns {object} { recipients, errors } where errors have a `line` (starting at 1 for the headers) and a `type`
+ */
+export const parseGiftCardsRecipientsCSV = (text, { defaultAmount, minAmount = 0, maxAmount = Infinity } = {}) => {
+  const rows = parseCSVWithHeaders(text);
+  const recipients = [];
+  const errors = [];
+  if (!rows.length || !('email' in rows[0])) {
+    return { recipients, errors: [{ line: 1, type: GIFT_CARDS_CSV_ERRORS.MISSING_EMAIL_COLUMN }] };
+  }
+
+  const emails = new Set();
+  rows.forEach((row, idx) => {
+    const line = idx + 2;
+    const email = row.email.toLowerCase();
+    const amount = row.amount ? parseCSVAmount(row.amount) : defaultAmount;
+    if (!isValidEmail(email)) {
+      errors.push({ line, type: GIFT_CARDS_CSV_ERRORS.INVALID_EMAIL, value: row.email });
+    } else if (emails.has(email)) {
+      errors.push({ line, type: GIFT_CARDS_CSV_ERRORS.DUPLICATE_EMAIL, value: row.email });
+    } else if (!amount || amount < minAmount || amount > maxAmount) {
+      errors.push({ line, type: GIFT_CARDS_CSV_ERRORS.INVALID_AMOUNT, value: row.amount });
+    } else {
+      emails.add(email);
+      recipients.push({ email, amount, customMessage: row.message || null });
+    }
+  });
+
+  return { recipients, errors };
+};
+
+/**
+ * `createGiftCards` takes a single amount and message for all the emails: this groups the recipients
+ * to create the cards with one call per amount and message.
+ *
+ * @returns {Array} a list of { amount, customMessage, emails }
+ */
+export const groupGiftCardsRecipients = recipients => {
+  const groups = new Map();
+  recipients.forEach(({ email, amount, customMessage }) => {
+    const key = JSON.stringify([amount, customMessage]);
+    if (!groups.has(key)) {
+      groups.set(key, { amount, customMessage, emails: [] });
+    }
+
+    groups.get(key).emails.push(email);
+  });
+
+  return Array.from(groups.values());
+};
+
+/**
+ * Returns the link to redeem a gift card, used for the QR codes of the printable cards.
+ */
+export const getGiftCardRedeemUrl = (giftCard, collectiveSlug) => {
+  const code = giftCard.uuid.split('-')[0];
+  const path = collectiveSlug ? `/${collectiveSlug}/redeem/${code}` : `/redeem/${code}`;
+  return `${process.env.WEBSITE_URL}${path}`;
+};
+
+/**
+ * Builds the body for the printable gift cards PDF. The PDF service renders the redeem URL
+ * of each card as a QR code, along with the logo of the emitter and the expiry date.
+ */
+export const getGiftCardsPDFPayload = (cards, collective) => ({
+  collective: collective && { slug: collective.slug, name: collective.name, imageUrl: collective.imageUrl },
+  cards: cards.map(card => ({
+    ...card,
+    redeemUrl: getGiftCardRedeemUrl(card, collective?.slug),
+  })),
+});
@@ -25,7 +25,11 @@ const getUploadProgress = uploadProgressList => {
   }
 };
 
-export const useImageUploader = ({ isMulti, mockImageGenerator, onSuccess, onReject }) => {
+/**
+ * @param {function} parseFile - an optional function to extract data from the files while they're uploading
+ * (eg. receipt parsing). Its result is passed to `onSuccess` as `parsingResult`.
+ */
+export const useImageUploader = ({ isMulti, mockImageGenerator, onSuccess, onReject, parseFile }) => {
   const [isUploading, setUploading] = React.useState(false);
   const [uploadProgressList, setUploadProgressList] = React.useState([]);
   const { addToast } = useToasts();
@@ -37,6 +41,7 @@ export const useImageUploader = ({ isMulti, mockImageGenerator, onSuccess, onRej
       async (acceptedFiles, rejectedFiles) => {
         setUploading(true);
         const filesToUpload = isMulti ? acceptedFiles : [acceptedFiles[0]];
+        const parsingPromise = parseFile ? allSettled(filesToUpload.map(file => parseFile(file))) : [];
         const results = await allSettled(
           filesToUpload.map((file, index) =>
             uploadImageWithXHR(file, {
@@ -50,6 +55,7 @@ export const useImageUploader = ({ isMulti, mockImageGenerator, onSuccess, onRej
           ),
         );
 
+        const parsingResults = await parsingPromise;
         setUploading(false);
 
         const successes = [];
@@ -57,7 +63,12 @@ export const useImageUploader = ({ isMulti, mockImageGenerator, onSuccess, onRej
         results.forEach((result, index) => {
           const fileInfo = pick(filesToUpload[index], ['name', 'size', 'type']);
           if (result.status === 'fulfilled') {
-            successes.push({ url: result.value, ...fileInfo });
+            const success = { url: result.value, ...fileInfo };
+            if (parseFile) {
+              success.parsingResult = get(parsingResults[index], 'value', null);
+            }
+
+            successes.push(success);
           } else {
             failures.push({ message: result.reason, ...fileInfo });
           }
@@ -77,7 +88,7 @@ export const useImageUploader = ({ isMulti, mockImageGenerator, onSuccess, onRej
           addToast({ type: TOAST_TYPE.ERROR, message: `${baseMsg}. ${errorMsg}` });
         }
       },
-      [isMulti, onSuccess, onReject, mockImageGenerator, uploadProgressList],
+      [isMulti, onSuccess, onReject, mockImageGenerator, uploadProgressList, parseFile],
     ),
   };
 };
@@ -0,0 +1,106 @@
+import { encodeDateInterval } from './date-utils';
+import dayjs from './dayjs';
+
+/**
+ * Helpers for the time-series charts of the host reports. All the periods are computed in UTC
+ * to match the data returned by `hostMetricsTimeSeries`.
+ */
+
+export const HOST_CHART_METRICS = {
+  HOST_FEES: 'hostFees',
+  PLATFORM_TIPS: 'platformTips',
+};
+
+export const HOST_CHART_COMPARISONS = {
+  /** This month vs last month, one data point per day */
+  MONTH: 'MONTH',
+  /** This year vs last year, one data point per month */
+  YEAR: 'YEAR',
+};
+
+const getDayjsUnit = comparison => (comparison === HOST_CHART_COMPARISONS.MONTH ? 'month' : 'year');
+
+const getBucketUnit = timeUnit => (timeUnit === 'DAY' ? 'day' : 'month');
+
+/**
+ * Returns the current and the previous period for `comparison`, along with the time unit
+ * and the number of data points of the chart.
+ */
+export const getComparisonPeriods = (comparison, now = new Date()) => {
+  const unit = getDayjsUnit(comparison);
+  const currentStart = dayjs.utc(now).startOf(unit);
+  const previousStart = currentStart.subtract(1, unit);
+  const isMonthly = comparison === HOST_CHART_COMPARISONS.MONTH;
+  return {
+    timeUnit: isMonthly ? 'DAY' : 'MONTH',
+    nbBuckets: isMonthly ? Math.max(currentStart.daysInMonth(), previousStart.daysInMonth()) : 12,
+    current: { dateFrom: currentStart.toISOString(), dateTo: currentStart.endOf(unit).toISOString() },
+    previous: { dateFrom: previousStart.toISOString(), dateTo: previousStart.endOf(unit).toISOString() },
+  };
+};
+
+/**
+ * Converts the nodes of a time series to an array of amounts in cents, with one entry
+ * per day (for `DAY`) or per month (for `MONTH`). Missing data points are set to 0.
+ */
+export const timeSeriesToValues = (nodes, timeUnit, nbBuckets) => {
+  const values = new Array(nbBuckets).fill(0);
+  nodes?.forEach(({ date, amount }) => {
+    const utcDate = dayjs.utc(date);
+    const idx = timeUnit === 'DAY' ? utcDate.date() - 1 : utcDate.month();
+    if (idx < nbBuckets) {
+      values[idx] += Math.abs(amount.valueInCents);
+    }
+  });
+
+  return values;
+};
+
+/** Returns the date interval covered by the data point at `idx` */
+export const getBucketInterval = (period, timeUnit, idx) => {
+  const unit = getBucketUnit(timeUnit);
+  const from = dayjs.utc(period.dateFrom).add(idx, unit);
+  return { from: from.format('YYYY-MM-DD'), to: from.endOf(unit).format('YYYY-MM-DD'), timezoneType: 'UTC' };
+};
+
+/**
+ * Returns the link to the list of transactions that matches a data point of the chart.
+ */
+export const getDrillDownLink = (hostSlug, metric, interval) => {
+  const query = new URLSearchParams({ period: encodeDateInterval(interval) });
+  switch (metric) {
+    case HOST_CHART_METRICS.HOST_FEES:
+      query.set('kind', 'HOST_FEE');
+      return `/${hostSlug}/transactions?${query}`;
+    case HOST_CHART_METRICS.PLATFORM_TIPS:
+      query.set('kind', 'PLATFORM_TIP');
+      return `/${hostSlug}/transactions?${query}`;
+    default:
+      return null;
+  }
+};
+
+/** Returns the change between two amounts as a ratio (0.1 = +10%), or null if it can't be computed */
+export const getVariation = (current, previous) => {
+  return previous ? (current - previous) / previous : null;
+};
+
+const escapeCSVValue = value => {
+  const str = `${value}`;
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * Generates a CSV with one row per data point and one column per series.
+ *
+ * @param {Array<string>} labels - the labels of the data points
+ * @param {Array<{ name: string, data: Array<number> }>} series - with amounts in cents
+ */
+export const getChartCSV = (labels, series) => {
+  const lines = [['Period', ...series.map(s => s.name)]];
+  labels.forEach((label, idx) => {
+    lines.push([label, ...series.map(s => ((s.data[idx] || 0) / 100).toFixed(2))]);
+  });
+
+  return lines.map(line => line.map(escapeCSVValue).join(',')).join('\n');
+};
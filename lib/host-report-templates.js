@@ -0,0 +1,105 @@
+import { orderBy } from 'lodash';
+import { v4 as uuid } from 'uuid';
+
+import { parseCSV } from './csv';
+import { getFromLocalStorage, LOCAL_STORAGE_KEYS, setLocalStorage } from './local-storage';
+
+/**
+ * Report templates are stored in the local storage, under `hostReportTemplates.[hostId]`.
+ */
+
+export const HOST_REPORT_FORMAT = {
+  CSV: 'csv',
+  TXT: 'txt',
+};
+
+/** The MIME type of the files downloaded for each format */
+export const HOST_REPORT_MIME_TYPES = {
+  [HOST_REPORT_FORMAT.CSV]: 'text/csv;charset=utf-8',
+  [HOST_REPORT_FORMAT.TXT]: 'text/plain;charset=utf-8',
+};
+
+/** Number of rows displayed in the preview */
+export const HOST_REPORT_PREVIEW_LIMIT = 10;
+
+const getStorageKey = hostId => `${LOCAL_STORAGE_KEYS.HOST_REPORT_TEMPLATES}.${hostId}`;
+
+/**
+ * Returns the report templates saved in this browser for the host, sorted by name.
+ */
+export const getHostReportTemplates = hostId => {
+  try {
+    const templates = JSON.parse(getFromLocalStorage(getStorageKey(hostId))) || [];
+    return orderBy(templates, ['name'], ['asc']);
+  } catch (e) {
+    return [];
+  }
+};
+
+export const storeHostReportTemplates = (hostId, templates) => {
+  setLocalStorage(getStorageKey(hostId), JSON.stringify(templates));
+};
+
+export const createHostReportTemplate = attributes => ({
+  id: uuid(),
+  name: '',
+  period: 'pastMonth',
+  accounts: [],
+  format: HOST_REPORT_FORMAT.CSV,
+  ...attributes,
+});
+
+/** Adds or replaces `template` in the list */
+export const saveHostReportTemplate = (templates, template) => {
+  const idx = templates.findIndex(t => t.id === template.id);
+  if (idx === -1) {
+    return [...templates, template];
+  } else {
+    return templates.map(t => (t.id === template.id ? template : t));
+  }
+};
+
+export const removeHostReportTemplate = (templates, templateId) => templates.filter(t => t.id !== templateId);
+
+/**
+ * Validates a template, returns an object with the errors (empty if valid).
+ */
+export const validateHostReportTemplate = template => {
+  const errors = {};
+  if (!template.name?.trim()) {
+    errors.name = 'required';
+  }
+
+  return errors;
+};
+
+/**
+ * Builds the URL of the `hostTransactions` REST endpoint.
+ */
+export const getHostReportURL = (hostSlug, params) => {
+  const { dateFrom, dateTo, accountsSlugs, format = HOST_REPORT_FORMAT.TXT } = params || {};
+  const url = new URL(`${process.env.REST_URL}/v2/${hostSlug}/hostTransactions.${format}`);
+
+  if (dateFrom) {
+    url.searchParams.set('dateFrom', dateFrom);
+  }
+  if (dateTo) {
+    url.searchParams.set('dateTo', dateTo);
+  }
+  if (accountsSlugs?.length) {
+    url.searchParams.set('account', accountsSlugs.join(','));
+  }
+
+  return url.toString();
+};
+
+/**
+ * Parses the report returned by the API for the preview. Returns the first `limit` rows, header excluded.
+ * The separator is detected from the header, as TXT reports are not comma-separated.
+ *
+ * @returns {{ headers: Array<string>, rows: Array<Array<string>> }}
+ */
+export const parseCSVPreview = (content, limit = HOST_REPORT_PREVIEW_LIMIT) => {
+  const [headers = [], ...rows] = parseCSV(content);
+  return { headers, rows: rows.slice(0, limit) };
+};
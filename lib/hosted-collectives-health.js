@@ -0,0 +1,168 @@
+import { orderBy } from 'lodash';
+
+import { formatCSV } from './csv';
+import dayjs from './dayjs';
+
+/**
+ * Helpers for the health overview of the hosted collectives. The monthly income is estimated from
+ * `stats.yearlyBudget` and the monthly spending is `stats.monthlySpending` on the API. Amounts
+ * are in the currency of each collective and are compared without conversion when sorting.
+ */
+
+/** Number of months over which `stats.monthlySpending` is averaged by the API */
+export const HEALTH_PERIOD_MONTHS = 3;
+
+/** Collectives without any transaction for this number of months are considered dormant */
+export const DORMANT_AFTER_MONTHS = 6;
+
+export const HOSTED_COLLECTIVES_HEALTH_COLUMNS = {
+  NAME: 'NAME',
+  BALANCE: 'BALANCE',
+  MONTHLY_INCOME: 'MONTHLY_INCOME',
+  MONTHLY_SPENDING: 'MONTHLY_SPENDING',
+  RUNWAY: 'RUNWAY',
+  LAST_ACTIVITY: 'LAST_ACTIVITY',
+  PENDING_EXPENSES: 'PENDING_EXPENSES',
+  ADMINS: 'ADMINS',
+};
+
+export const HOSTED_COLLECTIVES_HEALTH_ALERTS = {
+  NEGATIVE_RUNWAY: 'NEGATIVE_RUNWAY',
+  DORMANT: 'DORMANT',
+};
+
+/**
+ * Returns the number of months the collective can keep spending at its current pace, or null
+ * if it receives more than it spends. Negative when the balance already is and the collective keeps spending.
+ */
+export const getMonthsOfRunway = (balance, monthlyIncome, monthlySpending) => {
+  const monthlyBurn = monthlySpending - monthlyIncome;
+  return monthlyBurn > 0 ? balance / monthlyBurn : null;
+};
+
+/**
+ * Builds the rows of the health table from the hosted collectives and the pending expenses of the host.
+ *
+ * @param {Array} collectives - accounts with `stats`, `transactions` and `members`, see `hostedCollectivesHealthQuery`
+ * @param {Array} pendingExpenses - pending expenses of the host, with their `account`
+ */
+export const getHostedCollectivesHealth = (collectives, pendingExpenses = []) => {
+  const pendingCountByAccount = {};
+  pendingExpenses.forEach(expense => {
+    pendingCountByAccount[expense.account.id] = (pendingCountByAccount[expense.account.id] || 0) + 1;
+  });
+
+  return collectives.map(collective => {
+    const balance = collective.stats?.balance?.valueInCents || 0;
+    const yearlyBudget = collective.stats?.yearlyBudget?.valueInCents || 0;
+    const monthlyIncome = Math.round(yearlyBudget / 12);
+    const monthlySpending = collective.stats?.monthlySpending?.valueInCents || 0;
+    return {
+      collective,
+      currency: collective.currency,
+      balance,
+      monthlyIncome,
+      monthlySpending,
+      runway: getMonthsOfRunway(balance, monthlyIncome, monthlySpending),
+      lastActivityAt: collective.transactions?.nodes?.[0]?.createdAt || null,
+      pendingExpensesCount: pendingCountByAccount[collective.id] || 0,
+      adminsCount: collective.members?.totalCount || 0,
+    };
+  });
+};
+
+/**
+ * Returns the alerts (see `HOSTED_COLLECTIVES_HEALTH_ALERTS`) raised for a row of the health table
+ */
+export const getHealthAlerts = (row, now = new Date()) => {
+  const alerts = [];
+  // A negative balance is a negative runway, even if the collective currently receives more than it spends
+  if (row.balance < 0) {
+    alerts.push(HOSTED_COLLECTIVES_HEALTH_ALERTS.NEGATIVE_RUNWAY);
+  }
+
+  const dormantLimit = dayjs.utc(now).subtract(DORMANT_AFTER_MONTHS, 'month');
+  const lastActivity = row.lastActivityAt || row.collective.createdAt;
+  if (lastActivity && dayjs.utc(lastActivity).isBefore(dormantLimit)) {
+    alerts.push(HOSTED_COLLECTIVES_HEALTH_ALERTS.DORMANT);
+  }
+
+  return alerts;
+};
+
+const getSortValue = (row, column) => {
+  switch (column) {
+    case HOSTED_COLLECTIVES_HEALTH_COLUMNS.NAME:
+      return row.collective.name?.toLowerCase() || '';
+    case HOSTED_COLLECTIVES_HEALTH_COLUMNS.BALANCE:
+      return row.balance;
+    case HOSTED_COLLECTIVES_HEALTH_COLUMNS.MONTHLY_INCOME:
+      return row.monthlyIncome;
+    case HOSTED_COLLECTIVES_HEALTH_COLUMNS.MONTHLY_SPENDING:
+      return row.monthlySpending;
+    case HOSTED_COLLECTIVES_HEALTH_COLUMNS.RUNWAY:
+      // Collectives that receive more than they spend have an infinite runway, unless they are in deficit
+      if (row.runway === null) {
+        return row.balance < 0 ? 0 : Infinity;
+      } else {
+        return row.runway;
+      }
+    case HOSTED_COLLECTIVES_HEALTH_COLUMNS.LAST_ACTIVITY:
+      return row.lastActivityAt ? new Date(row.lastActivityAt).getTime() : 0;
+    case HOSTED_COLLECTIVES_HEALTH_COLUMNS.PENDING_EXPENSES:
+      return row.pendingExpensesCount;
+    case HOSTED_COLLECTIVES_HEALTH_COLUMNS.ADMINS:
+      return row.adminsCount;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Sorts the rows of the health table on `column`, by name when the values are equal
+ *
+ * @param {string} direction - `ASC` or `DESC`
+ */
+export const sortHostedCollectivesHealth = (rows, column, direction = 'DESC') => {
+  return orderBy(
+    rows,
+    [row => getSortValue(row, column), row => getSortValue(row, HOSTED_COLLECTIVES_HEALTH_COLUMNS.NAME)],
+    [direction === 'ASC' ? 'asc' : 'desc', 'asc'],
+  );
+};
+
+const formatAmount = valueInCents => (valueInCents / 100).toFixed(2);
+
+/**
+ * Generates a CSV with one line per row of the health table. Amounts are in the currency of each collective.
+ */
+export const generateHostedCollectivesHealthCSV = (rows, now = new Date()) => {
+  return formatCSV([
+    [
+      'Collective',
+      'Slug',
+      'Currency',
+      'Balance',
+      'Est. monthly income',
+      'Monthly spending',
+      'Months of runway',
+      'Last activity',
+      'Pending expenses',
+      'Admins',
+      'Alerts',
+    ],
+    ...rows.map(row => [
+      row.collective.name,
+      row.collective.slug,
+      row.currency,
+      formatAmount(row.balance),
+      formatAmount(row.monthlyIncome),
+      formatAmount(row.monthlySpending),
+      row.runway === null ? '' : row.runway.toFixed(1),
+      row.lastActivityAt ? dayjs.utc(row.lastActivityAt).format('YYYY-MM-DD') : '',
+      row.pendingExpensesCount,
+      row.adminsCount,
+      getHealthAlerts(row, now).join(' '),
+    ]),
+  ]);
+};
@@ -19,6 +19,10 @@ const TypesI18n = defineMessages({
     id: 'CollectiveType.Event',
     defaultMessage: '{count, plural, one {Event} other {Events}}',
   },
+  [CollectiveType.FUND]: {
+    id: 'CollectiveType.Fund',
+    defaultMessage: '{count, plural, one {Fund} other {Funds}}',
+  },
   [CollectiveType.PROJECT]: {
     id: 'CollectiveType.Project',
     defaultMessage: '{count, plural, one {Project} other {Projects}}',
@@ -0,0 +1,61 @@
+/**
+ * Rich previews for the links pasted in the `RichTextEditor`. Videos are embedded by the editor,
+ * GitHub issues and pull requests are rendered as cards built from the URL, without calling the
+ * GitHub API from the browser.
+ */
+
+export const LINK_PREVIEW_TYPE = {
+  YOUTUBE: 'YOUTUBE',
+  GITHUB_ISSUE: 'GITHUB_ISSUE',
+  GITHUB_PULL_REQUEST: 'GITHUB_PULL_REQUEST',
+};
+
+const YOUTUBE_REGEX = /^https?:\/\/(?:www\.)?(?:youtube\.com\/watch\?(?:.*&)?v=|youtu\.be\/)([\w-]{11})/i;
+const GITHUB_REGEX = /^https?:\/\/(?:www\.)?github\.com\/([\w.-]+)\/([\w.-]+)\/(issues|pull)\/(\d+)\/?(?:[?#].*)?$/i;
+
+/**
+ * Returns the preview info for `url`, or null if this link doesn't have a rich preview.
+ */
+export const getLinkPreviewInfo = url => {
+  const trimmedUrl = url?.trim();
+  if (!trimmedUrl) {
+    return null;
+  }
+
+  const youtubeMatch = trimmedUrl.match(YOUTUBE_REGEX);
+  if (youtubeMatch) {
+    return { type: LINK_PREVIEW_TYPE.YOUTUBE, url: trimmedUrl, id: youtubeMatch[1] };
+  }
+
+  const githubMatch = trimmedUrl.match(GITHUB_REGEX);
+  if (githubMatch) {
+    const [, owner, repo, kind, number] = githubMatch;
+    return {
+      type: kind === 'pull' ? LINK_PREVIEW_TYPE.GITHUB_PULL_REQUEST : LINK_PREVIEW_TYPE.GITHUB_ISSUE,
+      url: trimmedUrl,
+      owner,
+      repo,
+      number: parseInt(number, 10),
+    };
+  }
+
+  return null;
+};
+
+const escapeHTML = str => {
+  return `${str}`.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+};
+
+/**
+ * Renders a GitHub preview as a card. It's a regular link, so it stays usable where
+ * the styles of the card are not available.
+ */
+export const getGithubPreviewHTML = preview => {
+  const kind = preview.type === LINK_PREVIEW_TYPE.GITHUB_PULL_REQUEST ? 'Pull request' : 'Issue';
+  return (
+    `<a href="${escapeHTML(preview.url)}" class="link-preview link-preview--github">` +
+    `<strong>${escapeHTML(preview.owner)}/${escapeHTML(preview.repo)}#${preview.number}</strong> ` +
+    `<small>${kind}</small>` +
+    `</a>`
+  );
+};
@@ -5,6 +5,10 @@ export const LOCAL_STORAGE_KEYS = {
   ACCESS_TOKEN: 'accessToken',
   GUEST_TOKENS: 'guestTokens',
   HOST_DASHBOARD_FILTER_PREFERENCES: 'hostDashBoardFilterPreferences',
+  SAVED_FILTER_VIEWS: 'savedFilterViews',
+  FORM_DRAFTS_VERSION: 'formDraftsVersion',
+  DISPLAY_CURRENCY: 'displayCurrency',
+  HOST_REPORT_TEMPLATES: 'hostReportTemplates',
 };
 
 // The below helpers use a try-catch to gracefully fallback in these scenarios:
@@ -53,3 +57,15 @@ export const removeFromLocalStorage = key => {
     // Ignore errors
   }
 };
+
+/**
+ * A helper to list the keys stored in localStorage.
+ * Returns an empty array if storage is unavailable.
+ */
+export const getLocalStorageKeys = () => {
+  try {
+    return Object.keys(window.localStorage);
+  } catch (e) {
+    return [];
+  }
+};
@@ -0,0 +1,467 @@
+/**
+ * Conversions between the HTML produced by the `RichTextEditor` (Trix) and Markdown, used by the
+ * Markdown source mode of the editor. Only the subset supported by the editor is converted:
+ * paragraphs, headings, quotes, code blocks, lists, tables, links, images and basic formatting.
+ *
+ * Elements that can't be represented in Markdown (embedded videos, link previews) are kept as raw
+ * HTML blocks, so `markdownToHTML(htmlToMarkdown(html))` preserves the content. Only the embeds
+ * produced by the editor are allowed: they are rebuilt from a whitelist, any other HTML is escaped.
+ */
+
+import { getGithubPreviewHTML, getLinkPreviewInfo, LINK_PREVIEW_TYPE } from './link-previews';
+
+const escapeHTML = str => str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const escapeAttribute = str => escapeHTML(str).replace(/"/g, '&quot;');
+
+const unescapeHTML = str => {
+  return str
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+};
+
+const isSafeURL = url => /^(https?:\/\/|mailto:|\/|#)/i.test(url);
+
+// ---- Markdown -> HTML ----
+
+// Escaped characters and code are matched together, as a backslash before a backtick doesn't start a code span
+const INLINE_ESCAPED_CHAR_OR_CODE = /\\([\\`*_{}[\]()#+\-.!~|<>])|`([^`]+)`/g;
+
+/** Renders the inline Markdown of `text` (formatting, links, images, code) to HTML */
+const renderInline = text => {
+  const placeholders = [];
+  const protect = html => {
+    placeholders.push(html);
+    return `\uE000${placeholders.length - 1}\uE000`;
+  };
+
+  let result = text
+    .replace(INLINE_ESCAPED_CHAR_OR_CODE, (_, char, code) => {
+      return protect(char ? escapeHTML(char) : `<code>${escapeHTML(code)}</code>`);
+    })
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, src) => {
+      return isSafeURL(src) ? protect(`<img src="${escapeAttribute(src)}" alt="${escapeAttribute(alt)}">`) : match;
+    })
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, content, href) => {
+      // The content of the link is formatted with the rest of the text
+      return isSafeURL(href) ? `${protect(`<a href="${escapeAttribute(href)}">`)}${content}${protect('</a>')}` : match;
+    });
+
+  result = escapeHTML(result)
+    .replace(/\*\*(\S(?:.*?\S)?)\*\*/g, '<strong>$1</strong>')
+    .replace(/~~(\S(?:.*?\S)?)~~/g, '<del>$1</del>')
+    .replace(/\*(\S(?:.*?\S)?)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(\S(?:.*?\S)?)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/\n/g, '<br>');
+
+  // Placeholders can be nested (eg. code in a link)
+  while (result.includes('\uE000')) {
+    result = result.replace(/\uE000(\d+)\uE000/g, (_, idx) => placeholders[idx]);
+  }
+
+  return result;
+};
+
+const LIST_ITEM_REGEX = /^(\s*)([-*+]|\d+\.)\s+(.*)$/;
+const TABLE_SEPARATOR_REGEX = /^\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/** Splits a table row on the `|` that are not escaped */
+const splitTableRow = line => {
+  return line
+    .trim()
+    .replace(/\\\|/g, '\uE001')
+    .replace(/^\||\|$/g, '')
+    .split('|')
+    .map(cell => cell.trim().replace(/\uE001/g, '|'));
+};
+
+const renderTable = lines => {
+  const [headers, , ...rows] = lines.map(splitTableRow);
+  const renderRow = (cells, tag) => `<tr>${cells.map(cell => `<${tag}>${renderInline(cell)}</${tag}>`).join('')}</tr>`;
+  const body = rows.length ? `<tbody>${rows.map(row => renderRow(row, 'td')).join('')}</tbody>` : '';
+  return `<table><thead>${renderRow(headers, 'th')}</thead>${body}</table>`;
+};
+
+/** Renders consecutive list lines to nested `<ul>`/`<ol>` */
+const renderList = lines => {
+  const root = { children: [] };
+  const stack = [{ indent: -1 }];
+  lines.forEach(line => {
+    const match = line.match(LIST_ITEM_REGEX);
+    if (!match) {
+      // Continuation of the previous item
+      const lastItem = stack[stack.length - 1].item;
+      lastItem.text += `\n${line.trim()}`;
+      return;
+    }
+
+    const [, spaces, marker, text] = match;
+    const indent = spaces.length;
+    while (stack.length > 1 && indent <= stack[stack.length - 1].indent) {
+      stack.pop();
+    }
+
+    const parent = stack[stack.length - 1].item || root;
+    const type = /\d/.test(marker) ? 'ol' : 'ul';
+    let list = parent.children[parent.children.length - 1];
+    if (!list || list.type !== type) {
+      list = { type, items: [] };
+      parent.children.push(list);
+    }
+
+    const item = { text, children: [] };
+    list.items.push(item);
+    stack.push({ indent, item });
+  });
+
+  const renderLists = lists => {
+    return lists
+      .map(list => {
+        const items = list.items.map(item => `<li>${renderInline(item.text)}${renderLists(item.children)}</li>`);
+        return `<${list.type}>${items.join('')}</${list.type}>`;
+      })
+      .join('');
+  };
+
+  return renderLists(root.children);
+};
+
+const EMBED_IFRAME_REGEX = /^<iframe\s([^>]*?)\/?>(?:<\/iframe>)?$/i;
+const EMBED_IFRAME_SRC_REGEX = /^https:\/\/(www\.youtube-nocookie\.com\/embed|player\.vimeo\.com\/video|anchor\.fm)\//i;
+const EMBED_IFRAME_ATTRIBUTES = ['src', 'width', 'height', 'frameborder', 'allowfullscreen'];
+const LINK_PREVIEW_REGEX = /^<a\s[^>]*?href="([^"]+)"[^>]*?class="link-preview[^]*<\/a>$/i;
+
+/** Returns the whitelisted attributes of an iframe, in their original order */
+const getEmbedIframeAttributes = str => {
+  return Array.from(str.matchAll(/([\w-]+)(?:="([^"]*)")?/g))
+    .map(([, name, value = '']) => [name.toLowerCase(), unescapeHTML(value)])
+    .filter(([name]) => EMBED_IFRAME_ATTRIBUTES.includes(name));
+};
+
+/**
+ * Rebuilds the raw HTML of the embeds inserted by the editor (videos and link previews). Returns
+ * null for any other HTML, which is then rendered (and escaped) as text.
+ */
+const renderEmbed = text => {
+  const iframeMatch = text.trim().match(EMBED_IFRAME_REGEX);
+  if (iframeMatch) {
+    const attributes = getEmbedIframeAttributes(iframeMatch[1]);
+    const src = attributes.find(([name]) => name === 'src')?.[1];
+    if (!src || !EMBED_IFRAME_SRC_REGEX.test(src)) {
+      return null;
+    }
+
+    const attributesHTML = attributes.map(([name, value]) => `${name}="${escapeAttribute(value)}"`).join(' ');
+    return `<iframe ${attributesHTML}></iframe>`;
+  }
+
+  const linkPreviewMatch = text.trim().match(LINK_PREVIEW_REGEX);
+  if (linkPreviewMatch) {
+    const preview = getLinkPreviewInfo(unescapeHTML(linkPreviewMatch[1]));
+    return preview && preview.type !== LINK_PREVIEW_TYPE.YOUTUBE ? getGithubPreviewHTML(preview) : null;
+  }
+
+  return null;
+};
+
+/**
+ * Converts Markdown to HTML, using the same structure as the HTML produced by Trix: consecutive
+ * paragraphs are grouped in a `<div>` and separated by empty lines (`<br><br>`).
+ */
+export const markdownToHTML = markdown => {
+  const lines = (markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraphs = [];
+
+  const flushParagraphs = () => {
+    if (paragraphs.length) {
+      blocks.push(`<div>${paragraphs.map(renderInline).join('<br><br>')}</div>`);
+      paragraphs = [];
+    }
+  };
+
+  const pushBlock = html => {
+    flushParagraphs();
+    blocks.push(html);
+  };
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (/^```/.test(line)) {
+      const codeLines = [];
+      i++;
+      while (i < lines.length && !/^```/.test(lines[i])) {
+        codeLines.push(lines[i]);
+        i++;
+      }
+      i++; // Closing fence
+      pushBlock(`<pre>${codeLines.map(escapeHTML).join('<br>')}</pre>`);
+    } else if (/^#{1,6}\s+/.test(line)) {
+      const [, level, text] = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+      const tag = level.length === 1 ? 'h3' : 'h4';
+      pushBlock(`<${tag}>${renderInline(text)}</${tag}>`);
+      i++;
+    } else if (/^>/.test(line)) {
+      const quoteLines = [];
+      while (i < lines.length && /^>/.test(lines[i])) {
+        quoteLines.push(lines[i].replace(/^>\s?/, ''));
+        i++;
+      }
+      pushBlock(`<blockquote>${renderInline(quoteLines.join('\n'))}</blockquote>`);
+    } else if (LIST_ITEM_REGEX.test(line) && !/^\s*[-*+]\s*$/.test(line)) {
+      const listLines = [];
+      while (i < lines.length && lines[i].trim() && (LIST_ITEM_REGEX.test(lines[i]) || /^\s+/.test(lines[i]))) {
+        listLines.push(lines[i]);
+        i++;
+      }
+      pushBlock(renderList(listLines));
+    } else if (/^\s*\|/.test(line) && TABLE_SEPARATOR_REGEX.test(lines[i + 1] || '')) {
+      const tableLines = [];
+      while (i < lines.length && /^\s*\|/.test(lines[i])) {
+        tableLines.push(lines[i]);
+        i++;
+      }
+      pushBlock(renderTable(tableLines));
+    } else if (/^\s*(-{3,}|\*{3,})\s*$/.test(line)) {
+      pushBlock('<hr>');
+      i++;
+    } else if (!line.trim()) {
+      i++;
+    } else {
+      const paragraphLines = [];
+      const isBlockStart = line => /^(```|#{1,6}\s|>|\s*\|)/.test(line) || LIST_ITEM_REGEX.test(line);
+      while (i < lines.length && lines[i].trim() && (!paragraphLines.length || !isBlockStart(lines[i]))) {
+        paragraphLines.push(lines[i]);
+        i++;
+      }
+
+      const text = paragraphLines.join('\n');
+      const embed = renderEmbed(text);
+      if (embed) {
+        pushBlock(embed);
+      } else {
+        paragraphs.push(text);
+      }
+    }
+  }
+
+  flushParagraphs();
+  return blocks.join('');
+};
+
+// ---- HTML -> Markdown ----
+
+const escapeMarkdown = text => text.replace(/([\\`*_~[\]|])/g, '\\$1');
+
+/** Escapes the characters that would start a block at the beginning of a line */
+const escapeLineStart = line => {
+  return line
+    .replace(/^(\s*)([#>+|<])/, '$1\\$2')
+    .replace(/^(\s*)([-*])(\s)/, '$1\\$2$3')
+    .replace(/^(\s*\d+)\.(\s)/, '$1\\.$2');
+};
+
+/** Moves the spaces out of the markers, as `** bold **` is not valid Markdown */
+const wrapInline = (content, marker) => {
+  const [, before, text, after] = content.match(/^(\s*)([^]*?)(\s*)$/);
+  return text ? `${before}${marker}${text}${marker}${after}` : content;
+};
+
+const renderInlineNodes = nodes => Array.from(nodes).map(renderInlineNode).join('');
+
+const renderInlineNode = node => {
+  if (node.nodeType === 3) {
+    return escapeMarkdown(node.textContent.replace(/\n/g, ' '));
+  } else if (node.nodeType !== 1) {
+    return '';
+  }
+
+  const tag = node.tagName.toLowerCase();
+  switch (tag) {
+    case 'br':
+      return '\n';
+    case 'strong':
+    case 'b':
+      return wrapInline(renderInlineNodes(node.childNodes), '**');
+    case 'em':
+    case 'i':
+      return wrapInline(renderInlineNodes(node.childNodes), '*');
+    case 'del':
+    case 's':
+    case 'strike':
+      return wrapInline(renderInlineNodes(node.childNodes), '~~');
+    case 'code':
+      return `\`${node.textContent}\``;
+    case 'a': {
+      const href = node.getAttribute('href');
+      const content = renderInlineNodes(node.childNodes);
+      return href ? `[${content}](${href})` : content;
+    }
+    case 'img':
+      return `![${escapeMarkdown(node.getAttribute('alt') || '')}](${node.getAttribute('src')})`;
+    default:
+      return renderInlineNodes(node.childNodes);
+  }
+};
+
+const renderListNode = (listNode, indent = '') => {
+  const isOrdered = listNode.tagName.toLowerCase() === 'ol';
+  return Array.from(listNode.children)
+    .filter(item => item.tagName.toLowerCase() === 'li')
+    .map((item, idx) => {
+      const marker = isOrdered ? `${idx + 1}.` : '-';
+      const childIndent = `${indent}${' '.repeat(marker.length + 1)}`;
+      const inlineNodes = Array.from(item.childNodes).filter(child => !/^(ul|ol)$/i.test(child.tagName));
+      const text = renderInlineNodes(inlineNodes).trim().replace(/\n/g, `\n${childIndent}`);
+      const nestedLists = Array.from(item.children)
+        .filter(child => /^(ul|ol)$/i.test(child.tagName))
+        .map(child => `\n${renderListNode(child, childIndent)}`)
+        .join('');
+
+      return `${indent}${marker} ${text}${nestedLists}`;
+    })
+    .join('\n');
+};
+
+const renderTableNode = tableNode => {
+  const rows = Array.from(tableNode.querySelectorAll('tr')).map(row =>
+    Array.from(row.children).map(cell => renderInlineNodes(cell.childNodes).replace(/\n/g, ' ').trim()),
+  );
+
+  if (!rows.length) {
+    return '';
+  }
+
+  const renderRow = cells => `| ${cells.join(' | ')} |`;
+  const separator = renderRow(rows[0].map(() => '---'));
+  return [renderRow(rows[0]), separator, ...rows.slice(1).map(renderRow)].join('\n');
+};
+
+/** Renders the text of a paragraph, where empty lines (`<br><br>`) separate the paragraphs */
+const renderParagraphs = nodes => {
+  return renderInlineNodes(nodes)
+    .split(/\n{2,}/)
+    .map(paragraph => paragraph.split('\n').map(escapeLineStart).join('\n').trim())
+    .filter(Boolean);
+};
+
+const BLOCK_TAGS = [
+  'h1',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+  'blockquote',
+  'pre',
+  'ul',
+  'ol',
+  'table',
+  'hr',
+  'iframe',
+  'figure',
+  'div',
+  'p',
+  'section',
+  'article',
+];
+
+const renderBlockNode = node => {
+  if (node.nodeType === 3) {
+    return node.textContent.trim() ? renderParagraphs([node]) : [];
+  } else if (node.nodeType !== 1) {
+    return [];
+  }
+
+  const tag = node.tagName.toLowerCase();
+  switch (tag) {
+    case 'h1':
+    case 'h2':
+    case 'h3':
+      return [`# ${renderInlineNodes(node.childNodes).replace(/\n/g, ' ').trim()}`];
+    case 'h4':
+    case 'h5':
+    case 'h6':
+      return [`## ${renderInlineNodes(node.childNodes).replace(/\n/g, ' ').trim()}`];
+    case 'blockquote':
+      return [
+        renderInlineNodes(node.childNodes)
+          .trim()
+          .split('\n')
+          .map(line => `> ${line}`.trimEnd())
+          .join('\n'),
+      ];
+    case 'pre': {
+      const code = Array.from(node.childNodes)
+        .map(child => (child.nodeName === 'BR' ? '\n' : child.textContent))
+        .join('');
+      return [`\`\`\`\n${code}\n\`\`\``];
+    }
+    case 'ul':
+    case 'ol':
+      return [renderListNode(node)];
+    case 'table':
+      return [renderTableNode(node)];
+    case 'hr':
+      return ['---'];
+    case 'iframe':
+      return [node.outerHTML];
+    case 'figure': {
+      const img = node.querySelector('img');
+      const content = Array.from(node.children).find(child => child.tagName.toLowerCase() !== 'figcaption');
+      if (img) {
+        return [renderInlineNode(img)];
+      } else if (content) {
+        // Content attachments: tables are converted, other embeds (videos, link previews) are kept as HTML
+        return content.tagName.toLowerCase() === 'table' ? renderBlockNode(content) : [content.outerHTML];
+      } else {
+        // File attachments
+        const attachment = JSON.parse(node.getAttribute('data-trix-attachment') || '{}');
+        return attachment.url ? [`[${escapeMarkdown(attachment.filename || attachment.url)}](${attachment.url})`] : [];
+      }
+    }
+    case 'div':
+    case 'p':
+    case 'section':
+    case 'article': {
+      // Divs can contain other blocks (eg. a figure from Trix)
+      const results = [];
+      let inlineNodes = [];
+      const flushInlineNodes = () => {
+        results.push(...renderParagraphs(inlineNodes));
+        inlineNodes = [];
+      };
+
+      Array.from(node.childNodes).forEach(child => {
+        if (child.nodeType === 1 && BLOCK_TAGS.includes(child.tagName.toLowerCase())) {
+          flushInlineNodes();
+          results.push(...renderBlockNode(child));
+        } else {
+          inlineNodes.push(child);
+        }
+      });
+
+      flushInlineNodes();
+      return results;
+    }
+    default:
+      return renderParagraphs([node]);
+  }
+};
+
+/**
+ * Converts the HTML of the editor to Markdown. Requires a DOM (`DOMParser`).
+ */
+export const htmlToMarkdown = html => {
+  if (!html) {
+    return '';
+  }
+
+  const document = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+  return Array.from(document.body.childNodes)
+    .flatMap(node => renderBlockNode(node))
+    .join('\n\n');
+};
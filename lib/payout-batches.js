@@ -0,0 +1,285 @@
+import { groupBy, sumBy } from 'lodash';
+
+import { PayoutMethodType } from './constants/payout-method';
+import { formatCSV } from './csv';
+
+/**
+ * Helpers to pay the approved expenses of a host in batches, through the bank of the host
+ * rather than through an integration. The batch can be exported as a SEPA credit transfer
+ * (pain.001.001.03) or as a generic CSV, then all the expenses get marked as paid at once.
+ */
+
+export const PAYOUT_BATCH_EXPORT_FORMATS = {
+  SEPA: 'SEPA',
+  CSV: 'CSV',
+};
+
+export const SEPA_INELIGIBILITY_REASONS = {
+  NOT_EUR: 'NOT_EUR',
+  MISSING_IBAN: 'MISSING_IBAN',
+};
+
+/** Balance is paid internally, there's nothing to transfer for these */
+const NON_BATCHABLE_PAYOUT_METHOD_TYPES = [PayoutMethodType.ACCOUNT_BALANCE];
+
+/** Characters allowed in the text fields of SEPA files */
+const SEPA_FORBIDDEN_CHARS_REGEX = /[^a-zA-Z0-9/\-?:().,'+ ]/g;
+
+const formatDecimalAmount = amount => (amount / 100).toFixed(2);
+
+/** IBANs and BICs are often entered with spaces or dashes */
+const normalizeBankIdentifier = value => (value ? value.replace(/[^a-zA-Z0-9]/g, '').toUpperCase() : null);
+
+/**
+ * Returns true if `expense` can be added to a payout batch
+ */
+export const canAddExpenseToPayoutBatch = expense => {
+  return Boolean(
+    expense.permissions?.canPay && !NON_BATCHABLE_PAYOUT_METHOD_TYPES.includes(expense.payoutMethod?.type),
+  );
+};
+
+/**
+ * Returns the key of the group of `expense` in the batch: expenses are grouped by payout method and currency
+ */
+export const getPayoutBatchGroupKey = expense =>
+  `${expense.payoutMethod?.type || PayoutMethodType.OTHER}-${expense.currency}`;
+
+/**
+ * Groups the expenses by payout method type and currency, sorted to have the bank accounts first.
+ *
+ * @returns {Array<{ key: string, payoutMethodType: string, currency: string, expenses: Array, totalAmount: number }>}
+ */
+export const groupExpensesForPayoutBatch = expenses => {
+  const groups = groupBy(expenses, getPayoutBatchGroupKey);
+  const typesOrder = Object.values(PayoutMethodType);
+  return Object.keys(groups)
+    .map(key => ({
+      key,
+      payoutMethodType: groups[key][0].payoutMethod?.type || PayoutMethodType.OTHER,
+      currency: groups[key][0].currency,
+      expenses: groups[key],
+      totalAmount: sumBy(groups[key], 'amount'),
+    }))
+    .sort((a, b) => {
+      const typeDiff = typesOrder.indexOf(a.payoutMethodType) - typesOrder.indexOf(b.payoutMethodType);
+      return typeDiff || a.currency.localeCompare(b.currency);
+    });
+};
+
+/**
+ * Returns the fee for `expense`, from the fees per transfer set for each group of the batch.
+ *
+ * @param {object} feesPerTransfer - fees in cents, indexed by group key
+ */
+export const getPayoutBatchFee = (expense, feesPerTransfer = {}) => {
+  return feesPerTransfer[getPayoutBatchGroupKey(expense)] || 0;
+};
+
+/**
+ * Checks, for each collective, that the balance covers the amounts of its expenses and the fees.
+ * The check can't be done when the expenses are not in the currency of the balance, `isSufficient`
+ * is null in this case.
+ *
+ * @returns {Array<{ account: object, currency: string, balance: number, totalAmount: number, isSufficient: boolean|null }>}
+ */
+export const getPayoutBatchBalanceChecks = (expenses, feesPerTransfer) => {
+  const byAccount = groupBy(expenses, 'account.id');
+  return Object.values(byAccount).map(accountExpenses => {
+    const { account } = accountExpenses[0];
+    const balance = account.stats?.balanceWithBlockedFunds;
+    const currency = balance?.currency || account.currency;
+    const totalAmount = sumBy(accountExpenses, expense => expense.amount + getPayoutBatchFee(expense, feesPerTransfer));
+    const canCheck = Boolean(balance) && accountExpenses.every(expense => expense.currency === currency);
+    return {
+      account,
+      currency,
+      balance: balance?.valueInCents ?? null,
+      totalAmount,
+      isSufficient: canCheck ? balance.valueInCents >= totalAmount : null,
+    };
+  });
+};
+
+/**
+ * Returns the details of a bank account payout method, normalized across the formats
+ * of the different countries.
+ */
+export const getBankAccountDetails = payoutMethod => {
+  const data = payoutMethod?.data || {};
+  const details = data.details || {};
+  return {
+    accountHolderName: data.accountHolderName || details.accountHolderName || null,
+    iban: normalizeBankIdentifier(details.IBAN || details.iban),
+    bic: normalizeBankIdentifier(details.BIC || details.bic || details.swiftCode),
+    accountNumber: details.accountNumber || details.clabe || details.bankgiroNumber || null,
+    bankCode: details.sortCode || details.abartn || details.bsbCode || details.ifscCode || details.bankCode || null,
+  };
+};
+
+/**
+ * Returns the reason why `expense` can't be paid with a SEPA credit transfer, or null if it can.
+ */
+export const getSEPAIneligibilityReason = expense => {
+  if (expense.currency !== 'EUR') {
+    return SEPA_INELIGIBILITY_REASONS.NOT_EUR;
+  } else if (expense.payoutMethod?.type !== PayoutMethodType.BANK_ACCOUNT) {
+    return SEPA_INELIGIBILITY_REASONS.MISSING_IBAN;
+  } else if (!getBankAccountDetails(expense.payoutMethod).iban) {
+    return SEPA_INELIGIBILITY_REASONS.MISSING_IBAN;
+  } else {
+    return null;
+  }
+};
+
+/**
+ * The reference displayed on the bank statement of the payee
+ */
+export const getPayoutBatchReference = expense => `Expense ${expense.legacyId} - ${expense.description}`;
+
+/**
+ * SEPA only allows a subset of the latin characters, the accents are removed and the other
+ * characters replaced by spaces.
+ */
+export const sanitizeSEPAText = (text, maxLength) => {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(SEPA_FORBIDDEN_CHARS_REGEX, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, maxLength);
+};
+
+const formatISODateTime = date => date.toISOString().replace(/\.\d{3}Z$/, '');
+
+/**
+ * Generates a SEPA credit transfer initiation (pain.001.001.03) to upload on the bank of the host.
+ * Only the expenses eligible for SEPA (see `getSEPAIneligibilityReason`) must be passed.
+ *
+ * @param {object} params
+ *  - batchId: a unique identifier for the batch, max 35 characters
+ *  - debtor: the bank account of the host, as `{ name, iban, bic }`
+ *  - expenses: the expenses to pay, with their `payoutMethod` and `payee`
+ *  - executionDate: the requested execution date, as `YYYY-MM-DD`
+ *  - now: the creation date of the file
+ */
+export const generateSEPACreditTransfer = ({ batchId, debtor, expenses, executionDate, now = new Date() }) => {
+  const messageId = sanitizeSEPAText(batchId, 35);
+  const debtorName = sanitizeSEPAText(debtor.name, 70);
+  const totalAmount = formatDecimalAmount(sumBy(expenses, 'amount'));
+  const debtorBIC = normalizeBankIdentifier(debtor.bic);
+  const debtorAgent = debtorBIC ? `<BIC>${debtorBIC}</BIC>` : '<Othr><Id>NOTPROVIDED</Id></Othr>';
+  const transactions = expenses.map(expense => {
+    const bankAccount = getBankAccountDetails(expense.payoutMethod);
+    const creditorName = bankAccount.accountHolderName || expense.payee.name;
+    const lines = [
+      '      <CdtTrfTxInf>',
+      `        <PmtId><EndToEndId>EXPENSE-${expense.legacyId}</EndToEndId></PmtId>`,
+      `        <Amt><InstdAmt Ccy="EUR">${formatDecimalAmount(expense.amount)}</InstdAmt></Amt>`,
+    ];
+
+    if (bankAccount.bic) {
+      lines.push(`        <CdtrAgt><FinInstnId><BIC>${bankAccount.bic}</BIC></FinInstnId></CdtrAgt>`);
+    }
+
+    lines.push(
+      `        <Cdtr><Nm>${sanitizeSEPAText(creditorName, 70)}</Nm></Cdtr>`,
+      `        <CdtrAcct><Id><IBAN>${bankAccount.iban}</IBAN></Id></CdtrAcct>`,
+      `        <RmtInf><Ustrd>${sanitizeSEPAText(getPayoutBatchReference(expense), 140)}</Ustrd></RmtInf>`,
+      '      </CdtTrfTxInf>',
+    );
+
+    return lines.join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pain.001.001.03" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">',
+    '  <CstmrCdtTrfInitn>',
+    '    <GrpHdr>',
+    `      <MsgId>${messageId}</MsgId>`,
+    `      <CreDtTm>${formatISODateTime(now)}</CreDtTm>`,
+    `      <NbOfTxs>${expenses.length}</NbOfTxs>`,
+    `      <CtrlSum>${totalAmount}</CtrlSum>`,
+    `      <InitgPty><Nm>${debtorName}</Nm></InitgPty>`,
+    '    </GrpHdr>',
+    '    <PmtInf>',
+    `      <PmtInfId>${messageId}</PmtInfId>`,
+    '      <PmtMtd>TRF</PmtMtd>',
+    '      <BtchBookg>true</BtchBookg>',
+    `      <NbOfTxs>${expenses.length}</NbOfTxs>`,
+    `      <CtrlSum>${totalAmount}</CtrlSum>`,
+    '      <PmtTpInf><SvcLvl><Cd>SEPA</Cd></SvcLvl></PmtTpInf>',
+    `      <ReqdExctnDt>${executionDate}</ReqdExctnDt>`,
+    `      <Dbtr><Nm>${debtorName}</Nm></Dbtr>`,
+    `      <DbtrAcct><Id><IBAN>${normalizeBankIdentifier(debtor.iban)}</IBAN></Id></DbtrAcct>`,
+    `      <DbtrAgt><FinInstnId>${debtorAgent}</FinInstnId></DbtrAgt>`,
+    '      <ChrgBr>SLEV</ChrgBr>',
+    ...transactions,
+    '    </PmtInf>',
+    '  </CstmrCdtTrfInitn>',
+    '</Document>',
+    '',
+  ].join('\n');
+};
+
+const getPayoutMethodAccount = payoutMethod => {
+  switch (payoutMethod?.type) {
+    case PayoutMethodType.BANK_ACCOUNT:
+      return getBankAccountDetails(payoutMethod);
+    case PayoutMethodType.PAYPAL:
+      return { accountNumber: payoutMethod.data?.email };
+    default:
+      return { accountNumber: payoutMethod?.data?.content?.replace(/\s+/g, ' ') };
+  }
+};
+
+/**
+ * Generates a CSV with one transfer per line, that can be imported in most banks or used to
+ * enter the transfers by hand.
+ */
+export const generatePayoutBatchCSV = expenses => {
+  const headers = [
+    'Reference',
+    'Collective',
+    'Payee',
+    'Account holder',
+    'Payout method',
+    'IBAN',
+    'Account number',
+    'BIC / SWIFT',
+    'Bank code',
+    'Currency',
+    'Amount',
+  ];
+
+  const rows = expenses.map(expense => {
+    const account = getPayoutMethodAccount(expense.payoutMethod);
+    return [
+      getPayoutBatchReference(expense),
+      expense.account.name,
+      expense.payee.name,
+      account.accountHolderName || expense.payee.name,
+      expense.payoutMethod?.type || PayoutMethodType.OTHER,
+      account.iban,
+      account.accountNumber,
+      account.bic,
+      account.bankCode,
+      expense.currency,
+      formatDecimalAmount(expense.amount),
+    ];
+  });
+
+  return formatCSV([headers, ...rows]);
+};
+
+/**
+ * Returns the variables of the `processExpense` mutation to mark `expense` as paid manually, as the
+ * transfer has been sent from the bank of the host.
+ */
+export const getPayoutBatchPaymentVariables = (expense, feesPerTransfer) => ({
+  id: expense.id,
+  action: 'PAY',
+  paymentParams: { forceManual: true, paymentProcessorFee: getPayoutBatchFee(expense, feesPerTransfer) },
+});
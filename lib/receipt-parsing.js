@@ -0,0 +1,299 @@
+import { maxBy } from 'lodash';
+
+import { Currency } from './constants/currency';
+
+/**
+ * Client-side receipt parsing. The pipeline has two steps:
+ * 1. An engine extracts the raw text from the file (`engine.extractText(file)`)
+ * 2. `parseReceiptText` looks for the amount, currency, date and merchant in this text
+ *
+ * The default engine only works locally: it reads the text layer of PDFs and the file name.
+ * A real OCR engine can be plugged with `setReceiptParsingEngine`.
+ */
+
+export const CONFIDENCE = {
+  HIGH: 'HIGH',
+  MEDIUM: 'MEDIUM',
+  LOW: 'LOW',
+};
+
+export const getConfidenceLevel = confidence => {
+  if (confidence >= 0.8) {
+    return CONFIDENCE.HIGH;
+  } else if (confidence >= 0.5) {
+    return CONFIDENCE.MEDIUM;
+  } else {
+    return CONFIDENCE.LOW;
+  }
+};
+
+const CURRENCY_SYMBOLS = { '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR', $: 'USD' };
+const TOTAL_KEYWORDS =
+  /\b(grand total|total due|amount due|balance due|amount paid|total ttc|montant|summe|gesamt|total|importe)\b/i;
+const SUBTOTAL_KEYWORDS = /\b(sub-?total|tax|vat|tva|tip|discount|change)\b/i;
+const IGNORED_MERCHANT_LINES = /^(receipt|invoice|facture|rechnung|tax invoice|order|date|total)\b/i;
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+// Numbers with 2 decimals, not part of a date (eg. `04.03.2021`). The first group matches the character
+// before the amount, as lookbehinds are not supported by all the browsers.
+const AMOUNT_REGEX = /(^|[^\d.,/-])(\d{1,3}(?:[,.' ]\d{3})+|\d+)([.,]\d{2})(?![.,/-]?\d)/g;
+
+const suggestion = (value, confidence) => ({ value, confidence, level: getConfidenceLevel(confidence) });
+
+/** Converts a matched amount like `1,234.56` or `1.234,56` to cents */
+const amountToCents = (integerPart, decimalPart) => {
+  return parseInt(integerPart.replace(/\D/g, ''), 10) * 100 + parseInt(decimalPart.slice(1), 10);
+};
+
+const findAmount = lines => {
+  const candidates = [];
+  lines.forEach((line, lineIdx) => {
+    for (const match of line.matchAll(AMOUNT_REGEX)) {
+      const isTotal = TOTAL_KEYWORDS.test(line) && !SUBTOTAL_KEYWORDS.test(line);
+      // When there are multiple totals, the last one is usually the grand total
+      candidates.push({ cents: amountToCents(match[2], match[3]), isTotal, lineIdx });
+    }
+  });
+
+  const totals = candidates.filter(candidate => candidate.isTotal);
+  if (totals.length) {
+    return suggestion(maxBy(totals, 'lineIdx').cents, 0.9);
+  } else if (candidates.length) {
+    // Without any keyword, the biggest amount is likely to be the total
+    return suggestion(maxBy(candidates, 'cents').cents, candidates.length === 1 ? 0.6 : 0.4);
+  } else {
+    return null;
+  }
+};
+
+const findCurrency = text => {
+  const codes = [...text.matchAll(/\b([A-Z]{3})\b/g)].filter(([code]) => Currency.includes(code));
+  // A code next to an amount (eg. `EUR 12.00`) is more reliable than a random word like `ALL`
+  const codeNextToAmount = codes.find(({ index }) => {
+    return /\d\s?$/.test(text.slice(Math.max(0, index - 2), index)) || /^\s?\d/.test(text.slice(index + 3, index + 5));
+  });
+
+  if (codeNextToAmount) {
+    return suggestion(codeNextToAmount[1], 0.9);
+  } else if (codes.length) {
+    return suggestion(codes[0][1], 0.6);
+  }
+
+  const symbol = Object.keys(CURRENCY_SYMBOLS).find(symbol => text.includes(symbol));
+  if (symbol) {
+    // `$` is used by many currencies
+    return suggestion(CURRENCY_SYMBOLS[symbol], symbol === '$' ? 0.5 : 0.8);
+  }
+
+  return null;
+};
+
+const formatDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (isNaN(date.getTime()) || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return date.toISOString().split('T')[0];
+};
+
+const normalizeYear = year => (year < 100 ? 2000 + year : year);
+
+const findDate = (text, now) => {
+  const candidates = [];
+  for (const [, year, month, day] of text.matchAll(/\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/g)) {
+    candidates.push({ date: formatDate(+year, +month, +day), confidence: 0.9 });
+  }
+
+  for (const [, first, second, year] of text.matchAll(/\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})\b/g)) {
+    if (+first > 12) {
+      candidates.push({ date: formatDate(normalizeYear(+year), +second, +first), confidence: 0.8 });
+    } else if (+second > 12) {
+      candidates.push({ date: formatDate(normalizeYear(+year), +first, +second), confidence: 0.8 });
+    } else {
+      // Ambiguous, we assume the day comes first like in most of the world
+      candidates.push({ date: formatDate(normalizeYear(+year), +second, +first), confidence: 0.5 });
+    }
+  }
+
+  const monthNames = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+  const textDateRegexes = [
+    new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)? ${monthNames},? (\\d{4})\\b`, 'gi'),
+    new RegExp(`\\b${monthNames} (\\d{1,2})(?:st|nd|rd|th)?,? (\\d{4})\\b`, 'gi'),
+  ];
+  for (const match of text.matchAll(textDateRegexes[0])) {
+    const month = MONTHS.indexOf(match[2].toLowerCase()) + 1;
+    candidates.push({ date: formatDate(+match[3], month, +match[1]), confidence: 0.9 });
+  }
+
+  for (const match of text.matchAll(textDateRegexes[1])) {
+    const month = MONTHS.indexOf(match[1].toLowerCase()) + 1;
+    candidates.push({ date: formatDate(+match[3], month, +match[2]), confidence: 0.9 });
+  }
+
+  const today = now.toISOString().split('T')[0];
+  const validCandidates = candidates.filter(candidate => candidate.date);
+  const pastCandidate = validCandidates.find(candidate => candidate.date <= today);
+  if (pastCandidate) {
+    return suggestion(pastCandidate.date, pastCandidate.confidence);
+  } else if (validCandidates.length) {
+    // Receipts are not supposed to be in the future
+    return suggestion(validCandidates[0].date, 0.3);
+  } else {
+    return null;
+  }
+};
+
+/** Removes the amounts, dates and currencies from a line, to only keep the name */
+const cleanMerchantLine = line => {
+  return line
+    .split(' ')
+    .filter(word => !/\d/.test(word) && !Currency.includes(word) && !CURRENCY_SYMBOLS[word])
+    .join(' ')
+    .trim();
+};
+
+const findMerchant = lines => {
+  const name = lines
+    .slice(0, 5)
+    .filter(line => !IGNORED_MERCHANT_LINES.test(line))
+    .map(cleanMerchantLine)
+    .find(name => name.replace(/[^\p{L}]/gu, '').length >= 3);
+
+  return name ? suggestion(name.slice(0, 255), 0.6) : null;
+};
+
+/**
+ * Looks for the amount, currency, date and merchant in the text of a receipt.
+ *
+ * @returns {object} with `amount` (in cents), `currency`, `date` (YYYY-MM-DD) and `merchant`, each one being
+ * either null or an object like `{ value, confidence, level }`
+ */
+export const parseReceiptText = (text, { now = new Date() } = {}) => {
+  const lines = (text || '')
+    .split(/\r?\n/)
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  const fullText = lines.join('\n');
+  return {
+    amount: findAmount(lines),
+    currency: findCurrency(fullText),
+    date: findDate(fullText, now),
+    merchant: findMerchant(lines),
+  };
+};
+
+/** Returns true if at least one field has been found */
+export const hasReceiptSuggestions = result => {
+  return Boolean(result && Object.values(result).some(Boolean));
+};
+
+/** Extracts the strings from the `Tj` and `TJ` operators of a PDF content stream */
+export const extractTextFromPdfContent = content => {
+  const lines = [];
+  for (const [, operands] of content.matchAll(/((?:\((?:\\.|[^\\)])*\)\s*|\[[^\]]*\]\s*)+)(?:Tj|TJ|'|")/g)) {
+    const strings = [...operands.matchAll(/\(((?:\\.|[^\\)])*)\)/g)].map(([, str]) =>
+      str.replace(/\\([nrt()\\])/g, (_, char) => ({ n: '\n', r: '', t: ' ' }[char] ?? char)),
+    );
+    lines.push(strings.join(''));
+  }
+
+  return lines.join('\n');
+};
+
+const inflate = async bytes => {
+  if (typeof window === 'undefined' || !window.DecompressionStream) {
+    return null;
+  }
+
+  try {
+    const stream = new Blob([bytes]).stream().pipeThrough(new window.DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  } catch (e) {
+    return null;
+  }
+};
+
+const bytesToLatin1 = bytes => {
+  let result = '';
+  for (let i = 0; i < bytes.length; i += 8192) {
+    result += String.fromCharCode(...bytes.subarray(i, i + 8192));
+  }
+
+  return result;
+};
+
+/**
+ * Receipts are parsed in the browser, on the main thread: bigger PDFs (usually scans, which have
+ * no text to read anyway) are skipped to not freeze the form.
+ */
+export const MAX_PDF_SIZE = 2 * 1024 * 1024;
+
+const extractTextFromPdf = async file => {
+  if (file.size > MAX_PDF_SIZE) {
+    return '';
+  }
+
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const raw = bytesToLatin1(bytes);
+  const contents = [];
+  // Stream dictionaries are short: bounding their length keeps the lookup linear
+  for (const match of raw.matchAll(/<<([^]{0,1024}?)>>\s*stream\r?\n/g)) {
+    const start = match.index + match[0].length;
+    const end = raw.indexOf('endstream', start);
+    if (end === -1) {
+      continue;
+    } else if (match[1].includes('/FlateDecode')) {
+      const inflated = await inflate(bytes.subarray(start, end));
+      if (inflated) {
+        contents.push(bytesToLatin1(inflated));
+      }
+    } else if (!match[1].includes('/Filter')) {
+      contents.push(raw.slice(start, end));
+    }
+  }
+
+  return contents.map(extractTextFromPdfContent).join('\n');
+};
+
+/**
+ * The default engine. It doesn't do any OCR: it only reads the text of PDFs that have
+ * one (up to `MAX_PDF_SIZE`) and the file name (eg. `2021-03-04 Uber 23.50 EUR.jpg`).
+ */
+export const localReceiptParsingEngine = {
+  name: 'local',
+  extractText: async file => {
+    const fileName = (file.name || '').replace(/\.[a-z0-9]+$/i, '').replace(/[_+]/g, ' ');
+    if (file.type === 'application/pdf' && file.arrayBuffer) {
+      const text = await extractTextFromPdf(file);
+      return text.trim() ? text : fileName;
+    } else {
+      return fileName;
+    }
+  },
+};
+
+let currentEngine = localReceiptParsingEngine;
+
+/**
+ * Replaces the engine used to extract the text from the receipts. An engine is an object
+ * like `{ name, extractText: async (file) => string }`.
+ */
+export const setReceiptParsingEngine = engine => {
+  currentEngine = engine || localReceiptParsingEngine;
+};
+
+export const getReceiptParsingEngine = () => currentEngine;
+
+/**
+ * Runs the full pipeline on a `File`. Never throws: returns null if the receipt can't be parsed.
+ */
+export const parseReceipt = async (file, { engine = currentEngine } = {}) => {
+  try {
+    const text = await engine.extractText(file);
+    const result = parseReceiptText(text);
+    return hasReceiptSuggestions(result) ? { ...result, engine: engine.name } : null;
+  } catch (e) {
+    return null;
+  }
+};
@@ -0,0 +1,139 @@
+import { sortBy, uniqBy } from 'lodash';
+
+import { ORDER_STATUS } from './constants/order-status';
+import { PAYMENT_METHOD_SERVICE } from './constants/payment-methods';
+import { getTotalAmountsByCurrency, splitItemsForBulkAction } from './bulk-actions';
+import dayjs from './dayjs';
+
+export const RECURRING_CONTRIBUTIONS_BULK_ACTION = {
+  UPDATE_PAYMENT_METHOD: 'UPDATE_PAYMENT_METHOD',
+  UPDATE_AMOUNT: 'UPDATE_AMOUNT',
+};
+
+export const RECURRING_CONTRIBUTION_STATUS_FILTER = {
+  ALL: 'ALL',
+  ACTIVE: 'ACTIVE',
+  ERROR: 'ERROR',
+  CANCELLED: 'CANCELLED',
+};
+
+/** Used in the payment method filter for the contributions that don't have one */
+export const NO_PAYMENT_METHOD = 'NONE';
+
+const isActive = ({ status }) => status === ORDER_STATUS.ACTIVE || status === ORDER_STATUS.ERROR;
+const isCancelled = ({ status }) => status === ORDER_STATUS.CANCELLED || status === ORDER_STATUS.REJECTED;
+const isPaypalSubscription = contribution => contribution.paymentMethod?.service === PAYMENT_METHOD_SERVICE.PAYPAL;
+
+/**
+ * Filters the recurring contributions for the table view.
+ *
+ * @param {object} filters - `{ status, paymentMethodId, frequency }`, all optional
+ */
+export const filterRecurringContributions = (contributions, { status, paymentMethodId, frequency } = {}) => {
+  return contributions.filter(contribution => {
+    if (status === RECURRING_CONTRIBUTION_STATUS_FILTER.ACTIVE && !isActive(contribution)) {
+      return false;
+    } else if (status === RECURRING_CONTRIBUTION_STATUS_FILTER.ERROR && contribution.status !== ORDER_STATUS.ERROR) {
+      return false;
+    } else if (status === RECURRING_CONTRIBUTION_STATUS_FILTER.CANCELLED && !isCancelled(contribution)) {
+      return false;
+    } else if (frequency && contribution.frequency !== frequency) {
+      return false;
+    } else if (paymentMethodId === NO_PAYMENT_METHOD) {
+      return !contribution.paymentMethod;
+    } else if (paymentMethodId && contribution.paymentMethod?.id !== paymentMethodId) {
+      return false;
+    }
+
+    return true;
+  });
+};
+
+/**
+ * Returns the unique payment methods used by `contributions`
+ */
+export const getPaymentMethodsFromContributions = contributions => {
+  return uniqBy(contributions.map(contribution => contribution.paymentMethod).filter(Boolean), 'id');
+};
+
+/**
+ * Returns true if `action` can be applied to `contribution`.
+ *
+ * @param {object} params - the parameters of the action: `{ paymentMethod }` or `{ amount, currency }`
+ */
+export const canApplyBulkAction = (contribution, action, params = {}) => {
+  if (!isActive(contribution)) {
+    return false;
+  }
+
+  switch (action) {
+    case RECURRING_CONTRIBUTIONS_BULK_ACTION.UPDATE_PAYMENT_METHOD:
+      return !params.paymentMethod || contribution.paymentMethod?.id !== params.paymentMethod.id;
+    case RECURRING_CONTRIBUTIONS_BULK_ACTION.UPDATE_AMOUNT:
+      // PayPal subscriptions need to be approved again on PayPal to change the amount
+      return (
+        !isPaypalSubscription(contribution) && (!params.currency || contribution.amount.currency === params.currency)
+      );
+    default:
+      return false;
+  }
+};
+
+/**
+ * Splits `contributions` between the ones `action` can be applied to and the ones that will be skipped.
+ */
+export const splitContributionsForBulkAction = (contributions, action, params) => {
+  return splitItemsForBulkAction(contributions, contribution => canApplyBulkAction(contribution, action, params));
+};
+
+/**
+ * Returns the variables to pass to the `updateOrder` mutation for `action`.
+ */
+export const getUpdateOrderVariables = (contribution, action, params) => {
+  const variables = { order: { id: contribution.id } };
+  switch (action) {
+    case RECURRING_CONTRIBUTIONS_BULK_ACTION.UPDATE_PAYMENT_METHOD:
+      return { ...variables, paymentMethod: { id: params.paymentMethod.id } };
+    case RECURRING_CONTRIBUTIONS_BULK_ACTION.UPDATE_AMOUNT:
+      return { ...variables, amount: { valueInCents: params.amount, currency: params.currency } };
+    default:
+      return variables;
+  }
+};
+
+/**
+ * Lists the charges of the active recurring contributions for the next `nbMonths` months, starting
+ * from the month of `from`. Dates are always computed from the next charge date to not drift when
+ * a charge falls at the end of a month (eg. Jan 31 -> Feb 28 -> Mar 31).
+ *
+ * @returns {Array<{ month: Date, charges: Array<{ date, amount, currency, contribution }>, totals: Array }>}
+ */
+export const getUpcomingCharges = (contributions, { from = new Date(), nbMonths = 12 } = {}) => {
+  const start = dayjs.utc(from).startOf('month');
+  const end = start.add(nbMonths, 'month');
+  const months = [...new Array(nbMonths)].map((_, idx) => ({ month: start.add(idx, 'month'), charges: [] }));
+
+  contributions.forEach(contribution => {
+    const interval = { MONTHLY: 1, YEARLY: 12 }[contribution.frequency];
+    if (contribution.status !== ORDER_STATUS.ACTIVE || !interval || !contribution.nextChargeDate) {
+      return;
+    }
+
+    const firstCharge = dayjs.utc(contribution.nextChargeDate);
+    for (let idx = 0, date = firstCharge; date.isBefore(end); idx++, date = firstCharge.add(idx * interval, 'month')) {
+      if (!date.isBefore(start)) {
+        months[date.diff(start, 'month')].charges.push({
+          date: date.toDate(),
+          amount: contribution.amount.valueInCents,
+          currency: contribution.amount.currency,
+          contribution,
+        });
+      }
+    }
+  });
+
+  return months.map(({ month, charges }) => {
+    const sortedCharges = sortBy(charges, charge => charge.date.getTime());
+    return { month: month.toDate(), charges: sortedCharges, totals: getTotalAmountsByCurrency(sortedCharges) };
+  });
+};
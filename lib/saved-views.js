@@ -0,0 +1,119 @@
+import { isEmpty, isEqual, isNil, omitBy, orderBy, pick } from 'lodash';
+import { v4 as uuid } from 'uuid';
+
+import { getFromLocalStorage, LOCAL_STORAGE_KEYS, setLocalStorage } from './local-storage';
+
+/**
+ * Saved views are stored in the local storage, under `savedFilterViews.[userId]` as a map of views by page.
+ */
+
+export const SAVED_VIEWS_PAGE = {
+  EXPENSES: 'expenses',
+  TRANSACTIONS: 'transactions',
+  ORDERS: 'orders',
+};
+
+/** The URL query params that are considered as filters for each page */
+export const SAVED_VIEWS_FILTER_KEYS = {
+  [SAVED_VIEWS_PAGE.EXPENSES]: ['type', 'payout', 'period', 'amount', 'status', 'tag', 'searchTerm'],
+  [SAVED_VIEWS_PAGE.TRANSACTIONS]: [
+    'type',
+    'period',
+    'amount',
+    'kind',
+    'searchTerm',
+    'ignoreIncognitoTransactions',
+    'ignoreGiftCardsTransactions',
+    'ignoreChildrenTransactions',
+  ],
+  [SAVED_VIEWS_PAGE.ORDERS]: ['period', 'amount', 'status', 'searchTerm'],
+};
+
+const getStorageKey = userId => `${LOCAL_STORAGE_KEYS.SAVED_FILTER_VIEWS}.${userId}`;
+
+const loadAllSavedViews = userId => {
+  try {
+    return JSON.parse(getFromLocalStorage(getStorageKey(userId))) || {};
+  } catch (e) {
+    return {};
+  }
+};
+
+/**
+ * Returns the views saved by the user for `page`, pinned views first.
+ */
+export const getSavedViews = (userId, page) => {
+  const views = loadAllSavedViews(userId)[page] || [];
+  return orderBy(views, [view => Boolean(view.isPinned), 'name'], ['desc', 'asc']);
+};
+
+export const storeSavedViews = (userId, page, views) => {
+  setLocalStorage(getStorageKey(userId), JSON.stringify({ ...loadAllSavedViews(userId), [page]: views }));
+};
+
+/**
+ * Extracts the filters for `page` from a query object, ignoring empty values and non-filter params.
+ */
+export const getFiltersFromQuery = (page, query) => {
+  const filters = pick(query, SAVED_VIEWS_FILTER_KEYS[page]);
+  return omitBy(filters, value => isNil(value) || value === '');
+};
+
+export const hasFilters = (page, query) => !isEmpty(getFiltersFromQuery(page, query));
+
+/**
+ * Returns the view matching the current filters, if any.
+ */
+export const getViewMatchingQuery = (views, page, query) => {
+  const filters = getFiltersFromQuery(page, query);
+  return views.find(view => isEqual(view.filters, filters)) || null;
+};
+
+export const getDefaultView = views => views.find(view => view.isDefault) || null;
+
+/**
+ * Returns a new query object where the filters have been replaced by the ones from `view`.
+ */
+export const applyViewToQuery = (page, query, view) => {
+  const baseQuery = { ...query };
+  SAVED_VIEWS_FILTER_KEYS[page].forEach(key => {
+    baseQuery[key] = null;
+  });
+
+  return { ...baseQuery, ...view.filters };
+};
+
+export const createSavedView = (page, name, query) => ({
+  id: uuid(),
+  name: name.trim(),
+  filters: getFiltersFromQuery(page, query),
+  isPinned: false,
+  isDefault: false,
+});
+
+/**
+ * Updates a view in the list. Setting `isDefault` on a view removes the flag from all the others.
+ */
+export const updateSavedView = (views, viewId, changes) => {
+  return views.map(view => {
+    if (view.id === viewId) {
+      return { ...view, ...changes };
+    } else if (changes.isDefault) {
+      return { ...view, isDefault: false };
+    } else {
+      return view;
+    }
+  });
+};
+
+export const removeSavedView = (views, viewId) => views.filter(view => view.id !== viewId);
+
+/**
+ * Returns the absolute URL to share a view, based on the current page path.
+ */
+export const getSavedViewUrl = (view, pathname) => {
+  const searchParams = new URLSearchParams(view.filters);
+  const origin = typeof window !== 'undefined' ? window.location.origin : process.env.WEBSITE_URL;
+  const search = searchParams.toString();
+  return `${origin}${pathname}${search ? `?${search}` : ''}`;
+};
@@ -0,0 +1,75 @@
+import { isNil, omitBy } from 'lodash';
+
+import { parseToBoolean } from './utils';
+
+/**
+ * Helpers to (de)serialize the state of the search page in the URL, so that searches can be shared.
+ */
+
+export const SEARCH_ACCOUNT_TYPES = ['COLLECTIVE', 'EVENT', 'ORGANIZATION', 'FUND', 'PROJECT'];
+
+export const SEARCH_DEFAULT_LIMIT = 20;
+
+const parseList = value => {
+  if (!value) {
+    return [];
+  }
+
+  return (Array.isArray(value) ? value : decodeURIComponent(value).split(',')).filter(Boolean);
+};
+
+/**
+ * Parse the filters from the URL query.
+ */
+export const parseSearchQuery = (query = {}) => {
+  const types = parseList(query.types).filter(type => SEARCH_ACCOUNT_TYPES.includes(type));
+  return {
+    term: query.q || '',
+    types,
+    isHost: isNil(query.isHost) ? undefined : parseToBoolean(query.isHost),
+    limit: Number(query.limit) || SEARCH_DEFAULT_LIMIT,
+    offset: Number(query.offset) || 0,
+  };
+};
+
+/**
+ * Serialize the filters to an URL query, omitting the default values.
+ */
+export const serializeSearchFilters = filters => {
+  const query = {
+    q: filters.term,
+    types: filters.types?.length ? filters.types.join(',') : null,
+    isHost: filters.isHost,
+    limit: filters.limit === SEARCH_DEFAULT_LIMIT ? null : filters.limit,
+    offset: filters.offset || null,
+  };
+
+  return omitBy(query, value => isNil(value) || value === '');
+};
+
+/**
+ * Returns the filters with `key` updated to `value`, going back to the first page.
+ */
+export const updateSearchFilter = (filters, key, value) => ({ ...filters, [key]: value, offset: 0 });
+
+/**
+ * Returns the filters with `value` added to or removed from the list filter `key`.
+ */
+export const toggleSearchFilterValue = (filters, key, value) => {
+  const values = filters[key] || [];
+  const newValues = values.includes(value) ? values.filter(v => v !== value) : [...values, value];
+  return updateSearchFilter(filters, key, newValues);
+};
+
+export const hasSearchFilters = filters => Boolean(filters.types.length || !isNil(filters.isHost));
+
+/**
+ * Converts the filters to the variables of `searchPageQuery`.
+ */
+export const getSearchQueryVariables = filters => ({
+  term: filters.term,
+  types: filters.types.length ? filters.types : SEARCH_ACCOUNT_TYPES,
+  isHost: filters.isHost,
+  limit: filters.limit,
+  offset: filters.offset,
+});
@@ -0,0 +1,438 @@
+import { escape, truncate } from 'lodash';
+
+import { escapeCSVFormula } from './csv';
+import dayjs from './dayjs';
+import { createZipChunks } from './zip';
+
+export const TRANSACTIONS_EXPORT_FORMAT = {
+  CSV: 'CSV',
+  XLSX: 'XLSX',
+  JSONL: 'JSONL',
+  OFX: 'OFX',
+  QIF: 'QIF',
+};
+
+export const TRANSACTIONS_EXPORT_FORMATS = {
+  [TRANSACTIONS_EXPORT_FORMAT.CSV]: {
+    label: 'CSV',
+    extension: 'csv',
+    mimeType: 'text/csv;charset=utf-8',
+    hasColumns: true,
+  },
+  [TRANSACTIONS_EXPORT_FORMAT.XLSX]: {
+    label: 'Excel (XLSX)',
+    extension: 'xlsx',
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    hasColumns: true,
+  },
+  [TRANSACTIONS_EXPORT_FORMAT.JSONL]: {
+    label: 'JSON Lines',
+    extension: 'jsonl',
+    mimeType: 'application/x-ndjson;charset=utf-8',
+    hasColumns: true,
+  },
+  [TRANSACTIONS_EXPORT_FORMAT.OFX]: {
+    label: 'OFX',
+    extension: 'ofx',
+    mimeType: 'application/x-ofx;charset=utf-8',
+    hasColumns: false,
+  },
+  [TRANSACTIONS_EXPORT_FORMAT.QIF]: {
+    label: 'QIF',
+    extension: 'qif',
+    mimeType: 'application/qif;charset=utf-8',
+    hasColumns: false,
+  },
+};
+
+const COLUMN_TYPE = {
+  STRING: 'STRING',
+  AMOUNT: 'AMOUNT',
+  DATE: 'DATE',
+};
+
+/**
+ * All the columns that can be exported. The `header` can be a function that receives the export
+ * context (`{ hostCurrency, collectiveCurrency }`) to include currencies in the labels.
+ */
+export const TRANSACTIONS_EXPORT_COLUMNS = [
+  { id: 'description', header: 'Transaction Description', value: t => t.description },
+  { id: 'fromAccountName', header: 'User Name', value: t => t.fromCollective?.name },
+  {
+    id: 'fromAccountProfile',
+    header: 'User Profile',
+    value: t => t.fromCollective && `http://opencollective.com/${t.fromCollective.slug}`,
+  },
+  { id: 'date', header: 'Transaction Date', type: COLUMN_TYPE.DATE, value: t => t.createdAt },
+  { id: 'currency', header: 'Collective Currency', value: t => t.currency },
+  { id: 'hostCurrency', header: 'Host Currency', value: (t, ctx) => t.host?.currency || ctx.hostCurrency },
+  { id: 'amount', header: 'Transaction Amount', type: COLUMN_TYPE.AMOUNT, value: t => t.amount },
+  {
+    id: 'hostFee',
+    header: ctx => `Host Fee (${ctx.hostCurrency})`,
+    type: COLUMN_TYPE.AMOUNT,
+    value: t => t.hostFeeInHostCurrency,
+  },
+  {
+    id: 'platformFee',
+    header: ctx => `Open Collective Fee (${ctx.hostCurrency})`,
+    type: COLUMN_TYPE.AMOUNT,
+    value: t => t.platformFeeInHostCurrency,
+  },
+  {
+    id: 'paymentProcessorFee',
+    header: ctx => `Payment Processor Fee (${ctx.hostCurrency})`,
+    type: COLUMN_TYPE.AMOUNT,
+    value: t => t.paymentProcessorFeeInHostCurrency,
+  },
+  {
+    id: 'netAmount',
+    header: ctx => `Net Amount (${ctx.collectiveCurrency})`,
+    type: COLUMN_TYPE.AMOUNT,
+    value: t => t.netAmountInCollectiveCurrency,
+  },
+  {
+    id: 'subscriptionInterval',
+    header: 'Subscription Interval',
+    value: t => (t.subscription ? t.subscription.interval : 'one time'),
+  },
+  { id: 'orderDate', header: 'Order Date', value: t => t.createdAt && new Date(t.createdAt).toISOString() },
+  { id: 'tags', header: 'Tags', value: t => (t.expense?.tags ? t.expense.tags.join(', ') : '') },
+  // Columns below are not part of the default selection
+  { id: 'id', header: 'Transaction ID', value: t => t.id },
+  { id: 'uuid', header: 'Transaction UUID', value: t => t.uuid },
+  { id: 'type', header: 'Transaction Type', value: t => t.type },
+  { id: 'collective', header: 'Collective', value: t => t.collective?.slug },
+  { id: 'fromAccountSlug', header: 'User Slug', value: t => t.fromCollective?.slug },
+  { id: 'taxAmount', header: 'Tax Amount', type: COLUMN_TYPE.AMOUNT, value: t => t.taxAmount },
+  { id: 'hostCurrencyFxRate', header: 'Host Currency FX Rate', value: t => t.hostCurrencyFxRate },
+  {
+    id: 'paymentMethod',
+    header: 'Payment Method',
+    value: t => t.paymentMethod && [t.paymentMethod.service, t.paymentMethod.type].filter(Boolean).join(' - '),
+  },
+  { id: 'expenseId', header: 'Expense ID', value: t => t.expense?.id },
+];
+
+/** The columns exported by default, matching the historical CSV export */
+export const DEFAULT_TRANSACTIONS_EXPORT_COLUMNS = [
+  'description',
+  'fromAccountName',
+  'fromAccountProfile',
+  'date',
+  'currency',
+  'hostCurrency',
+  'amount',
+  'hostFee',
+  'platformFee',
+  'paymentProcessorFee',
+  'netAmount',
+  'subscriptionInterval',
+  'orderDate',
+  'tags',
+];
+
+const COLUMNS_BY_ID = TRANSACTIONS_EXPORT_COLUMNS.reduce((result, column) => {
+  result[column.id] = column;
+  return result;
+}, {});
+
+export const getExportColumnHeader = (column, context = {}) => {
+  return typeof column.header === 'function' ? column.header(context) : column.header;
+};
+
+/**
+ * Returns the raw value of a column: amounts in major units (ie. 42.5 for $42.50), dates as ISO strings.
+ */
+const getColumnValue = (column, transaction, context) => {
+  const value = column.value(transaction, context);
+  if (value === null || value === undefined) {
+    return column.type === COLUMN_TYPE.AMOUNT ? 0 : '';
+  } else if (column.type === COLUMN_TYPE.AMOUNT) {
+    return value / 100;
+  } else if (column.type === COLUMN_TYPE.DATE) {
+    return new Date(value).toISOString();
+  } else {
+    return value;
+  }
+};
+
+const formatCSVValue = (column, value) => {
+  if (column.type === COLUMN_TYPE.AMOUNT) {
+    return value.toFixed(2);
+  } else if (column.type === COLUMN_TYPE.DATE) {
+    return value && dayjs(value).format('YYYY-MM-DD HH:mm:ss');
+  } else {
+    return `"${escapeCSVFormula(String(value)).replace(/"/g, '""')}"`;
+  }
+};
+
+// Control characters are not allowed in XML documents
+// eslint-disable-next-line no-control-regex
+const escapeXML = value => escape(String(value)).replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+const getXLSXCellRef = (rowIdx, colIdx) => {
+  let letters = '';
+  for (let n = colIdx + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return `${letters}${rowIdx + 1}`;
+};
+
+const getXLSXRow = (rowIdx, cells) => {
+  const cellsXML = cells.map(({ value, isNumber }, colIdx) => {
+    const ref = getXLSXCellRef(rowIdx, colIdx);
+    if (isNumber) {
+      return `<c r="${ref}"><v>${value}</v></c>`;
+    } else {
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXML(value)}</t></is></c>`;
+    }
+  });
+
+  return `<row r="${rowIdx + 1}">${cellsXML.join('')}</row>`;
+};
+
+const XLSX_STATIC_FILES = [
+  {
+    name: '[Content_Types].xml',
+    parts: [
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+      '<Default Extension="xml" ContentType="application/xml"/>',
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>',
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>',
+      '</Types>',
+    ],
+  },
+  {
+    name: '_rels/.rels',
+    parts: [
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>',
+      '</Relationships>',
+    ],
+  },
+  {
+    name: 'xl/workbook.xml',
+    parts: [
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">',
+      '<sheets><sheet name="Transactions" sheetId="1" r:id="rId1"/></sheets>',
+      '</workbook>',
+    ],
+  },
+  {
+    name: 'xl/_rels/workbook.xml.rels',
+    parts: [
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>',
+      '</Relationships>',
+    ],
+  },
+];
+
+const formatOFXDate = date => dayjs(date).utc().format('YYYYMMDDHHmmss');
+
+const formatQIFDate = date => dayjs(date).format('MM/DD/YYYY');
+
+/**
+ * Creates a writer for the given format. Transactions are passed page by page to `write`, and
+ * the file is assembled as a list of chunks so that we never have to hold a single giant string
+ * in memory.
+ *
+ * @param {object} options
+ * @param {string} options.format - one of `TRANSACTIONS_EXPORT_FORMAT`
+ * @param {Array<string>} options.columns - list of column IDs, ignored for OFX/QIF
+ * @param {object} options.collective - the account being exported ({ slug, currency })
+ * @param {string} options.dateFrom
+ * @param {string} options.dateTo
+ */
+export const createTransactionsExportWriter = ({ format, columns, collective, dateFrom, dateTo }) => {
+  const formatInfo = TRANSACTIONS_EXPORT_FORMATS[format];
+  if (!formatInfo) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  const selectedColumns = (columns || DEFAULT_TRANSACTIONS_EXPORT_COLUMNS).map(id => COLUMNS_BY_ID[id]).filter(Boolean);
+  const chunks = [];
+  const context = { hostCurrency: null, collectiveCurrency: collective?.currency };
+  let nbRows = 0;
+  let hasStarted = false;
+  let blob = null;
+
+  const getHeaders = () => selectedColumns.map(column => getExportColumnHeader(column, context));
+  const getValues = transaction => selectedColumns.map(column => getColumnValue(column, transaction, context));
+
+  const writeStart = () => {
+    hasStarted = true;
+    if (format === TRANSACTIONS_EXPORT_FORMAT.CSV) {
+      chunks.push(getHeaders().join(','));
+    } else if (format === TRANSACTIONS_EXPORT_FORMAT.XLSX) {
+      const headerCells = getHeaders().map(value => ({ value, isNumber: false }));
+      chunks.push(getXLSXRow(0, headerCells));
+    } else if (format === TRANSACTIONS_EXPORT_FORMAT.OFX) {
+      chunks.push(
+        [
+          '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+          '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+          '<OFX>',
+          '<SIGNONMSGSRSV1><SONRS>',
+          '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+          `<DTSERVER>${formatOFXDate(new Date())}</DTSERVER>`,
+          '<LANGUAGE>ENG</LANGUAGE>',
+          '</SONRS></SIGNONMSGSRSV1>',
+          '<BANKMSGSRSV1><STMTTRNRS>',
+          '<TRNUID>1</TRNUID>',
+          '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+          '<STMTRS>',
+          `<CURDEF>${escapeXML(context.collectiveCurrency || 'USD')}</CURDEF>`,
+          '<BANKACCTFROM>',
+          '<BANKID>OPENCOLLECTIVE</BANKID>',
+          `<ACCTID>${escapeXML(collective?.slug || '')}</ACCTID>`,
+          '<ACCTTYPE>CHECKING</ACCTTYPE>',
+          '</BANKACCTFROM>',
+          '<BANKTRANLIST>',
+          `<DTSTART>${formatOFXDate(dateFrom || 0)}</DTSTART>`,
+          `<DTEND>${formatOFXDate(dateTo || new Date())}</DTEND>`,
+        ].join('\n'),
+      );
+    } else if (format === TRANSACTIONS_EXPORT_FORMAT.QIF) {
+      chunks.push('!Type:Bank');
+    }
+  };
+
+  const writeTransaction = transaction => {
+    if (format === TRANSACTIONS_EXPORT_FORMAT.CSV) {
+      const values = getValues(transaction);
+      chunks.push(`\n${values.map((value, idx) => formatCSVValue(selectedColumns[idx], value)).join(',')}`);
+    } else if (format === TRANSACTIONS_EXPORT_FORMAT.XLSX) {
+      const cells = getValues(transaction).map((value, idx) => ({
+        value,
+        isNumber: selectedColumns[idx].type === COLUMN_TYPE.AMOUNT,
+      }));
+      chunks.push(getXLSXRow(nbRows + 1, cells));
+    } else if (format === TRANSACTIONS_EXPORT_FORMAT.JSONL) {
+      const values = getValues(transaction);
+      const row = selectedColumns.reduce((result, column, idx) => ({ ...result, [column.id]: values[idx] }), {});
+      chunks.push(`${JSON.stringify(row)}\n`);
+    } else if (format === TRANSACTIONS_EXPORT_FORMAT.OFX) {
+      const amount = (transaction.netAmountInCollectiveCurrency || 0) / 100;
+      chunks.push(
+        [
+          '',
+          '<STMTTRN>',
+          `<TRNTYPE>${amount < 0 ? 'DEBIT' : 'CREDIT'}</TRNTYPE>`,
+          `<DTPOSTED>${formatOFXDate(transaction.createdAt)}</DTPOSTED>`,
+          `<TRNAMT>${amount.toFixed(2)}</TRNAMT>`,
+          `<FITID>${escapeXML(transaction.uuid || transaction.id)}</FITID>`,
+          `<NAME>${escapeXML(truncate(transaction.fromCollective?.name || '', { length: 32 }))}</NAME>`,
+          `<MEMO>${escapeXML(truncate(transaction.description || '', { length: 255 }))}</MEMO>`,
+          '</STMTTRN>',
+        ].join('\n'),
+      );
+    } else if (format === TRANSACTIONS_EXPORT_FORMAT.QIF) {
+      const amount = (transaction.netAmountInCollectiveCurrency || 0) / 100;
+      const sanitize = value => (value || '').replace(/[\r\n]+/g, ' ');
+      chunks.push(
+        [
+          '',
+          `D${formatQIFDate(transaction.createdAt)}`,
+          `T${amount.toFixed(2)}`,
+          `P${sanitize(transaction.fromCollective?.name)}`,
+          `M${sanitize(transaction.description)}`,
+          `N${transaction.uuid || transaction.id}`,
+          '^',
+        ].join('\n'),
+      );
+    }
+  };
+
+  const writeEnd = () => {
+    if (format === TRANSACTIONS_EXPORT_FORMAT.OFX) {
+      chunks.push('\n</BANKTRANLIST>\n</STMTRS>\n</STMTTRNRS></BANKMSGSRSV1>\n</OFX>\n');
+    } else if (format === TRANSACTIONS_EXPORT_FORMAT.QIF) {
+      chunks.push('\n');
+    }
+  };
+
+  return {
+    /** Add a page of transactions to the export */
+    write(transactions) {
+      for (const transaction of transactions) {
+        if (!hasStarted) {
+          // All the transactions share the same host/collective currencies, so we get them from the first one
+          context.hostCurrency = transaction.host?.currency;
+          context.collectiveCurrency = transaction.currency || context.collectiveCurrency;
+          writeStart();
+        }
+
+        writeTransaction(transaction);
+        nbRows++;
+      }
+    },
+    /** Number of transactions written so far */
+    get nbRows() {
+      return nbRows;
+    },
+    /** Assemble the file, only once: later calls return the same blob. Empty exports only have the headers. */
+    getBlob() {
+      if (blob) {
+        return blob;
+      } else if (!hasStarted) {
+        writeStart();
+      }
+
+      writeEnd();
+      if (format === TRANSACTIONS_EXPORT_FORMAT.XLSX) {
+        const sheet = {
+          name: 'xl/worksheets/sheet1.xml',
+          parts: [
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>',
+            ...chunks,
+            '</sheetData></worksheet>',
+          ],
+        };
+        blob = new Blob(createZipChunks([...XLSX_STATIC_FILES, sheet]), { type: formatInfo.mimeType });
+      } else {
+        blob = new Blob(chunks, { type: formatInfo.mimeType });
+      }
+
+      return blob;
+    },
+  };
+};
+
+/**
+ * Fetches all the pages of transactions using `fetchPage(offset, limit)` and passes them to the writer.
+ * Stops early if `isCancelled` returns true.
+ *
+ * @returns {boolean} true if all the pages were fetched, false if the export was cancelled
+ */
+export const fetchAllTransactionsForExport = async ({ fetchPage, writer, pageSize = 500, onProgress, isCancelled }) => {
+  for (let offset = 0; ; offset += pageSize) {
+    if (isCancelled?.()) {
+      return false;
+    }
+
+    const transactions = await fetchPage(offset, pageSize);
+    if (isCancelled?.()) {
+      return false;
+    }
+
+    writer.write(transactions);
+    onProgress?.({ nbFetched: writer.nbRows, nbPages: offset / pageSize + 1 });
+    if (transactions.length < pageSize) {
+      return true;
+    }
+  }
+};
+
+export const getTransactionsExportFilename = (collectiveSlug, format, dateFrom, dateTo) => {
+  const formatDate = d => dayjs(d || undefined).format('YYYY-MM-DD');
+  const { extension } = TRANSACTIONS_EXPORT_FORMATS[format];
+  return `${collectiveSlug}-from-${formatDate(dateFrom)}-to-${formatDate(dateTo)}.${extension}`;
+};
@@ -0,0 +1,177 @@
+import { get, groupBy, orderBy, sumBy } from 'lodash';
+
+import dayjs from './dayjs';
+
+/**
+ * Helpers for the virtual cards dashboard of the host. Spend is computed from the charges (expenses
+ * of type `CHARGE`) in the browser, by month in UTC. Cards are issued in the currency of the host,
+ * so all the amounts are summed without conversion.
+ */
+
+export const VIRTUAL_CARD_SPEND_GROUPS = {
+  CARD: 'CARD',
+  MERCHANT: 'MERCHANT',
+  COLLECTIVE: 'COLLECTIVE',
+};
+
+/** Cards with at least this number of charges missing receipts get flagged for suspension, unless set by the host */
+export const DEFAULT_MISSING_RECEIPTS_THRESHOLD = 3;
+
+/** Key of the series that sums the groups not displayed individually */
+export const OTHER_SERIES_ID = 'OTHER';
+
+const INACTIVE_CARD_STATES = ['PAUSED', 'CLOSED'];
+
+/**
+ * Returns the first day (UTC) of each of the last `nbMonths` months, current month included
+ */
+export const getLastMonths = (nbMonths, now = new Date()) => {
+  const currentMonth = dayjs.utc(now).startOf('month');
+  return [...new Array(nbMonths)].map((_, idx) => currentMonth.subtract(nbMonths - 1 - idx, 'month').toISOString());
+};
+
+/**
+ * Returns the name of the card with its last 4 digits, to distinguish the cards with the same name
+ */
+export const getVirtualCardLabel = card => (card.last4 ? `${card.name || ''} ••${card.last4}`.trim() : card.name);
+
+/**
+ * Returns true if a receipt must still be uploaded for `charge`
+ */
+export const isMissingReceipt = charge => {
+  return !charge.items?.length || charge.items.some(item => !item.url);
+};
+
+/**
+ * Returns the threshold of missing receipts above which cards are flagged, from the settings of the host
+ */
+export const getMissingReceiptsThreshold = host => {
+  return get(host, 'settings.virtualcards.missingReceiptsThreshold') || DEFAULT_MISSING_RECEIPTS_THRESHOLD;
+};
+
+const getGroupAccount = (charge, groupType) => {
+  switch (groupType) {
+    case VIRTUAL_CARD_SPEND_GROUPS.CARD:
+      return charge.virtualCard;
+    case VIRTUAL_CARD_SPEND_GROUPS.MERCHANT:
+      return charge.payee;
+    case VIRTUAL_CARD_SPEND_GROUPS.COLLECTIVE:
+      return charge.account;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Sums the spend of each card, merchant or collective, sorted by total spend.
+ *
+ * @param {string} groupType - one of `VIRTUAL_CARD_SPEND_GROUPS`
+ * @returns {Array<{ id: string, entity: object, total: number, count: number, charges: Array }>}
+ */
+export const getSpendByGroup = (charges, groupType) => {
+  const chargesWithGroup = charges.filter(charge => getGroupAccount(charge, groupType));
+  const byGroup = groupBy(chargesWithGroup, charge => getGroupAccount(charge, groupType).id);
+  const groups = Object.keys(byGroup).map(id => ({
+    id,
+    entity: getGroupAccount(byGroup[id][0], groupType),
+    total: sumBy(byGroup[id], 'amount'),
+    count: byGroup[id].length,
+    charges: byGroup[id],
+  }));
+
+  return orderBy(groups, ['total'], ['desc']);
+};
+
+/**
+ * Returns the monthly spend of the top `maxSeries` groups, the other ones being summed in a
+ * series with the id `OTHER_SERIES_ID`.
+ *
+ * @param {Array<string>} months - the first day of each month, see `getLastMonths`
+ * @returns {Array<{ id: string, entity: object|null, data: Array<number> }>}
+ */
+export const getMonthlySpendSeries = (charges, groupType, months, maxSeries = 5) => {
+  const groups = getSpendByGroup(charges, groupType);
+  const monthKeys = months.map(month => month.slice(0, 7));
+  const toMonthlyValues = groupCharges => {
+    const values = new Array(months.length).fill(0);
+    groupCharges.forEach(charge => {
+      const idx = monthKeys.indexOf(dayjs.utc(charge.createdAt).format('YYYY-MM'));
+      if (idx !== -1) {
+        values[idx] += charge.amount;
+      }
+    });
+
+    return values;
+  };
+
+  const series = groups.slice(0, maxSeries).map(group => ({
+    id: group.id,
+    entity: group.entity,
+    data: toMonthlyValues(group.charges),
+  }));
+
+  const otherGroups = groups.slice(maxSeries);
+  if (otherGroups.length) {
+    series.push({ id: OTHER_SERIES_ID, entity: null, data: toMonthlyValues(otherGroups.flatMap(g => g.charges)) });
+  }
+
+  return series;
+};
+
+/**
+ * Returns the start of the current spending limit period of `card`, or null if the limit
+ * doesn't reset over time.
+ */
+export const getLimitPeriodStart = (card, now = new Date()) => {
+  switch (card.data?.spend_limit_duration) {
+    case 'MONTHLY':
+      return dayjs.utc(now).startOf('month').toISOString();
+    case 'ANNUALLY':
+      return dayjs.utc(now).startOf('year').toISOString();
+    default:
+      return null;
+  }
+};
+
+/**
+ * Returns how much of its monthly or annual limit `card` has spent. Returns null for the cards
+ * without a limit or with a per-transaction or lifetime limit, that can't be computed from the
+ * recent charges.
+ *
+ * @returns {{ limit: number, spent: number, ratio: number }|null}
+ */
+export const getCardLimitUtilization = (card, charges, now = new Date()) => {
+  const limit = card.data?.spend_limit;
+  const periodStart = getLimitPeriodStart(card, now);
+  if (!limit || !periodStart) {
+    return null;
+  }
+
+  const spent = sumBy(
+    charges.filter(charge => charge.virtualCard?.id === card.id && new Date(charge.createdAt) >= new Date(periodStart)),
+    'amount',
+  );
+
+  return { limit, spent, ratio: spent / limit };
+};
+
+/**
+ * Returns the charges that are missing a receipt, oldest first
+ */
+export const getChargesMissingReceipts = charges => {
+  return orderBy(charges.filter(isMissingReceipt), ['createdAt'], ['asc']);
+};
+
+/**
+ * Returns the active cards that have at least `threshold` charges missing receipts, with these charges.
+ *
+ * @returns {Array<{ card: object, charges: Array }>}
+ */
+export const getCardsFlaggedForSuspension = (cards, charges, threshold) => {
+  const missingByCard = groupBy(charges.filter(isMissingReceipt), 'virtualCard.id');
+  return cards
+    .filter(
+      card => !INACTIVE_CARD_STATES.includes(card.data?.state) && (missingByCard[card.id]?.length || 0) >= threshold,
+    )
+    .map(card => ({ card, charges: missingByCard[card.id] }));
+};
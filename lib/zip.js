@@ -0,0 +1,96 @@
+/**
+ * A minimal ZIP archive writer (STORE method, no compression). It's only meant to package
+ * small sets of generated text files (ie. XLSX documents), not to be a general purpose library.
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const updateCrc32 = (crc, bytes) => {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+const toBytes = value => (typeof value === 'string' ? new TextEncoder().encode(value) : value);
+
+const uint16 = value => [value & 0xff, (value >>> 8) & 0xff];
+const uint32 = value => [value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff, (value >>> 24) & 0xff];
+
+// 1980-01-01 00:00, the minimum date for the DOS format
+const DOS_TIME = 0;
+const DOS_DATE = 0x21;
+
+/**
+ * Builds a ZIP archive.
+ *
+ * @param {Array<{ name: string, parts: Array<string|Uint8Array> }>} files
+ * @returns {Array<Uint8Array>} the chunks of the archive, to be passed to a `Blob`
+ */
+export const createZipChunks = files => {
+  const chunks = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = toBytes(file.name);
+    const parts = file.parts.map(toBytes);
+    const size = parts.reduce((total, part) => total + part.length, 0);
+    const crc = parts.reduce((result, part) => updateCrc32(result, part), 0);
+    const commonHeader = [
+      ...uint16(20), // Version needed to extract
+      ...uint16(0x0800), // Flags: UTF-8 file names
+      ...uint16(0), // Compression method: STORE
+      ...uint16(DOS_TIME),
+      ...uint16(DOS_DATE),
+      ...uint32(crc),
+      ...uint32(size), // Compressed size
+      ...uint32(size), // Uncompressed size
+      ...uint16(name.length),
+      ...uint16(0), // Extra field length
+    ];
+
+    const localHeader = new Uint8Array([...uint32(0x04034b50), ...commonHeader]);
+    chunks.push(localHeader, name, ...parts);
+    centralDirectory.push(
+      new Uint8Array([
+        ...uint32(0x02014b50),
+        ...uint16(20), // Version made by
+        ...commonHeader,
+        ...uint16(0), // File comment length
+        ...uint16(0), // Disk number
+        ...uint16(0), // Internal attributes
+        ...uint32(0), // External attributes
+        ...uint32(offset),
+      ]),
+      name,
+    );
+
+    offset += localHeader.length + name.length + size;
+  }
+
+  const centralDirectorySize = centralDirectory.reduce((total, chunk) => total + chunk.length, 0);
+  const endOfCentralDirectory = new Uint8Array([
+    ...uint32(0x06054b50),
+    ...uint16(0), // Disk number
+    ...uint16(0), // Disk with central directory
+    ...uint16(files.length),
+    ...uint16(files.length),
+    ...uint32(centralDirectorySize),
+    ...uint32(offset),
+    ...uint16(0), // Comment length
+  ]);
+
+  return [...chunks, ...centralDirectory, endOfCentralDirectory];
+};
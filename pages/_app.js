@@ -29,6 +29,7 @@ Router.onRouteChangeError = () => NProgress.done();
 import { getGoogleMapsScriptUrl, loadGoogleMaps } from '../lib/google-maps';
 import sentryLib from '../server/sentry';
 
+import DisplayCurrencyProvider from '../components/DisplayCurrencyProvider';
 import GlobalNewsAndUpdates from '../components/GlobalNewsAndUpdates';
 import GlobalToasts from '../components/GlobalToasts';
 import NewsAndUpdatesProvider from '../components/NewsAndUpdatesProvider';
@@ -133,13 +134,15 @@ class OpenCollectiveFrontendApp extends App {
             <StripeProviderSSR>
               <RawIntlProvider value={intl}>
                 <UserProvider>
-                  <NewsAndUpdatesProvider>
-                    <ToastProvider>
-                      <Component {...pageProps} />
-                      <GlobalToasts />
-                      <GlobalNewsAndUpdates />
-                    </ToastProvider>
-                  </NewsAndUpdatesProvider>
+                  <DisplayCurrencyProvider>
+                    <NewsAndUpdatesProvider>
+                      <ToastProvider>
+                        <Component {...pageProps} />
+                        <GlobalToasts />
+                        <GlobalNewsAndUpdates />
+                      </ToastProvider>
+                    </NewsAndUpdatesProvider>
+                  </DisplayCurrencyProvider>
                 </UserProvider>
               </RawIntlProvider>
             </StripeProviderSSR>
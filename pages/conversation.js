@@ -7,6 +7,7 @@ import { FormattedMessage } from 'react-intl';
 
 import hasFeature, { FEATURES } from '../lib/allowed-features';
 import { NAVBAR_CATEGORIES } from '../lib/collective-sections';
+import { PERMISSIONS } from '../lib/constants/permissions';
 import { generateNotFoundError } from '../lib/errors';
 import { API_V2_CONTEXT, gqlV2 } from '../lib/graphql/helpers';
 import { stripHTML } from '../lib/utils';
@@ -277,7 +278,8 @@ class ConversationPage extends React.Component {
     const followers = get(conversation, 'followers');
     const hasFollowers = followers && followers.nodes && followers.nodes.length > 0;
     const canEdit = LoggedInUser && body && LoggedInUser.canEditComment(body);
-    const canDelete = canEdit || (LoggedInUser && LoggedInUser.canEditCollective(collective));
+    const canDelete =
+      canEdit || (LoggedInUser && LoggedInUser.hasPermission(PERMISSIONS.MANAGE_CONVERSATIONS, collective));
     return (
       <Page collective={collective} {...this.getPageMetaData(collective, conversation)}>
         {data.loading ? (
@@ -11,7 +11,7 @@ import { expenseSubmissionAllowed, getCollectiveTypeForUrl } from '../lib/collec
 import { CollectiveType } from '../lib/constants/collectives';
 import expenseTypes from '../lib/constants/expenseTypes';
 import { generateNotFoundError, i18nGraphqlException } from '../lib/errors';
-import FormPersister from '../lib/form-persister';
+import FormPersister, { DRAFT_FORM_TYPE } from '../lib/form-persister';
 import { API_V2_CONTEXT, gqlV2 } from '../lib/graphql/helpers';
 
 import CollectiveNavbar from '../components/collective-navbar';
@@ -20,7 +20,7 @@ import Container from '../components/Container';
 import ContainerOverlay from '../components/ContainerOverlay';
 import ErrorPage from '../components/ErrorPage';
 import CreateExpenseDismissibleIntro from '../components/expenses/CreateExpenseDismissibleIntro';
-import ExpenseForm, { prepareExpenseForSubmit } from '../components/expenses/ExpenseForm';
+import ExpenseForm, { EXPENSE_FORM_DRAFT_VERSION, prepareExpenseForSubmit } from '../components/expenses/ExpenseForm';
 import ExpenseInfoSidebar from '../components/expenses/ExpenseInfoSidebar';
 import ExpenseNotesForm from '../components/expenses/ExpenseNotesForm';
 import ExpenseSummary from '../components/expenses/ExpenseSummary';
@@ -158,7 +158,15 @@ class CreateExpensePage extends React.Component {
     const { data, LoggedInUser } = this.props;
     if (data?.account && LoggedInUser) {
       this.setState({
-        formPersister: new FormPersister(`expense-${data.account.id}=${LoggedInUser.id}`),
+        formPersister: new FormPersister(
+          {
+            type: DRAFT_FORM_TYPE.EXPENSE,
+            contextId: data.account.id,
+            ownerId: LoggedInUser.id,
+            title: data.account.name,
+          },
+          { version: EXPENSE_FORM_DRAFT_VERSION },
+        ),
       });
     }
   }
@@ -6,6 +6,7 @@ import { withRouter } from 'next/router';
 import { defineMessages, FormattedMessage, injectIntl } from 'react-intl';
 import styled from 'styled-components';
 
+import { PERMISSIONS } from '../lib/constants/permissions';
 import { API_V2_CONTEXT, gqlV2 } from '../lib/graphql/helpers';
 import { addCollectiveNavbarData } from '../lib/graphql/queries';
 import { compose } from '../lib/utils';
@@ -128,6 +129,7 @@ class CreateUpdatePage extends React.Component {
 
     const collective = data.account;
     const isAdmin = LoggedInUser && LoggedInUser.canEditCollective(collective);
+    const canManageUpdates = LoggedInUser && LoggedInUser.hasPermission(PERMISSIONS.MANAGE_UPDATES, collective);
 
     return (
       <div>
@@ -147,7 +149,7 @@ class CreateUpdatePage extends React.Component {
               </Link>
             </BackButtonWrapper>
             <Container width={1} maxWidth={650}>
-              {!isAdmin && (
+              {!canManageUpdates && (
                 <div className="login">
                   <p>
                     <FormattedMessage
@@ -162,14 +164,14 @@ class CreateUpdatePage extends React.Component {
                   </p>
                 </div>
               )}
-              {isAdmin && (
+              {canManageUpdates && (
                 <Container my={3}>
                   <H1 textAlign="left" fontSize="34px">
                     <FormattedMessage id="updates.new.title" defaultMessage="New update" />
                   </H1>
                 </Container>
               )}
-              {collective.slug === 'opencollective' && isAdmin && (
+              {collective.slug === 'opencollective' && canManageUpdates && (
                 <StyledButtonSet
                   size="medium"
                   items={UPDATE_TYPES}
@@ -179,7 +181,7 @@ class CreateUpdatePage extends React.Component {
                   {({ item }) => intl.formatMessage(UPDATE_TYPE_MSGS[item])}
                 </StyledButtonSet>
               )}
-              {isAdmin && (
+              {canManageUpdates && (
                 <EditUpdateForm collective={collective} onSubmit={this.createUpdate} isChangelog={this.isChangelog()} />
               )}
               {this.state.status === 'error' && (
@@ -17,6 +17,7 @@ import Page from '../components/Page';
 import Pagination from '../components/Pagination';
 import SearchForm from '../components/SearchForm';
 import { fadeIn } from '../components/StyledKeyframes';
+import StyledLink from '../components/StyledLink';
 import StyledSelect from '../components/StyledSelect';
 import { H1, P } from '../components/Text';
 
@@ -139,6 +140,15 @@ const I18nSortLabels = defineMessages({
   },
 });
 
+/** The search page matches the tags too, so the selected tag is used as the search term */
+const getSearchQueryFromDiscover = query => {
+  if (!query.show || query.show === 'all' || query.show === 'pledged') {
+    return { types: 'COLLECTIVE' };
+  } else {
+    return { q: query.show, types: 'COLLECTIVE' };
+  }
+};
+
 const DiscoverPage = () => {
   const intl = useIntl();
   const router = useRouter();
@@ -203,6 +213,11 @@ const DiscoverPage = () => {
                   <SearchForm placeholder="Search tag" onSubmit={handleSubmit} />
                 </SearchFormContainer>
               </Flex>
+              <Link href={{ pathname: '/search', query: getSearchQueryFromDiscover(query) }}>
+                <StyledLink color="white.full" fontSize="14px" data-cy="discover-advanced-search">
+                  <FormattedMessage id="discover.advancedSearch" defaultMessage="Search with more filters" />
+                </StyledLink>
+              </Link>
             </Container>
             <Container
               alignItems="center"
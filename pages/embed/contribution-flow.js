@@ -1,11 +1,14 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 import { graphql } from '@apollo/client/react/hoc';
+import { X } from '@styled-icons/feather/X';
 import { get } from 'lodash';
 import { injectIntl } from 'react-intl';
+import styled from 'styled-components';
 import { isEmail, isHexColor } from 'validator';
 
 import { GQLV2_SUPPORTED_PAYMENT_METHOD_TYPES } from '../../lib/constants/payment-methods';
+import { EMBED_EVENTS, getEmbedAllowedOrigins, postEmbedEvent } from '../../lib/contribution-flow-embed';
 import { generateNotFoundError, getErrorFromGraphqlException } from '../../lib/errors';
 import { API_V2_CONTEXT } from '../../lib/graphql/helpers';
 import { floatAmountToCents } from '../../lib/math';
@@ -29,6 +32,18 @@ import Loading from '../../components/Loading';
 import { withStripeLoader } from '../../components/StripeProvider';
 import { withUser } from '../../components/UserProvider';
 
+const CloseButton = styled.button`
+  position: absolute;
+  top: 8px;
+  right: 8px;
+  z-index: 10;
+  padding: 4px;
+  border: none;
+  background: none;
+  cursor: pointer;
+  color: #4e5052;
+`;
+
 class NewContributionFlowPage extends React.Component {
   static getInitialProps({ query, res }) {
     // Whitelist interval
@@ -82,6 +97,8 @@ class NewContributionFlowPage extends React.Component {
       backgroundColor: backgroundColor && isHexColor(backgroundColor) ? backgroundColor : undefined,
       error: query.error,
       tags: query.tags ? query.tags.split(',') : undefined,
+      embedId: query.embedId,
+      orderId: query.OrderId,
     };
   }
 
@@ -119,10 +136,24 @@ class NewContributionFlowPage extends React.Component {
     hideHeader: PropTypes.bool,
     tags: PropTypes.arrayOf(PropTypes.string),
     step: PropTypes.oneOf(Object.values(STEPS)),
+    /** Set by the SDK to identify the events of this embed */
+    embedId: PropTypes.string,
+    /** The order created, on the success step */
+    orderId: PropTypes.string,
   };
 
+  constructor(props) {
+    super(props);
+    this.contentRef = React.createRef();
+  }
+
   componentDidMount() {
     this.loadExternalScripts();
+    this.notifyStepChange();
+    if (this.contentRef.current && typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(this.notifyResize);
+      this.resizeObserver.observe(this.contentRef.current);
+    }
   }
 
   componentDidUpdate(prevProps) {
@@ -130,8 +161,39 @@ class NewContributionFlowPage extends React.Component {
     if (get(this.props, hostPath) !== get(prevProps, hostPath)) {
       this.loadExternalScripts();
     }
+
+    // The events can only be sent once the account is loaded, as the allowed origins are in its settings
+    const accountPath = 'data.account';
+    if (this.props.step !== prevProps.step || get(this.props, accountPath) !== get(prevProps, accountPath)) {
+      this.notifyStepChange();
+      this.notifyResize();
+    }
+  }
+
+  componentWillUnmount() {
+    this.resizeObserver?.disconnect();
+  }
+
+  sendEmbedEvent = (type, payload) => {
+    return postEmbedEvent(type, payload, {
+      embedId: this.props.embedId,
+      allowedOrigins: getEmbedAllowedOrigins(this.props.data?.account),
+    });
+  };
+
+  notifyStepChange() {
+    this.sendEmbedEvent(EMBED_EVENTS.STEP_CHANGE, { step: this.props.step });
+    if (this.props.step === 'success') {
+      this.sendEmbedEvent(EMBED_EVENTS.SUCCESS, { orderId: this.props.orderId });
+    }
   }
 
+  notifyResize = () => {
+    if (this.contentRef.current) {
+      this.sendEmbedEvent(EMBED_EVENTS.RESIZE, { height: this.contentRef.current.offsetHeight });
+    }
+  };
+
   loadExternalScripts() {
     const supportedPaymentMethods = get(this.props.data, 'account.host.supportedPaymentMethods', []);
     if (supportedPaymentMethods.includes(GQLV2_SUPPORTED_PAYMENT_METHOD_TYPES.CREDIT_CARD)) {
@@ -198,6 +260,8 @@ class NewContributionFlowPage extends React.Component {
             defaultName={this.props.defaultName}
             tags={this.props.tags}
             error={this.props.error}
+            embedId={this.props.embedId}
+            onError={message => this.sendEmbedEvent(EMBED_EVENTS.ERROR, { message })}
           />
         </Box>
       );
@@ -215,7 +279,21 @@ class NewContributionFlowPage extends React.Component {
     } else {
       return (
         <CollectiveThemeProvider collective={useTheme ? data.account : null}>
-          <EmbeddedPage background={this.props.backgroundColor}>{this.renderPageContent()}</EmbeddedPage>
+          <EmbeddedPage background={this.props.backgroundColor}>
+            <Container position="relative" ref={this.contentRef}>
+              {this.props.embedId && (
+                <CloseButton
+                  type="button"
+                  title={this.props.intl.formatMessage({ id: 'Close', defaultMessage: 'Close' })}
+                  onClick={() => this.sendEmbedEvent(EMBED_EVENTS.CLOSE)}
+                  data-cy="embed-close"
+                >
+                  <X size={18} />
+                </CloseButton>
+              )}
+              {this.renderPageContent()}
+            </Container>
+          </EmbeddedPage>
         </CollectiveThemeProvider>
       );
     }
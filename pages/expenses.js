@@ -13,6 +13,7 @@ import { isSectionForAdminsOnly, NAVBAR_CATEGORIES } from '../lib/collective-sec
 import expenseStatus from '../lib/constants/expense-status';
 import expenseTypes from '../lib/constants/expenseTypes';
 import { PayoutMethodType } from '../lib/constants/payout-method';
+import { PERMISSIONS } from '../lib/constants/permissions';
 import { parseDateInterval } from '../lib/date-utils';
 import { generateNotFoundError } from '../lib/errors';
 import { API_V2_CONTEXT, gqlV2 } from '../lib/graphql/helpers';
@@ -131,7 +132,10 @@ class ExpensePage extends React.Component {
   componentDidUpdate(oldProps) {
     const { LoggedInUser, data } = this.props;
     if (!oldProps.LoggedInUser && LoggedInUser) {
-      if (LoggedInUser.canEditCollective(data.account) || LoggedInUser.isHostAdmin(data.account)) {
+      if (
+        LoggedInUser.hasPermission(PERMISSIONS.VIEW_FINANCES, data.account) ||
+        LoggedInUser.isHostAdmin(data.account)
+      ) {
         data.refetch();
       }
     }
@@ -192,7 +196,7 @@ class ExpensePage extends React.Component {
         return <PageFeatureNotSupported />;
       } else if (
         isSectionForAdminsOnly(data.account, Sections.BUDGET) &&
-        !LoggedInUser?.canEditCollective(data.account) &&
+        !LoggedInUser?.hasPermission(PERMISSIONS.VIEW_FINANCES, data.account) &&
         !LoggedInUser?.isHostAdmin(data.account)
       ) {
         // Hack for funds that want to keep their budget "private"
@@ -3,13 +3,18 @@ import PropTypes from 'prop-types';
 import { graphql } from '@apollo/client/react/hoc';
 import { CheckDouble } from '@styled-icons/boxicons-regular/CheckDouble';
 import { Donate as DonateIcon } from '@styled-icons/fa-solid/Donate';
+import { CheckSquare as ReconciliationIcon } from '@styled-icons/feather/CheckSquare';
+import { CreditCard as VirtualCardsIcon } from '@styled-icons/feather/CreditCard';
 import { Grid as HostedCollectivesIcon } from '@styled-icons/feather/Grid';
 import { PieChart as ReportsIcon } from '@styled-icons/feather/PieChart';
+import { Send as PayoutBatchIcon } from '@styled-icons/feather/Send';
 import { Receipt as ReceiptIcon } from '@styled-icons/material/Receipt';
 import { FormattedMessage } from 'react-intl';
 import styled, { css } from 'styled-components';
 
+import hasFeature, { FEATURES } from '../lib/allowed-features';
 import { CollectiveType } from '../lib/constants/collectives';
+import { PERMISSIONS } from '../lib/constants/permissions';
 import { getEnvVar } from '../lib/env-utils';
 import { API_V2_CONTEXT, gqlV2 } from '../lib/graphql/helpers';
 import { parseToBoolean } from '../lib/utils';
@@ -20,7 +25,10 @@ import { Box, Flex } from '../components/Grid';
 import { HOST_SECTIONS } from '../components/host-dashboard/constants';
 import HostDashboardExpenses from '../components/host-dashboard/HostDashboardExpenses';
 import HostDashboardHostedCollectives from '../components/host-dashboard/HostDashboardHostedCollectives';
+import HostDashboardPayoutBatch from '../components/host-dashboard/HostDashboardPayoutBatch';
+import HostDashboardReconciliation from '../components/host-dashboard/HostDashboardReconciliation';
 import HostDashboardReports from '../components/host-dashboard/HostDashboardReports';
+import HostDashboardVirtualCards from '../components/host-dashboard/HostDashboardVirtualCards';
 import PendingApplications from '../components/host-dashboard/PendingApplications';
 import Link from '../components/Link';
 import Loading from '../components/Loading';
@@ -63,6 +71,21 @@ const LinkContainer = styled(props => <Container {...props} />)`
     `}
 `;
 
+/**
+ * The permission required to access each view. Accountants of the host only have
+ * access to the ones that don't require to edit the host.
+ */
+const VIEWS_PERMISSIONS = {
+  expenses: PERMISSIONS.VIEW_FINANCES,
+  donations: PERMISSIONS.MANAGE_CONTRIBUTIONS,
+  'pending-applications': PERMISSIONS.EDIT_SETTINGS,
+  [HOST_SECTIONS.HOSTED_COLLECTIVES]: PERMISSIONS.EDIT_SETTINGS,
+  [HOST_SECTIONS.REPORTS]: PERMISSIONS.VIEW_FINANCES,
+  [HOST_SECTIONS.RECONCILIATION]: PERMISSIONS.MANAGE_CONTRIBUTIONS,
+  [HOST_SECTIONS.PAYOUT_BATCH]: PERMISSIONS.PAY_EXPENSES,
+  [HOST_SECTIONS.VIRTUAL_CARDS]: PERMISSIONS.VIEW_FINANCES,
+};
+
 class HostDashboardPage extends React.Component {
   static getInitialProps({ query: { hostCollectiveSlug, view } }) {
     return { slug: hostCollectiveSlug, ssr: false, view: view || 'expenses' };
@@ -80,8 +103,16 @@ class HostDashboardPage extends React.Component {
     }),
     loadingLoggedInUser: PropTypes.bool.isRequired, // from withUser
     LoggedInUser: PropTypes.object, // from withUser
-    view: PropTypes.oneOf(['expenses', 'hosted-collectives', 'donations', 'pending-applications', 'reports'])
-      .isRequired,
+    view: PropTypes.oneOf([
+      'expenses',
+      'hosted-collectives',
+      'donations',
+      'pending-applications',
+      'reports',
+      'reconciliation',
+      'payout-batch',
+      'virtual-cards',
+    ]).isRequired,
   };
 
   // See https://github.com/opencollective/opencollective/issues/1872
@@ -89,6 +120,11 @@ class HostDashboardPage extends React.Component {
     return !(this.props.data.account && (!newProps.data || !newProps.data.account));
   }
 
+  canAccessView(view) {
+    const { LoggedInUser, data } = this.props;
+    return Boolean(LoggedInUser?.hasPermission(VIEWS_PERMISSIONS[view], data.account));
+  }
+
   renderView(host) {
     const { view, LoggedInUser, data } = this.props;
 
@@ -104,7 +140,7 @@ class HostDashboardPage extends React.Component {
           <FormattedMessage id="notFound" defaultMessage="Not found" />
         </MessageBox>
       );
-    } else if (!LoggedInUser.canEditCollective(data.account)) {
+    } else if (!this.canAccessView(view)) {
       return (
         <MessageBox m={5} type="error" withIcon>
           <FormattedMessage
@@ -133,6 +169,12 @@ class HostDashboardPage extends React.Component {
         return <HostDashboardHostedCollectives hostSlug={host.slug} />;
       case HOST_SECTIONS.REPORTS:
         return <HostDashboardReports hostSlug={host.slug} />;
+      case HOST_SECTIONS.RECONCILIATION:
+        return <HostDashboardReconciliation hostSlug={host.slug} />;
+      case HOST_SECTIONS.PAYOUT_BATCH:
+        return <HostDashboardPayoutBatch hostSlug={host.slug} />;
+      case HOST_SECTIONS.VIRTUAL_CARDS:
+        return <HostDashboardVirtualCards hostSlug={host.slug} />;
       default:
         return <HostDashboardExpenses hostSlug={host.slug} />;
     }
@@ -170,31 +212,66 @@ class HostDashboardPage extends React.Component {
               flexWrap="wrap"
               data-cy="host-dashboard-menu-bar"
             >
-              <Link href={`/${slug}/dashboard/expenses`}>
-                <LinkContainer isActive={view === 'expenses'}>
-                  <ReceiptIcon size="1em" />
-                  <FormattedMessage id="Expenses" defaultMessage="Expenses" />
-                </LinkContainer>
-              </Link>
-              <Link href={`/${slug}/dashboard/donations`}>
-                <LinkContainer isActive={view === 'donations'}>
-                  <DonateIcon size="1em" />
-                  <FormattedMessage id="FinancialContributions" defaultMessage="Financial Contributions" />
-                </LinkContainer>
-              </Link>
-              <Link href={`/${slug}/dashboard/pending-applications`}>
-                <LinkContainer isActive={view === 'pending-applications'}>
-                  <CheckDouble size="1.2em" />
-                  <FormattedMessage id="host.dashboard.tab.pendingApplications" defaultMessage="Pending applications" />
-                </LinkContainer>
-              </Link>
-              <Link href={`/${slug}/dashboard/${HOST_SECTIONS.HOSTED_COLLECTIVES}`}>
-                <LinkContainer isActive={view === HOST_SECTIONS.HOSTED_COLLECTIVES}>
-                  <HostedCollectivesIcon size="1.2em" />
-                  <FormattedMessage id="HostedCollectives" defaultMessage="Hosted Collectives" />
-                </LinkContainer>
-              </Link>
-              {parseToBoolean(getEnvVar('HOST_DASHBOARD_REPORTS')) && (
+              {this.canAccessView('expenses') && (
+                <Link href={`/${slug}/dashboard/expenses`}>
+                  <LinkContainer isActive={view === 'expenses'}>
+                    <ReceiptIcon size="1em" />
+                    <FormattedMessage id="Expenses" defaultMessage="Expenses" />
+                  </LinkContainer>
+                </Link>
+              )}
+              {this.canAccessView(HOST_SECTIONS.PAYOUT_BATCH) && (
+                <Link href={`/${slug}/dashboard/${HOST_SECTIONS.PAYOUT_BATCH}`}>
+                  <LinkContainer isActive={view === HOST_SECTIONS.PAYOUT_BATCH}>
+                    <PayoutBatchIcon size="1em" />
+                    <FormattedMessage id="host.dashboard.tab.payoutBatch" defaultMessage="Payout batch" />
+                  </LinkContainer>
+                </Link>
+              )}
+              {this.canAccessView('donations') && (
+                <Link href={`/${slug}/dashboard/donations`}>
+                  <LinkContainer isActive={view === 'donations'}>
+                    <DonateIcon size="1em" />
+                    <FormattedMessage id="FinancialContributions" defaultMessage="Financial Contributions" />
+                  </LinkContainer>
+                </Link>
+              )}
+              {this.canAccessView(HOST_SECTIONS.RECONCILIATION) && (
+                <Link href={`/${slug}/dashboard/${HOST_SECTIONS.RECONCILIATION}`}>
+                  <LinkContainer isActive={view === HOST_SECTIONS.RECONCILIATION}>
+                    <ReconciliationIcon size="1em" />
+                    <FormattedMessage id="host.dashboard.tab.reconciliation" defaultMessage="Reconciliation" />
+                  </LinkContainer>
+                </Link>
+              )}
+              {hasFeature(host, FEATURES.PRIVACY_VCC) && this.canAccessView(HOST_SECTIONS.VIRTUAL_CARDS) && (
+                <Link href={`/${slug}/dashboard/${HOST_SECTIONS.VIRTUAL_CARDS}`}>
+                  <LinkContainer isActive={view === HOST_SECTIONS.VIRTUAL_CARDS}>
+                    <VirtualCardsIcon size="1em" />
+                    <FormattedMessage id="VirtualCards.Title" defaultMessage="Virtual Cards" />
+                  </LinkContainer>
+                </Link>
+              )}
+              {this.canAccessView('pending-applications') && (
+                <Link href={`/${slug}/dashboard/pending-applications`}>
+                  <LinkContainer isActive={view === 'pending-applications'}>
+                    <CheckDouble size="1.2em" />
+                    <FormattedMessage
+                      id="host.dashboard.tab.pendingApplications"
+                      defaultMessage="Pending applications"
+                    />
+                  </LinkContainer>
+                </Link>
+              )}
+              {this.canAccessView(HOST_SECTIONS.HOSTED_COLLECTIVES) && (
+                <Link href={`/${slug}/dashboard/${HOST_SECTIONS.HOSTED_COLLECTIVES}`}>
+                  <LinkContainer isActive={view === HOST_SECTIONS.HOSTED_COLLECTIVES}>
+                    <HostedCollectivesIcon size="1.2em" />
+                    <FormattedMessage id="HostedCollectives" defaultMessage="Hosted Collectives" />
+                  </LinkContainer>
+                </Link>
+              )}
+              {parseToBoolean(getEnvVar('HOST_DASHBOARD_REPORTS')) && this.canAccessView(HOST_SECTIONS.REPORTS) && (
                 <Link href={`/${slug}/dashboard/${HOST_SECTIONS.REPORTS}`}>
                   <LinkContainer isActive={view === HOST_SECTIONS.REPORTS}>
                     <ReportsIcon size="1.2em" />
@@ -219,6 +296,7 @@ const hostDashboardPageQuery = gqlV2/* GraphQL */ `
       slug
       name
       isHost
+      settings
     }
   }
 `;
@@ -13,11 +13,14 @@ import { Dimensions } from '../components/collective-page/_constants';
 import SectionTitle from '../components/collective-page/SectionTitle';
 import Container from '../components/Container';
 import ErrorPage from '../components/ErrorPage';
-import { Box } from '../components/Grid';
+import { Box, Flex } from '../components/Grid';
 import Loading from '../components/Loading';
 import { recurringContributionsQuery } from '../components/recurring-contributions/graphql/queries';
 import RecurringContributionsContainer from '../components/recurring-contributions/RecurringContributionsContainer';
+import RecurringContributionsTable from '../components/recurring-contributions/RecurringContributionsTable';
+import UpcomingChargesCalendar from '../components/recurring-contributions/UpcomingChargesCalendar';
 import SignInOrJoinFree from '../components/SignInOrJoinFree';
+import StyledButtonSet from '../components/StyledButtonSet';
 import StyledFilters from '../components/StyledFilters';
 import { P } from '../components/Text';
 import { withUser } from '../components/UserProvider';
@@ -52,6 +55,26 @@ const I18nFilters = defineMessages({
   },
 });
 
+const VIEWS = {
+  CARDS: 'CARDS',
+  TABLE: 'TABLE',
+  UPCOMING_CHARGES: 'UPCOMING_CHARGES',
+};
+const I18nViews = defineMessages({
+  [VIEWS.CARDS]: {
+    id: 'RecurringContributions.View.Cards',
+    defaultMessage: 'Cards',
+  },
+  [VIEWS.TABLE]: {
+    id: 'RecurringContributions.View.Table',
+    defaultMessage: 'Table',
+  },
+  [VIEWS.UPCOMING_CHARGES]: {
+    id: 'RecurringContributions.View.UpcomingCharges',
+    defaultMessage: 'Upcoming charges',
+  },
+});
+
 class recurringContributionsPage extends React.Component {
   static getInitialProps({ query: { slug } }) {
     return { slug };
@@ -65,13 +88,14 @@ class recurringContributionsPage extends React.Component {
       loading: PropTypes.bool,
       error: PropTypes.any,
       account: PropTypes.object,
+      refetch: PropTypes.func,
     }), // from withData
     intl: PropTypes.object,
   };
 
   constructor(props) {
     super(props);
-    this.state = { filter: 'ACTIVE' };
+    this.state = { filter: 'ACTIVE', view: VIEWS.CARDS };
   }
 
   render() {
@@ -113,24 +137,51 @@ class recurringContributionsPage extends React.Component {
               <Container>
                 <CollectiveNavbar collective={collective} />
                 <MainContainer py={[3, 4]} px={[2, 3, 4]}>
-                  <SectionTitle textAlign="left" mb={1}>
-                    <FormattedMessage id="Subscriptions.Title" defaultMessage="Recurring contributions" />
-                  </SectionTitle>
-                  <Box mt={4} mx="auto">
-                    <StyledFilters
-                      filters={filters}
-                      getLabel={key => intl.formatMessage(I18nFilters[key])}
-                      selected={this.state.filter}
-                      justifyContent="left"
-                      minButtonWidth={175}
-                      onChange={filter => this.setState({ filter: filter })}
+                  <Flex justifyContent="space-between" alignItems="center" flexWrap="wrap">
+                    <SectionTitle textAlign="left" mb={1}>
+                      <FormattedMessage id="Subscriptions.Title" defaultMessage="Recurring contributions" />
+                    </SectionTitle>
+                    <StyledButtonSet
+                      items={Object.values(VIEWS)}
+                      selected={this.state.view}
+                      size="small"
+                      buttonPropsBuilder={({ item }) => ({ 'data-cy': `recurring-contributions-view-${item}` })}
+                      onChange={view => this.setState({ view })}
+                    >
+                      {({ item }) => intl.formatMessage(I18nViews[item])}
+                    </StyledButtonSet>
+                  </Flex>
+                  {this.state.view === VIEWS.CARDS && (
+                    <Fragment>
+                      <Box mt={4} mx="auto">
+                        <StyledFilters
+                          filters={filters}
+                          getLabel={key => intl.formatMessage(I18nFilters[key])}
+                          selected={this.state.filter}
+                          justifyContent="left"
+                          minButtonWidth={175}
+                          onChange={filter => this.setState({ filter: filter })}
+                        />
+                      </Box>
+                      <RecurringContributionsContainer
+                        recurringContributions={recurringContributions}
+                        account={collective}
+                        filter={this.state.filter}
+                      />
+                    </Fragment>
+                  )}
+                  {this.state.view === VIEWS.TABLE && (
+                    <RecurringContributionsTable
+                      account={collective}
+                      contributions={recurringContributions.nodes}
+                      onBulkActionComplete={() => data.refetch()}
                     />
-                  </Box>
-                  <RecurringContributionsContainer
-                    recurringContributions={recurringContributions}
-                    account={collective}
-                    filter={this.state.filter}
-                  />
+                  )}
+                  {this.state.view === VIEWS.UPCOMING_CHARGES && (
+                    <Box mt={4}>
+                      <UpcomingChargesCalendar contributions={recurringContributions.nodes} />
+                    </Box>
+                  )}
                 </MainContainer>
               </Container>
             )}
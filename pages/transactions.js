@@ -9,7 +9,7 @@ import styled from 'styled-components';
 
 import { isSectionForAdminsOnly, NAVBAR_CATEGORIES } from '../lib/collective-sections';
 import { CollectiveType } from '../lib/constants/collectives';
-import roles from '../lib/constants/roles';
+import { PERMISSIONS } from '../lib/constants/permissions';
 import { parseDateInterval } from '../lib/date-utils';
 import { getErrorFromGraphqlException } from '../lib/errors';
 import { API_V2_CONTEXT, gqlV2 } from '../lib/graphql/helpers';
@@ -214,9 +214,8 @@ class TransactionsPage extends React.Component {
     } else {
       return (
         LoggedInUser.isHostAdmin(collective) ||
-        LoggedInUser.canEditCollective(collective) ||
-        LoggedInUser.hasRole(roles.ACCOUNTANT, collective) ||
-        LoggedInUser.hasRole(roles.ACCOUNTANT, collective.host)
+        LoggedInUser.hasPermission(PERMISSIONS.EXPORT_FINANCES, collective) ||
+        LoggedInUser.hasPermission(PERMISSIONS.EXPORT_FINANCES, collective.host)
       );
     }
   }
@@ -4,6 +4,7 @@ import { graphql, withApollo } from '@apollo/client/react/hoc';
 import { cloneDeep, get, uniqBy, update } from 'lodash';
 
 import { NAVBAR_CATEGORIES } from '../lib/collective-sections';
+import { PERMISSIONS } from '../lib/constants/permissions';
 import { API_V2_CONTEXT, gqlV2 } from '../lib/graphql/helpers';
 import { stripHTML } from '../lib/utils';
 
@@ -103,7 +104,7 @@ class UpdatePage extends React.Component {
             key={update.id}
             collective={account}
             update={update}
-            editable={Boolean(LoggedInUser?.canEditCollective(account))}
+            editable={Boolean(LoggedInUser?.hasPermission(PERMISSIONS.MANAGE_UPDATES, account))}
             LoggedInUser={LoggedInUser}
             compact={false}
             reactions={update.reactions}
@@ -131,7 +131,8 @@ exports.REWRITES = [
     destination: '/host.dashboard',
   },
   {
-    source: '/:hostCollectiveSlug/dashboard/:view(expenses|pending-applications|hosted-collectives|donations|reports)?',
+    source:
+      '/:hostCollectiveSlug/dashboard/:view(expenses|pending-applications|hosted-collectives|donations|reports|reconciliation|payout-batch|virtual-cards)?',
     destination: '/host.dashboard',
   },
   {
@@ -0,0 +1,129 @@
+const { fetchRSVPs } = require('../calendar/data');
+const { escapeText, foldLine, formatDate, renderCalendar } = require('../calendar/ics');
+const { calendarFeedHandler } = require('../calendar/index');
+const { getRSVPsFeedToken, isValidRSVPsFeedToken } = require('../calendar/tokens');
+
+jest.mock('../calendar/data');
+
+const WEBSITE_URL = 'https://opencollective.com';
+const NOW = new Date('2021-06-01T10:00:00.000Z');
+
+const meetup = {
+  id: 'evt-1',
+  slug: 'meetup',
+  name: 'Webpack meetup, Berlin edition',
+  description: 'Talks; drinks\nand more',
+  startsAt: '2021-06-15T18:00:00.000Z',
+  endsAt: '2021-06-15T21:30:00.000Z',
+  timezone: 'Europe/Berlin',
+  location: { name: 'Factory', address: 'Rheinsberger Str. 76/77, Berlin', lat: 52.53, long: 13.39 },
+  parent: { id: 'col-1', slug: 'webpack', name: 'Webpack' },
+};
+
+const hackathon = {
+  id: 'evt-2',
+  slug: 'hackathon',
+  name: 'Hackathon',
+  startsAt: '2021-07-01T09:00:00.000Z',
+  timezone: 'America/New_York',
+  location: null,
+  parent: { id: 'col-1', slug: 'webpack', name: 'Webpack' },
+};
+
+describe('server/calendar', () => {
+  it('escapes text values', () => {
+    expect(escapeText('a,b;c\\d\ne')).toBe('a\\,b\\;c\\\\d\\ne');
+  });
+
+  it('formats dates in UTC', () => {
+    expect(formatDate('2021-06-15T18:00:00.123Z')).toBe('20210615T180000Z');
+  });
+
+  it('folds long lines without splitting characters', () => {
+    const line = `SUMMARY:${'é'.repeat(80)}`;
+    const folded = foldLine(line);
+    const parts = folded.split('\r\n');
+    expect(parts.length).toBeGreaterThan(1);
+    parts.forEach(part => expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75));
+    expect(parts.map((part, idx) => (idx ? part.slice(1) : part)).join('')).toBe(line);
+  });
+
+  it('renders a single event', () => {
+    const calendar = renderCalendar({ name: meetup.name, events: [meetup], websiteUrl: WEBSITE_URL, now: NOW });
+    const lines = calendar.split('\r\n');
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines).toContain('X-WR-TIMEZONE:Europe/Berlin');
+    expect(lines).toContain('UID:evt-1@opencollective.com');
+    expect(lines).toContain('DTSTART:20210615T180000Z');
+    expect(lines).toContain('DTEND:20210615T213000Z');
+    expect(lines).toContain('SUMMARY:Webpack meetup\\, Berlin edition');
+    expect(lines).toContain('GEO:52.53;13.39');
+    expect(lines).toContain('URL:https://opencollective.com/webpack/events/meetup');
+    expect(lines).not.toContain('REFRESH-INTERVAL;VALUE=DURATION:PT1H');
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+  });
+
+  it('renders a feed with events in different timezones', () => {
+    const events = [meetup, hackathon];
+    const calendar = renderCalendar({ name: 'Webpack', events, websiteUrl: WEBSITE_URL, isFeed: true, now: NOW });
+    const lines = calendar.split('\r\n');
+    expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(2);
+    expect(lines).toContain('REFRESH-INTERVAL;VALUE=DURATION:PT1H');
+    expect(calendar).not.toContain('X-WR-TIMEZONE');
+    // Events without end date last one hour
+    expect(lines).toContain('DTEND:20210701T100000Z');
+  });
+
+  describe('RSVPs feed', () => {
+    const initialSecret = process.env.CALENDAR_FEEDS_SECRET;
+    const mockResponse = () => {
+      const res = {};
+      ['set', 'type', 'status', 'send'].forEach(method => (res[method] = jest.fn(() => res)));
+      return res;
+    };
+
+    beforeEach(() => {
+      process.env.CALENDAR_FEEDS_SECRET = 'test-secret';
+      fetchRSVPs.mockResolvedValue({ name: 'Ben', events: [meetup] });
+    });
+
+    afterEach(() => {
+      jest.clearAllMocks();
+      if (initialSecret === undefined) {
+        delete process.env.CALENDAR_FEEDS_SECRET;
+      } else {
+        process.env.CALENDAR_FEEDS_SECRET = initialSecret;
+      }
+    });
+
+    it('only accepts the token of the account', () => {
+      const token = getRSVPsFeedToken('ben');
+      expect(isValidRSVPsFeedToken('ben', token)).toBe(true);
+      expect(isValidRSVPsFeedToken('alice', token)).toBe(false);
+      expect(isValidRSVPsFeedToken('ben', undefined)).toBe(false);
+      expect(isValidRSVPsFeedToken('ben', token.slice(1))).toBe(false);
+    });
+
+    it('is disabled without a secret', () => {
+      delete process.env.CALENDAR_FEEDS_SECRET;
+      expect(getRSVPsFeedToken('ben')).toBe(null);
+      expect(isValidRSVPsFeedToken('ben', 'anything')).toBe(false);
+    });
+
+    it('is not served without a valid token', async () => {
+      const res = mockResponse();
+      await calendarFeedHandler({ params: { collectiveSlug: 'ben', feed: 'rsvps' }, query: {} }, res);
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(fetchRSVPs).not.toHaveBeenCalled();
+    });
+
+    it('is served privately with the token of the account', async () => {
+      const res = mockResponse();
+      const query = { token: getRSVPsFeedToken('ben') };
+      await calendarFeedHandler({ params: { collectiveSlug: 'ben', feed: 'rsvps' }, query }, res);
+      expect(res.status).not.toHaveBeenCalled();
+      expect(res.set).toHaveBeenCalledWith('Cache-Control', expect.stringMatching(/^private,/));
+      expect(res.send).toHaveBeenCalledWith(expect.stringContaining('SUMMARY:Webpack meetup'));
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { template } = require('lodash');
+
+const { createEmbedMessage, EMBED_EVENTS } = require('../../lib/contribution-flow-embed');
+
+const HOST = 'https://opencollective.com';
+
+/**
+ * Runs the SDK in a minimal browser-like context, recording the message listener and the mounted iframes.
+ */
+const loadSDK = () => {
+  const content = fs.readFileSync(path.join(__dirname, '../templates/embed-sdk.js'), 'utf8');
+  const code = template(content, { interpolate: /{{([\s\S]+?)}}/g })({ host: HOST });
+  const container = { children: [], appendChild: child => container.children.push(child) };
+  const listeners = {};
+  const window = { addEventListener: (type, callback) => (listeners[type] = callback) };
+  const document = {
+    querySelector: selector => (selector === '#contribute' ? container : null),
+    createElement: () => ({ style: {}, parentNode: container }),
+  };
+
+  container.removeChild = child => container.children.splice(container.children.indexOf(child), 1);
+  vm.runInNewContext(code, { window, document, encodeURIComponent, JSON, Math, parseInt, Error });
+  return { OC: window.OC, container, sendMessage: (origin, data) => listeners.message({ origin, data }) };
+};
+
+describe('server/templates/embed-sdk', () => {
+  it('mounts the contribution flow with the options', () => {
+    const { OC, container } = loadSDK();
+    const embed = OC.ContributionFlow.mount('#contribute', {
+      collectiveSlug: 'webpack',
+      tierId: 42,
+      amount: 10,
+      backgroundColor: '#fafafa',
+      tags: ['sdk', 'website'],
+      data: { ref: 'a&b' },
+    });
+
+    expect(container.children).toEqual([embed.iframe]);
+    const url = new URL(embed.iframe.src);
+    expect(url.origin).toBe(HOST);
+    expect(url.pathname).toBe('/embed/webpack/contribute/tier-42');
+    expect(url.searchParams.get('embedId')).toBe(embed.id);
+    expect(url.searchParams.get('amount')).toBe('10');
+    expect(url.searchParams.get('backgroundColor')).toBe('fafafa');
+    expect(url.searchParams.get('tags')).toBe('sdk,website');
+    expect(JSON.parse(url.searchParams.get('data'))).toEqual({ ref: 'a&b' });
+
+    expect(() => OC.ContributionFlow.mount('#missing', { collectiveSlug: 'webpack' })).toThrow();
+    expect(() => OC.ContributionFlow.mount('#contribute', {})).toThrow();
+  });
+
+  it('resizes the iframe and emits the events from the embed', () => {
+    const { OC, sendMessage } = loadSDK();
+    const onSuccess = jest.fn();
+    const onAll = jest.fn();
+    const embed = OC.ContributionFlow.mount('#contribute', { collectiveSlug: 'webpack', on: { success: onSuccess } });
+    embed.on('*', onAll);
+
+    sendMessage(HOST, createEmbedMessage(embed.id, EMBED_EVENTS.RESIZE, { height: 420.5 }));
+    expect(embed.iframe.style.height).toBe('421px');
+
+    sendMessage(HOST, createEmbedMessage(embed.id, EMBED_EVENTS.SUCCESS, { orderId: 'order-1' }));
+    expect(onSuccess).toHaveBeenCalledWith({ type: EMBED_EVENTS.SUCCESS, embedId: embed.id, orderId: 'order-1' });
+    expect(onAll).toHaveBeenCalledTimes(2);
+
+    // Ignores the messages from other origins, other embeds or unknown types
+    sendMessage('https://evil.com', createEmbedMessage(embed.id, EMBED_EVENTS.SUCCESS, { orderId: 'fake' }));
+    sendMessage(HOST, createEmbedMessage('other-embed', EMBED_EVENTS.SUCCESS, { orderId: 'other' }));
+    sendMessage(HOST, createEmbedMessage(embed.id, 'unknown'));
+    expect(onSuccess).toHaveBeenCalledTimes(1);
+    expect(onAll).toHaveBeenCalledTimes(2);
+  });
+
+  it('supports all the events of the embed', () => {
+    const { OC, sendMessage } = loadSDK();
+    const embed = OC.ContributionFlow.mount('#contribute', { collectiveSlug: 'webpack' });
+    const callback = jest.fn();
+    embed.on('*', callback);
+    Object.values(EMBED_EVENTS).forEach(type => sendMessage(HOST, createEmbedMessage(embed.id, type)));
+    expect(callback.mock.calls.map(([event]) => event.type)).toEqual(Object.values(EMBED_EVENTS));
+  });
+
+  it('stops emitting events once destroyed', () => {
+    const { OC, container, sendMessage } = loadSDK();
+    const embed = OC.ContributionFlow.mount('#contribute', { collectiveSlug: 'webpack' });
+    const onClose = jest.fn();
+    embed.on(EMBED_EVENTS.CLOSE, onClose);
+    embed.destroy();
+    sendMessage(HOST, createEmbedMessage(embed.id, EMBED_EVENTS.CLOSE));
+    expect(onClose).not.toHaveBeenCalled();
+    expect(container.children).toEqual([]);
+  });
+});
@@ -0,0 +1,187 @@
+jest.mock('../widgets/data', () => ({
+  fetchWidgetAccount: jest.fn(),
+  withEmbeddedAvatars: jest.fn(async contributors => contributors),
+}));
+
+const { parseWidgetOptions } = require('../widgets/options');
+const {
+  escapeXml,
+  getProgressBarPercentage,
+  renderBackersCount,
+  renderBalance,
+  renderContributorsWall,
+  renderGoal,
+} = require('../widgets/renderers');
+
+const AVATAR_DATA_URI = 'data:image/png;base64,iVBORw0KGgo=';
+
+const account = {
+  slug: 'webpack',
+  settings: {},
+  stats: {
+    balance: { valueInCents: 125000, currency: 'USD' },
+    yearlyBudget: { valueInCents: 500000, currency: 'USD' },
+  },
+  backers: { totalCount: 42 },
+};
+
+const mockResponse = () => {
+  const res = { headers: {}, statusCode: 200 };
+  res.set = jest.fn((name, value) => {
+    res.headers[name] = value;
+    return res;
+  });
+  res.type = jest.fn(type => {
+    res.contentType = type;
+    return res;
+  });
+  res.status = jest.fn(status => {
+    res.statusCode = status;
+    return res;
+  });
+  res.send = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  return res;
+};
+
+/**
+ * Calls the handler for an account returned by the API (or an error), with `sharpMock` as the
+ * `sharp` module or without `sharp` if null.
+ */
+const callWidgetsHandler = async (params, { account, sharpMock = null, query = {} }) => {
+  jest.resetModules();
+  jest.doMock(
+    'sharp',
+    () => {
+      if (!sharpMock) {
+        throw new Error("Cannot find module 'sharp'");
+      }
+      return sharpMock;
+    },
+    { virtual: true },
+  );
+
+  const { fetchWidgetAccount } = require('../widgets/data');
+  const { widgetsHandler } = require('../widgets');
+  if (account instanceof Error) {
+    fetchWidgetAccount.mockRejectedValue(account);
+  } else {
+    fetchWidgetAccount.mockResolvedValue(account);
+  }
+
+  const res = mockResponse();
+  await widgetsHandler({ params: { collectiveSlug: 'webpack', ...params }, query }, res);
+  return { res, fetchWidgetAccount };
+};
+
+const contributors = [
+  { id: '1', name: 'Xavier Damman', imageData: AVATAR_DATA_URI },
+  { id: '2', name: 'Pia Mancini', imageData: null },
+  { id: '3', name: 'Someone <script>', isIncognito: true },
+  { id: '4', name: 'Open Source Collective', imageData: AVATAR_DATA_URI },
+];
+
+describe('server/widgets', () => {
+  describe('parseWidgetOptions', () => {
+    it('uses defaults', () => {
+      expect(parseWidgetOptions({})).toMatchObject({ themeName: 'light', sizeName: 'medium', width: 400, limit: 30 });
+    });
+
+    it('validates and clamps the params', () => {
+      const options = parseWidgetOptions({ theme: 'pink', size: 'large', width: '5000', limit: '-3', avatarSize: 'x' });
+      expect(options).toMatchObject({ themeName: 'light', sizeName: 'large', width: 1200, limit: 1, avatarSize: 64 });
+    });
+  });
+
+  it('escapes XML', () => {
+    expect(escapeXml(`<a href="x">'&'</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;&apos;&amp;&apos;&lt;/a&gt;');
+  });
+
+  it('interpolates the progress like GoalsCover', () => {
+    expect(getProgressBarPercentage(0.1)).toBeCloseTo(0.19);
+    expect(getProgressBarPercentage(0.5)).toBe(0.5);
+    expect(getProgressBarPercentage(0.5, 'logarithm')).toBe(0.75);
+    expect(getProgressBarPercentage(0.1, 'linear')).toBe(0.1);
+    expect(getProgressBarPercentage(2)).toBe(1);
+  });
+
+  describe('renderers', () => {
+    it('renders the backers count', () => {
+      expect(renderBackersCount({ count: 42, options: parseWidgetOptions({}) })).toMatchSnapshot();
+    });
+
+    it('renders the balance with the dark theme', () => {
+      const balance = { valueInCents: 123456, currency: 'USD' };
+      expect(
+        renderBalance({ balance, options: parseWidgetOptions({ theme: 'dark', size: 'small' }) }),
+      ).toMatchSnapshot();
+    });
+
+    it('renders a goal', () => {
+      const goal = { title: 'Hire a maintainer', amount: 500000 };
+      const current = { valueInCents: 125000, currency: 'EUR' };
+      expect(renderGoal({ goal, current, options: parseWidgetOptions({ width: '500' }) })).toMatchSnapshot();
+    });
+
+    it('renders the contributors wall', () => {
+      const options = parseWidgetOptions({ avatarSize: '32', width: '150' });
+      expect(renderContributorsWall({ contributors, totalCount: 4, options })).toMatchSnapshot();
+    });
+
+    it('shows the number of contributors not displayed', () => {
+      const options = parseWidgetOptions({ limit: '3', size: 'small' });
+      const svg = renderContributorsWall({ contributors, totalCount: 120, options });
+      expect(svg).toContain('+118');
+      expect(svg).not.toContain('Open Source Collective');
+      expect(svg).not.toContain('<script>');
+    });
+  });
+
+  describe('widgetsHandler', () => {
+    it('returns a 404 for unknown accounts', async () => {
+      const { res } = await callWidgetsHandler({ badge: 'backers', format: 'svg' }, { account: null });
+      expect(res.statusCode).toBe(404);
+      expect(res.headers['Cache-Control']).toBeUndefined();
+    });
+
+    it('returns a 404 when there is no goal to display', async () => {
+      const { res } = await callWidgetsHandler({ badge: 'goal', format: 'svg' }, { account });
+      expect(res.statusCode).toBe(404);
+    });
+
+    it('renders the SVG badges with the cache headers', async () => {
+      const { res, fetchWidgetAccount } = await callWidgetsHandler({ badge: 'backers', format: 'svg' }, { account });
+      expect(res.statusCode).toBe(200);
+      expect(res.contentType).toBe('image/svg+xml');
+      expect(res.body).toContain('<svg');
+      expect(res.headers['Cache-Control']).toBe('public, max-age=3600, stale-while-revalidate=86400');
+      expect(fetchWidgetAccount).toHaveBeenCalledWith('webpack', { limit: 30, withContributors: false });
+    });
+
+    it('converts the badges to PNG', async () => {
+      const toBuffer = jest.fn(async () => Buffer.from('png'));
+      const sharpMock = jest.fn(() => ({ png: () => ({ toBuffer }) }));
+      const { res } = await callWidgetsHandler({ badge: 'balance', format: 'png' }, { account, sharpMock });
+      expect(res.statusCode).toBe(200);
+      expect(res.contentType).toBe('image/png');
+      expect(res.body).toEqual(Buffer.from('png'));
+      expect(res.headers['Cache-Control']).toBe('public, max-age=3600, stale-while-revalidate=86400');
+      expect(sharpMock.mock.calls[0][0].toString()).toContain('<svg');
+    });
+
+    it('returns a 501 for PNG badges when sharp is not available', async () => {
+      const { res } = await callWidgetsHandler({ badge: 'balance', format: 'png' }, { account });
+      expect(res.statusCode).toBe(501);
+      expect(res.headers['Cache-Control']).toBe('no-cache');
+    });
+
+    it('does not cache the errors', async () => {
+      const error = new Error('API is down');
+      const { res } = await callWidgetsHandler({ badge: 'backers', format: 'svg' }, { account: error });
+      expect(res.statusCode).toBe(500);
+      expect(res.headers['Cache-Control']).toBe('no-cache');
+    });
+  });
+});
@@ -0,0 +1,41 @@
+const fetch = require('node-fetch');
+
+const getGraphqlUrl = () => {
+  const baseApiUrl = process.env.INTERNAL_API_URL || process.env.API_URL;
+  const url = new URL(`${baseApiUrl}/graphql/v2`);
+  if (process.env.API_KEY) {
+    url.searchParams.set('api_key', process.env.API_KEY);
+  }
+
+  return url.toString();
+};
+
+/**
+ * Runs a query against the GraphQL API v2. Returns null if the API responds with a `NotFound` error.
+ * Pass the `accessToken` of a user to run the query on their behalf.
+ */
+const fetchGraphqlV2 = async (query, variables, { accessToken } = {}) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (accessToken) {
+    headers.Authorization = `Bearer ${accessToken}`;
+  }
+
+  const response = await fetch(getGraphqlUrl(), {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ query, variables }),
+  });
+
+  const result = await response.json();
+  if (result.errors?.length) {
+    if (result.errors.some(error => error.extensions?.code === 'NotFound')) {
+      return null;
+    }
+
+    throw new Error(result.errors[0].message);
+  }
+
+  return result.data;
+};
+
+module.exports = { fetchGraphqlV2 };
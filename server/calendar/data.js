@@ -0,0 +1,126 @@
+const { fetchGraphqlV2 } = require('../api');
+
+/** Max number of events in a feed */
+const MAX_EVENTS = 200;
+
+const calendarEventFields = `
+  fragment CalendarEventFields on Event {
+    id
+    slug
+    name
+    description
+    startsAt
+    endsAt
+    location {
+      name
+      address
+      country
+      lat
+      long
+    }
+    parent {
+      id
+      slug
+      name
+    }
+  }
+`;
+
+const calendarEventQuery = `
+  query CalendarEvent($slug: String!) {
+    account(slug: $slug) {
+      id
+      type
+      ...CalendarEventFields
+    }
+  }
+  ${calendarEventFields}
+`;
+
+const calendarCollectiveEventsQuery = `
+  query CalendarCollectiveEvents($slug: String!, $limit: Int!) {
+    account(slug: $slug) {
+      id
+      name
+      childrenAccounts(accountType: [EVENT], limit: $limit) {
+        nodes {
+          id
+          ...CalendarEventFields
+        }
+      }
+    }
+  }
+  ${calendarEventFields}
+`;
+
+const calendarRSVPsQuery = `
+  query CalendarRSVPs($slug: String!, $limit: Int!) {
+    account(slug: $slug) {
+      id
+      name
+      memberOf(role: [ATTENDEE], accountType: [EVENT], limit: $limit) {
+        nodes {
+          id
+          account {
+            id
+            ...CalendarEventFields
+          }
+        }
+      }
+    }
+  }
+  ${calendarEventFields}
+`;
+
+const calendarLoggedInAccountQuery = `
+  query CalendarLoggedInAccount {
+    loggedInAccount {
+      id
+      slug
+    }
+  }
+`;
+
+/**
+ * Fetches a single event. Returns null if it doesn't exist or if it's not an event.
+ */
+const fetchCalendarEvent = async slug => {
+  const data = await fetchGraphqlV2(calendarEventQuery, { slug });
+  return data?.account?.type === 'EVENT' ? data.account : null;
+};
+
+/**
+ * Fetches the events created by an account. Returns null if the account doesn't exist.
+ */
+const fetchCollectiveEvents = async slug => {
+  const data = await fetchGraphqlV2(calendarCollectiveEventsQuery, { slug, limit: MAX_EVENTS });
+  if (!data?.account) {
+    return null;
+  }
+
+  return { name: data.account.name, events: data.account.childrenAccounts.nodes };
+};
+
+/**
+ * Fetches the events an account registered to. Returns null if the account doesn't exist.
+ */
+const fetchRSVPs = async slug => {
+  const data = await fetchGraphqlV2(calendarRSVPsQuery, { slug, limit: MAX_EVENTS });
+  if (!data?.account) {
+    return null;
+  }
+
+  // An account can be registered multiple times to the same event (e.g. with different tickets)
+  const events = new Map(data.account.memberOf.nodes.map(member => [member.account.id, member.account]));
+  return { name: data.account.name, events: Array.from(events.values()) };
+};
+
+/**
+ * Fetches the account of the user authenticated with `accessToken`. Returns null if the token is not valid.
+ */
+const fetchLoggedInAccount = async accessToken => {
+  const data = await fetchGraphqlV2(calendarLoggedInAccountQuery, {}, { accessToken });
+  return data?.loggedInAccount || null;
+};
+
+module.exports = { fetchCalendarEvent, fetchCollectiveEvents, fetchLoggedInAccount, fetchRSVPs };
@@ -0,0 +1,130 @@
+/**
+ * Pure functions that render events as iCalendar (RFC 5545) documents, to be imported in
+ * calendar apps or subscribed to as feeds.
+ */
+
+const PRODUCT_ID = '-//Open Collective//Events//EN';
+
+/** Events without an end date are displayed as lasting one hour, same as `lib/calendar.js` */
+const DEFAULT_EVENT_DURATION = 60 * 60 * 1000;
+
+/** Lines longer than 75 octets must be folded */
+const MAX_LINE_LENGTH = 75;
+
+/** How often calendar apps should refresh the feeds */
+const REFRESH_INTERVAL = 'PT1H';
+
+const escapeText = value => {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Splits a content line in chunks of 75 octets max, continuation lines starting with a space.
+ * We iterate on characters rather than bytes to never split a multi-bytes character.
+ */
+const foldLine = line => {
+  const chunks = [];
+  let chunk = '';
+  let chunkLength = 0;
+  for (const char of line) {
+    const charLength = Buffer.byteLength(char);
+    const maxLength = chunks.length ? MAX_LINE_LENGTH - 1 : MAX_LINE_LENGTH;
+    if (chunkLength + charLength > maxLength) {
+      chunks.push(chunk);
+      chunk = '';
+      chunkLength = 0;
+    }
+
+    chunk += char;
+    chunkLength += charLength;
+  }
+
+  chunks.push(chunk);
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Formats a date as UTC, e.g. `20210615T180000Z`
+ */
+const formatDate = date => {
+  return new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+};
+
+const isValidTimezone = timezone => {
+  if (!timezone) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+const getEventEndDate = event => {
+  return event.endsAt ? new Date(event.endsAt) : new Date(new Date(event.startsAt).getTime() + DEFAULT_EVENT_DURATION);
+};
+
+const getEventUrl = (event, websiteUrl) => `${websiteUrl}/${event.parent.slug}/events/${event.slug}`;
+
+const getEventLocation = ({ location }) => {
+  return [location?.name, location?.address].filter(Boolean).join(', ');
+};
+
+const renderEvent = (event, { websiteUrl, now }) => {
+  const url = getEventUrl(event, websiteUrl);
+  const description = [event.description, url].filter(Boolean).join('\n\n');
+  const location = getEventLocation(event);
+  return [
+    'BEGIN:VEVENT',
+    `UID:${event.id}@${new URL(websiteUrl).hostname}`,
+    `DTSTAMP:${formatDate(now)}`,
+    `DTSTART:${formatDate(event.startsAt)}`,
+    `DTEND:${formatDate(getEventEndDate(event))}`,
+    `SUMMARY:${escapeText(event.name)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    location && `LOCATION:${escapeText(location)}`,
+    typeof event.location?.lat === 'number' &&
+      typeof event.location?.long === 'number' &&
+      `GEO:${event.location.lat};${event.location.long}`,
+    event.parent.name && `ORGANIZER;CN=${escapeText(event.parent.name)}:${websiteUrl}/${event.parent.slug}`,
+    `URL:${url}`,
+    'END:VEVENT',
+  ].filter(Boolean);
+};
+
+/**
+ * Renders a calendar with the given events. Dates are always set in UTC so that they're
+ * right in every calendar app; the timezone of the events is used as the default timezone of the
+ * calendar (`X-WR-TIMEZONE`) when they all share the same one.
+ *
+ * @param {string} name - the name of the calendar
+ * @param {Array} events - with `id`, `slug`, `name`, `startsAt` and `parent`
+ * @param {boolean} isFeed - whether calendar apps will subscribe to it, rather than import it once
+ */
+const renderCalendar = ({ name, events, websiteUrl, isFeed = false, now = new Date() }) => {
+  const timezones = new Set(events.map(event => event.timezone));
+  const [timezone] = timezones;
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    name && `X-WR-CALNAME:${escapeText(name)}`,
+    timezones.size === 1 && isValidTimezone(timezone) && `X-WR-TIMEZONE:${timezone}`,
+    isFeed && `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    isFeed && `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+    ...events.flatMap(event => renderEvent(event, { websiteUrl, now })),
+    'END:VCALENDAR',
+  ].filter(Boolean);
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = { escapeText, foldLine, formatDate, getEventEndDate, isValidTimezone, renderCalendar };
@@ -0,0 +1,128 @@
+const logger = require('../logger');
+
+const { fetchCalendarEvent, fetchCollectiveEvents, fetchLoggedInAccount, fetchRSVPs } = require('./data');
+const { getEventEndDate, renderCalendar } = require('./ics');
+const { getRSVPsFeedToken, isValidRSVPsFeedToken } = require('./tokens');
+
+const CACHE_MAX_AGE = 60 * 60; // 1 hour
+const CACHE_STALE_WHILE_REVALIDATE = 24 * 60 * 60; // 1 day
+
+const getWebsiteUrl = () => process.env.WEBSITE_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+const hasStartDate = event => Boolean(event.startsAt);
+
+const isUpcoming = (event, now) => getEventEndDate(event) >= now;
+
+const FEEDS = {
+  // Upcoming events of a collective
+  events: async slug => {
+    const result = await fetchCollectiveEvents(slug);
+    if (!result) {
+      return null;
+    }
+
+    const now = new Date();
+    const events = result.events.filter(event => hasStartDate(event) && isUpcoming(event, now));
+    return { name: `${result.name} - Events`, events };
+  },
+  // Events the account registered to, only served with the private token of the account
+  rsvps: async (slug, { token }) => {
+    if (!isValidRSVPsFeedToken(slug, token)) {
+      return null;
+    }
+
+    const result = await fetchRSVPs(slug);
+    return result && { name: `${result.name} - RSVPs`, events: result.events.filter(hasStartDate) };
+  },
+};
+
+const sendCalendar = (res, calendar, { filename, isPrivate = false }) => {
+  const cacheVisibility = isPrivate ? 'private' : 'public';
+  res.set(
+    'Cache-Control',
+    `${cacheVisibility}, max-age=${CACHE_MAX_AGE}, stale-while-revalidate=${CACHE_STALE_WHILE_REVALIDATE}`,
+  );
+  res.type('text/calendar; charset=utf-8');
+  if (filename) {
+    res.attachment(filename);
+  }
+
+  res.send(calendar);
+};
+
+/**
+ * Serves the calendar feeds, to subscribe to from any calendar app:
+ * - `/:collectiveSlug/events.ics`: the upcoming events of a collective
+ * - `/:collectiveSlug/rsvps.ics?token=`: the events an account registered to, see `rsvpsFeedUrlHandler`
+ */
+const calendarFeedHandler = async (req, res) => {
+  const { collectiveSlug, feed } = req.params;
+
+  try {
+    const result = await FEEDS[feed](collectiveSlug, req.query);
+    if (!result) {
+      res.status(404).send('Not found');
+      return;
+    }
+
+    const calendar = renderCalendar({ ...result, websiteUrl: getWebsiteUrl(), isFeed: true });
+    const filename = req.query.download ? `${collectiveSlug}-${feed}.ics` : null;
+    sendCalendar(res, calendar, { filename, isPrivate: feed === 'rsvps' });
+  } catch (e) {
+    logger.error(`Error while rendering the ${feed} calendar for ${collectiveSlug}: ${e.message}`);
+    res.set('Cache-Control', 'no-cache');
+    res.status(500).send('Internal server error');
+  }
+};
+
+/**
+ * Serves a single event as an `.ics` file, for the "Add to calendar" links.
+ */
+const eventCalendarHandler = async (req, res) => {
+  const { parentCollectiveSlug, eventSlug } = req.params;
+
+  try {
+    const event = await fetchCalendarEvent(eventSlug);
+    if (!event || !event.startsAt || event.parent?.slug !== parentCollectiveSlug) {
+      res.status(404).send('Not found');
+      return;
+    }
+
+    const calendar = renderCalendar({ name: event.name, events: [event], websiteUrl: getWebsiteUrl() });
+    sendCalendar(res, calendar, { filename: `${eventSlug}.ics` });
+  } catch (e) {
+    logger.error(`Error while rendering the calendar for event ${eventSlug}: ${e.message}`);
+    res.set('Cache-Control', 'no-cache');
+    res.status(500).send('Internal server error');
+  }
+};
+
+/**
+ * Returns the private URL of the RSVPs feed of the logged in user, authenticated with the
+ * `Authorization` header. Calendar apps can't authenticate, so the URL embeds a token.
+ */
+const rsvpsFeedUrlHandler = async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  const accessToken = req.get('Authorization')?.replace(/^Bearer /, '');
+  if (!accessToken) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return;
+  }
+
+  try {
+    const account = await fetchLoggedInAccount(accessToken);
+    const token = account && getRSVPsFeedToken(account.slug);
+    if (!account) {
+      res.status(401).json({ error: 'Unauthorized' });
+    } else if (!token) {
+      res.status(404).json({ error: 'Not found' });
+    } else {
+      res.json({ url: `${getWebsiteUrl()}/${account.slug}/rsvps.ics?token=${token}` });
+    }
+  } catch (e) {
+    logger.error(`Error while generating the RSVPs feed URL: ${e.message}`);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = { calendarFeedHandler, eventCalendarHandler, rsvpsFeedUrlHandler };
@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+
+/**
+ * The RSVPs feeds are private: they're only served with a token that is derived from the slug of the
+ * account and `CALENDAR_FEEDS_SECRET`. The feeds are disabled if the secret is not set.
+ */
+const getRSVPsFeedToken = slug => {
+  const secret = process.env.CALENDAR_FEEDS_SECRET;
+  if (!secret) {
+    return null;
+  }
+
+  return crypto.createHmac('sha256', secret).update(`rsvps:${slug}`).digest('hex').slice(0, 32);
+};
+
+const isValidRSVPsFeedToken = (slug, token) => {
+  const expectedToken = getRSVPsFeedToken(slug);
+  if (!expectedToken || typeof token !== 'string' || token.length !== expectedToken.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expectedToken));
+};
+
+module.exports = { getRSVPsFeedToken, isValidRSVPsFeedToken };
@@ -45,6 +45,7 @@ const COMMON_DIRECTIVES = {
     'https://*.hcaptcha.com',
     'https://www.google.com',
     'https://api.cryptonator.com',
+    'https://api.frankfurter.app',
   ],
   scriptSrc: [
     SELF,
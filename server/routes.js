@@ -5,7 +5,9 @@ const express = require('express');
 const proxy = require('express-http-proxy');
 const { template, trim } = require('lodash');
 
+const { calendarFeedHandler, eventCalendarHandler, rsvpsFeedUrlHandler } = require('./calendar');
 const intl = require('./intl');
+const { widgetsHandler } = require('./widgets');
 
 const baseApiUrl = process.env.INTERNAL_API_URL || process.env.API_URL;
 
@@ -142,6 +144,21 @@ module.exports = (expressApp, nextApp) => {
     );
   });
 
+  app.get('/embed/sdk.js', maxAge(86400), (req, res) => {
+    const content = fs.readFileSync(path.join(__dirname, './templates/embed-sdk.js'), 'utf8');
+    const compiled = template(content, { interpolate: /{{([\s\S]+?)}}/g });
+    res.setHeader('content-type', 'application/javascript');
+    res.send(compiled({ host: process.env.WEBSITE_URL || `http://localhost:${process.env.PORT || 3000}` }));
+  });
+
+  app.get('/:collectiveSlug/badges/:badge(contributors|goal|backers|balance).:format(svg|png)', widgetsHandler);
+
+  app.get('/calendar/rsvps-feed-url', rsvpsFeedUrlHandler);
+
+  app.get('/:collectiveSlug/:feed(events|rsvps).ics', calendarFeedHandler);
+
+  app.get('/:parentCollectiveSlug/events/:eventSlug.ics', eventCalendarHandler);
+
   app.get('/:collectiveSlug/:widget(widget|events|collectives|banner).js', maxAge(86400), (req, res) => {
     const content = fs.readFileSync(path.join(__dirname, './templates/widget.js'), 'utf8');
     const compiled = template(content, { interpolate: /{{([\s\S]+?)}}/g });
@@ -0,0 +1,141 @@
+(function () {
+  // Make sure we only load the script once.
+  if (window.OC && window.OC.ContributionFlow) {
+    return;
+  }
+
+  const HOST = '{{host}}';
+
+  // Keep in sync with lib/contribution-flow-embed.js
+  const MESSAGE_SOURCE = 'opencollective-embed';
+  const EVENTS = ['resize', 'stepChange', 'success', 'error', 'close'];
+
+  const QUERY_PARAMS = [
+    'amount',
+    'platformContribution',
+    'interval',
+    'description',
+    'contributeAs',
+    'defaultEmail',
+    'defaultName',
+    'hideHeader',
+    'hideCreditCardPostalCode',
+    'skipStepDetails',
+    'useTheme',
+    'redirect',
+  ];
+
+  const DEFAULT_HEIGHT = 600;
+
+  const embeds = {};
+  let embedsCount = 0;
+
+  window.addEventListener('message', e => {
+    if (e.origin !== HOST) {
+      return;
+    }
+
+    const message = e.data;
+    if (!message || typeof message !== 'object' || message.source !== MESSAGE_SOURCE) {
+      return;
+    } else if (EVENTS.indexOf(message.type) === -1 || !embeds[message.embedId]) {
+      return;
+    }
+
+    embeds[message.embedId].handleMessage(message);
+  });
+
+  function getEmbedUrl(options, embedId) {
+    const slug = encodeURIComponent(options.collectiveSlug);
+    const path = options.tierId
+      ? `/embed/${slug}/contribute/tier-${parseInt(options.tierId, 10)}`
+      : `/embed/${slug}/donate`;
+
+    const params = [`embedId=${encodeURIComponent(embedId)}`];
+    QUERY_PARAMS.forEach(param => {
+      if (options[param] !== undefined && options[param] !== null) {
+        params.push(`${param}=${encodeURIComponent(options[param])}`);
+      }
+    });
+
+    if (options.backgroundColor) {
+      params.push(`backgroundColor=${encodeURIComponent(options.backgroundColor.replace(/^#/, ''))}`);
+    }
+    if (options.tags) {
+      params.push(`tags=${encodeURIComponent([].concat(options.tags).join(','))}`);
+    }
+    if (options.disabledPaymentMethodTypes) {
+      params.push(`disabledPaymentMethodTypes=${encodeURIComponent(options.disabledPaymentMethodTypes.join(','))}`);
+    }
+    if (options.data) {
+      params.push(`data=${encodeURIComponent(JSON.stringify(options.data))}`);
+    }
+
+    return `${HOST}${path}?${params.join('&')}`;
+  }
+
+  function ContributionFlowEmbed(container, options) {
+    embedsCount += 1;
+    this.id = `oc-contribution-flow-${embedsCount}-${Math.floor(Math.random() * 10000)}`;
+    this.listeners = {};
+
+    this.on = (type, callback) => {
+      this.listeners[type] = (this.listeners[type] || []).concat(callback);
+      return this;
+    };
+
+    this.off = (type, callback) => {
+      this.listeners[type] = (this.listeners[type] || []).filter(listener => listener !== callback);
+      return this;
+    };
+
+    this.handleMessage = message => {
+      if (message.type === 'resize' && message.payload.height) {
+        this.iframe.style.height = `${Math.ceil(message.payload.height)}px`;
+      }
+
+      const event = { type: message.type, embedId: this.id, ...message.payload };
+      (this.listeners[message.type] || []).concat(this.listeners['*'] || []).forEach(callback => {
+        callback(event);
+      });
+    };
+
+    this.destroy = () => {
+      delete embeds[this.id];
+      if (this.iframe.parentNode) {
+        this.iframe.parentNode.removeChild(this.iframe);
+      }
+    };
+
+    this.iframe = document.createElement('iframe');
+    this.iframe.id = this.id;
+    this.iframe.src = getEmbedUrl(options, this.id);
+    this.iframe.title = options.title || 'Contribute';
+    this.iframe.allow = 'payment';
+    this.iframe.style.width = '100%';
+    this.iframe.style.border = '0';
+    this.iframe.style.height = `${options.height || DEFAULT_HEIGHT}px`;
+
+    Object.keys(options.on || {}).forEach(type => this.on(type, options.on[type]));
+    embeds[this.id] = this;
+    container.appendChild(this.iframe);
+  }
+
+  window.OC = window.OC || {};
+  window.OC.ContributionFlow = {
+    /**
+     * Mounts the contribution flow of `options.collectiveSlug` in `target` (an element or a selector).
+     * Listeners can be passed in `options.on` or registered with `embed.on(type, callback)`, `*` listening to all events.
+     */
+    mount(target, options) {
+      const container = typeof target === 'string' ? document.querySelector(target) : target;
+      if (!container) {
+        throw new Error(`Open Collective: cannot find the element to mount the contribution flow (${target})`);
+      } else if (!options || !options.collectiveSlug) {
+        throw new Error('Open Collective: `collectiveSlug` is required to mount the contribution flow');
+      }
+
+      return new ContributionFlowEmbed(container, options);
+    },
+  };
+})();
@@ -0,0 +1,88 @@
+const fetch = require('node-fetch');
+
+const { fetchGraphqlV2 } = require('../api');
+const logger = require('../logger');
+
+const AVATAR_FETCH_TIMEOUT = 3000;
+
+const widgetAccountQuery = `
+  query WidgetAccount($slug: String!, $limit: Int!, $withContributors: Boolean!) {
+    account(slug: $slug) {
+      id
+      slug
+      name
+      currency
+      settings
+      stats {
+        id
+        balance {
+          valueInCents
+          currency
+        }
+        yearlyBudget {
+          valueInCents
+          currency
+        }
+      }
+      backers: members(role: BACKER, limit: 0) {
+        totalCount
+      }
+      ... on AccountWithContributions {
+        contributors(limit: $limit) @include(if: $withContributors) {
+          totalCount
+          nodes {
+            id
+            name
+            isIncognito
+            image(height: 128)
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Fetches the data needed by the badges. Returns null if the account doesn't exist.
+ */
+const fetchWidgetAccount = async (slug, { limit = 0, withContributors = false } = {}) => {
+  const data = await fetchGraphqlV2(widgetAccountQuery, { slug, limit, withContributors });
+  return data?.account || null;
+};
+
+/**
+ * Downloads an image and returns it as a data URI, or null if it can't be fetched.
+ */
+const fetchImageAsDataUri = async url => {
+  if (!url) {
+    return null;
+  }
+
+  try {
+    const response = await fetch(url, { timeout: AVATAR_FETCH_TIMEOUT });
+    const contentType = response.headers.get('content-type');
+    if (!response.ok || !contentType?.startsWith('image/')) {
+      return null;
+    }
+
+    const buffer = await response.buffer();
+    return `data:${contentType};base64,${buffer.toString('base64')}`;
+  } catch (e) {
+    logger.warn(`Could not fetch widget avatar ${url}: ${e.message}`);
+    return null;
+  }
+};
+
+/**
+ * Embeds the avatars of the contributors as data URIs
+ */
+const withEmbeddedAvatars = async contributors => {
+  return Promise.all(
+    contributors.map(async contributor => ({
+      ...contributor,
+      imageData: contributor.isIncognito ? null : await fetchImageAsDataUri(contributor.image),
+    })),
+  );
+};
+
+module.exports = { fetchWidgetAccount, withEmbeddedAvatars };
@@ -0,0 +1,115 @@
+const { get, maxBy, sortBy } = require('lodash');
+
+const logger = require('../logger');
+
+const { fetchWidgetAccount, withEmbeddedAvatars } = require('./data');
+const { parseWidgetOptions } = require('./options');
+const { renderBackersCount, renderBalance, renderContributorsWall, renderGoal } = require('./renderers');
+
+const CACHE_MAX_AGE = 60 * 60; // 1 hour
+const CACHE_STALE_WHILE_REVALIDATE = 24 * 60 * 60; // 1 day
+const CACHE_CONTROL = `public, max-age=${CACHE_MAX_AGE}, stale-while-revalidate=${CACHE_STALE_WHILE_REVALIDATE}`;
+
+/**
+ * `sharp` is an optional dependency: its native binaries are not available on every platform,
+ * in which case only the SVG badges are available. The module name is not a literal so that
+ * it's only resolved at runtime.
+ */
+const SHARP_MODULE = 'sharp';
+
+const loadSharp = () => {
+  try {
+    return require(SHARP_MODULE);
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Picks the goal to display: the one at `?goal=index` (goals sorted by amount), otherwise the first
+ * goal that is not reached yet, otherwise the biggest one.
+ */
+const getGoal = (goals, current, goalIndex) => {
+  const sortedGoals = sortBy(goals, 'amount');
+  const index = parseInt(goalIndex, 10);
+  if (!isNaN(index) && sortedGoals[index]) {
+    return sortedGoals[index];
+  } else {
+    return sortedGoals.find(goal => goal.amount > current.valueInCents) || maxBy(sortedGoals, 'amount');
+  }
+};
+
+const BADGES = {
+  backers: async (account, options, query) => {
+    return renderBackersCount({ count: account.backers.totalCount, label: query.label, options });
+  },
+  balance: async (account, options, query) => {
+    return renderBalance({ balance: account.stats.balance, label: query.label, options });
+  },
+  goal: async (account, options, query) => {
+    const { balance, yearlyBudget } = account.stats;
+    // Same as `GoalsCover`: the progress is the max between the balance and the yearly budget
+    const current = balance.valueInCents >= yearlyBudget.valueInCents ? balance : yearlyBudget;
+    const goal = getGoal(get(account, 'settings.goals') || [], current, query.goal);
+    if (!goal) {
+      return null;
+    }
+
+    return renderGoal({ goal, current, interpolation: query.interpolation, options });
+  },
+  contributors: async (account, options) => {
+    if (!account.contributors) {
+      return null;
+    }
+
+    const { nodes, totalCount } = account.contributors;
+    const contributors = await withEmbeddedAvatars(nodes);
+    return renderContributorsWall({ contributors, totalCount, options });
+  },
+};
+
+/**
+ * Renders the badges as SVG or PNG. Unlike the iframe widgets, these can be embedded
+ * anywhere an image can be used (GitHub READMEs, emails...etc).
+ */
+const widgetsHandler = async (req, res) => {
+  const { collectiveSlug, badge, format } = req.params;
+  const options = parseWidgetOptions(req.query);
+
+  try {
+    const account = await fetchWidgetAccount(collectiveSlug, {
+      limit: options.limit,
+      withContributors: badge === 'contributors',
+    });
+
+    const svg = account && (await BADGES[badge](account, options, req.query));
+    if (!svg) {
+      res.status(404).send('Not found');
+      return;
+    }
+
+    if (format === 'png') {
+      const sharp = loadSharp();
+      if (!sharp) {
+        res.set('Cache-Control', 'no-cache');
+        res.status(501).send('PNG badges are not available, please use the SVG format');
+        return;
+      }
+
+      const png = await sharp(Buffer.from(svg)).png().toBuffer();
+      res.set('Cache-Control', CACHE_CONTROL);
+      res.type('image/png');
+      res.send(png);
+    } else {
+      res.set('Cache-Control', CACHE_CONTROL);
+      res.type('image/svg+xml');
+      res.send(svg);
+    }
+  } catch (e) {
+    logger.error(`Error while rendering the ${badge} badge for ${collectiveSlug}: ${e.message}`);
+    res.set('Cache-Control', 'no-cache');
+    res.status(500).send('Internal server error');
+  }
+};
+
+module.exports = { widgetsHandler };
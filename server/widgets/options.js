@@ -0,0 +1,65 @@
+const { clamp } = require('lodash');
+
+// Colors from `lib/theme/colors.js`
+const THEMES = {
+  light: {
+    background: '#FFFFFF',
+    border: '#DCDEE0',
+    text: '#313233',
+    secondaryText: '#757677',
+    progress: '#1869F5',
+    emptyProgress: '#E2E2E2',
+    avatarBackground: '#E5F3FF',
+    avatarText: '#1153D6',
+  },
+  dark: {
+    background: '#141414',
+    border: '#4E5052',
+    text: '#F7F8FA',
+    secondaryText: '#C4C7CC',
+    progress: '#5CA3FF',
+    emptyProgress: '#4E5052',
+    avatarBackground: '#1041A3',
+    avatarText: '#E5F3FF',
+  },
+};
+
+const SIZES = {
+  small: { fontSize: 11, padding: 6, avatarSize: 24, barHeight: 6, width: 300 },
+  medium: { fontSize: 13, padding: 10, avatarSize: 40, barHeight: 10, width: 400 },
+  large: { fontSize: 16, padding: 14, avatarSize: 64, barHeight: 14, width: 600 },
+};
+
+const DEFAULT_LIMIT = 30;
+const MAX_LIMIT = 100;
+
+const parseInteger = (value, defaultValue, min, max) => {
+  const number = parseInt(value, 10);
+  return isNaN(number) ? defaultValue : clamp(number, min, max);
+};
+
+/**
+ * Parses the query params supported by all the badges:
+ * - `theme`: `light` (default) or `dark`
+ * - `size`: `small`, `medium` (default) or `large`
+ * - `width`: overrides the width of the badge, in pixels
+ * - `limit`: max number of items (eg. avatars) to display
+ * - `avatarSize`: overrides the size of the avatars, in pixels
+ */
+const parseWidgetOptions = (query = {}) => {
+  const themeName = THEMES[query.theme] ? query.theme : 'light';
+  const sizeName = SIZES[query.size] ? query.size : 'medium';
+  const size = SIZES[sizeName];
+
+  return {
+    themeName,
+    sizeName,
+    theme: THEMES[themeName],
+    ...size,
+    width: parseInteger(query.width, size.width, 100, 1200),
+    avatarSize: parseInteger(query.avatarSize, size.avatarSize, 16, 128),
+    limit: parseInteger(query.limit, DEFAULT_LIMIT, 1, MAX_LIMIT),
+  };
+};
+
+module.exports = { parseWidgetOptions, THEMES, SIZES, MAX_LIMIT };
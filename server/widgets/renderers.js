@@ -0,0 +1,243 @@
+/**
+ * Pure functions that render the badges as SVG strings. They don't fetch anything: avatars
+ * must be given as data URIs because images embedded in READMEs can't load external resources.
+ */
+
+const FONT_FAMILY = 'Inter, -apple-system, BlinkMacSystemFont, Segoe UI, Helvetica, Arial, sans-serif';
+const AVATARS_GAP = 4;
+
+const escapeXml = value => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+/** We can't measure text without a browser, this approximation is good enough for most fonts */
+const estimateTextWidth = (text, fontSize) => Math.ceil(String(text).length * fontSize * 0.6);
+
+const formatAmount = (valueInCents, currency, locale = 'en') => {
+  const value = (valueInCents || 0) / 100;
+  return value.toLocaleString(locale, {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: value % 1 === 0 ? 0 : 2,
+    maximumFractionDigits: 2,
+  });
+};
+
+const getInitials = name => {
+  if (!name) {
+    return '?';
+  }
+
+  const words = name.trim().split(/\s+/);
+  return words
+    .slice(0, 2)
+    .map(word => word[0].toUpperCase())
+    .join('');
+};
+
+const svgDocument = ({ width, height, title, content }) => {
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeXml(
+      title,
+    )}">`,
+    `<title>${escapeXml(title)}</title>`,
+    content,
+    '</svg>',
+  ].join('\n');
+};
+
+/**
+ * A two-parts badge, like the ones from shields.io: `label | value`
+ */
+const renderBadge = ({ label, value, options }) => {
+  const { theme, fontSize, padding } = options;
+  const height = fontSize + padding * 2;
+  const labelWidth = estimateTextWidth(label, fontSize) + padding * 2;
+  const valueWidth = estimateTextWidth(value, fontSize) + padding * 2;
+  const width = labelWidth + valueWidth;
+  const textY = Math.round(height / 2 + fontSize * 0.35);
+
+  return svgDocument({
+    width,
+    height,
+    title: `${label}: ${value}`,
+    content: [
+      `<clipPath id="badge-clip"><rect width="${width}" height="${height}" rx="3" fill="#FFFFFF"/></clipPath>`,
+      `<g clip-path="url(#badge-clip)">`,
+      `<rect width="${labelWidth}" height="${height}" fill="${theme.text}"/>`,
+      `<rect x="${labelWidth}" width="${valueWidth}" height="${height}" fill="${theme.progress}"/>`,
+      `</g>`,
+      `<g font-family="${FONT_FAMILY}" font-size="${fontSize}" fill="${theme.background}" text-anchor="middle">`,
+      `<text x="${labelWidth / 2}" y="${textY}">${escapeXml(label)}</text>`,
+      `<text x="${labelWidth + valueWidth / 2}" y="${textY}" font-weight="bold">${escapeXml(value)}</text>`,
+      `</g>`,
+    ].join('\n'),
+  });
+};
+
+/**
+ * Number of financial contributors of the account
+ */
+const renderBackersCount = ({ count, label = 'backers', options }) => {
+  return renderBadge({ label, value: String(count || 0), options });
+};
+
+/**
+ * Current balance of the account
+ */
+const renderBalance = ({ balance, label = 'balance', options }) => {
+  return renderBadge({ label, value: formatAmount(balance.valueInCents, balance.currency), options });
+};
+
+/**
+ * Same interpolation as `GoalsCover`: when the progress is low, a logarithmic scale
+ * makes it visible. See https://www.desmos.com/calculator/30pua5xx7q
+ */
+const getProgressBarPercentage = (progress, interpolation = 'auto') => {
+  const x = Math.min(Math.max(progress, 0), 1);
+  if (interpolation === 'logarithm' || (interpolation === 'auto' && x <= 0.3)) {
+    return -1 * Math.pow(x - 1, 2) + 1;
+  } else {
+    return x;
+  }
+};
+
+/**
+ * A progress bar for a goal of the account.
+ *
+ * @param {object} goal - the goal from the account settings (`{ title, amount }`)
+ * @param {object} current - the current achievement, as an `Amount` (the max of balance and yearly budget)
+ */
+const renderGoal = ({ goal, current, interpolation, options }) => {
+  const { theme, fontSize, padding, barHeight, width } = options;
+  const progress = goal.amount ? current.valueInCents / goal.amount : 0;
+  const percent = Math.floor(progress * 100);
+  const title = goal.title || 'Goal';
+  const amounts = `${formatAmount(current.valueInCents, current.currency)} / ${formatAmount(
+    goal.amount,
+    current.currency,
+  )} (${percent}%)`;
+  const height = padding * 3 + fontSize + barHeight;
+  const barWidth = width - padding * 2;
+  const barY = padding * 2 + fontSize;
+  const progressWidth = Math.round(barWidth * getProgressBarPercentage(progress, interpolation));
+
+  return svgDocument({
+    width,
+    height,
+    title: `${title}: ${amounts}`,
+    content: [
+      `<rect width="${width}" height="${height}" rx="4" fill="${theme.background}" stroke="${theme.border}"/>`,
+      `<g font-family="${FONT_FAMILY}" font-size="${fontSize}">`,
+      `<text x="${padding}" y="${padding + fontSize}" fill="${theme.text}" font-weight="bold">${escapeXml(
+        title,
+      )}</text>`,
+      `<text x="${width - padding}" y="${padding + fontSize}" fill="${
+        theme.secondaryText
+      }" text-anchor="end">${escapeXml(amounts)}</text>`,
+      `</g>`,
+      `<rect x="${padding}" y="${barY}" width="${barWidth}" height="${barHeight}" rx="${barHeight / 2}" fill="${
+        theme.emptyProgress
+      }"/>`,
+      progressWidth > 0
+        ? `<rect x="${padding}" y="${barY}" width="${progressWidth}" height="${barHeight}" rx="${
+            barHeight / 2
+          }" fill="${theme.progress}"/>`
+        : '',
+    ]
+      .filter(Boolean)
+      .join('\n'),
+  });
+};
+
+const renderAvatar = (contributor, x, y, size, theme, idx) => {
+  const radius = size / 2;
+  const name = contributor.isIncognito ? 'Incognito' : contributor.name;
+  const clipId = `avatar-${idx}`;
+  if (contributor.imageData) {
+    return [
+      `<g>`,
+      `<title>${escapeXml(name)}</title>`,
+      `<clipPath id="${clipId}"><circle cx="${x + radius}" cy="${y + radius}" r="${radius}"/></clipPath>`,
+      `<image x="${x}" y="${y}" width="${size}" height="${size}" xlink:href="${escapeXml(
+        contributor.imageData,
+      )}" clip-path="url(#${clipId})" preserveAspectRatio="xMidYMid slice"/>`,
+      `</g>`,
+    ].join('');
+  } else {
+    return [
+      `<g>`,
+      `<title>${escapeXml(name)}</title>`,
+      `<circle cx="${x + radius}" cy="${y + radius}" r="${radius}" fill="${theme.avatarBackground}"/>`,
+      `<text x="${x + radius}" y="${y + radius + size * 0.14}" font-family="${FONT_FAMILY}" font-size="${Math.round(
+        size * 0.4,
+      )}" fill="${theme.avatarText}" text-anchor="middle">${escapeXml(getInitials(name))}</text>`,
+      `</g>`,
+    ].join('');
+  }
+};
+
+/**
+ * A wall with the avatars of the contributors. If there are more contributors than displayed,
+ * the last avatar is replaced by a `+N` counter.
+ *
+ * @param {Array} contributors - with `name`, `isIncognito` and an optional `imageData` (data URI)
+ * @param {number} totalCount - total number of contributors
+ */
+const renderContributorsWall = ({ contributors, totalCount, options }) => {
+  const { theme, padding, avatarSize, width, limit } = options;
+  const cellSize = avatarSize + AVATARS_GAP;
+  const columns = Math.max(1, Math.floor((width - padding * 2 + AVATARS_GAP) / cellSize));
+  const hasMore = totalCount > Math.min(contributors.length, limit);
+  const displayed = contributors.slice(0, hasMore ? limit - 1 : limit);
+  const nbCells = displayed.length + (hasMore ? 1 : 0);
+  const rows = Math.max(1, Math.ceil(nbCells / columns));
+  const height = padding * 2 + rows * cellSize - AVATARS_GAP;
+  const getPosition = idx => ({
+    x: padding + (idx % columns) * cellSize,
+    y: padding + Math.floor(idx / columns) * cellSize,
+  });
+
+  const avatars = displayed.map((contributor, idx) => {
+    const { x, y } = getPosition(idx);
+    return renderAvatar(contributor, x, y, avatarSize, theme, idx);
+  });
+
+  if (hasMore) {
+    const { x, y } = getPosition(displayed.length);
+    const radius = avatarSize / 2;
+    avatars.push(
+      [
+        `<circle cx="${x + radius}" cy="${y + radius}" r="${radius}" fill="${theme.emptyProgress}"/>`,
+        `<text x="${x + radius}" y="${
+          y + radius + avatarSize * 0.12
+        }" font-family="${FONT_FAMILY}" font-size="${Math.round(avatarSize * 0.3)}" fill="${
+          theme.text
+        }" text-anchor="middle">+${totalCount - displayed.length}</text>`,
+      ].join(''),
+    );
+  }
+
+  return svgDocument({
+    width,
+    height,
+    title: `${totalCount} contributors`,
+    content: [`<rect width="${width}" height="${height}" fill="${theme.background}"/>`, ...avatars].join('\n'),
+  });
+};
+
+module.exports = {
+  escapeXml,
+  formatAmount,
+  getProgressBarPercentage,
+  renderBackersCount,
+  renderBalance,
+  renderBadge,
+  renderContributorsWall,
+  renderGoal,
+};
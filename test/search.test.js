@@ -4,6 +4,8 @@ import React from 'react';
 import { shallow } from 'enzyme';
 import Router from 'next/router';
 
+import { parseSearchQuery, toggleSearchFilterValue } from '../lib/search-filters';
+
 import { MockSearchPage } from '../pages/search';
 
 describe('Search Page', () => {
@@ -12,7 +14,7 @@ describe('Search Page', () => {
     getLoggedInUser: () => Promise.resolve({}),
   };
 
-  it('calls Router.push on form submission', () => {
+  it('calls Router.push on search submission', () => {
     Router.push = jest.fn();
 
     const submitProps = {
@@ -22,19 +24,10 @@ describe('Search Page', () => {
         push: Router.push,
       },
     };
-    const event = {
-      preventDefault: jest.fn(),
-      target: {
-        q: {
-          value: 'test',
-        },
-      },
-    };
 
     const wrapper = shallow(<MockSearchPage {...submitProps} />);
-    wrapper.find('form').simulate('submit', event);
+    wrapper.find('SearchBar').prop('onSubmit')('test');
 
-    expect(event.preventDefault).toHaveBeenCalled();
     expect(Router.push).toHaveBeenCalledWith({
       pathname: '/search',
       query: {
@@ -42,4 +35,18 @@ describe('Search Page', () => {
       },
     });
   });
+
+  it('keeps the filters in the URL', () => {
+    Router.push = jest.fn();
+
+    const filters = parseSearchQuery({ q: 'test', types: 'COLLECTIVE', isHost: 'true', offset: '20' });
+    const submitProps = { ...props, filters, router: { pathname: '/search', push: Router.push } };
+    const wrapper = shallow(<MockSearchPage {...submitProps} />);
+    wrapper.find('SearchFacets').prop('onChange')(toggleSearchFilterValue(filters, 'types', 'FUND'));
+
+    expect(Router.push).toHaveBeenCalledWith({
+      pathname: '/search',
+      query: { q: 'test', types: 'COLLECTIVE,FUND', isHost: true },
+    });
+  });
 });